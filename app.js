@@ -10,6 +10,8 @@ const {i18nMiddleware} = require('./src/middleware/i18n');
 const {optionalAuth} = require('./src/middleware/auth');
 const i18n = require('./src/utils/i18n');
 const config = require('./src/config/config');
+const aiProviders = require('./src/services/providers');
+const aiService = require('./src/services/aiService');
 
 // Connect to database
 connectDB();
@@ -34,8 +36,10 @@ app.use(cors({
 }));
 console.log('The supported cors origin is: ' + config.frontendUrl)
 
-// Logging middleware
-app.use(morgan('combined'));
+// Logging middleware (quiet in tests)
+if (config.nodeEnv !== 'test') {
+    app.use(morgan('combined'));
+}
 
 // Body parsing middleware
 app.use(express.json({limit: '10mb'}));
@@ -51,11 +55,19 @@ app.use(optionalAuth);
 // Import routes
 const authRoutes = require('./src/routes/auth');
 const wordRoutes = require('./src/routes/words');
+const deckRoutes = require('./src/routes/decks');
+const quizRoutes = require('./src/routes/quizzes');
 const generationRoutes = require('./src/routes/generations');
 const publicGenerationRoutes = require('./src/routes/publicGenerations');
 const sentenceCheckRoutes = require('./src/routes/sentenceChecks');
 const publicSentenceCheckRoutes = require('./src/routes/publicSentenceChecks');
 const statisticsRoutes = require('./src/routes/statistics');
+const commentRoutes = require('./src/routes/comments');
+const userRoutes = require('./src/routes/users');
+const meRoutes = require('./src/routes/me');
+const searchRoutes = require('./src/routes/search');
+const reportRoutes = require('./src/routes/reports');
+const moderationRoutes = require('./src/routes/moderation');
 
 // Mount auth routes with authentication rate limiting
 app.use('/api/auth', authLimiter, authRoutes);
@@ -63,6 +75,12 @@ app.use('/api/auth', authLimiter, authRoutes);
 // Mount word routes with general API rate limiting (requires auth)
 app.use('/api/words', apiLimiter, wordRoutes);
 
+// Mount deck routes with general API rate limiting (requires auth)
+app.use('/api/decks', apiLimiter, deckRoutes);
+
+// Mount quiz routes with general API rate limiting (requires auth)
+app.use('/api/quizzes', apiLimiter, quizRoutes);
+
 // Mount generation routes with appropriate rate limiting
 // AI generation route with strict rate limiting (requires auth)
 app.use('/api/generate', aiLimiter, generationRoutes);
@@ -73,6 +91,9 @@ app.use('/api/generations/public', publicContentLimiter, publicGenerationRoutes)
 // Public sentence check routes with higher rate limits (no auth required)
 app.use('/api/checks/public', publicContentLimiter, publicSentenceCheckRoutes);
 
+// Search routes with higher rate limits (no auth required)
+app.use('/api/search', publicContentLimiter, searchRoutes);
+
 // Statistics routes (no auth required)
 app.use('/api/statistics', publicContentLimiter, statisticsRoutes);
 
@@ -85,6 +106,19 @@ app.use('/api/check', aiLimiter, sentenceCheckRoutes);
 // Other sentence check routes with general API rate limiting - for /api/checks/*
 app.use('/api/checks', apiLimiter, sentenceCheckRoutes);
 
+// Comment routes with general API rate limiting (comments on generations and checks are under their routes)
+app.use('/api/comments', apiLimiter, commentRoutes);
+
+// Public profile and follow routes with general API rate limiting
+app.use('/api/users', apiLimiter, userRoutes);
+
+// Bookmark, collection and like history routes with general API rate limiting (requires auth)
+app.use('/api/me', apiLimiter, meRoutes);
+
+// Report and moderation routes with general API rate limiting
+app.use('/api/reports', apiLimiter, reportRoutes);
+app.use('/api/moderation', apiLimiter, moderationRoutes);
+
 // Internationalization info endpoint
 app.get('/api/i18n', (req, res) => {
     res.status(200).json({
@@ -96,21 +130,28 @@ app.get('/api/i18n', (req, res) => {
     });
 });
 
+// Deployment AI provider, used in the informational endpoints below
+const defaultAiProvider = aiProviders.getProvider(aiProviders.getDefaultProviderName());
+const dynamicModels = {
+    light: defaultAiProvider.getModelForTier('light'),
+    medium: defaultAiProvider.getModelForTier('medium'),
+    heavy: defaultAiProvider.getModelForTier('heavy')
+};
+
 // Health check endpoint
-app.get('/api/health', (req, res) => {
+app.get('/api/health', async (req, res) => {
+    // AI availability comes from the per-model circuit breakers
+    const aiHealth = await aiService.getHealthStatus();
+
     res.status(200).json({
         success: true,
         message: req.t('common.success'),
         timestamp: new Date().toISOString(),
         locale: req.locale,
         services: {
-            database: 'connected', ai: 'SiliconFlow with Dynamic Model Selection available'
-        },
-        dynamicModels: {
-            light: config.siliconflowModelLight || 'Qwen/Qwen3-8B',
-            medium: config.siliconflowModelMedium || 'Qwen/Qwen3-14B',
-            heavy: config.siliconflowModelHeavy || 'Qwen/Qwen3-30B-A3B'
+            database: 'connected', ai: aiHealth
         },
+        dynamicModels,
         modelSelection: {
             wordGeneration: {
                 maxWords: 50,
@@ -135,13 +176,9 @@ app.get('/', (req, res) => {
         documentation: '/api/health',
         locale: req.locale,
         features: {
-            aiProvider: 'SiliconFlow',
+            aiProvider: defaultAiProvider.displayName,
             dynamicModelSelection: 'Automatic model selection based on input complexity',
-            models: {
-                light: config.siliconflowModelLight || 'Qwen/Qwen3-8B',
-                medium: config.siliconflowModelMedium || 'Qwen/Qwen3-14B',
-                heavy: config.siliconflowModelHeavy || 'Qwen/Qwen3-30B-A3B'
-            },
+            models: dynamicModels,
             publicAccess: 'Available for viewing content',
             authRequired: 'For content creation and interaction'
         }
@@ -158,13 +195,5 @@ app.use('*', (req, res, next) => {
 // Error handling middleware (must be last)
 app.use(errorHandler);
 
-const PORT = config.port;
-
-app.listen(PORT, () => {
-    console.log(`Server running in ${config.nodeEnv} mode on port ${PORT}`);
-    console.log(`AI Provider: SiliconFlow (${config.siliconflowModel})`);
-    console.log(`Public content access: Enabled`);
-    console.log(`Internationalization: English (en) and Chinese (zh) supported`);
-});
-
+// The server is started by src/server.js, so tests can use the app without listening on a port
 module.exports = app;
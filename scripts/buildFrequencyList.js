@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const subtlex = require('subtlex-word-frequencies');
+const { lemmatize } = require('../src/utils/lemmatizer');
+const { isWordSpelledCorrectly } = require('../src/utils/wordUtils');
+
+// Rebuild src/data/frequency/subtlex-us.txt from the subtlex-word-frequencies package (a dev dependency).
+// Word forms are reduced to their lemma like saved words; a lemma is ranked by its most frequent form.
+// Names, abbreviations and other forms the spell checker does not accept are left out.
+
+const OUTPUT_FILE = path.join(__dirname, '../src/data/frequency/subtlex-us.txt');
+const MAX_LEMMAS = 30000;
+// Parts of contractions the corpus splits off ("don't" is counted as "don" and "t")
+const CONTRACTION_PARTS = new Set(['don', 're', 'll', 've']);
+
+const HEADER = [
+  '# Lemmas of the SUBTLEX-US word frequency list (subtitles of American films and series), most frequent first.',
+  '# The line number among the word lines is the frequency rank. Lines starting with # are skipped.',
+  '# Source: subtlex-word-frequencies (ISC), derived from SUBTLEX-US by Brysbaert & New (2009).',
+  '# Generated by scripts/buildFrequencyList.js; do not edit by hand.'
+];
+
+const buildFrequencyList = async () => {
+  const lemmas = [];
+  const seen = new Set();
+
+  for (const { word } of subtlex) {
+    const form = word.toLowerCase();
+    // Single letters other than "a" and "i" are split-off contractions too ("s", "t")
+    if (!/^[a-z][a-z'-]*$/.test(form) || (form.length === 1 && form !== 'a' && form !== 'i') || CONTRACTION_PARTS.has(form)) {
+      continue;
+    }
+    if (!isWordSpelledCorrectly(form)) {
+      continue;
+    }
+
+    const lemma = await lemmatize(form);
+    if (!seen.has(lemma)) {
+      seen.add(lemma);
+      lemmas.push(lemma);
+      if (lemmas.length >= MAX_LEMMAS) {
+        break;
+      }
+    }
+  }
+
+  fs.mkdirSync(path.dirname(OUTPUT_FILE), { recursive: true });
+  fs.writeFileSync(OUTPUT_FILE, `${[...HEADER, ...lemmas].join('\n')}\n`);
+  console.log(`✅ Wrote ${lemmas.length} lemmas to ${path.relative(process.cwd(), OUTPUT_FILE)}`);
+};
+
+buildFrequencyList().catch(error => {
+  console.error('❌ Building the frequency list failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const Word = require('../src/models/Word');
+const { getWordFrequency } = require('../src/utils/wordFrequency');
+
+// Set the frequency rank and estimated CEFR level of every saved word from the bundled frequency list
+// New words are ranked when they are created; run this for words saved before, or after rebuilding the list
+const rankWords = async () => {
+  await connectDB();
+
+  let updated = 0;
+  const cursor = Word.find().select('word frequencyRank level').cursor();
+  for await (const word of cursor) {
+    const { frequencyRank, level } = await getWordFrequency(word.word);
+    if (word.frequencyRank !== (frequencyRank || undefined) || word.level !== level) {
+      const update = frequencyRank
+        ? { $set: { frequencyRank, level } }
+        : { $set: { level }, $unset: { frequencyRank: 1 } };
+      await Word.updateOne({ _id: word._id }, update);
+      updated++;
+    }
+  }
+
+  console.log(`✅ Ranked ${updated} words`);
+  await mongoose.disconnect();
+};
+
+rankWords().catch(async (error) => {
+  console.error('❌ Ranking words failed:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const deckService = require('../src/services/deckService');
+
+// Create or update the built-in decks from the word lists in src/data/decks
+// Safe to run again after editing a list: each deck's words are replaced by the words of its file
+const seedDecks = async () => {
+  await connectDB();
+
+  const seeded = await deckService.seedBuiltInDecks();
+  seeded.forEach(deck => {
+    const skipped = deck.skipped > 0 ? ` (${deck.skipped} invalid lines skipped)` : '';
+    console.log(`✅ ${deck.name}: ${deck.wordCount} words${skipped}`);
+  });
+
+  await mongoose.disconnect();
+};
+
+seedDecks().catch(async (error) => {
+  console.error('❌ Seeding decks failed:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const User = require('../src/models/User');
+
+// Give a user the moderator role, or take it away
+// Usage: npm run set:role -- <username> <user|moderator>
+const setUserRole = async () => {
+  const [username, role] = process.argv.slice(2);
+  const roles = User.schema.path('role').enumValues;
+
+  if (!username || !roles.includes(role)) {
+    console.error(`Usage: npm run set:role -- <username> <${roles.join('|')}>`);
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  const user = await User.findOneAndUpdate({ username }, { role }, { new: true });
+  if (!user) {
+    throw new Error(`User ${username} not found`);
+  }
+  console.log(`✅ ${user.username} is now a ${user.role}`);
+
+  await mongoose.disconnect();
+};
+
+setUserRole().catch(async (error) => {
+  console.error('❌ Setting the role failed:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
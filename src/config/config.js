@@ -20,6 +20,26 @@ function getPlatformApiKey() {
     return null;
 }
 
+// Helper function to parse prompt version weights such as 'v1:90,v2:10'
+// A version without a weight gets 1; an empty or invalid value uses only v1
+function parsePromptVersionWeights(value) {
+    const weights = {};
+
+    for (const entry of (value || '').split(',')) {
+        const [version, weight] = entry.split(':').map(part => part.trim());
+        if (!/^v\d+$/.test(version || '')) {
+            continue;
+        }
+
+        const parsedWeight = weight === undefined ? 1 : parseInt(weight);
+        if (parsedWeight > 0) {
+            weights[version] = parsedWeight;
+        }
+    }
+
+    return Object.keys(weights).length > 0 ? weights : {v1: 100};
+}
+
 module.exports = {
     port: process.env.PORT || 5000,
     mongoUri: process.env.MONGODB_URI || 'mongodb://localhost:27017/english-learning',
@@ -33,13 +53,135 @@ module.exports = {
     siliconflowModelHeavy: process.env.SILICONFLOW_MODEL_HEAVY || 'Qwen/Qwen3-30B-A3B',
     // Legacy model for backward compatibility
     siliconflowModel: process.env.SILICONFLOW_MODEL || 'Qwen/Qwen3-8B',
+    // Deployment AI provider (key of aiProviders). The platform API key above is used with this provider.
+    aiProvider: process.env.AI_PROVIDER || 'siliconflow',
+    // Provider adapters: 'openai-compatible', 'anthropic', 'ollama' or 'mock'
+    // models: light/medium/heavy tiers used by dynamic model selection, default for everything else
+    // jsonMode: 'json_schema' or 'json_object' when the provider supports JSON output (see aiOutputFormat)
+    aiProviders: {
+        siliconflow: {
+            adapter: 'openai-compatible',
+            displayName: 'SiliconFlow',
+            apiUrl: process.env.SILICONFLOW_API_URL || 'https://api.siliconflow.cn/v1/chat/completions',
+            supportsEnableThinking: true,
+            jsonMode: 'json_object',
+            extraRequestFields: {enable_thinking: false, top_k: 50},
+            models: {
+                light: process.env.SILICONFLOW_MODEL_LIGHT || 'Qwen/Qwen3-8B',
+                medium: process.env.SILICONFLOW_MODEL_MEDIUM || 'Qwen/Qwen3-14B',
+                heavy: process.env.SILICONFLOW_MODEL_HEAVY || 'Qwen/Qwen3-30B-A3B',
+                default: process.env.SILICONFLOW_MODEL || 'Qwen/Qwen3-8B'
+            }
+        },
+        openai: {
+            adapter: 'openai-compatible',
+            displayName: 'OpenAI',
+            apiUrl: process.env.OPENAI_API_URL || 'https://api.openai.com/v1/chat/completions',
+            jsonMode: 'json_schema',
+            models: {
+                light: process.env.OPENAI_MODEL_LIGHT || 'gpt-4o-mini',
+                medium: process.env.OPENAI_MODEL_MEDIUM || 'gpt-4o-mini',
+                heavy: process.env.OPENAI_MODEL_HEAVY || 'gpt-4o',
+                default: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+            }
+        },
+        anthropic: {
+            adapter: 'anthropic',
+            displayName: 'Anthropic',
+            apiUrl: process.env.ANTHROPIC_API_URL || 'https://api.anthropic.com/v1/messages',
+            models: {
+                light: process.env.ANTHROPIC_MODEL_LIGHT || 'claude-3-5-haiku-latest',
+                medium: process.env.ANTHROPIC_MODEL_MEDIUM || 'claude-3-5-haiku-latest',
+                heavy: process.env.ANTHROPIC_MODEL_HEAVY || 'claude-3-7-sonnet-latest',
+                default: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest'
+            }
+        },
+        ollama: {
+            adapter: 'ollama',
+            displayName: 'Ollama (local)',
+            apiUrl: process.env.OLLAMA_API_URL || 'http://localhost:11434/api/chat',
+            requiresApiKey: false,
+            jsonMode: 'json_schema',
+            models: {
+                light: process.env.OLLAMA_MODEL_LIGHT || process.env.OLLAMA_MODEL || 'qwen3:8b',
+                medium: process.env.OLLAMA_MODEL_MEDIUM || process.env.OLLAMA_MODEL || 'qwen3:8b',
+                heavy: process.env.OLLAMA_MODEL_HEAVY || process.env.OLLAMA_MODEL || 'qwen3:8b',
+                default: process.env.OLLAMA_MODEL || 'qwen3:8b'
+            }
+        },
+        llamacpp: {
+            adapter: 'openai-compatible',
+            displayName: 'llama.cpp server (local)',
+            apiUrl: process.env.LLAMACPP_API_URL || 'http://localhost:8080/v1/chat/completions',
+            requiresApiKey: false,
+            jsonMode: 'json_schema',
+            models: {
+                default: process.env.LLAMACPP_MODEL || 'local-model'
+            }
+        },
+        // Offline provider with canned replies for local development and tests (AI_PROVIDER=mock)
+        mock: {
+            adapter: 'mock',
+            displayName: 'Mock AI (offline)',
+            apiUrl: 'mock://local',
+            requiresApiKey: false,
+            supportsEnableThinking: true,
+            jsonMode: 'json_schema',
+            // success, partialParse, malformed, unauthorized, rateLimit, timeout or serverError
+            scenario: process.env.MOCK_AI_SCENARIO || 'success',
+            latencyMs: parseInt(process.env.MOCK_AI_LATENCY_MS) || 0,
+            models: {
+                light: 'mock-light',
+                medium: 'mock-medium',
+                heavy: 'mock-heavy',
+                default: 'mock-light'
+            }
+        }
+    },
+    // Default AI output format: 'text' (section markers) or 'json' (JSON Schema output, opt-in)
+    // Providers without JSON mode always use text
+    aiOutputFormat: process.env.AI_OUTPUT_FORMAT === 'json' ? 'json' : 'text',
+    // Prompt template experiments: weights of the prompt versions (src/prompts/{type}/{version}) users are assigned to
+    // Each user keeps the same version until the weights change
+    promptExperiments: {
+        'sentence-generation': parsePromptVersionWeights(process.env.PROMPT_VERSIONS_SENTENCE_GENERATION),
+        'sentence-check': parsePromptVersionWeights(process.env.PROMPT_VERSIONS_SENTENCE_CHECK)
+    },
+    // Retry behaviour for AI generation: exponential backoff with jitter and model tier fallback
+    aiRetry: {
+        baseDelayMs: parseInt(process.env.AI_RETRY_BASE_DELAY_MS) || 1000,
+        maxDelayMs: parseInt(process.env.AI_RETRY_MAX_DELAY_MS) || 10000,
+        // Consecutive failures on a model tier before falling back to the next lighter tier
+        failuresBeforeFallback: parseInt(process.env.AI_RETRY_FAILURES_BEFORE_FALLBACK) || 2
+    },
+    // Per-model circuit breaker for AI providers (state shared through Redis)
+    aiCircuitBreaker: {
+        // Consecutive provider failures (timeouts, network errors, 5xx) before the circuit opens
+        failureThreshold: parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD) || 5,
+        // How long an open circuit fails fast before letting a probe request through
+        openDurationMs: parseInt(process.env.AI_CIRCUIT_OPEN_DURATION_MS) || 30000,
+        // Half-open probe lock lifetime; longer than the provider request timeout
+        probeTimeoutMs: 200000,
+        stateTtlSeconds: 24 * 60 * 60
+    },
+    // AI token quotas for users on the platform API key (users with their own key are exempt)
+    // Periods are UTC+8 calendar days and months; 0 disables a quota
+    aiUsageQuota: {
+        dailyTokens: process.env.AI_DAILY_TOKEN_QUOTA !== undefined ? parseInt(process.env.AI_DAILY_TOKEN_QUOTA) || 0 : 100000,
+        monthlyTokens: process.env.AI_MONTHLY_TOKEN_QUOTA !== undefined ? parseInt(process.env.AI_MONTHLY_TOKEN_QUOTA) || 0 : 1500000
+    },
+    // Content moderation: open reports after which reported content is hidden until a moderator reviews it
+    // 0 disables automatic hiding
+    moderation: {
+        reportHideThreshold: process.env.REPORT_HIDE_THRESHOLD !== undefined ? parseInt(process.env.REPORT_HIDE_THRESHOLD) || 0 : 3
+    },
     nodeEnv: process.env.NODE_ENV || 'development',
     frontendUrl: process.env.FRONTEND_URL || 'http://localhost:4173',
     rateLimitWindowMs: 2 * 60 * 1000, // 2 minutes
-    rateLimitMax: 100, // limit each IP to 100 requests per windowMs
-    rateLimitMaxPublic: 200, // higher limit for public content access
-    aiRateLimitMax: 10, // limit AI requests to 10 per windowMs
-    authRateLimitMax: 20, // limit auth attempts to 20 per windowMs
+    rateLimitMax: parseInt(process.env.RATE_LIMIT_MAX) || 100, // limit each IP to 100 requests per windowMs
+    rateLimitMaxPublic: parseInt(process.env.RATE_LIMIT_MAX_PUBLIC) || 200, // higher limit for public content access
+    aiRateLimitMax: parseInt(process.env.AI_RATE_LIMIT_MAX) || 10, // limit AI requests to 10 per windowMs
+    authRateLimitMax: parseInt(process.env.AUTH_RATE_LIMIT_MAX) || 20, // limit auth attempts to 20 per windowMs
     // Redis configuration
     redis: {
         host: process.env.REDIS_HOST || 'localhost',
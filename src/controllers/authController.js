@@ -4,6 +4,8 @@ const config = require('../config/config');
 const Joi = require('joi');
 const { getPublicKey } = require('../utils/rsaCrypto');
 const redisClient = require('../config/redis');
+const providers = require('../services/providers');
+const usageService = require('../services/usageService');
 const { validateEmail, mailUtils } = require('../utils/mailUtils');
 const { generateVerificationCode, generateResetToken } = require('../utils/randomUtils');
 
@@ -67,6 +69,7 @@ const loginSchema = Joi.object({
 const updateProfileSchema = Joi.object({
   username: Joi.string().min(3).max(30).alphanum(),
   email: Joi.string().email(),
+  bio: Joi.string().trim().max(300).allow(''),
   preferences: Joi.object({
     theme: Joi.string().valid('light', 'dark'),
     language: Joi.string().valid('en', 'zh'),
@@ -88,6 +91,8 @@ const sendTokenResponse = (user, statusCode, res) => {
       id: user._id,
       username: user.username,
       email: user.email,
+      role: user.role,
+      bio: user.bio,
       preferences: user.preferences,
       createdAt: user.createdAt
     }
@@ -197,6 +202,8 @@ exports.getMe = async (req, res) => {
         id: user._id,
         username: user.username,
         email: user.email,
+        role: user.role,
+        bio: user.bio,
         preferences: user.preferences,
         createdAt: user.createdAt
       }
@@ -215,7 +222,7 @@ exports.getMe = async (req, res) => {
 exports.updateProfile = async (req, res) => {
   try {
     // Validate input
-    const { error } = updateProfileSchema.validate(req.body);
+    const { error, value } = updateProfileSchema.validate(req.body);
     if (error) {
       return res.status(400).json({
         success: false,
@@ -223,7 +230,7 @@ exports.updateProfile = async (req, res) => {
       });
     }
 
-    const { username, email, preferences } = req.body;
+    const { username, email, bio, preferences } = value;
     const userId = req.user.id;
 
     // Check if username or email already exists for other users
@@ -246,6 +253,7 @@ exports.updateProfile = async (req, res) => {
     const updateData = {};
     if (username) updateData.username = username;
     if (email) updateData.email = email;
+    if (bio !== undefined) updateData.bio = bio;
     if (preferences) {
       updateData.preferences = { ...req.user.preferences, ...preferences };
     }
@@ -262,6 +270,8 @@ exports.updateProfile = async (req, res) => {
         id: user._id,
         username: user.username,
         email: user.email,
+        role: user.role,
+        bio: user.bio,
         preferences: user.preferences,
         createdAt: user.createdAt
       }
@@ -284,6 +294,8 @@ exports.updatePreferences = async (req, res) => {
       language: Joi.string().valid('en', 'zh'),
       showPublicGenerations: Joi.boolean(),
       grammarExplanationLanguage: Joi.string().valid('combined', 'pure'),
+      dailyNewWords: Joi.number().integer().min(0).max(500),
+      dailyReviews: Joi.number().integer().min(0).max(2000),
       fontSettings: Joi.object({
         size: Joi.string().valid('text-xs', 'text-sm', 'text-base', 'text-lg', 'text-xl', 'text-2xl'),
         weight: Joi.string().valid('font-light', 'font-normal', 'font-medium', 'font-semibold', 'font-bold'),
@@ -385,7 +397,7 @@ exports.updateFontSettings = async (req, res) => {
 // @access  Private
 exports.updateApiKey = async (req, res) => {
   try {
-    const { apiKey, useCustomApiKey } = req.body;
+    const { apiKey, useCustomApiKey, aiProvider } = req.body;
 
     // Validate input - only require apiKey if useCustomApiKey is true AND apiKey is provided
     // Allow setting useCustomApiKey = true with empty apiKey (user intends to use custom key but hasn't entered it yet)
@@ -396,6 +408,13 @@ exports.updateApiKey = async (req, res) => {
       });
     }
 
+    if (aiProvider && !providers.getUserSelectableProviders().includes(aiProvider)) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('auth.invalidAiProvider', { providers: providers.getUserSelectableProviders().join(', ') })
+      });
+    }
+
     const user = await User.findById(req.user.id);
     if (!user) {
       return res.status(404).json({
@@ -414,9 +433,12 @@ exports.updateApiKey = async (req, res) => {
         user.apiKey = undefined;
       }
       user.useCustomApiKey = true;
+      // Keys without an explicit provider belong to the platform's default provider
+      user.aiProvider = aiProvider || undefined;
     } else {
       user.apiKey = undefined;
       user.useCustomApiKey = false;
+      user.aiProvider = undefined;
     }
 
     await user.save();
@@ -424,7 +446,8 @@ exports.updateApiKey = async (req, res) => {
     res.status(200).json({
       success: true,
       message: req.t('auth.apiKeyUpdatedSuccessfully'),
-      useCustomApiKey: user.useCustomApiKey
+      useCustomApiKey: user.useCustomApiKey,
+      aiProvider: user.aiProvider || providers.getDefaultProviderName()
     });
   } catch (error) {
     res.status(500).json({
@@ -439,7 +462,7 @@ exports.updateApiKey = async (req, res) => {
 // @access  Private
 exports.testApiKey = async (req, res) => {
   try {
-    const { apiKey } = req.body;
+    const { apiKey, aiProvider } = req.body;
 
     if (!apiKey || apiKey.trim().length === 0) {
       return res.status(400).json({
@@ -448,10 +471,17 @@ exports.testApiKey = async (req, res) => {
       });
     }
 
+    if (aiProvider && !providers.getUserSelectableProviders().includes(aiProvider)) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('auth.invalidAiProvider', { providers: providers.getUserSelectableProviders().join(', ') })
+      });
+    }
+
     // Test the API key using AI service
     // Note: apiKey here is plaintext from frontend, testApiKey method expects plaintext
     const aiService = require('../services/aiService');
-    const testResult = await aiService.testApiKey(apiKey.trim());
+    const testResult = await aiService.testApiKey(apiKey.trim(), aiProvider);
 
     if (testResult.success) {
       res.status(200).json({
@@ -479,7 +509,7 @@ exports.testApiKey = async (req, res) => {
 // @access  Private
 exports.getApiKeyStatus = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select('useCustomApiKey apiKey');
+    const user = await User.findById(req.user.id).select('useCustomApiKey apiKey aiProvider');
 
     if (!user) {
       return res.status(404).json({
@@ -496,6 +526,7 @@ exports.getApiKeyStatus = async (req, res) => {
       success: true,
       useCustomApiKey: user.useCustomApiKey,
       hasCustomApiKey: !!(user.useCustomApiKey && user.apiKey),
+      aiProvider: user.aiProvider || providers.getDefaultProviderName(),
       platformInfo
     });
   } catch (error) {
@@ -506,6 +537,34 @@ exports.getApiKeyStatus = async (req, res) => {
   }
 };
 
+// @desc    Get AI token usage for today, this month and recent days, with platform quotas
+// @route   GET /api/auth/usage
+// @access  Private
+exports.getUsage = async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 30 : parseInt(req.query.days);
+
+    if (!Number.isInteger(days) || days < 1 || days > 90) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('usage.invalidDays', { max: 90 })
+      });
+    }
+
+    const usage = await usageService.getUsageReport(req.user, days);
+
+    res.status(200).json({
+      success: true,
+      usage
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: req.t('usage.serverErrorFetchingUsage')
+    });
+  }
+};
+
 // @desc    Get RSA public key for API key encryption
 // @route   GET /api/auth/public-key
 // @access  Public
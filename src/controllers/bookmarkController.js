@@ -0,0 +1,411 @@
+const Bookmark = require('../models/Bookmark');
+const BookmarkCollection = require('../models/BookmarkCollection');
+const mongoose = require('mongoose');
+const Joi = require('joi');
+const bookmarkService = require('../services/bookmarkService');
+const { formatDateToUTC8 } = require('../utils/timeUtils');
+
+// Validation schemas
+const targetTypeSchema = Joi.string().valid('Generation', 'SentenceCheck');
+const collectionIdSchema = Joi.string().hex().length(24);
+
+const addBookmarkSchema = Joi.object({
+  targetType: targetTypeSchema.required(),
+  targetId: Joi.string().hex().length(24).required(),
+  // null: not in a collection
+  collectionId: collectionIdSchema.allow(null)
+});
+
+const moveBookmarkSchema = Joi.object({
+  collectionId: collectionIdSchema.allow(null).required()
+});
+
+const bookmarkListSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(20),
+  // 'none': bookmarks not in a collection
+  collectionId: Joi.alternatives().try(collectionIdSchema, Joi.string().valid('none')),
+  targetType: targetTypeSchema
+});
+
+const likeListSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(20),
+  targetType: targetTypeSchema
+});
+
+const collectionSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(50).required(),
+  description: Joi.string().trim().max(300).allow('')
+});
+
+const updateCollectionSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(50),
+  description: Joi.string().trim().max(300).allow('')
+}).min(1);
+
+const notFoundKeys = {
+  Generation: 'generations.generationNotFound',
+  SentenceCheck: 'sentenceCheck.checkNotFound'
+};
+
+// The content of a bookmark or like, or a tombstone with a notice when it was deleted, made private or hidden
+const formatItem = (req, entry) => {
+  if (!entry) {
+    return { item: null, unavailable: true, notice: req.t('bookmarks.itemDeleted') };
+  }
+  if (!entry.visible) {
+    return { item: null, unavailable: true, notice: req.t(entry.hidden ? 'bookmarks.itemHidden' : 'bookmarks.itemPrivate') };
+  }
+
+  const item = entry.target.toObject();
+  item.liked = entry.target.likes.some(like => String(like.userId) === String(req.user.id));
+  delete item.likes;
+  return { item, unavailable: false };
+};
+
+const formatBookmark = (req, bookmark, items) => ({
+  ...bookmark.toObject(),
+  ...formatItem(req, items.get(String(bookmark.targetId)))
+});
+
+// Check that a collection given in the request is one of the user's; sends the error response and returns
+// false otherwise
+const checkCollection = async (req, res, collectionId) => {
+  if (!collectionId) {
+    return true;
+  }
+
+  const exists = await BookmarkCollection.exists({ _id: collectionId, userId: req.user.id });
+  if (!exists) {
+    res.status(404).json({
+      success: false,
+      message: req.t('bookmarks.collectionNotFound')
+    });
+    return false;
+  }
+  return true;
+};
+
+// Find one of the user's bookmarks or collections; sends the error response and returns null otherwise
+const findOwn = async (req, res, Model, notFoundKey) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: req.t('common.badRequest')
+    });
+    return null;
+  }
+
+  const document = await Model.findOne({ _id: req.params.id, userId: req.user.id });
+  if (!document) {
+    res.status(404).json({
+      success: false,
+      message: req.t(notFoundKey)
+    });
+    return null;
+  }
+
+  return document;
+};
+
+// Collection names are unique per user
+const isDuplicateName = (error) => error.code === 11000;
+
+// @desc    Get the user's bookmarks, newest first
+// @route   GET /api/me/bookmarks
+// @access  Private
+exports.getBookmarks = async (req, res) => {
+  try {
+    const { error, value } = bookmarkListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { page, limit } = value;
+    const { bookmarks, items, total } = await bookmarkService.getBookmarks(req.user.id, value);
+
+    res.status(200).json({
+      success: true,
+      bookmarks: bookmarks.map(bookmark => formatBookmark(req, bookmark, items)),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        hasNext: (page - 1) * limit + bookmarks.length < total,
+        totalBookmarks: total
+      }
+    });
+  } catch (error) {
+    console.error('Get bookmarks error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('bookmarks.serverErrorFetchingBookmarks')
+    });
+  }
+};
+
+// @desc    Bookmark a public generation or sentence check, or move its bookmark to another collection
+// @route   POST /api/me/bookmarks
+// @access  Private
+exports.addBookmark = async (req, res) => {
+  try {
+    const { error, value } = addBookmarkSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { targetType, targetId, collectionId } = value;
+
+    // Only public content can be bookmarked, like it can only be liked
+    const target = await bookmarkService.targetModels[targetType].exists({ _id: targetId, isPublic: true, isHidden: { $ne: true } });
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: req.t(notFoundKeys[targetType])
+      });
+    }
+
+    if (!(await checkCollection(req, res, collectionId))) {
+      return;
+    }
+
+    const { bookmark, created } = await bookmarkService.addBookmark(req.user.id, targetType, targetId, collectionId);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: req.t('bookmarks.bookmarkedSuccessfully'),
+      bookmark
+    });
+  } catch (error) {
+    console.error('Add bookmark error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('bookmarks.serverErrorUpdatingBookmarks')
+    });
+  }
+};
+
+// @desc    Move a bookmark to another collection, or out of its collection
+// @route   PUT /api/me/bookmarks/:id
+// @access  Private
+exports.moveBookmark = async (req, res) => {
+  try {
+    const { error, value } = moveBookmarkSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const bookmark = await findOwn(req, res, Bookmark, 'bookmarks.bookmarkNotFound');
+    if (!bookmark) {
+      return;
+    }
+
+    if (!(await checkCollection(req, res, value.collectionId))) {
+      return;
+    }
+
+    bookmark.collectionId = value.collectionId;
+    await bookmark.save();
+
+    res.status(200).json({
+      success: true,
+      bookmark
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: req.t('bookmarks.serverErrorUpdatingBookmarks')
+    });
+  }
+};
+
+// @desc    Remove a bookmark
+// @route   DELETE /api/me/bookmarks/:id
+// @access  Private
+exports.deleteBookmark = async (req, res) => {
+  try {
+    const bookmark = await findOwn(req, res, Bookmark, 'bookmarks.bookmarkNotFound');
+    if (!bookmark) {
+      return;
+    }
+
+    await Bookmark.deleteOne({ _id: bookmark._id });
+
+    res.status(200).json({
+      success: true,
+      message: req.t('bookmarks.bookmarkRemovedSuccessfully')
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: req.t('bookmarks.serverErrorUpdatingBookmarks')
+    });
+  }
+};
+
+// @desc    Get the user's collections by name, with their bookmark counts
+// @route   GET /api/me/collections
+// @access  Private
+exports.getCollections = async (req, res) => {
+  try {
+    const { collections, unsortedCount } = await bookmarkService.getCollections(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      collections,
+      unsortedCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: req.t('bookmarks.serverErrorFetchingCollections')
+    });
+  }
+};
+
+// @desc    Create a collection
+// @route   POST /api/me/collections
+// @access  Private
+exports.createCollection = async (req, res) => {
+  try {
+    const { error, value } = collectionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const collection = await BookmarkCollection.create({ userId: req.user.id, ...value });
+
+    res.status(201).json({
+      success: true,
+      collection: { ...collection.toObject(), bookmarkCount: 0 }
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('bookmarks.collectionNameTaken')
+      });
+    }
+    console.error('Create collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('bookmarks.serverErrorUpdatingCollections')
+    });
+  }
+};
+
+// @desc    Rename a collection or change its description
+// @route   PUT /api/me/collections/:id
+// @access  Private
+exports.updateCollection = async (req, res) => {
+  try {
+    const { error, value } = updateCollectionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const collection = await findOwn(req, res, BookmarkCollection, 'bookmarks.collectionNotFound');
+    if (!collection) {
+      return;
+    }
+
+    collection.set(value);
+    await collection.save();
+
+    res.status(200).json({
+      success: true,
+      collection
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('bookmarks.collectionNameTaken')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: req.t('bookmarks.serverErrorUpdatingCollections')
+    });
+  }
+};
+
+// @desc    Delete a collection, keeping its bookmarks outside any collection
+// @route   DELETE /api/me/collections/:id
+// @access  Private
+exports.deleteCollection = async (req, res) => {
+  try {
+    const collection = await findOwn(req, res, BookmarkCollection, 'bookmarks.collectionNotFound');
+    if (!collection) {
+      return;
+    }
+
+    const movedCount = await bookmarkService.deleteCollection(collection);
+
+    res.status(200).json({
+      success: true,
+      message: req.t('bookmarks.collectionDeletedSuccessfully'),
+      movedCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: req.t('bookmarks.serverErrorUpdatingCollections')
+    });
+  }
+};
+
+// @desc    Get the generations and sentence checks the user liked, most recently liked first
+// @route   GET /api/me/likes
+// @access  Private
+exports.getLikes = async (req, res) => {
+  try {
+    const { error, value } = likeListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { page, limit } = value;
+    const { likes, items, total } = await bookmarkService.getLikes(req.user.id, value);
+
+    res.status(200).json({
+      success: true,
+      likes: likes.map(like => ({
+        targetType: like.targetType,
+        targetId: like.targetId,
+        likedAt: formatDateToUTC8(like.likedAt),
+        ...formatItem(req, items.get(String(like.targetId)))
+      })),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        hasNext: (page - 1) * limit + likes.length < total,
+        totalLikes: total
+      }
+    });
+  } catch (error) {
+    console.error('Get likes error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('bookmarks.serverErrorFetchingLikes')
+    });
+  }
+};
@@ -0,0 +1,446 @@
+const Comment = require('../models/Comment');
+const mongoose = require('mongoose');
+const Joi = require('joi');
+const commentService = require('../services/commentService');
+
+// Validation schemas
+const commentSchema = Joi.object({
+  content: Joi.string().trim().min(1).max(2000).required(),
+  // Comment or reply answered
+  replyTo: Joi.string().hex().length(24)
+});
+
+const updateCommentSchema = Joi.object({
+  content: Joi.string().trim().min(1).max(2000).required()
+});
+
+const commentListSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(20),
+  sortBy: Joi.string().valid('recent', 'oldest', 'liked').default('recent')
+});
+
+const replyListSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(20)
+});
+
+// What comments can be on
+const targets = {
+  generation: {
+    modelName: 'Generation',
+    notFoundKey: 'generations.generationNotFound'
+  },
+  sentenceCheck: {
+    modelName: 'SentenceCheck',
+    notFoundKey: 'sentenceCheck.checkNotFound'
+  }
+};
+
+const isOwner = (req, document) => !!req.user && !!document && String(document.userId) === String(req.user.id);
+
+// Public content not hidden by moderators can be commented on
+const isOpen = (target) => target.isPublic && !target.isHidden;
+
+// Comments are shown on open content, and to the owner on their own content after it was made private or hidden
+const canSeeTarget = (req, target) => !!target && (isOpen(target) || isOwner(req, target));
+
+// Comment returned to the client, with whether the current user liked it and may change it
+const formatComment = (req, comment, target) => {
+  const commentObj = comment.toObject();
+  const authorId = commentObj.userId && commentObj.userId._id ? commentObj.userId._id : commentObj.userId;
+  const isAuthor = !!req.user && String(authorId) === String(req.user.id);
+
+  commentObj.liked = !!req.user && comment.likes.some(like => String(like.userId) === String(req.user.id));
+  commentObj.isAuthor = isAuthor;
+  commentObj.canDelete = !commentObj.isDeleted && (isAuthor || isOwner(req, target));
+  delete commentObj.likes;
+
+  // Placeholders of deleted comments keep only their place in the thread
+  if (commentObj.isDeleted) {
+    commentObj.userId = null;
+    commentObj.content = null;
+    commentObj.isAuthor = false;
+  }
+  return commentObj;
+};
+
+// Find a generation or sentence check the user may see; sends the error response and returns null otherwise
+const findTarget = async (req, res, targetType) => {
+  const { id } = req.params;
+  const target = targets[targetType];
+
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400).json({
+      success: false,
+      message: req.t('common.badRequest')
+    });
+    return null;
+  }
+
+  const document = await commentService.targetModels[target.modelName].findById(id).select('userId isPublic isHidden commentCount');
+
+  if (!canSeeTarget(req, document)) {
+    res.status(404).json({
+      success: false,
+      message: req.t(target.notFoundKey)
+    });
+    return null;
+  }
+
+  return document;
+};
+
+// Find a comment, not deleted, with the generation or sentence check it is on; sends the error response and
+// returns null when there is no such comment or the user may not see it
+const findComment = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: req.t('common.badRequest')
+    });
+    return null;
+  }
+
+  const comment = await Comment.findById(req.params.id);
+  const target = comment
+    ? await commentService.targetModels[comment.targetType].findById(comment.targetId).select('userId isPublic isHidden')
+    : null;
+
+  // Comments hidden by moderators can still be edited and deleted by their authors
+  const hiddenFromUser = comment && comment.isHidden && String(comment.userId) !== String(req.user.id);
+
+  if (!comment || comment.isDeleted || hiddenFromUser || !canSeeTarget(req, target)) {
+    res.status(404).json({
+      success: false,
+      message: req.t('comments.commentNotFound')
+    });
+    return null;
+  }
+
+  return { comment, target };
+};
+
+// List the top-level comments of a generation or sentence check
+const listComments = async (req, res, targetType) => {
+  const { error, value } = commentListSchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+
+  const target = await findTarget(req, res, targetType);
+  if (!target) {
+    return;
+  }
+
+  const { page, limit } = value;
+  const { comments, total } = await commentService.getComments(target, value);
+
+  res.status(200).json({
+    success: true,
+    comments: comments.map(comment => formatComment(req, comment, target)),
+    commentCount: target.commentCount,
+    pagination: {
+      current: page,
+      total: Math.ceil(total / limit),
+      hasNext: (page - 1) * limit + comments.length < total,
+      totalComments: total
+    }
+  });
+};
+
+// Comment on a public generation or sentence check, or reply to one of its comments
+const addComment = async (req, res, targetType) => {
+  const { error, value } = commentSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+
+  const target = await findTarget(req, res, targetType);
+  if (!target) {
+    return;
+  }
+
+  // Private or hidden content can no longer be commented on, even by its owner
+  if (!isOpen(target)) {
+    return res.status(404).json({
+      success: false,
+      message: req.t(targets[targetType].notFoundKey)
+    });
+  }
+
+  let replyTo = null;
+  if (value.replyTo) {
+    replyTo = await Comment.findOne({ _id: value.replyTo, targetId: target._id, isDeleted: false, isHidden: { $ne: true } });
+    if (!replyTo) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('comments.commentNotFound')
+      });
+    }
+  }
+
+  const comment = await commentService.addComment(req.user.id, targets[targetType].modelName, target, value.content, replyTo);
+  await comment.populate([
+    { path: 'userId', select: 'username' },
+    { path: 'replyToUserId', select: 'username' }
+  ]);
+
+  res.status(201).json({
+    success: true,
+    comment: formatComment(req, comment, target)
+  });
+};
+
+// @desc    Get the comments of a generation
+// @route   GET /api/generations/:id/comments
+// @access  Public (public generations; private ones only by the owner)
+exports.getGenerationComments = async (req, res) => {
+  try {
+    await listComments(req, res, 'generation');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: req.t('comments.serverErrorFetchingComments')
+    });
+  }
+};
+
+// @desc    Comment on a generation
+// @route   POST /api/generations/:id/comments
+// @access  Private (public generations)
+exports.createGenerationComment = async (req, res) => {
+  try {
+    await addComment(req, res, 'generation');
+  } catch (error) {
+    console.error('Generation comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('comments.serverErrorAddingComment')
+    });
+  }
+};
+
+// @desc    Get the comments of a sentence check
+// @route   GET /api/checks/:id/comments
+// @access  Public (public sentence checks; private ones only by the owner)
+exports.getSentenceCheckComments = async (req, res) => {
+  try {
+    await listComments(req, res, 'sentenceCheck');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: req.t('comments.serverErrorFetchingComments')
+    });
+  }
+};
+
+// @desc    Comment on a sentence check
+// @route   POST /api/checks/:id/comments
+// @access  Private (public sentence checks)
+exports.createSentenceCheckComment = async (req, res) => {
+  try {
+    await addComment(req, res, 'sentenceCheck');
+  } catch (error) {
+    console.error('Sentence check comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('comments.serverErrorAddingComment')
+    });
+  }
+};
+
+// @desc    Get the replies of a comment, oldest first
+// @route   GET /api/comments/:id/replies
+// @access  Public (comments the user may see)
+exports.getReplies = async (req, res) => {
+  try {
+    const { error, value } = replyListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('common.badRequest')
+      });
+    }
+
+    // Placeholders of deleted comments still have their replies
+    const comment = await Comment.findOne({ _id: req.params.id, parentId: null, isHidden: { $ne: true } });
+    const target = comment
+      ? await commentService.targetModels[comment.targetType].findById(comment.targetId).select('userId isPublic isHidden')
+      : null;
+
+    if (!comment || !canSeeTarget(req, target)) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('comments.commentNotFound')
+      });
+    }
+
+    const { page, limit } = value;
+    const { replies, total } = await commentService.getReplies(comment, value);
+
+    res.status(200).json({
+      success: true,
+      replies: replies.map(reply => formatComment(req, reply, target)),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        hasNext: (page - 1) * limit + replies.length < total,
+        totalReplies: total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: req.t('comments.serverErrorFetchingComments')
+    });
+  }
+};
+
+// @desc    Edit a comment
+// @route   PUT /api/comments/:id
+// @access  Private (author only)
+exports.updateComment = async (req, res) => {
+  try {
+    const { error, value } = updateCommentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const found = await findComment(req, res);
+    if (!found) {
+      return;
+    }
+
+    const { comment, target } = found;
+    if (String(comment.userId) !== String(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: req.t('comments.notCommentAuthor')
+      });
+    }
+
+    comment.content = value.content;
+    comment.editedAt = new Date();
+    await comment.save();
+    await comment.populate([
+      { path: 'userId', select: 'username' },
+      { path: 'replyToUserId', select: 'username' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      comment: formatComment(req, comment, target)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: req.t('comments.serverErrorUpdatingComment')
+    });
+  }
+};
+
+// @desc    Delete a comment
+// @route   DELETE /api/comments/:id
+// @access  Private (author, or owner of the generation or sentence check)
+exports.deleteComment = async (req, res) => {
+  try {
+    const found = await findComment(req, res);
+    if (!found) {
+      return;
+    }
+
+    const { comment, target } = found;
+    if (String(comment.userId) !== String(req.user.id) && !isOwner(req, target)) {
+      return res.status(403).json({
+        success: false,
+        message: req.t('comments.notAllowedToDelete')
+      });
+    }
+
+    await commentService.deleteComment(comment);
+
+    res.status(200).json({
+      success: true,
+      message: req.t('comments.commentDeletedSuccessfully')
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('comments.serverErrorDeletingComment')
+    });
+  }
+};
+
+// @desc    Toggle like on comment
+// @route   POST /api/comments/:id/like
+// @access  Private (comments on public content)
+exports.toggleLike = async (req, res) => {
+  try {
+    const found = await findComment(req, res);
+    if (!found) {
+      return;
+    }
+
+    const { comment, target } = found;
+    if (!isOpen(target) || comment.isHidden) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('comments.commentNotFound')
+      });
+    }
+
+    const userId = req.user.id;
+    const existingLikeIndex = comment.likes.findIndex(
+      like => like.userId.toString() === userId
+    );
+
+    if (existingLikeIndex > -1) {
+      // Remove like
+      comment.likes.splice(existingLikeIndex, 1);
+      comment.likeCount = Math.max(0, comment.likeCount - 1);
+      await comment.save();
+
+      res.status(200).json({
+        success: true,
+        message: req.t('comments.unlikedSuccessfully'),
+        liked: false,
+        likeCount: comment.likeCount
+      });
+    } else {
+      // Add like
+      comment.likes.push({ userId });
+      comment.likeCount += 1;
+      await comment.save();
+
+      res.status(200).json({
+        success: true,
+        message: req.t('comments.likedSuccessfully'),
+        liked: true,
+        likeCount: comment.likeCount
+      });
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: req.t('comments.serverErrorLikingComment')
+    });
+  }
+};
@@ -0,0 +1,410 @@
+const Deck = require('../models/Deck');
+const Word = require('../models/Word');
+const mongoose = require('mongoose');
+const Joi = require('joi');
+const deckService = require('../services/deckService');
+
+// Words added per request; larger lists can be imported in several requests
+const MAX_WORDS_PER_REQUEST = 1000;
+
+const deckFields = {
+  name: Joi.string().trim().min(1).max(100),
+  description: Joi.string().trim().max(1000).allow(''),
+  isPublic: Joi.boolean()
+};
+
+const deckWords = Joi.array().items(Joi.string().max(100)).max(MAX_WORDS_PER_REQUEST);
+
+// Validation schemas
+const createDeckSchema = Joi.object({
+  name: deckFields.name.required(),
+  description: deckFields.description,
+  isPublic: deckFields.isPublic.default(false),
+  words: deckWords.default([]),
+  forceAdd: Joi.boolean().default(false)
+});
+
+const updateDeckSchema = Joi.object(deckFields).min(1);
+
+const addDeckWordsSchema = Joi.object({
+  words: deckWords.min(1).required(),
+  forceAdd: Joi.boolean().default(false)
+});
+
+const publicDecksSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(20),
+  search: Joi.string().trim().allow(''),
+  sortBy: Joi.string().valid('popular', 'recent').default('popular')
+});
+
+const deckWordsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(500).default(100)
+});
+
+// Escape user input for use in a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Deck fields returned to the client, without the word IDs
+const formatDeck = (req, deck) => {
+  const deckObj = deck.toObject();
+  const ownerId = deckObj.userId && deckObj.userId._id ? deckObj.userId._id : deckObj.userId;
+  delete deckObj.wordIds;
+  deckObj.builtIn = !!deckObj.builtInKey;
+  deckObj.isOwner = !!ownerId && String(ownerId) === String(req.user.id);
+  return deckObj;
+};
+
+// Find a deck the user may see; sends the error response and returns null otherwise
+const findDeck = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: req.t('common.badRequest')
+    });
+    return null;
+  }
+
+  const deck = await deckService.findAccessibleDeck(req.user.id, req.params.id);
+  if (!deck) {
+    res.status(404).json({
+      success: false,
+      message: req.t('decks.deckNotFound')
+    });
+    return null;
+  }
+
+  return deck;
+};
+
+// Find a deck the user owns; public decks of others and built-in decks can be seen but not changed
+const findOwnedDeck = async (req, res) => {
+  const deck = await findDeck(req, res);
+  if (!deck) {
+    return null;
+  }
+
+  if (!deck.userId || String(deck.userId) !== String(req.user.id)) {
+    res.status(403).json({
+      success: false,
+      message: req.t('decks.deckNotEditable')
+    });
+    return null;
+  }
+
+  return deck;
+};
+
+// @desc    Get the user's decks
+// @route   GET /api/decks
+// @access  Private
+exports.getDecks = async (req, res) => {
+  try {
+    const decks = await Deck.find({ userId: req.user.id })
+      .sort({ updatedAt: -1 })
+      .select('-wordIds');
+
+    res.status(200).json({
+      success: true,
+      decks: decks.map(deck => formatDeck(req, deck))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: req.t('decks.serverErrorFetchingDecks')
+    });
+  }
+};
+
+// @desc    Get built-in decks and other users' public decks
+// @route   GET /api/decks/public
+// @access  Private
+exports.getPublicDecks = async (req, res) => {
+  try {
+    const { error, value } = publicDecksSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { page, limit, search, sortBy } = value;
+    const skip = (page - 1) * limit;
+
+    const query = { isPublic: true };
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ name: pattern }, { description: pattern }];
+    }
+
+    // Built-in decks come first
+    const sort = sortBy === 'recent'
+      ? { builtInKey: -1, createdAt: -1, _id: 1 }
+      : { builtInKey: -1, cloneCount: -1, createdAt: -1, _id: 1 };
+
+    const [decks, total] = await Promise.all([
+      Deck.find(query)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .select('-wordIds')
+        .populate('userId', 'username'),
+      Deck.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      decks: decks.map(deck => formatDeck(req, deck)),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        hasNext: skip + decks.length < total,
+        totalDecks: total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: req.t('decks.serverErrorFetchingDecks')
+    });
+  }
+};
+
+// @desc    Create a deck, optionally with words
+// @route   POST /api/decks
+// @access  Private
+exports.createDeck = async (req, res) => {
+  try {
+    const { error, value } = createDeckSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { words, forceAdd, ...fields } = value;
+    const deck = new Deck({ ...fields, userId: req.user.id });
+    const results = await deckService.addWords(deck, words, { forceAdd });
+
+    res.status(201).json({
+      success: true,
+      deck: formatDeck(req, deck),
+      results
+    });
+  } catch (error) {
+    console.error('Create deck error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('decks.serverErrorCreatingDeck')
+    });
+  }
+};
+
+// @desc    Get a deck with a page of its words
+// @route   GET /api/decks/:id
+// @access  Private (own, public and built-in decks)
+exports.getDeck = async (req, res) => {
+  try {
+    const { error, value } = deckWordsQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const deck = await findDeck(req, res);
+    if (!deck) {
+      return;
+    }
+    await deck.populate('userId', 'username');
+
+    const { page, limit } = value;
+    const skip = (page - 1) * limit;
+    const words = await Word.find({ _id: { $in: deck.wordIds } })
+      .sort({ word: 1 })
+      .skip(skip)
+      .limit(limit)
+      .select('word primaryDefinition primaryPartOfSpeech userIds');
+
+    res.status(200).json({
+      success: true,
+      deck: formatDeck(req, deck),
+      words: words.map(word => ({
+        _id: word._id,
+        word: word.word,
+        definition: word.primaryDefinition || '',
+        partOfSpeech: word.primaryPartOfSpeech || '',
+        partOfSpeechTranslated: word.primaryPartOfSpeech ? req.t(`words.${word.primaryPartOfSpeech}`) : '',
+        // Whether the word is in the user's vocabulary
+        saved: word.userIds.some(userId => String(userId) === String(req.user.id))
+      })),
+      pagination: {
+        current: page,
+        total: Math.ceil(deck.wordCount / limit),
+        hasNext: skip + words.length < deck.wordCount,
+        totalWords: deck.wordCount
+      }
+    });
+  } catch (error) {
+    console.error('Get deck error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('decks.serverErrorFetchingDecks')
+    });
+  }
+};
+
+// @desc    Rename a deck, change its description or share it
+// @route   PUT /api/decks/:id
+// @access  Private (owner only)
+exports.updateDeck = async (req, res) => {
+  try {
+    const { error, value } = updateDeckSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const deck = await findOwnedDeck(req, res);
+    if (!deck) {
+      return;
+    }
+
+    deck.set(value);
+    await deck.save();
+
+    res.status(200).json({
+      success: true,
+      deck: formatDeck(req, deck)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: req.t('decks.serverErrorUpdatingDeck')
+    });
+  }
+};
+
+// @desc    Delete a deck (its words stay in the user's vocabulary)
+// @route   DELETE /api/decks/:id
+// @access  Private (owner only)
+exports.deleteDeck = async (req, res) => {
+  try {
+    const deck = await findOwnedDeck(req, res);
+    if (!deck) {
+      return;
+    }
+
+    await Deck.deleteOne({ _id: deck._id });
+
+    res.status(200).json({
+      success: true,
+      message: req.t('decks.deckDeletedSuccessfully')
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: req.t('decks.serverErrorDeletingDeck')
+    });
+  }
+};
+
+// @desc    Add words to a deck
+// @route   POST /api/decks/:id/words
+// @access  Private (owner only)
+exports.addDeckWords = async (req, res) => {
+  try {
+    const { error, value } = addDeckWordsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const deck = await findOwnedDeck(req, res);
+    if (!deck) {
+      return;
+    }
+
+    const results = await deckService.addWords(deck, value.words, { forceAdd: value.forceAdd });
+
+    res.status(200).json({
+      success: true,
+      deck: formatDeck(req, deck),
+      results
+    });
+  } catch (error) {
+    console.error('Add deck words error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('decks.serverErrorUpdatingDeck')
+    });
+  }
+};
+
+// @desc    Remove a word from a deck
+// @route   DELETE /api/decks/:id/words/:wordId
+// @access  Private (owner only)
+exports.removeDeckWord = async (req, res) => {
+  try {
+    const deck = await findOwnedDeck(req, res);
+    if (!deck) {
+      return;
+    }
+
+    const { wordId } = req.params;
+    if (!deck.wordIds.some(id => String(id) === wordId)) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('words.wordNotFound')
+      });
+    }
+
+    deck.wordIds.pull(wordId);
+    await deck.save();
+
+    res.status(200).json({
+      success: true,
+      deck: formatDeck(req, deck)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: req.t('decks.serverErrorUpdatingDeck')
+    });
+  }
+};
+
+// @desc    Clone a deck into the user's decks and vocabulary
+// @route   POST /api/decks/:id/clone
+// @access  Private (own, public and built-in decks)
+exports.cloneDeck = async (req, res) => {
+  try {
+    const deck = await findDeck(req, res);
+    if (!deck) {
+      return;
+    }
+
+    const { deck: clone, added, alreadyPresent } = await deckService.cloneDeck(req.user.id, deck);
+
+    res.status(201).json({
+      success: true,
+      deck: formatDeck(req, clone),
+      added,
+      alreadyPresent
+    });
+  } catch (error) {
+    console.error('Clone deck error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('decks.serverErrorCloningDeck')
+    });
+  }
+};
@@ -0,0 +1,249 @@
+const Generation = require('../models/Generation');
+const SentenceCheck = require('../models/SentenceCheck');
+const FollowupMessage = require('../models/FollowupMessage');
+const User = require('../models/User');
+const aiService = require('../services/aiService');
+const usageService = require('../services/usageService');
+const Joi = require('joi');
+const mongoose = require('mongoose');
+
+// Maximum number of messages (questions and answers) in one thread
+const MAX_THREAD_MESSAGES = 40;
+
+// Validation schemas
+const followupSchema = Joi.object({
+  question: Joi.string().trim().min(1).max(1000).required(),
+  maxRetries: Joi.number().integer().min(1).max(10).default(3),
+  grammarLanguage: Joi.string().valid('combined', 'pure'),
+  enableThinking: Joi.boolean().default(false)
+});
+
+// What a thread can be attached to
+const targets = {
+  generation: {
+    Model: Generation,
+    modelName: 'Generation',
+    notFoundKey: 'generations.generationNotFound'
+  },
+  sentenceCheck: {
+    Model: SentenceCheck,
+    modelName: 'SentenceCheck',
+    notFoundKey: 'sentenceCheck.checkNotFound'
+  }
+};
+
+// Find a generation or sentence check owned by the current user; sends the error response and returns null otherwise
+const findOwnedTarget = async (req, res, targetType) => {
+  const { id } = req.params;
+  const target = targets[targetType];
+
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400).json({
+      success: false,
+      message: req.t('common.badRequest')
+    });
+    return null;
+  }
+
+  // Threads are private to the owner, even on public content
+  const document = await target.Model.findOne({ _id: id, userId: req.user.id });
+
+  if (!document) {
+    res.status(404).json({
+      success: false,
+      message: req.t(target.notFoundKey)
+    });
+    return null;
+  }
+
+  return document;
+};
+
+// Ask a follow-up question and save it with the answer at the end of the thread
+const askFollowup = async (req, res, targetType) => {
+  // Validate input
+  const { error, value } = followupSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+
+  const { question, maxRetries, grammarLanguage, enableThinking } = value;
+
+  const document = await findOwnedTarget(req, res, targetType);
+  if (!document) {
+    return;
+  }
+
+  const thread = await FollowupMessage.find({ targetId: document._id }).sort({ sequence: 1 });
+
+  if (thread.length + 2 > MAX_THREAD_MESSAGES) {
+    return res.status(400).json({
+      success: false,
+      message: req.t('followups.threadLimitReached', { max: MAX_THREAD_MESSAGES })
+    });
+  }
+
+  // Answer in the language option the original was explained in, unless the request asks otherwise
+  let grammarLanguageOption = grammarLanguage || document.grammarLanguageOption;
+  if (!grammarLanguageOption) {
+    const user = await User.findById(req.user.id).select('preferences.grammarExplanationLanguage');
+    grammarLanguageOption = user?.preferences?.grammarExplanationLanguage || 'combined';
+  }
+
+  let aiResult;
+  try {
+    aiResult = await aiService.answerFollowup(targetType, document, thread, question, req.user.id, grammarLanguageOption, req.locale, enableThinking, { maxRetries });
+  } catch (aiError) {
+    return res.status(500).json({
+      success: false,
+      message: req.t('followups.answerFailed', { message: aiError.message })
+    });
+  }
+
+  // Failed requests consume tokens too
+  await usageService.recordUsage(req.user.id, 'followup', aiResult);
+
+  if (!aiResult.success) {
+    // Model temporarily unavailable (circuit open) - tell the client when to try again
+    if (aiResult.circuitOpen) {
+      res.set('Retry-After', String(aiResult.retryAfterSeconds));
+    }
+
+    return res.status(aiResult.circuitOpen ? 503 : 400).json({
+      success: false,
+      message: aiResult.message || req.t('followups.answerFailed', { message: 'Unknown error' }),
+      retryable: aiResult.retryable || false,
+      retryAfterSeconds: aiResult.retryAfterSeconds,
+      error: aiResult.error,
+      attempts: aiResult.attempts
+    });
+  }
+
+  const nextSequence = thread.length > 0 ? thread[thread.length - 1].sequence + 1 : 1;
+  const questionId = new mongoose.Types.ObjectId();
+  const threadFields = {
+    userId: req.user.id,
+    targetType: targets[targetType].modelName,
+    targetId: document._id
+  };
+
+  let messages;
+  try {
+    messages = await FollowupMessage.insertMany([
+      {
+        ...threadFields,
+        _id: questionId,
+        sequence: nextSequence,
+        role: 'user',
+        content: question
+      },
+      {
+        ...threadFields,
+        sequence: nextSequence + 1,
+        role: 'assistant',
+        content: aiResult.answer,
+        thinkingText: aiResult.thinking,
+        aiModel: aiResult.aiModel,
+        modelSelection: aiResult.modelSelection ? {
+          inputSize: aiResult.modelSelection.inputSize,
+          selectedModel: aiResult.modelSelection.selectedModel,
+          selectionReason: aiResult.modelSelection.selectionReason
+        } : undefined,
+        usage: aiResult.usage
+      }
+    ], { ordered: true });
+  } catch (saveError) {
+    // Another question on the same thread was saved first - drop the question if its answer could not be saved
+    if (saveError.code === 11000) {
+      await FollowupMessage.deleteOne({ _id: questionId });
+      return res.status(409).json({
+        success: false,
+        message: req.t('followups.threadBusy')
+      });
+    }
+    throw saveError;
+  }
+
+  res.status(201).json({
+    success: true,
+    messages
+  });
+};
+
+// Get the whole thread in order
+const getFollowups = async (req, res, targetType) => {
+  const document = await findOwnedTarget(req, res, targetType);
+  if (!document) {
+    return;
+  }
+
+  const messages = await FollowupMessage.find({ targetId: document._id }).sort({ sequence: 1 });
+
+  res.status(200).json({
+    success: true,
+    messages,
+    total: messages.length,
+    maxMessages: MAX_THREAD_MESSAGES
+  });
+};
+
+// @desc    Ask a follow-up question about a generation
+// @route   POST /api/generations/:id/followups
+// @access  Private (owner only)
+exports.createGenerationFollowup = async (req, res) => {
+  try {
+    await askFollowup(req, res, 'generation');
+  } catch (error) {
+    console.error('Generation follow-up error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('followups.serverErrorAskingFollowup')
+    });
+  }
+};
+
+// @desc    Get the follow-up thread of a generation
+// @route   GET /api/generations/:id/followups
+// @access  Private (owner only)
+exports.getGenerationFollowups = async (req, res) => {
+  try {
+    await getFollowups(req, res, 'generation');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: req.t('followups.serverErrorFetchingFollowups')
+    });
+  }
+};
+
+// @desc    Ask a follow-up question about a sentence check
+// @route   POST /api/checks/:id/followups
+// @access  Private (owner only)
+exports.createSentenceCheckFollowup = async (req, res) => {
+  try {
+    await askFollowup(req, res, 'sentenceCheck');
+  } catch (error) {
+    console.error('Sentence check follow-up error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('followups.serverErrorAskingFollowup')
+    });
+  }
+};
+
+// @desc    Get the follow-up thread of a sentence check
+// @route   GET /api/checks/:id/followups
+// @access  Private (owner only)
+exports.getSentenceCheckFollowups = async (req, res) => {
+  try {
+    await getFollowups(req, res, 'sentenceCheck');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: req.t('followups.serverErrorFetchingFollowups')
+    });
+  }
+};
@@ -1,24 +1,39 @@
 const Generation = require('../models/Generation');
-const Word = require('../models/Word');
 const aiService = require('../services/aiService');
+const usageService = require('../services/usageService');
+const wordUsageService = require('../services/wordUsageService');
+const deckService = require('../services/deckService');
 const Joi = require('joi');
 const mongoose = require('mongoose');
 const User = require('../models/User');
 const SentenceCheck = require('../models/SentenceCheck');
+const FollowupMessage = require('../models/FollowupMessage');
+const commentService = require('../services/commentService');
+const followService = require('../services/followService');
+const { initSSE, sendEvent, endSSE } = require('../utils/sseUtils');
+const { normalizeWord } = require('../utils/wordUtils');
 
 // Validation schemas
 const generateSentenceSchema = Joi.object({
-  words: Joi.array().items(Joi.string().min(1).max(50)).min(1).max(20).required(),
+  words: Joi.array().items(Joi.string().min(1).max(50)).min(1).max(20),
+  // Draw wordCount random words from a deck instead of sending words
+  deckId: Joi.string(),
+  wordCount: Joi.number().integer().min(1).max(20).default(5),
   isPublic: Joi.boolean().default(true),
   maxRetries: Joi.number().integer().min(1).max(10).default(3),
-  grammarLanguage: Joi.string().valid('combined', 'pure').default('combined'),
-  enableThinking: Joi.boolean().default(false)
-});
+  // Defaults to the user's grammarExplanationLanguage preference
+  grammarLanguage: Joi.string().valid('combined', 'pure'),
+  enableThinking: Joi.boolean().default(false),
+  stream: Joi.boolean().default(false),
+  outputFormat: Joi.string().valid('text', 'json')
+}).xor('words', 'deckId');
 
 const publicGenerationsSchema = Joi.object({
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(50).default(10),
-  sortBy: Joi.string().valid('recent', 'liked', 'trending').default('recent')
+  sortBy: Joi.string().valid('recent', 'liked', 'trending').default('recent'),
+  // 'following': only content from users the current user follows
+  feed: Joi.string().valid('all', 'following').default('all')
 });
 
 // @desc    Generate sentence with AI
@@ -27,7 +42,7 @@ const publicGenerationsSchema = Joi.object({
 exports.generateSentence = async (req, res) => {
   try {
     // Validate input
-    const { error } = generateSentenceSchema.validate(req.body);
+    const { error, value } = generateSentenceSchema.validate(req.body);
     if (error) {
       return res.status(400).json({
         success: false,
@@ -35,16 +50,40 @@ exports.generateSentence = async (req, res) => {
       });
     }
 
-    const { words, isPublic, maxRetries, grammarLanguage, enableThinking } = req.body;
+    const { isPublic, maxRetries, grammarLanguage, enableThinking, stream, outputFormat } = value;
+    let { words } = value;
+
+    if (value.deckId) {
+      const deck = await deckService.findAccessibleDeck(req.user.id, value.deckId);
+      if (!deck) {
+        return res.status(404).json({
+          success: false,
+          message: req.t('decks.deckNotFound')
+        });
+      }
+
+      words = await deckService.drawWords(deck, value.wordCount);
+      if (words.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: req.t('decks.deckEmpty')
+        });
+      }
+    }
 
     // Get user's grammar explanation language preference (fallback to request body or default)
     const user = await User.findById(req.user.id).select('preferences.grammarExplanationLanguage');
     const grammarLanguageOption = grammarLanguage || user?.preferences?.grammarExplanationLanguage || 'combined';
 
-    // Generate sentence using AI with the Java-inspired service
+    // Stream thinking tokens and parsed sections over Server-Sent Events
+    if (stream) {
+      return streamGeneration(req, res, { words, isPublic, maxRetries, grammarLanguageOption, enableThinking, outputFormat });
+    }
+
+    // Generate sentence using AI, retrying failed attempts up to maxRetries times
     let aiResult;
     try {
-      aiResult = await aiService.generateSentence(words, req.user.id, [], grammarLanguageOption, req.locale, enableThinking);
+      aiResult = await aiService.generateSentence(words, req.user.id, [], grammarLanguageOption, req.locale, enableThinking, { maxRetries, outputFormat });
     } catch (aiError) {
       return res.status(500).json({
         success: false,
@@ -52,57 +91,166 @@ exports.generateSentence = async (req, res) => {
       });
     }
 
+    // Failed requests consume tokens too
+    await usageService.recordUsage(req.user.id, 'generation', aiResult);
+
     // Check if AI generation was successful
     if (!aiResult.success) {
-      return res.status(400).json({
+      // Model temporarily unavailable (circuit open) - tell the client when to try again
+      if (aiResult.circuitOpen) {
+        res.set('Retry-After', String(aiResult.retryAfterSeconds));
+      }
+
+      return res.status(aiResult.circuitOpen ? 503 : 400).json({
         success: false,
         message: aiResult.message || req.t('ai.generationFailed', { message: 'Unknown error' }),
         retryable: aiResult.retryable || false,
-        error: aiResult.error
+        retryAfterSeconds: aiResult.retryAfterSeconds,
+        error: aiResult.error,
+        attempts: aiResult.attempts
       });
     }
 
-    // Save generation to database
-    const generation = await Generation.create({
-      userId: req.user.id,
-      words: words.map(word => word.trim().toLowerCase()),
-      sentence: aiResult.sentence,
-      explanation: aiResult.explanation,
-      chineseTranslation: aiResult.chineseTranslation,
-      thinkingText: aiResult.thinking, // Support for QwQ reasoning
-      rawResponseContent: aiResult.rawResponse ? JSON.stringify(aiResult.rawResponse) : null,
-      isPublic: isPublic !== false, // default to true if not specified
-      aiModel: aiResult.aiModel || 'Qwen/Qwen3-8B',
-      modelSelection: aiResult.modelSelection ? {
-        inputSize: aiResult.modelSelection.inputSize,
-        selectedModel: aiResult.modelSelection.selectedModel,
-        selectionReason: aiResult.modelSelection.selectionReason
-      } : undefined
+    const generation = await saveGeneration(req, words, isPublic, grammarLanguageOption, aiResult);
+
+    res.status(201).json({
+      success: true,
+      generation,
+      partialParse: aiResult.partialParse || false
     });
+  } catch (error) {
+    console.error('Generation error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('generations.serverErrorGeneratingSentence')
+    });
+  }
+};
 
-    // Update word usage counts for user's words
-    await Word.updateMany(
-      { 
-        word: { $in: words.map(w => w.trim().toLowerCase()) }, 
-        userIds: req.user.id 
+// Persist a successful AI generation and update the user's word usage counts
+const saveGeneration = async (req, words, isPublic, grammarLanguageOption, aiResult) => {
+  // Save generation to database
+  const generation = await Generation.create({
+    userId: req.user.id,
+    words: words.map(normalizeWord),
+    sentence: aiResult.sentence,
+    explanation: aiResult.explanation,
+    chineseTranslation: aiResult.chineseTranslation,
+    grammarPoints: aiResult.grammarPoints,
+    outputFormat: aiResult.outputFormat || 'text',
+    thinkingText: aiResult.thinking, // Support for QwQ reasoning
+    rawResponseContent: aiResult.rawResponse ? JSON.stringify(aiResult.rawResponse) : null,
+    isPublic: isPublic !== false, // default to true if not specified
+    aiModel: aiResult.aiModel || 'Qwen/Qwen3-8B',
+    promptVersion: aiResult.promptVersion,
+    grammarLanguageOption,
+    modelSelection: aiResult.modelSelection ? {
+      inputSize: aiResult.modelSelection.inputSize,
+      selectedModel: aiResult.modelSelection.selectedModel,
+      selectionReason: aiResult.modelSelection.selectionReason
+    } : undefined,
+    usage: aiResult.usage,
+    attempts: aiResult.attempts
+  });
+
+  // Update usage counts of the user's words used in the sentence, in any inflected form
+  await wordUsageService.creditText(req.user.id, aiResult.sentence);
+
+  // Populate user info for response
+  await generation.populate('userId', 'username');
+
+  return generation;
+};
+
+// Stream a generation over Server-Sent Events; the generation is only saved once the stream completes.
+// Events: start, thinking ({ delta }), section ({ name, field, content }), retry, done ({ generation }), error
+// A retry event ({ attempt, outcome, error, delayMs, nextTier }) means the sections received so far should be discarded.
+const streamGeneration = async (req, res, { words, isPublic, maxRetries, grammarLanguageOption, enableThinking, outputFormat }) => {
+  const abortController = new AbortController();
+  let streamStarted = false;
+
+  const startStream = () => {
+    if (!streamStarted) {
+      initSSE(res);
+      streamStarted = true;
+    }
+  };
+
+  // Stop the upstream request if the client goes away before the stream finishes
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      abortController.abort();
+    }
+  });
+
+  try {
+    const aiResult = await aiService.generateSentenceStream(words, req.user.id, [], grammarLanguageOption, req.locale, enableThinking, {
+      signal: abortController.signal,
+      onStart: (info) => {
+        startStream();
+        sendEvent(res, 'start', info);
       },
-      { $inc: { usageCount: 1 } }
-    );
+      onThinking: (delta) => sendEvent(res, 'thinking', { delta }),
+      onSection: (section) => sendEvent(res, 'section', section),
+      onRetry: (info) => {
+        if (streamStarted) {
+          sendEvent(res, 'retry', info);
+        }
+      }
+    }, { maxRetries, outputFormat });
 
-    // Populate user info for response
-    await generation.populate('userId', 'username');
+    // Tokens were used even if the client went away
+    await usageService.recordUsage(req.user.id, 'generation', aiResult);
 
-    res.status(201).json({
+    // Client disconnected - nothing to persist
+    if (abortController.signal.aborted) {
+      return;
+    }
+
+    if (!aiResult.success) {
+      const failure = {
+        success: false,
+        message: aiResult.message || req.t('ai.generationFailed', { message: 'Unknown error' }),
+        retryable: aiResult.retryable || false,
+        retryAfterSeconds: aiResult.retryAfterSeconds,
+        error: aiResult.error,
+        attempts: aiResult.attempts
+      };
+
+      if (!streamStarted) {
+        if (aiResult.circuitOpen) {
+          res.set('Retry-After', String(aiResult.retryAfterSeconds));
+        }
+        return res.status(aiResult.circuitOpen ? 503 : 400).json(failure);
+      }
+
+      sendEvent(res, 'error', failure);
+      return endSSE(res);
+    }
+
+    const generation = await saveGeneration(req, words, isPublic, grammarLanguageOption, aiResult);
+
+    startStream();
+    sendEvent(res, 'done', {
       success: true,
       generation,
       partialParse: aiResult.partialParse || false
     });
+    endSSE(res);
   } catch (error) {
-    console.error('Generation error:', error);
-    res.status(500).json({
+    if (!streamStarted) {
+      return res.status(500).json({
+        success: false,
+        message: req.t('ai.generationFailed', { message: error.message })
+      });
+    }
+
+    console.error('Streamed generation error:', error);
+    sendEvent(res, 'error', {
       success: false,
       message: req.t('generations.serverErrorGeneratingSentence')
     });
+    endSSE(res);
   }
 };
 
@@ -154,7 +302,7 @@ exports.getUserGenerations = async (req, res) => {
 
 // @desc    Get public generations feed
 // @route   GET /api/generations/public
-// @access  Public (NO AUTHENTICATION REQUIRED)
+// @access  Public (NO AUTHENTICATION REQUIRED; the following feed requires login)
 exports.getPublicGenerations = async (req, res) => {
   try {
     // Validate query parameters
@@ -166,12 +314,24 @@ exports.getPublicGenerations = async (req, res) => {
       });
     }
 
-    const { page, limit, sortBy } = value;
+    const { page, limit, sortBy, feed } = value;
     const skip = (page - 1) * limit;
 
+    // Content hidden by moderators is left out of the feeds
+    const match = { isPublic: true, isHidden: { $ne: true } };
+    if (feed === 'following') {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: req.t('users.loginRequiredForFollowingFeed')
+        });
+      }
+      match.userId = { $in: await followService.getFollowingIds(req.user.id) };
+    }
+
     // Build aggregation pipeline for public generations
     let aggregatePipeline = [
-      { $match: { isPublic: true } }
+      { $match: match }
     ];
 
     // Add sorting logic
@@ -223,10 +383,11 @@ exports.getPublicGenerations = async (req, res) => {
       }
     });
 
-    // Transform user field
+    // Transform user field; content from before comments has no comment count
     aggregatePipeline.push({
       $addFields: {
-        userId: { $arrayElemAt: ['$user', 0] }
+        userId: { $arrayElemAt: ['$user', 0] },
+        commentCount: { $ifNull: ['$commentCount', 0] }
       }
     });
 
@@ -239,7 +400,7 @@ exports.getPublicGenerations = async (req, res) => {
     const generations = await Generation.aggregate(aggregatePipeline);
 
     // Get total count for pagination
-    const total = await Generation.countDocuments({ isPublic: true });
+    const total = await Generation.countDocuments(match);
 
     res.status(200).json({
       success: true,
@@ -283,13 +444,14 @@ exports.getGeneration = async (req, res) => {
       query = {
         _id: id,
         $or: [
-          { isPublic: true },
+          { isPublic: true, isHidden: { $ne: true } },
           { userId: req.user.id }
         ]
       };
     } else {
       // If not authenticated, only show public generations
       query.isPublic = true;
+      query.isHidden = { $ne: true };
     }
 
     const generation = await Generation.findOne(query)
@@ -332,7 +494,8 @@ exports.toggleLike = async (req, res) => {
     // Find public generation (can only like public generations)
     const generation = await Generation.findOne({ 
       _id: id, 
-      isPublic: true 
+      isPublic: true,
+      isHidden: { $ne: true }
     });
 
     if (!generation) {
@@ -461,6 +624,10 @@ exports.deleteGeneration = async (req, res) => {
       });
     }
 
+    // Delete the generation's follow-up thread and comments
+    await FollowupMessage.deleteMany({ targetId: generation._id });
+    await commentService.deleteTargetComments([generation._id]);
+
     res.status(200).json({
       success: true,
       message: req.t('generations.generationDeletedSuccessfully')
@@ -481,7 +648,7 @@ exports.getPublicStatistics = async (req, res) => {
     // Aggregate statistics for public generations
     const statisticsQuery = [
       {
-        $match: { isPublic: true }
+        $match: { isPublic: true, isHidden: { $ne: true } }
       },
       {
         $group: {
@@ -524,6 +691,12 @@ exports.getPublicStatistics = async (req, res) => {
 // @access  Private
 exports.deleteAllGenerations = async (req, res) => {
   try {
+    // Comments on them are deleted with them
+    const [generationIds, sentenceCheckIds] = await Promise.all([
+      Generation.find({ userId: req.user.id }).distinct('_id'),
+      SentenceCheck.find({ userId: req.user.id }).distinct('_id')
+    ]);
+
     // Delete all generations for the authenticated user
     const generationResult = await Generation.deleteMany({
       userId: req.user.id
@@ -534,6 +707,12 @@ exports.deleteAllGenerations = async (req, res) => {
       userId: req.user.id
     });
 
+    // Delete the follow-up threads and comments of both
+    await FollowupMessage.deleteMany({
+      userId: req.user.id
+    });
+    await commentService.deleteTargetComments([...generationIds, ...sentenceCheckIds]);
+
     res.status(200).json({
       success: true,
       message: req.t('generations.allGenerationsDeletedSuccessfully'),
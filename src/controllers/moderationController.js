@@ -0,0 +1,144 @@
+const Joi = require('joi');
+const moderationService = require('../services/moderationService');
+const { formatDateToUTC8 } = require('../utils/timeUtils');
+
+// Validation schemas
+const targetTypeSchema = Joi.string().valid(...Object.keys(moderationService.targetModels));
+
+const queueSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(20),
+  targetType: targetTypeSchema
+});
+
+const actionSchema = Joi.object({
+  targetType: targetTypeSchema.required(),
+  targetId: Joi.string().hex().length(24).required(),
+  action: Joi.string().valid('hide', 'restore', 'delete').required(),
+  note: Joi.string().trim().max(1000).allow('')
+});
+
+const logSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(20),
+  targetId: Joi.string().hex().length(24),
+  moderatorId: Joi.string().hex().length(24)
+});
+
+const notFoundKeys = {
+  Generation: 'generations.generationNotFound',
+  SentenceCheck: 'sentenceCheck.checkNotFound',
+  Comment: 'comments.commentNotFound'
+};
+
+// @desc    Get the moderation queue: content with open reports, most reported first
+// @route   GET /api/moderation/queue
+// @access  Private (moderators only)
+exports.getQueue = async (req, res) => {
+  try {
+    const { error, value } = queueSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { page, limit } = value;
+    const { entries, total } = await moderationService.getQueue(value);
+
+    res.status(200).json({
+      success: true,
+      queue: entries.map(entry => ({
+        ...entry,
+        firstReportedAt: formatDateToUTC8(entry.firstReportedAt),
+        lastReportedAt: formatDateToUTC8(entry.lastReportedAt),
+        // Content its owner deleted after it was reported is null
+        target: entry.target ? entry.target.toObject() : null
+      })),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        hasNext: (page - 1) * limit + entries.length < total,
+        totalEntries: total
+      }
+    });
+  } catch (error) {
+    console.error('Moderation queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('moderation.serverErrorFetchingQueue')
+    });
+  }
+};
+
+// @desc    Hide, restore or delete content, closing its open reports
+// @route   POST /api/moderation/actions
+// @access  Private (moderators only)
+exports.applyAction = async (req, res) => {
+  try {
+    const { error, value } = actionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { targetType, targetId, action, note } = value;
+    const logEntry = await moderationService.applyAction(req.user.id, action, targetType, targetId, note);
+
+    if (!logEntry) {
+      return res.status(404).json({
+        success: false,
+        message: req.t(notFoundKeys[targetType])
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: req.t(`moderation.${action}Success`),
+      log: logEntry
+    });
+  } catch (error) {
+    console.error('Moderation action error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('moderation.serverErrorApplyingAction')
+    });
+  }
+};
+
+// @desc    Get the moderation audit trail, newest first
+// @route   GET /api/moderation/log
+// @access  Private (moderators only)
+exports.getLog = async (req, res) => {
+  try {
+    const { error, value } = logSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { page, limit } = value;
+    const { entries, total } = await moderationService.getLog(value);
+
+    res.status(200).json({
+      success: true,
+      log: entries,
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        hasNext: (page - 1) * limit + entries.length < total,
+        totalEntries: total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: req.t('moderation.serverErrorFetchingLog')
+    });
+  }
+};
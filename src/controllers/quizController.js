@@ -0,0 +1,242 @@
+const Quiz = require('../models/Quiz');
+const mongoose = require('mongoose');
+const Joi = require('joi');
+const quizService = require('../services/quizService');
+
+// Validation schemas
+const createQuizSchema = Joi.object({
+  count: Joi.number().integer().min(1).max(50).default(10),
+  types: Joi.array().items(Joi.string().valid(...quizService.questionTypes)).min(1).unique().default(quizService.questionTypes),
+  // Quiz on these saved words instead of random ones
+  wordIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(200).unique()
+});
+
+const quizListSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(20),
+  status: Joi.string().valid('inProgress', 'completed')
+});
+
+const submitAnswersSchema = Joi.object({
+  answers: Joi.array().items(Joi.object({
+    question: Joi.number().integer().min(0).required(),
+    answer: Joi.number().integer().min(0).required()
+  })).min(1).max(50).unique('question').required()
+});
+
+// Score of a quiz: correct and answered questions, and the percentage of all questions answered correctly
+const formatScore = (quiz) => ({
+  correct: quiz.correctCount,
+  answered: quiz.answeredCount,
+  total: quiz.questionCount,
+  percent: Math.round(quiz.correctCount / quiz.questionCount * 100)
+});
+
+// Quiz returned to the client; questions not answered yet leave out the answer and the word asked about
+const formatQuiz = (req, quiz) => {
+  const quizObj = quiz.toObject();
+
+  quizObj.questions = quizObj.questions.map((question, index) => {
+    const formatted = question.answeredAt
+      ? { index, ...question }
+      : { index, type: question.type, prompt: question.prompt, options: question.options };
+    if (question.type === 'partOfSpeech') {
+      formatted.optionsTranslated = question.options.map(option => req.t(`words.${option}`));
+    }
+    if (question.type === 'definition' || question.type === 'partOfSpeech') {
+      formatted.word = question.word;
+    }
+    return formatted;
+  });
+  quizObj.score = formatScore(quiz);
+  return quizObj;
+};
+
+// Find one of the user's quizzes; sends the error response and returns null otherwise
+const findQuiz = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: req.t('common.badRequest')
+    });
+    return null;
+  }
+
+  const quiz = await Quiz.findOne({ _id: req.params.id, userId: req.user.id });
+  if (!quiz) {
+    res.status(404).json({
+      success: false,
+      message: req.t('quizzes.quizNotFound')
+    });
+    return null;
+  }
+
+  return quiz;
+};
+
+// @desc    Create a quiz from the user's saved words
+// @route   POST /api/quizzes
+// @access  Private
+exports.createQuiz = async (req, res) => {
+  try {
+    const { error, value } = createQuizSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const quiz = await quizService.createQuiz(req.user.id, value);
+    if (!quiz) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('quizzes.notEnoughWords')
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      quiz: formatQuiz(req, quiz)
+    });
+  } catch (error) {
+    console.error('Create quiz error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('quizzes.serverErrorCreatingQuiz')
+    });
+  }
+};
+
+// @desc    Get the user's quizzes, newest first
+// @route   GET /api/quizzes
+// @access  Private
+exports.getQuizzes = async (req, res) => {
+  try {
+    const { error, value } = quizListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { page, limit, status } = value;
+    const skip = (page - 1) * limit;
+
+    const query = { userId: req.user.id };
+    if (status) {
+      query.status = status;
+    }
+
+    const [quizzes, total] = await Promise.all([
+      Quiz.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-questions'),
+      Quiz.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      quizzes: quizzes.map(quiz => ({ ...quiz.toObject(), score: formatScore(quiz) })),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        hasNext: skip + quizzes.length < total,
+        totalQuizzes: total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: req.t('quizzes.serverErrorFetchingQuizzes')
+    });
+  }
+};
+
+// @desc    Get a quiz with its questions and the answers given so far
+// @route   GET /api/quizzes/:id
+// @access  Private
+exports.getQuiz = async (req, res) => {
+  try {
+    const quiz = await findQuiz(req, res);
+    if (!quiz) {
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      quiz: formatQuiz(req, quiz)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: req.t('quizzes.serverErrorFetchingQuizzes')
+    });
+  }
+};
+
+// @desc    Submit answers to questions of a quiz
+// @route   POST /api/quizzes/:id/answers
+// @access  Private
+exports.submitAnswers = async (req, res) => {
+  try {
+    const { error, value } = submitAnswersSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const quiz = await findQuiz(req, res);
+    if (!quiz) {
+      return;
+    }
+
+    if (quiz.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: req.t('quizzes.quizCompleted')
+      });
+    }
+
+    for (const { question, answer } of value.answers) {
+      const quizQuestion = quiz.questions[question];
+      if (!quizQuestion || answer >= quizQuestion.options.length) {
+        return res.status(400).json({
+          success: false,
+          message: req.t('quizzes.invalidAnswer', { question })
+        });
+      }
+      if (quizQuestion.answeredAt) {
+        return res.status(400).json({
+          success: false,
+          message: req.t('quizzes.questionAlreadyAnswered', { question })
+        });
+      }
+    }
+
+    const submitted = await quizService.submitAnswers(quiz, value.answers);
+    if (!submitted) {
+      return res.status(409).json({
+        success: false,
+        message: req.t('quizzes.quizChanged')
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      results: submitted.results,
+      quiz: formatQuiz(req, submitted.quiz)
+    });
+  } catch (error) {
+    console.error('Submit quiz answers error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('quizzes.serverErrorSubmittingAnswers')
+    });
+  }
+};
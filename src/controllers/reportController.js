@@ -0,0 +1,101 @@
+const Joi = require('joi');
+const moderationService = require('../services/moderationService');
+const commentService = require('../services/commentService');
+
+// Validation schemas
+const reportSchema = Joi.object({
+  targetType: Joi.string().valid(...Object.keys(moderationService.targetModels)).required(),
+  targetId: Joi.string().hex().length(24).required(),
+  reason: Joi.string().valid(...moderationService.reasons).required(),
+  details: Joi.string().trim().max(1000).allow('')
+});
+
+const notFoundKeys = {
+  Generation: 'generations.generationNotFound',
+  SentenceCheck: 'sentenceCheck.checkNotFound',
+  Comment: 'comments.commentNotFound'
+};
+
+// Find content the user can see, and so report; null otherwise
+const findReportable = async (targetType, targetId) => {
+  const open = { isPublic: true, isHidden: { $ne: true } };
+
+  if (targetType !== 'Comment') {
+    return moderationService.targetModels[targetType].findOne({ _id: targetId, ...open }).select('userId');
+  }
+
+  // Comments are seen on open content
+  const comment = await moderationService.targetModels.Comment
+    .findOne({ _id: targetId, isDeleted: false, isHidden: { $ne: true } })
+    .select('userId targetType targetId');
+  const contentVisible = comment
+    ? await commentService.targetModels[comment.targetType].exists({ _id: comment.targetId, ...open })
+    : false;
+
+  return contentVisible ? comment : null;
+};
+
+// @desc    Get the reasons content can be reported for
+// @route   GET /api/reports/reasons
+// @access  Public
+exports.getReasons = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    reasons: moderationService.reasons.map(reason => ({
+      value: reason,
+      label: req.t(`reports.reasons.${reason}`)
+    }))
+  });
+};
+
+// @desc    Report a generation, sentence check or comment
+// @route   POST /api/reports
+// @access  Private
+exports.createReport = async (req, res) => {
+  try {
+    const { error, value } = reportSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { targetType, targetId } = value;
+    const target = await findReportable(targetType, targetId);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: req.t(notFoundKeys[targetType])
+      });
+    }
+
+    if (String(target.userId) === String(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('reports.cannotReportOwn')
+      });
+    }
+
+    const reported = await moderationService.report(req.user.id, targetType, target, value);
+    if (!reported) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('reports.alreadyReported')
+      });
+    }
+
+    // Reporters are not told whether the content was hidden
+    res.status(201).json({
+      success: true,
+      message: req.t('reports.reportSubmitted'),
+      report: reported.report
+    });
+  } catch (error) {
+    console.error('Create report error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('reports.serverErrorReporting')
+    });
+  }
+};
@@ -0,0 +1,88 @@
+const User = require('../models/User');
+const Joi = require('joi');
+const searchService = require('../services/searchService');
+const { normalizeWord } = require('../utils/wordUtils');
+
+// Validation schemas
+const searchSchema = Joi.object({
+  // MongoDB text search syntax: "quoted phrases" and -excluded terms
+  q: Joi.string().trim().min(1).max(200).required(),
+  type: Joi.string().valid('Generation', 'SentenceCheck'),
+  // Generations using all of these words
+  words: Joi.array().items(Joi.string().trim().min(1).max(50)).single().max(10).unique(),
+  author: Joi.string().trim().min(3).max(30),
+  from: Joi.date().iso(),
+  to: Joi.date().iso()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }),
+  model: Joi.string().trim().max(100),
+  grammarLanguage: Joi.string().valid('combined', 'pure'),
+  sortBy: Joi.string().valid('relevance', 'recent', 'liked').default('relevance'),
+  // Results are merged from two collections, so deep pages are not supported
+  page: Joi.number().integer().min(1).max(20).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(10)
+});
+
+// Search result returned to the client, with whether the current user liked it and owns it
+const formatResult = (req, { type, score, document, highlights }) => {
+  const item = document.toObject();
+  const ownerId = item.userId && item.userId._id ? item.userId._id : item.userId;
+
+  item.liked = !!req.user && document.likes.some(like => String(like.userId) === String(req.user.id));
+  item.isOwner = !!req.user && String(ownerId) === String(req.user.id);
+  item.commentCount = item.commentCount || 0;
+  delete item.likes;
+  delete item.score;
+
+  return { type, score, item, highlights };
+};
+
+// @desc    Search public generations and sentence checks, and the user's own private ones
+// @route   GET /api/search
+// @access  Public (own private content when authenticated)
+exports.search = async (req, res) => {
+  try {
+    const { error, value } = searchSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const options = { ...value };
+    if (value.words) {
+      options.words = value.words.map(normalizeWord);
+    }
+
+    if (value.author) {
+      const author = await User.findOne({ username: value.author }).select('_id');
+      if (!author) {
+        return res.status(404).json({
+          success: false,
+          message: req.t('users.userNotFound')
+        });
+      }
+      options.authorId = author._id;
+    }
+
+    const { page, limit } = value;
+    const { results, total } = await searchService.search(options, req.user ? req.user.id : null);
+
+    res.status(200).json({
+      success: true,
+      results: results.map(result => formatResult(req, result)),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        hasNext: (page - 1) * limit + results.length < total,
+        totalResults: total
+      }
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('search.serverErrorSearching')
+    });
+  }
+};
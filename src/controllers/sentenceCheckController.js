@@ -1,8 +1,14 @@
 const SentenceCheck = require('../models/SentenceCheck');
+const FollowupMessage = require('../models/FollowupMessage');
+const commentService = require('../services/commentService');
+const followService = require('../services/followService');
 const aiService = require('../services/aiService');
+const usageService = require('../services/usageService');
+const wordUsageService = require('../services/wordUsageService');
 const Joi = require('joi');
 const mongoose = require('mongoose');
 const User = require('../models/User');
+const { initSSE, sendEvent, endSSE } = require('../utils/sseUtils');
 
 // Validation schemas
 const checkSentenceSchema = Joi.object({
@@ -10,13 +16,17 @@ const checkSentenceSchema = Joi.object({
   isPublic: Joi.boolean().default(true),
   maxRetries: Joi.number().integer().min(1).max(10).default(3),
   grammarLanguage: Joi.string().valid('combined', 'pure').default('combined'),
-  enableThinking: Joi.boolean().default(false)
+  enableThinking: Joi.boolean().default(false),
+  stream: Joi.boolean().default(false),
+  outputFormat: Joi.string().valid('text', 'json')
 });
 
 const publicChecksSchema = Joi.object({
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(50).default(10),
-  sortBy: Joi.string().valid('recent', 'liked', 'trending').default('recent')
+  sortBy: Joi.string().valid('recent', 'liked', 'trending').default('recent'),
+  // 'following': only content from users the current user follows
+  feed: Joi.string().valid('all', 'following').default('all')
 });
 
 // @desc    Check sentence with AI
@@ -33,16 +43,21 @@ exports.checkSentence = async (req, res) => {
       });
     }
 
-    const { sentence, isPublic, grammarLanguage, enableThinking } = req.body;
+    const { sentence, isPublic, grammarLanguage, enableThinking, stream, outputFormat } = req.body;
 
     // Get user's grammar explanation language preference (fallback to request body or default)
     const user = await User.findById(req.user.id).select('preferences.grammarExplanationLanguage');
     const grammarLanguageOption = grammarLanguage || user?.preferences?.grammarExplanationLanguage || 'combined';
 
+    // Stream thinking tokens and parsed sections over Server-Sent Events
+    if (stream) {
+      return streamSentenceCheck(req, res, { sentence, isPublic, grammarLanguageOption, enableThinking, outputFormat });
+    }
+
     // Check sentence using AI
     let aiResult;
     try {
-      aiResult = await aiService.checkSentence(sentence, req.user.id, grammarLanguageOption, req.locale, enableThinking);
+      aiResult = await aiService.checkSentence(sentence, req.user.id, grammarLanguageOption, req.locale, enableThinking, { outputFormat });
     } catch (aiError) {
       return res.status(500).json({
         success: false,
@@ -50,38 +65,26 @@ exports.checkSentence = async (req, res) => {
       });
     }
 
+    // Failed requests consume tokens too
+    await usageService.recordUsage(req.user.id, 'sentenceCheck', aiResult);
+
     // Check if AI check was successful
     if (!aiResult.success) {
-      return res.status(400).json({
+      // Model temporarily unavailable (circuit open) - tell the client when to try again
+      if (aiResult.circuitOpen) {
+        res.set('Retry-After', String(aiResult.retryAfterSeconds));
+      }
+
+      return res.status(aiResult.circuitOpen ? 503 : 400).json({
         success: false,
         message: aiResult.message || req.t('ai.checkFailed', { message: 'Unknown error' }),
         retryable: aiResult.retryable || false,
+        retryAfterSeconds: aiResult.retryAfterSeconds,
         error: aiResult.error
       });
     }
 
-    // Save sentence check to database
-    const sentenceCheck = await SentenceCheck.create({
-      userId: req.user.id,
-      originalSentence: sentence.trim(),
-      grammarAnalysis: aiResult.grammarAnalysis,
-      grammarCorrection: aiResult.grammarCorrection,
-      keywordAnalysis: aiResult.keywordAnalysis,
-      chineseDefinition: aiResult.chineseDefinition,
-      thinkingText: aiResult.thinking,
-      rawResponseContent: aiResult.rawResponse ? JSON.stringify(aiResult.rawResponse) : null,
-      isPublic: isPublic !== false,
-      aiModel: aiResult.aiModel || 'Qwen/Qwen3-8B',
-      grammarLanguageOption: grammarLanguageOption,
-      modelSelection: aiResult.modelSelection ? {
-        inputSize: aiResult.modelSelection.inputSize,
-        selectedModel: aiResult.modelSelection.selectedModel,
-        selectionReason: aiResult.modelSelection.selectionReason
-      } : undefined
-    });
-
-    // Populate user info for response
-    await sentenceCheck.populate('userId', 'username');
+    const sentenceCheck = await saveSentenceCheck(req, sentence, isPublic, grammarLanguageOption, aiResult);
 
     res.status(201).json({
       success: true,
@@ -97,6 +100,128 @@ exports.checkSentence = async (req, res) => {
   }
 };
 
+// Persist a successful AI sentence check
+const saveSentenceCheck = async (req, sentence, isPublic, grammarLanguageOption, aiResult) => {
+  // Save sentence check to database
+  const sentenceCheck = await SentenceCheck.create({
+    userId: req.user.id,
+    originalSentence: sentence.trim(),
+    grammarAnalysis: aiResult.grammarAnalysis,
+    grammarCorrection: aiResult.grammarCorrection,
+    keywordAnalysis: aiResult.keywordAnalysis,
+    chineseDefinition: aiResult.chineseDefinition,
+    isCorrect: aiResult.isCorrect,
+    grammarErrors: aiResult.grammarErrors,
+    keywords: aiResult.keywords,
+    outputFormat: aiResult.outputFormat || 'text',
+    thinkingText: aiResult.thinking,
+    rawResponseContent: aiResult.rawResponse ? JSON.stringify(aiResult.rawResponse) : null,
+    isPublic: isPublic !== false,
+    aiModel: aiResult.aiModel || 'Qwen/Qwen3-8B',
+    promptVersion: aiResult.promptVersion,
+    grammarLanguageOption: grammarLanguageOption,
+    modelSelection: aiResult.modelSelection ? {
+      inputSize: aiResult.modelSelection.inputSize,
+      selectedModel: aiResult.modelSelection.selectedModel,
+      selectionReason: aiResult.modelSelection.selectionReason
+    } : undefined,
+    usage: aiResult.usage
+  });
+
+  // Writing a word in a sentence counts as using it
+  await wordUsageService.creditText(req.user.id, sentenceCheck.originalSentence);
+
+  // Populate user info for response
+  await sentenceCheck.populate('userId', 'username');
+
+  return sentenceCheck;
+};
+
+// Stream a sentence check over Server-Sent Events; the check is only saved once the stream completes.
+// Events: start, thinking ({ delta }), section ({ name, field, content }), done ({ sentenceCheck }), error
+const streamSentenceCheck = async (req, res, { sentence, isPublic, grammarLanguageOption, enableThinking, outputFormat }) => {
+  const abortController = new AbortController();
+  let streamStarted = false;
+
+  const startStream = () => {
+    if (!streamStarted) {
+      initSSE(res);
+      streamStarted = true;
+    }
+  };
+
+  // Stop the upstream request if the client goes away before the stream finishes
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      abortController.abort();
+    }
+  });
+
+  try {
+    const aiResult = await aiService.checkSentenceStream(sentence, req.user.id, grammarLanguageOption, req.locale, enableThinking, {
+      signal: abortController.signal,
+      onStart: (info) => {
+        startStream();
+        sendEvent(res, 'start', info);
+      },
+      onThinking: (delta) => sendEvent(res, 'thinking', { delta }),
+      onSection: (section) => sendEvent(res, 'section', section)
+    }, { outputFormat });
+
+    // Tokens were used even if the client went away
+    await usageService.recordUsage(req.user.id, 'sentenceCheck', aiResult);
+
+    // Client disconnected - nothing to persist
+    if (abortController.signal.aborted) {
+      return;
+    }
+
+    if (!aiResult.success) {
+      const failure = {
+        success: false,
+        message: aiResult.message || req.t('ai.checkFailed', { message: 'Unknown error' }),
+        retryable: aiResult.retryable || false,
+        retryAfterSeconds: aiResult.retryAfterSeconds,
+        error: aiResult.error
+      };
+
+      if (!streamStarted) {
+        if (aiResult.circuitOpen) {
+          res.set('Retry-After', String(aiResult.retryAfterSeconds));
+        }
+        return res.status(aiResult.circuitOpen ? 503 : 400).json(failure);
+      }
+
+      sendEvent(res, 'error', failure);
+      return endSSE(res);
+    }
+
+    const sentenceCheck = await saveSentenceCheck(req, sentence, isPublic, grammarLanguageOption, aiResult);
+
+    startStream();
+    sendEvent(res, 'done', {
+      success: true,
+      sentenceCheck,
+      partialParse: aiResult.partialParse || false
+    });
+    endSSE(res);
+  } catch (error) {
+    if (!streamStarted) {
+      return res.status(500).json({
+        success: false,
+        message: req.t('ai.checkFailed', { message: error.message })
+      });
+    }
+
+    console.error('Streamed sentence check error:', error);
+    sendEvent(res, 'error', {
+      success: false,
+      message: req.t('sentenceCheck.serverErrorCheckingSentence')
+    });
+    endSSE(res);
+  }
+};
+
 // @desc    Get user's sentence checks
 // @route   GET /api/checks
 // @access  Private
@@ -145,7 +270,7 @@ exports.getUserSentenceChecks = async (req, res) => {
 
 // @desc    Get public sentence checks feed
 // @route   GET /api/checks/public
-// @access  Public (NO AUTHENTICATION REQUIRED)
+// @access  Public (NO AUTHENTICATION REQUIRED; the following feed requires login)
 exports.getPublicSentenceChecks = async (req, res) => {
   try {
     // Validate query parameters
@@ -157,12 +282,24 @@ exports.getPublicSentenceChecks = async (req, res) => {
       });
     }
 
-    const { page, limit, sortBy } = value;
+    const { page, limit, sortBy, feed } = value;
     const skip = (page - 1) * limit;
 
+    // Content hidden by moderators is left out of the feeds
+    const match = { isPublic: true, isHidden: { $ne: true } };
+    if (feed === 'following') {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: req.t('users.loginRequiredForFollowingFeed')
+        });
+      }
+      match.userId = { $in: await followService.getFollowingIds(req.user.id) };
+    }
+
     // Build aggregation pipeline for public sentence checks
     let aggregatePipeline = [
-      { $match: { isPublic: true } }
+      { $match: match }
     ];
 
     // Add sorting logic
@@ -214,10 +351,11 @@ exports.getPublicSentenceChecks = async (req, res) => {
       }
     });
 
-    // Transform user field
+    // Transform user field; content from before comments has no comment count
     aggregatePipeline.push({
       $addFields: {
-        userId: { $arrayElemAt: ['$user', 0] }
+        userId: { $arrayElemAt: ['$user', 0] },
+        commentCount: { $ifNull: ['$commentCount', 0] }
       }
     });
 
@@ -230,7 +368,7 @@ exports.getPublicSentenceChecks = async (req, res) => {
     const sentenceChecks = await SentenceCheck.aggregate(aggregatePipeline);
 
     // Get total count for pagination
-    const total = await SentenceCheck.countDocuments({ isPublic: true });
+    const total = await SentenceCheck.countDocuments(match);
 
     res.status(200).json({
       success: true,
@@ -274,13 +412,14 @@ exports.getSentenceCheck = async (req, res) => {
       query = {
         _id: id,
         $or: [
-          { isPublic: true },
+          { isPublic: true, isHidden: { $ne: true } },
           { userId: req.user.id }
         ]
       };
     } else {
       // If not authenticated, only show public checks
       query.isPublic = true;
+      query.isHidden = { $ne: true };
     }
 
     const sentenceCheck = await SentenceCheck.findOne(query)
@@ -323,7 +462,8 @@ exports.toggleLike = async (req, res) => {
     // Find public sentence check (can only like public checks)
     const sentenceCheck = await SentenceCheck.findOne({ 
       _id: id, 
-      isPublic: true 
+      isPublic: true,
+      isHidden: { $ne: true }
     });
 
     if (!sentenceCheck) {
@@ -452,6 +592,10 @@ exports.deleteSentenceCheck = async (req, res) => {
       });
     }
 
+    // Delete the sentence check's follow-up thread and comments
+    await FollowupMessage.deleteMany({ targetId: sentenceCheck._id });
+    await commentService.deleteTargetComments([sentenceCheck._id]);
+
     res.status(200).json({
       success: true,
       message: req.t('sentenceCheck.checkDeletedSuccessfully')
@@ -472,7 +616,7 @@ exports.getPublicStatistics = async (req, res) => {
     // Aggregate statistics for public sentence checks
     const statisticsQuery = [
       {
-        $match: { isPublic: true }
+        $match: { isPublic: true, isHidden: { $ne: true } }
       },
       {
         $group: {
@@ -515,11 +659,21 @@ exports.getPublicStatistics = async (req, res) => {
 // @access  Private
 exports.deleteAllSentenceChecks = async (req, res) => {
   try {
+    // Comments on them are deleted with them
+    const sentenceCheckIds = await SentenceCheck.find({ userId: req.user.id }).distinct('_id');
+
     // Delete all sentence checks for the authenticated user
     const result = await SentenceCheck.deleteMany({
       userId: req.user.id
     });
 
+    // Delete their follow-up threads and comments
+    await FollowupMessage.deleteMany({
+      userId: req.user.id,
+      targetType: 'SentenceCheck'
+    });
+    await commentService.deleteTargetComments(sentenceCheckIds);
+
     res.status(200).json({
       success: true,
       message: req.t('sentenceCheck.allChecksDeletedSuccessfully'),
@@ -1,6 +1,7 @@
 const User = require('../models/User');
 const Word = require('../models/Word');
 const Generation = require('../models/Generation');
+const promptExperimentService = require('../services/promptExperimentService');
 
 // @desc    Get global public statistics
 // @route   GET /api/statistics
@@ -13,7 +14,7 @@ exports.getGlobalStatistics = async (req, res) => {
     // Get generation statistics
     const generationStats = await Generation.aggregate([
       {
-        $match: { isPublic: true }
+        $match: { isPublic: true, isHidden: { $ne: true } }
       },
       {
         $group: {
@@ -49,4 +50,41 @@ exports.getGlobalStatistics = async (req, res) => {
       message: req.t('statistics.serverError')
     });
   }
+};
+
+// @desc    Compare prompt versions: parse success, partial parses, latency and likes
+// @route   GET /api/statistics/prompts?type=generation|sentenceCheck&days=30
+// @access  Public (NO AUTHENTICATION REQUIRED)
+exports.getPromptStatistics = async (req, res) => {
+  try {
+    const type = req.query.type || 'generation';
+    const days = req.query.days === undefined ? 30 : parseInt(req.query.days);
+
+    if (!['generation', 'sentenceCheck'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('statistics.invalidPromptType')
+      });
+    }
+
+    if (!Number.isInteger(days) || days < 1 || days > 90) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('usage.invalidDays', { max: 90 })
+      });
+    }
+
+    const statistics = await promptExperimentService.getStats(type, days);
+
+    res.status(200).json({
+      success: true,
+      statistics
+    });
+  } catch (error) {
+    console.error('Prompt statistics error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('statistics.serverError')
+    });
+  }
 }; 
\ No newline at end of file
@@ -0,0 +1,195 @@
+const User = require('../models/User');
+const Joi = require('joi');
+const followService = require('../services/followService');
+const { formatDateToUTC8 } = require('../utils/timeUtils');
+
+// Validation schemas
+const followListSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(20)
+});
+
+const isSelf = (req, user) => !!req.user && String(user._id) === String(req.user.id);
+
+// Find a user by username; sends the error response and returns null otherwise
+const findUser = async (req, res) => {
+  const user = await User.findOne({ username: req.params.username }).select('username bio followerCount followingCount createdAt');
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: req.t('users.userNotFound')
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// List the followers of a user, or the users it follows
+const listFollows = async (req, res, direction) => {
+  const { error, value } = followListSchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+
+  const user = await findUser(req, res);
+  if (!user) {
+    return;
+  }
+
+  const { page, limit } = value;
+  const { users, total } = await followService.getFollows(user._id, direction, value);
+
+  // Whether the current user follows each user listed
+  const followed = req.user
+    ? await followService.getFollowedAmong(req.user.id, users.map(entry => entry._id))
+    : new Set();
+
+  res.status(200).json({
+    success: true,
+    users: users.map(entry => ({
+      ...entry,
+      isFollowing: followed.has(String(entry._id)),
+      isSelf: isSelf(req, entry)
+    })),
+    pagination: {
+      current: page,
+      total: Math.ceil(total / limit),
+      hasNext: (page - 1) * limit + users.length < total,
+      totalUsers: total
+    }
+  });
+};
+
+// @desc    Get a user's public profile
+// @route   GET /api/users/:username
+// @access  Public
+exports.getProfile = async (req, res) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    const [stats, isFollowing] = await Promise.all([
+      followService.getProfileStats(user._id),
+      req.user && !isSelf(req, user) ? followService.isFollowing(req.user.id, user._id) : false
+    ]);
+
+    res.status(200).json({
+      success: true,
+      profile: {
+        id: user._id,
+        username: user.username,
+        bio: user.bio,
+        joinedAt: formatDateToUTC8(user.createdAt),
+        stats,
+        followerCount: user.followerCount,
+        followingCount: user.followingCount,
+        isFollowing,
+        isSelf: isSelf(req, user)
+      }
+    });
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('users.serverErrorFetchingProfile')
+    });
+  }
+};
+
+// @desc    Follow a user
+// @route   POST /api/users/:username/follow
+// @access  Private
+exports.followUser = async (req, res) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    if (isSelf(req, user)) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('users.cannotFollowSelf')
+      });
+    }
+
+    // Following a user already followed changes nothing
+    const followed = await followService.follow(req.user.id, user._id);
+
+    res.status(200).json({
+      success: true,
+      message: req.t('users.followedSuccessfully', { username: user.username }),
+      isFollowing: true,
+      followerCount: user.followerCount + (followed ? 1 : 0)
+    });
+  } catch (error) {
+    console.error('Follow user error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('users.serverErrorFollowing')
+    });
+  }
+};
+
+// @desc    Unfollow a user
+// @route   DELETE /api/users/:username/follow
+// @access  Private
+exports.unfollowUser = async (req, res) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    // Unfollowing a user not followed changes nothing
+    const unfollowed = await followService.unfollow(req.user.id, user._id);
+
+    res.status(200).json({
+      success: true,
+      message: req.t('users.unfollowedSuccessfully', { username: user.username }),
+      isFollowing: false,
+      followerCount: Math.max(0, user.followerCount - (unfollowed ? 1 : 0))
+    });
+  } catch (error) {
+    console.error('Unfollow user error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('users.serverErrorFollowing')
+    });
+  }
+};
+
+// @desc    Get a user's followers, newest first
+// @route   GET /api/users/:username/followers
+// @access  Public
+exports.getFollowers = async (req, res) => {
+  try {
+    await listFollows(req, res, 'followers');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: req.t('users.serverErrorFetchingFollows')
+    });
+  }
+};
+
+// @desc    Get the users a user follows, newest first
+// @route   GET /api/users/:username/following
+// @access  Public
+exports.getFollowing = async (req, res) => {
+  try {
+    await listFollows(req, res, 'following');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: req.t('users.serverErrorFetchingFollows')
+    });
+  }
+};
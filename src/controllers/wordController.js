@@ -1,70 +1,316 @@
 const Word = require('../models/Word');
+const WordReview = require('../models/WordReview');
+const WordQuizStat = require('../models/WordQuizStat');
+const UserWord = require('../models/UserWord');
+const Deck = require('../models/Deck');
+const Generation = require('../models/Generation');
+const mongoose = require('mongoose');
 const Joi = require('joi');
-const { processWord } = require('../utils/wordUtils');
+const { processWord, getWordNetSenses, normalizeWord, isValidWord, WORD_PATTERN, MAX_PHRASE_WORDS } = require('../utils/wordUtils');
+const reviewService = require('../services/reviewService');
+const deckService = require('../services/deckService');
+const quizService = require('../services/quizService');
+const wordImportService = require('../services/wordImportService');
+const { MAX_GRADE } = require('../utils/spacedRepetition');
+const { formatDateToUTC8 } = require('../utils/timeUtils');
+const { EXPORT_FORMATS } = require('../utils/exportUtils');
+const { CEFR_LEVELS } = require('../utils/wordFrequency');
+const { IMPORT_FORMATS, parseImport } = require('../utils/importUtils');
+
+// Fields of the user's own entry for a word (see models/UserWord)
+const ENTRY_FIELDS = ['definition', 'chineseGloss', 'note', 'mnemonic', 'tags', 'source', 'addedAs'];
+
+const entryFields = {
+  definition: Joi.string().trim().max(1000).allow(''),
+  chineseGloss: Joi.string().trim().max(500).allow(''),
+  note: Joi.string().trim().max(2000).allow(''),
+  mnemonic: Joi.string().trim().max(500).allow(''),
+  tags: Joi.array().items(Joi.string().trim().lowercase().min(1).max(30).pattern(/^[^,]+$/)).max(20).unique(),
+  source: Joi.string().trim().max(200).allow('')
+};
 
 // Validation schemas
 const addWordSchema = Joi.object({
-  word: Joi.string().min(1).max(50).pattern(/^[a-zA-Z\-']+$/).required(),
-  forceAdd: Joi.boolean().default(false)
+  // A word or a phrase such as "take off"
+  word: Joi.string().trim().replace(/\s+/g, ' ').min(1).max(50).pattern(WORD_PATTERN)
+    .custom((value, helpers) => (isValidWord(value) ? value : helpers.message(`"word" can have at most ${MAX_PHRASE_WORDS} words`)))
+    .required(),
+  forceAdd: Joi.boolean().default(false),
+  ...entryFields
+});
+
+const updateEntrySchema = Joi.object(entryFields).min(1);
+
+const importSchema = Joi.object({
+  format: Joi.string().valid(...IMPORT_FORMATS).default('text'),
+  content: Joi.string().max(2 * 1024 * 1024).required(),
+  forceAdd: Joi.boolean().default(false),
+  // Added to every imported word
+  tags: entryFields.tags,
+  source: entryFields.source
+});
+
+// Filters and sort order of the user's word list (see getWordListPipeline)
+const wordListFields = {
+  sortBy: Joi.string().valid('recent', 'alphabetical', 'usage', 'updated', 'source').default('recent'),
+  search: Joi.string().trim().allow(''),
+  partOfSpeech: Joi.string(),
+  // Comma-separated; a repeated parameter would arrive as an array
+  tag: Joi.string().allow(''),
+  source: Joi.string().allow(''),
+  hasNote: Joi.string().valid('true', 'false')
+};
+
+const wordListSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  ...wordListFields
 });
 
+const exportSchema = Joi.object({
+  format: Joi.string().valid(...Object.keys(EXPORT_FORMATS)).default('json'),
+  includeExamples: Joi.boolean().default(false),
+  examplesPerWord: Joi.number().integer().min(1).max(10).default(3),
+  ...wordListFields
+});
+
+const dueReviewsSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const reviewSchema = Joi.object({
+  grade: Joi.number().integer().min(0).max(MAX_GRADE).required()
+});
+
+// Add the translated part of speech to a word, without the IDs of the users who saved it
+const formatWord = (req, word) => {
+  const wordObj = word.toObject();
+  if (wordObj.primaryPartOfSpeech) {
+    wordObj.primaryPartOfSpeechTranslated = req.t(`words.${wordObj.primaryPartOfSpeech}`);
+  }
+  delete wordObj.userIds;
+  return wordObj;
+};
+
+// Entry fields returned to the client
+const formatEntry = (entry) => {
+  if (!entry) {
+    return null;
+  }
+  const formatted = typeof entry.toObject === 'function' ? entry.toObject() : UserWord.hydrate(entry).toObject();
+  const result = { createdAt: formatted.createdAt, updatedAt: formatted.updatedAt };
+  ENTRY_FIELDS.forEach(field => {
+    result[field] = formatted[field];
+  });
+  return result;
+};
+
+// Create or update the user's entry for a word with the entry fields present in values
+const saveEntry = (userId, wordId, values) => {
+  const update = {};
+  ENTRY_FIELDS.forEach(field => {
+    if (values[field] !== undefined) {
+      update[field] = values[field];
+    }
+  });
+
+  return UserWord.findOneAndUpdate(
+    { userId, wordId },
+    { $set: update },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Example sentences for a word from the user's own generations, newest first
+const getOwnExamples = async (userId, word, limit) => {
+  const generations = await Generation.find({ userId, words: word })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .select('sentence chineseTranslation createdAt')
+    .lean();
+
+  return generations.map(generation => ({
+    sentence: generation.sentence,
+    chineseTranslation: generation.chineseTranslation,
+    createdAt: formatDateToUTC8(generation.createdAt)
+  }));
+};
+
+// Escape user input for use in a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Review state fields returned to the client
+const formatReview = (review) => {
+  if (!review) {
+    return null;
+  }
+  const { ease, interval, repetitions, lapses, dueAt, reviewCount, lastGrade, lastReviewedAt } = review.toJSON();
+  return { ease, interval, repetitions, lapses, dueAt, reviewCount, lastGrade, lastReviewedAt };
+};
+
+// Quiz result fields returned to the client, with the accuracy in percent
+const formatQuizStat = (quizStat) => {
+  if (!quizStat) {
+    return null;
+  }
+  const { attempts, correct, lastCorrect, lastAnsweredAt } = quizStat.toJSON();
+  return { attempts, correct, accuracy: Math.round(correct / attempts * 100), lastCorrect, lastAnsweredAt };
+};
+
+// Aggregation stages selecting the user's words with their entries, filtered like GET /api/words,
+// and the sort order for sortBy
+const getWordListPipeline = (userId, { sortBy = 'recent', search, partOfSpeech, tag, source, hasNote }) => {
+  // Build query - find words where user is in userIds array
+  const query = { userIds: userId };
+
+  // Add part of speech filter if provided
+  if (partOfSpeech && partOfSpeech !== 'all') {
+    query.primaryPartOfSpeech = partOfSpeech;
+  }
+
+  // Filters on the word and the user's own entry
+  const entryQuery = {};
+
+  // Search the word and the user's definition, gloss, note and mnemonic
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+    entryQuery.$or = [
+      { word: pattern },
+      { forms: pattern },
+      ...['definition', 'chineseGloss', 'note', 'mnemonic'].map(field => ({ [`entry.${field}`]: pattern }))
+    ];
+  }
+
+  // Words with all of the given tags (comma-separated)
+  if (tag) {
+    const tags = tag.split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+    if (tags.length > 0) {
+      entryQuery['entry.tags'] = { $all: tags };
+    }
+  }
+
+  if (source) {
+    entryQuery['entry.source'] = new RegExp(escapeRegex(source.trim()), 'i');
+  }
+
+  if (hasNote === 'true') {
+    entryQuery['entry.note'] = { $nin: [null, ''] };
+  } else if (hasNote === 'false') {
+    entryQuery['entry.note'] = { $in: [null, ''] };
+  }
+
+  // Build sort criteria
+  // addedAt is when the user added the word (words added before entries existed use the word's creation time)
+  let sortCriteria;
+  switch (sortBy) {
+    case 'alphabetical':
+      sortCriteria = { word: 1 };
+      break;
+    case 'usage':
+      sortCriteria = { usageCount: -1, addedAt: -1 };
+      break;
+    case 'updated':
+      sortCriteria = { 'entry.updatedAt': -1, addedAt: -1 };
+      break;
+    case 'source':
+      sortCriteria = { 'entry.source': 1, word: 1 };
+      break;
+    default:
+      sortCriteria = { addedAt: -1 };
+  }
+
+  return {
+    stages: [
+      { $match: query },
+      { $project: { senses: 0, sensesProcessedAt: 0 } },
+      {
+        $lookup: {
+          from: UserWord.collection.name,
+          let: { wordId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $and: [{ $eq: ['$wordId', '$$wordId'] }, { $eq: ['$userId', userId] }] } } }
+          ],
+          as: 'entry'
+        }
+      },
+      { $set: { entry: { $arrayElemAt: ['$entry', 0] } } },
+      { $set: { addedAt: { $ifNull: ['$entry.createdAt', '$createdAt'] } } },
+      { $match: entryQuery }
+    ],
+    sort: { ...sortCriteria, _id: 1 }
+  };
+};
+
+// Format a word from getWordListPipeline with its translated part of speech and the user's entry
+const formatListWord = (req, { entry, addedAt, ...word }) => {
+  const wordObj = Word.hydrate(word).toObject();
+  if (wordObj.primaryPartOfSpeech) {
+    wordObj.primaryPartOfSpeechTranslated = req.t(`words.${wordObj.primaryPartOfSpeech}`);
+  }
+  wordObj.entry = formatEntry(entry);
+  wordObj.addedAt = formatDateToUTC8(addedAt);
+  return wordObj;
+};
+
+// Write a chunk to a streamed response, waiting while the client catches up
+const writeChunk = (res, chunk) => {
+  if (!chunk || res.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+};
+
 // @desc    Get user's words
 // @route   GET /api/words
 // @access  Private
 exports.getUserWords = async (req, res) => {
   try {
-    const { page = 1, limit = 50, sortBy = 'recent', search, partOfSpeech } = req.query;
+    const { error, value } = wordListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { page, limit } = value;
     const skip = (page - 1) * limit;
+    const { stages, sort } = getWordListPipeline(new mongoose.Types.ObjectId(req.user.id), value);
 
-    // Build query - find words where user is in userIds array
-    const query = { userIds: req.user.id };
-    
-    // Add search filter if provided
-    if (search) {
-      query.word = { $regex: search.trim(), $options: 'i' };
-    }
-
-    // Add part of speech filter if provided
-    if (partOfSpeech && partOfSpeech !== 'all') {
-      query.primaryPartOfSpeech = partOfSpeech;
-    }
-
-    // Build sort criteria
-    let sortCriteria;
-    switch (sortBy) {
-      case 'alphabetical':
-        sortCriteria = { word: 1 };
-        break;
-      case 'usage':
-        sortCriteria = { usageCount: -1, createdAt: -1 };
-        break;
-      default:
-        sortCriteria = { createdAt: -1 };
-    }
-
-    // Get words with pagination
-    const words = await Word.find(query)
-      .sort(sortCriteria)
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    // Add translated part of speech to each word
-    const wordsWithTranslation = words.map(word => {
-      const wordObj = word.toObject();
-      if (wordObj.primaryPartOfSpeech) {
-        wordObj.primaryPartOfSpeechTranslated = req.t(`words.${wordObj.primaryPartOfSpeech}`);
+    // Get words with the user's entries and pagination
+    const [result] = await Word.aggregate([
+      ...stages,
+      {
+        $facet: {
+          words: [
+            { $sort: sort },
+            { $skip: skip },
+            { $limit: limit }
+          ],
+          total: [{ $count: 'count' }]
+        }
       }
-      return wordObj;
-    });
+    ]);
+
+    // Add translated part of speech and the user's entry to each word
+    const wordsWithTranslation = result.words.map(word => formatListWord(req, word));
 
     // Get total count for pagination
-    const total = await Word.countDocuments(query);
+    const total = result.total[0]?.count || 0;
 
     res.status(200).json({
       success: true,
       words: wordsWithTranslation,
       pagination: {
-        current: parseInt(page),
+        current: page,
         total: Math.ceil(total / limit),
         hasNext: skip + wordsWithTranslation.length < total,
         totalWords: total
@@ -84,7 +330,7 @@ exports.getUserWords = async (req, res) => {
 exports.addWord = async (req, res) => {
   try {
     // Validate input
-    const { error } = addWordSchema.validate(req.body);
+    const { error, value } = addWordSchema.validate(req.body);
     if (error) {
       return res.status(400).json({
         success: false,
@@ -92,40 +338,33 @@ exports.addWord = async (req, res) => {
       });
     }
 
-    const { word, forceAdd } = req.body;
-    const cleanWord = word.toLowerCase().trim();
+    const { word, forceAdd } = value;
+    const cleanWord = normalizeWord(word);
 
-    let wordProcessing;
-    
-    if (forceAdd) {
-      // Skip spelling check and only get WordNet data
-      const wordNetData = await require('../utils/wordUtils').getWordNetData(cleanWord);
-      wordProcessing = {
-        success: true,
-        word: cleanWord,
-        ...wordNetData
-      };
-    } else {
-      // Process word (spell check and WordNet lookup)
-      wordProcessing = await processWord(cleanWord);
-      
-      if (!wordProcessing.success) {
-        // Return spelling suggestions with 200 status (not an error, just needs user confirmation)
-        return res.status(200).json({
-          success: false,
-          needsConfirmation: true,
-          spellingError: true,
-          message: req.t('words.spellingError'),
-          suggestions: wordProcessing.suggestions || [],
-          originalWord: wordProcessing.word,
-          suggestedCorrection: wordProcessing.suggestions && wordProcessing.suggestions.length > 0 ? wordProcessing.suggestions[0] : null
-        });
-      }
+    // Process word (spell check unless forced, lemma and WordNet lookup)
+    const wordProcessing = await processWord(cleanWord, { skipSpellCheck: forceAdd });
+
+    if (!wordProcessing.success) {
+      // Return spelling suggestions with 200 status (not an error, just needs user confirmation)
+      return res.status(200).json({
+        success: false,
+        needsConfirmation: true,
+        spellingError: true,
+        message: req.t('words.spellingError'),
+        suggestions: wordProcessing.suggestions || [],
+        originalWord: wordProcessing.word,
+        suggestedCorrection: wordProcessing.suggestions && wordProcessing.suggestions.length > 0 ? wordProcessing.suggestions[0] : null
+      });
     }
 
+    // Words are saved as their lemma; the form the user typed is remembered on the word and their entry
+    const lemma = wordProcessing.word;
+    const entryValues = { ...value, addedAs: cleanWord };
+    const forms = cleanWord !== lemma ? [cleanWord] : [];
+
     // Check if word already exists
     const existingWord = await Word.findOne({
-      word: cleanWord
+      word: lemma
     });
 
     if (existingWord) {
@@ -139,13 +378,16 @@ exports.addWord = async (req, res) => {
 
       // Add user to existing word
       existingWord.userIds.push(req.user.id);
+      forms.forEach(form => existingWord.forms.addToSet(form));
       await existingWord.save();
+      const entry = await saveEntry(req.user.id, existingWord._id, entryValues);
 
       // Add translated part of speech
       const wordObj = existingWord.toObject();
       if (wordObj.primaryPartOfSpeech) {
         wordObj.primaryPartOfSpeechTranslated = req.t(`words.${wordObj.primaryPartOfSpeech}`);
       }
+      wordObj.entry = formatEntry(entry);
 
       res.status(201).json({
         success: true,
@@ -154,19 +396,22 @@ exports.addWord = async (req, res) => {
     } else {
       // Create new word with WordNet data
       const newWord = await Word.create({
-        word: cleanWord,
+        word: lemma,
+        forms,
         userIds: [req.user.id],
         definitions: wordProcessing.definitions || [],
         primaryDefinition: wordProcessing.primaryDefinition,
         primaryPartOfSpeech: wordProcessing.primaryPartOfSpeech,
         wordNetProcessed: wordProcessing.wordNetProcessed
       });
+      const entry = await saveEntry(req.user.id, newWord._id, entryValues);
 
       // Add translated part of speech
       const wordObj = newWord.toObject();
       if (wordObj.primaryPartOfSpeech) {
         wordObj.primaryPartOfSpeechTranslated = req.t(`words.${wordObj.primaryPartOfSpeech}`);
       }
+      wordObj.entry = formatEntry(entry);
 
       res.status(201).json({
         success: true,
@@ -188,6 +433,156 @@ exports.addWord = async (req, res) => {
   }
 };
 
+// @desc    Get a word with its WordNet senses grouped by part of speech and the user's entry
+// @route   GET /api/words/:id
+// @access  Private
+exports.getWord = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('common.badRequest')
+      });
+    }
+
+    const word = await Word.findOne({ _id: id, userIds: req.user.id }).select('+senses +sensesProcessedAt');
+    if (!word) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('words.wordNotFound')
+      });
+    }
+
+    // Look the senses up once and keep them on the word
+    if (!word.sensesProcessedAt) {
+      const { senses, wordNetProcessed } = await getWordNetSenses(word.word);
+      if (wordNetProcessed) {
+        word.senses = senses;
+        word.sensesProcessedAt = new Date();
+        await Word.updateOne({ _id: word._id }, { $set: { senses, sensesProcessedAt: word.sensesProcessedAt } });
+      }
+    }
+
+    const [entry, review, quizStat] = await Promise.all([
+      UserWord.findOne({ userId: req.user.id, wordId: word._id }),
+      WordReview.findOne({ userId: req.user.id, wordId: word._id }),
+      WordQuizStat.findOne({ userId: req.user.id, wordId: word._id })
+    ]);
+
+    const wordObj = formatWord(req, word);
+    delete wordObj.senses;
+    delete wordObj.sensesProcessedAt;
+    wordObj.entry = formatEntry(entry);
+    wordObj.review = formatReview(review);
+    wordObj.quiz = formatQuizStat(quizStat);
+
+    // Senses grouped by part of speech, in WordNet order
+    const groups = [];
+    (word.senses || []).forEach(sense => {
+      let group = groups.find(entry => entry.partOfSpeech === sense.partOfSpeech);
+      if (!group) {
+        group = {
+          partOfSpeech: sense.partOfSpeech,
+          partOfSpeechTranslated: req.t(`words.${sense.partOfSpeech}`),
+          senses: []
+        };
+        groups.push(group);
+      }
+      const { partOfSpeech, ...fields } = sense.toObject();
+      group.senses.push(fields);
+    });
+    wordObj.senses = groups;
+
+    res.status(200).json({
+      success: true,
+      word: wordObj
+    });
+  } catch (error) {
+    console.error('Get word error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('words.serverErrorFetchingWords')
+    });
+  }
+};
+
+// @desc    Update the user's notes, tags, definition, gloss and source for a word
+// @route   PUT /api/words/:id
+// @access  Private
+exports.updateWordEntry = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('common.badRequest')
+      });
+    }
+
+    const { error, value } = updateEntrySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const word = await Word.findOne({ _id: id, userIds: req.user.id });
+    if (!word) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('words.wordNotFound')
+      });
+    }
+
+    const entry = await saveEntry(req.user.id, word._id, value);
+
+    const wordObj = word.toObject();
+    if (wordObj.primaryPartOfSpeech) {
+      wordObj.primaryPartOfSpeechTranslated = req.t(`words.${wordObj.primaryPartOfSpeech}`);
+    }
+    wordObj.entry = formatEntry(entry);
+
+    res.status(200).json({
+      success: true,
+      word: wordObj
+    });
+  } catch (error) {
+    console.error('Update word entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('words.serverErrorUpdatingWord')
+    });
+  }
+};
+
+// @desc    Get the tags the user has given their words, with the number of words per tag
+// @route   GET /api/words/tags
+// @access  Private
+exports.getWordTags = async (req, res) => {
+  try {
+    const tags = await UserWord.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(req.user.id) } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      tags: tags.map(entry => ({ tag: entry._id, count: entry.count }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: req.t('words.serverErrorGettingTags')
+    });
+  }
+};
+
 // @desc    Delete word
 // @route   DELETE /api/words/:id
 // @access  Private
@@ -205,8 +600,15 @@ exports.deleteWord = async (req, res) => {
       });
     }
 
-    // If only one user has this word, delete the entire word
-    if (word.userIds.length === 1) {
+    // The user's entry, review state and quiz results go with the word
+    await Promise.all([
+      UserWord.deleteOne({ userId: req.user.id, wordId: word._id }),
+      WordReview.deleteOne({ userId: req.user.id, wordId: word._id }),
+      WordQuizStat.deleteOne({ userId: req.user.id, wordId: word._id })
+    ]);
+
+    // If only one user has this word and no deck has it, delete the entire word
+    if (word.userIds.length === 1 && !(await Deck.exists({ wordIds: word._id }))) {
       await Word.findByIdAndDelete(req.params.id);
     } else {
       // Remove user from userIds array
@@ -249,13 +651,32 @@ exports.getWordStats = async (req, res) => {
       { $sort: { count: -1 } }
     ]);
 
+    // Get estimated CEFR level distribution, every level in order; words saved before ranking have no level
+    const levelCounts = await Word.aggregate([
+      { $match: { userIds: new mongoose.Types.ObjectId(req.user.id) } },
+      { $group: { _id: '$level', count: { $sum: 1 } } }
+    ]);
+    const levelDistribution = CEFR_LEVELS.map(level => ({
+      level,
+      count: levelCounts.find(entry => entry._id === level)?.count || 0
+    }));
+    const unrankedWords = levelCounts
+      .filter(entry => !CEFR_LEVELS.includes(entry._id))
+      .reduce((sum, entry) => sum + entry.count, 0);
+
+    // Quiz results with the words answered least accurately
+    const quiz = await quizService.getStats(req.user.id);
+
     res.status(200).json({
       success: true,
       stats: {
         totalWords,
         totalUsage: totalUsage[0]?.totalUsage || 0,
         mostUsedWords,
-        partOfSpeechStats
+        partOfSpeechStats,
+        levelDistribution,
+        unrankedWords,
+        quiz
       }
     });
   } catch (error) {
@@ -266,39 +687,156 @@ exports.getWordStats = async (req, res) => {
   }
 };
 
-// @desc    Export user's words
+// @desc    Export user's words as JSON, CSV, TSV or an Anki import file
 // @route   GET /api/words/export
 // @access  Private
 exports.exportWords = async (req, res) => {
   try {
-    const words = await Word.find({ userIds: req.user.id })
-      .sort({ createdAt: -1 })
-      .select('-userIds -__v');
+    const { error, value } = exportSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
 
-    // Add translated part of speech to each word
-    const wordsWithTranslation = words.map(word => {
-      const wordObj = word.toObject();
-      if (wordObj.primaryPartOfSpeech) {
-        wordObj.primaryPartOfSpeechTranslated = req.t(`words.${wordObj.primaryPartOfSpeech}`);
+    const userId = new mongoose.Types.ObjectId(req.user.id);
+    const format = EXPORT_FORMATS[value.format];
+    const { stages, sort } = getWordListPipeline(userId, value);
+
+    // Stream the words from a cursor so large collections are never held in memory
+    const cursor = Word.aggregate([...stages, { $sort: sort }, { $project: { userIds: 0, __v: 0 } }]).cursor();
+
+    const exportDate = new Date();
+    const filename = `words-${formatDateToUTC8(exportDate).slice(0, 10)}.${format.extension}`;
+    res.status(200);
+    res.setHeader('Content-Type', format.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    let count = 0;
+    try {
+      await writeChunk(res, format.start({ exportDate: exportDate.toISOString() }));
+
+      for await (const doc of cursor) {
+        // Stop when the client has gone away
+        if (res.destroyed) {
+          break;
+        }
+
+        const word = formatListWord(req, doc);
+        if (value.includeExamples) {
+          word.examples = await getOwnExamples(userId, word.word, value.examplesPerWord);
+        }
+
+        await writeChunk(res, format.row(word, count));
+        count++;
       }
-      return wordObj;
+
+      res.end(format.end(count));
+    } catch (streamError) {
+      // The headers are already sent, so the only way to report the failure is to cut the download short
+      console.error('Export words error:', streamError);
+      res.destroy(streamError);
+    } finally {
+      await cursor.close().catch(() => {});
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: req.t('words.serverErrorExportingWords')
     });
+  }
+};
+
+// @desc    Import words from a text, CSV or Anki file
+// @route   POST /api/words/import
+// @access  Private
+exports.importWords = async (req, res) => {
+  try {
+    const { error, value } = importSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const items = parseImport(value.format, value.content);
+    if (items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('words.importEmpty')
+      });
+    }
+    if (items.length > wordImportService.maxImportWords) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('words.importTooLarge', { max: wordImportService.maxImportWords })
+      });
+    }
+
+    if (await wordImportService.hasActiveImport(req.user.id)) {
+      return res.status(409).json({
+        success: false,
+        message: req.t('words.importInProgress')
+      });
+    }
+
+    const job = await wordImportService.startImport(req.user.id, value.format, items, {
+      forceAdd: value.forceAdd,
+      tags: value.tags,
+      source: value.source
+    });
+
+    // Small imports are done; larger ones continue in the background
+    res.status(job.status === 'queued' ? 202 : 201).json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    console.error('Import words error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('words.serverErrorImportingWords')
+    });
+  }
+};
+
+// @desc    Get the status and report of a word import
+// @route   GET /api/words/imports/:id
+// @access  Private
+exports.getImportJob = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('common.badRequest')
+      });
+    }
+
+    const job = await wordImportService.getImport(req.user.id, id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('words.importNotFound')
+      });
+    }
 
     res.status(200).json({
       success: true,
-      words: wordsWithTranslation,
-      exportDate: new Date().toISOString(),
-      totalCount: wordsWithTranslation.length
+      job
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: req.t('words.serverErrorExportingWords')
+      message: req.t('words.serverErrorImportingWords')
     });
   }
 };
 
-// @desc    Get random words from global collection
+// @desc    Get random words from global collection or from a deck
 // @route   GET /api/words/random
 // @access  Private
 exports.getRandomWords = async (req, res) => {
@@ -307,8 +845,19 @@ exports.getRandomWords = async (req, res) => {
     const randomWordsValidationSchema = Joi.object({
       count: Joi.number().integer().min(1).max(500).default(5),
       excludeUserWords: Joi.boolean().default(false),
-      partOfSpeech: Joi.string().valid('noun', 'verb', 'adjective', 'adverb', 'preposition', 'conjunction', 'interjection', 'pronoun', 'determiner', 'adjective satellite')
-    });
+      partOfSpeech: Joi.string().valid('noun', 'verb', 'adjective', 'adverb', 'preposition', 'conjunction', 'interjection', 'pronoun', 'determiner', 'adjective satellite'),
+      // Draw from one of the user's decks, a public deck or a built-in deck
+      deckId: Joi.string(),
+      // Estimated CEFR levels (level=A1&level=A2) and frequency rank bounds (1 = most frequent word,
+      // so maxFrequency=1000 keeps the 1000 most frequent words)
+      level: Joi.array().items(Joi.string().valid(...CEFR_LEVELS)).single(),
+      minFrequency: Joi.number().integer().min(1),
+      maxFrequency: Joi.number().integer().min(1)
+        .when('minFrequency', { is: Joi.exist(), then: Joi.number().min(Joi.ref('minFrequency')) })
+    })
+      // minRank and maxRank name the same rank bounds
+      .rename('minRank', 'minFrequency', { ignoreUndefined: true })
+      .rename('maxRank', 'maxFrequency', { ignoreUndefined: true });
 
     const { error, value } = randomWordsValidationSchema.validate(req.query);
     if (error) {
@@ -318,13 +867,38 @@ exports.getRandomWords = async (req, res) => {
       });
     }
 
-    const { count, excludeUserWords, partOfSpeech } = value;
+    const { count, excludeUserWords, partOfSpeech, deckId, level, minFrequency, maxFrequency } = value;
+
+    // Words to draw from: the whole collection or the words of a deck, at the requested levels and frequency ranks
+    const scope = {};
+    if (level) {
+      scope.level = { $in: level };
+    }
+    if (minFrequency || maxFrequency) {
+      scope.frequencyRank = {};
+      if (minFrequency) {
+        scope.frequencyRank.$gte = minFrequency;
+      }
+      if (maxFrequency) {
+        scope.frequencyRank.$lte = maxFrequency;
+      }
+    }
+    if (deckId) {
+      const deck = await deckService.findAccessibleDeck(req.user.id, deckId);
+      if (!deck) {
+        return res.status(404).json({
+          success: false,
+          message: req.t('decks.deckNotFound')
+        });
+      }
+      scope._id = { $in: deck.wordIds };
+    }
 
     // Build aggregation pipeline for random word selection
     let aggregationPipeline = [];
 
     // Build match criteria
-    let matchCriteria = {};
+    let matchCriteria = { ...scope };
 
     // If excludeUserWords is true, exclude words that the user already has
     if (excludeUserWords) {
@@ -353,7 +927,9 @@ exports.getRandomWords = async (req, res) => {
         word: 1,
         primaryDefinition: 1,
         primaryPartOfSpeech: 1,
-        usageCount: 1
+        usageCount: 1,
+        level: 1,
+        frequencyRank: 1
       }
     });
 
@@ -364,6 +940,7 @@ exports.getRandomWords = async (req, res) => {
     if (randomWords.length < count && excludeUserWords) {
       // Fallback: get random words from all words if not enough unique words
       const fallbackPipeline = [
+        { $match: scope },
         { $sample: { size: count } },
         {
           $project: {
@@ -371,7 +948,9 @@ exports.getRandomWords = async (req, res) => {
             word: 1,
             primaryDefinition: 1,
             primaryPartOfSpeech: 1,
-            usageCount: 1
+            usageCount: 1,
+            level: 1,
+            frequencyRank: 1
           }
         }
       ];
@@ -392,10 +971,11 @@ exports.getRandomWords = async (req, res) => {
     let totalAvailable;
     if (excludeUserWords) {
       totalAvailable = await Word.countDocuments({
+        ...scope,
         userIds: { $ne: req.user.id }
       });
     } else {
-      totalAvailable = await Word.countDocuments({});
+      totalAvailable = await Word.countDocuments(scope);
     }
 
     if (randomWords.length === 0) {
@@ -414,7 +994,9 @@ exports.getRandomWords = async (req, res) => {
       definition: word.primaryDefinition || '',
       partOfSpeech: word.primaryPartOfSpeech || '',
       partOfSpeechTranslated: word.primaryPartOfSpeech ? req.t(`words.${word.primaryPartOfSpeech}`) : '',
-      usageCount: word.usageCount || 0
+      usageCount: word.usageCount || 0,
+      level: word.level || null,
+      frequencyRank: word.frequencyRank || null
     }));
 
     res.status(200).json({
@@ -461,4 +1043,100 @@ exports.getPartsOfSpeech = async (req, res) => {
       message: req.t('words.serverErrorGettingPartsOfSpeech')
     });
   }
+};
+
+// @desc    Get the words to review now (due reviews, then new words, within the daily limits)
+// @route   GET /api/words/reviews/due
+// @access  Private
+exports.getDueReviews = async (req, res) => {
+  try {
+    const { error, value } = dueReviewsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const queue = await reviewService.getDueQueue(req.user, value.limit);
+
+    res.status(200).json({
+      success: true,
+      cards: queue.cards.map(card => ({
+        word: formatWord(req, card.word),
+        review: formatReview(card.review),
+        isNew: card.isNew,
+        examples: card.examples
+      })),
+      counts: queue.counts,
+      limits: queue.limits,
+      resetsAt: queue.resetsAt
+    });
+  } catch (error) {
+    console.error('Due reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('words.serverErrorFetchingReviews')
+    });
+  }
+};
+
+// @desc    Record a review of a word with a recall grade (0-5) and schedule the next review
+// @route   POST /api/words/:id/review
+// @access  Private
+exports.reviewWord = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('common.badRequest')
+      });
+    }
+
+    const { error, value } = reviewSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const word = await Word.findOne({ _id: id, userIds: req.user.id });
+    if (!word) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('words.wordNotFound')
+      });
+    }
+
+    const { review, limitReached, limit, resetsAt } = await reviewService.recordReview(req.user, word, value.grade);
+
+    // Daily limit used up: 429 with Retry-After until the next UTC+8 day
+    if (limitReached) {
+      res.set('Retry-After', String(Math.max(1, Math.ceil((resetsAt.getTime() - Date.now()) / 1000))));
+      return res.status(429).json({
+        success: false,
+        message: req.t(limitReached === 'dailyNewWords' ? 'words.dailyNewWordLimitReached' : 'words.dailyReviewLimitReached', {
+          limit,
+          resetsAt: formatDateToUTC8(resetsAt)
+        }),
+        limitReached,
+        resetsAt: formatDateToUTC8(resetsAt)
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      word: formatWord(req, word),
+      review: formatReview(review)
+    });
+  } catch (error) {
+    console.error('Review word error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('words.serverErrorRecordingReview')
+    });
+  }
 }; 
\ No newline at end of file
@@ -70,4 +70,16 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, optionalAuth }; 
\ No newline at end of file
+// Moderator-only routes; use after auth
+const moderator = (req, res, next) => {
+  if (!req.user || req.user.role !== 'moderator') {
+    return res.status(403).json({
+      success: false,
+      message: req.t ? req.t('moderation.moderatorOnly') : 'Only moderators can access this'
+    });
+  }
+
+  next();
+};
+
+module.exports = { auth, optionalAuth, moderator }; 
\ No newline at end of file
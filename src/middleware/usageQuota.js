@@ -0,0 +1,42 @@
+const usageService = require('../services/usageService');
+const { formatDateToUTC8 } = require('../utils/timeUtils');
+
+// Reject AI requests from platform-key users whose daily or monthly token quota is used up
+// Daily quota: 429 with Retry-After; monthly quota: 402 (use your own API key or wait for next month)
+// Must run after auth
+const checkUsageQuota = async (req, res, next) => {
+  try {
+    const { exceeded } = await usageService.checkQuota(req.user);
+
+    if (!exceeded) {
+      return next();
+    }
+
+    const isMonthly = exceeded.period === 'month';
+    if (!isMonthly) {
+      res.set('Retry-After', String(Math.max(1, Math.ceil((exceeded.resetsAt.getTime() - Date.now()) / 1000))));
+    }
+
+    const resetsAt = formatDateToUTC8(exceeded.resetsAt);
+
+    return res.status(isMonthly ? 402 : 429).json({
+      success: false,
+      message: req.t(isMonthly ? 'usage.monthlyQuotaExceeded' : 'usage.dailyQuotaExceeded', {
+        limit: exceeded.limit,
+        resetsAt
+      }),
+      quota: {
+        period: exceeded.period,
+        limit: exceeded.limit,
+        used: exceeded.platformTokens,
+        resetsAt
+      }
+    });
+  } catch (error) {
+    // Do not block AI requests because usage could not be read
+    console.error('Error checking AI usage quota:', error.message);
+    next();
+  }
+};
+
+module.exports = { checkUsageQuota };
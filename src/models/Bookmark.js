@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const {formatDateToUTC8} = require("../utils/timeUtils");
+
+// A user's bookmark of a public generation or sentence check (see services/bookmarkService)
+// Bookmarks are kept when the content is made private or deleted, and are then shown as tombstones
+const bookmarkSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['Generation', 'SentenceCheck'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  },
+  // Collection the bookmark is in; null for bookmarks not in a collection
+  collectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookmarkCollection',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      ['createdAt', 'updatedAt'].forEach(field => {
+        if (ret[field]) {
+          ret[field] = formatDateToUTC8(ret[field]);
+        }
+      });
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      ['createdAt', 'updatedAt'].forEach(field => {
+        if (ret[field]) {
+          ret[field] = formatDateToUTC8(ret[field]);
+        }
+      });
+      return ret;
+    }
+  }
+});
+
+// Content is bookmarked once per user
+bookmarkSchema.index({ userId: 1, targetId: 1 }, { unique: true });
+// Bookmarks feed, all or by collection, newest first
+bookmarkSchema.index({ userId: 1, collectionId: 1, createdAt: -1 });
+bookmarkSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
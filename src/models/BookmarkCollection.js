@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const {formatDateToUTC8} = require("../utils/timeUtils");
+
+// A named, private group of a user's bookmarks; may mix generations and sentence checks (see models/Bookmark)
+const bookmarkCollectionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      ['createdAt', 'updatedAt'].forEach(field => {
+        if (ret[field]) {
+          ret[field] = formatDateToUTC8(ret[field]);
+        }
+      });
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      ['createdAt', 'updatedAt'].forEach(field => {
+        if (ret[field]) {
+          ret[field] = formatDateToUTC8(ret[field]);
+        }
+      });
+      return ret;
+    }
+  }
+});
+
+// Collection names are unique per user
+bookmarkCollectionSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('BookmarkCollection', bookmarkCollectionSchema);
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const {formatDateToUTC8} = require("../utils/timeUtils");
+
+// A comment on a public generation or sentence check (see services/commentService)
+// Comments have one level of replies: a reply to a reply joins the same thread and names the comment it answers
+const commentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['Generation', 'SentenceCheck'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  },
+  // Top-level comment of the thread; not set for top-level comments
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  // Comment the reply answers (the top-level comment or another reply in the thread)
+  replyToId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  replyToUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  content: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  // Top-level comments deleted while they had replies stay as placeholders without content
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  // Hidden by a moderator or by reaching the report threshold (see services/moderationService)
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: {
+    type: Date
+  },
+  likes: [{
+    _id: false,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  likeCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Replies not deleted (top-level comments only)
+  replyCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      ['editedAt', 'createdAt', 'updatedAt'].forEach(field => {
+        if (ret[field]) {
+          ret[field] = formatDateToUTC8(ret[field]);
+        }
+      });
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      ['editedAt', 'createdAt', 'updatedAt'].forEach(field => {
+        if (ret[field]) {
+          ret[field] = formatDateToUTC8(ret[field]);
+        }
+      });
+      return ret;
+    }
+  }
+});
+
+// Indexes for the comments of a target and the replies of a comment
+commentSchema.index({ targetId: 1, parentId: 1, createdAt: -1 });
+commentSchema.index({ targetId: 1, parentId: 1, likeCount: -1, createdAt: -1 });
+commentSchema.index({ parentId: 1, createdAt: 1 });
+commentSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
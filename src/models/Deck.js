@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const {formatDateToUTC8} = require("../utils/timeUtils");
+
+// A named word list: a user's own deck or a built-in list (e.g. CET-4) seeded from src/data/decks
+// Decks point to the shared Word documents, so words in a deck need not be in anyone's vocabulary
+const deckSchema = new mongoose.Schema({
+  // Owner; built-in decks have none
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  // Public decks can be viewed, drawn from and cloned by everyone
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+  // Name of the file in src/data/decks a built-in deck was seeded from (e.g. 'cet4')
+  builtInKey: {
+    type: String
+  },
+  wordIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Word'
+  }],
+  // Kept in step with wordIds on save, so deck lists do not need to load the words
+  wordCount: {
+    type: Number,
+    default: 0
+  },
+  // The deck this one was cloned from, and how many times this one has been cloned
+  clonedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deck'
+  },
+  cloneCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      if (ret.createdAt) {
+        ret.createdAt = formatDateToUTC8(ret.createdAt);
+      }
+      if (ret.updatedAt) {
+        ret.updatedAt = formatDateToUTC8(ret.updatedAt);
+      }
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      if (ret.createdAt) {
+        ret.createdAt = formatDateToUTC8(ret.createdAt);
+      }
+      if (ret.updatedAt) {
+        ret.updatedAt = formatDateToUTC8(ret.updatedAt);
+      }
+      return ret;
+    }
+  }
+});
+
+deckSchema.pre('save', function(next) {
+  this.wordCount = this.wordIds.length;
+  next();
+});
+
+// One deck per built-in list
+deckSchema.index({ builtInKey: 1 }, { unique: true, sparse: true });
+
+// Index for better query performance
+deckSchema.index({ userId: 1, updatedAt: -1 });
+deckSchema.index({ isPublic: 1, cloneCount: -1 });
+deckSchema.index({ wordIds: 1 });
+
+module.exports = mongoose.model('Deck', deckSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const {formatDateToUTC8} = require("../utils/timeUtils");
+
+// One user following another (see services/followService)
+const followSchema = new mongoose.Schema({
+  followerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  followingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      ['createdAt', 'updatedAt'].forEach(field => {
+        if (ret[field]) {
+          ret[field] = formatDateToUTC8(ret[field]);
+        }
+      });
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      ['createdAt', 'updatedAt'].forEach(field => {
+        if (ret[field]) {
+          ret[field] = formatDateToUTC8(ret[field]);
+        }
+      });
+      return ret;
+    }
+  }
+});
+
+// A user follows another at most once; the index also serves the following list and feed
+followSchema.index({ followerId: 1, followingId: 1 }, { unique: true });
+// Followers list, newest first
+followSchema.index({ followingId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Follow', followSchema);
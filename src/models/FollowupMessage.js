@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const {formatDateToUTC8} = require("../utils/timeUtils");
+
+// One message of a follow-up thread on a generation or sentence check, ordered by sequence
+// A learner's question and the AI answer are saved together once the answer succeeded
+const followupMessageSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['Generation', 'SentenceCheck'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  },
+  sequence: {
+    type: Number, // 1-based position in the thread
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 30000
+  },
+  // Assistant messages only
+  thinkingText: {
+    type: String,
+    required: false
+  },
+  aiModel: {
+    type: String,
+    required: false
+  },
+  modelSelection: {
+    inputSize: {
+      type: Number,
+      required: false
+    },
+    selectedModel: {
+      type: String,
+      required: false
+    },
+    selectionReason: {
+      type: String,
+      required: false
+    }
+  },
+  usage: {
+    promptTokens: Number,
+    completionTokens: Number, // Includes reasoning tokens
+    reasoningTokens: Number,
+    totalTokens: Number
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      if (ret.createdAt) {
+        ret.createdAt = formatDateToUTC8(ret.createdAt);
+      }
+      if (ret.updatedAt) {
+        ret.updatedAt = formatDateToUTC8(ret.updatedAt);
+      }
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      if (ret.createdAt) {
+        ret.createdAt = formatDateToUTC8(ret.createdAt);
+      }
+      if (ret.updatedAt) {
+        ret.updatedAt = formatDateToUTC8(ret.updatedAt);
+      }
+      return ret;
+    }
+  }
+});
+
+// Keeps the thread order unique, so concurrent questions on one thread cannot interleave
+followupMessageSchema.index({ targetId: 1, sequence: 1 }, { unique: true });
+followupMessageSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('FollowupMessage', followupMessageSchema);
@@ -33,6 +33,31 @@ const generationSchema = new mongoose.Schema({
     trim: true,
     maxlength: 30000 // Chinese translations are typically shorter
   },
+  // Individual grammar points (JSON output mode only)
+  grammarPoints: [{
+    _id: false,
+    text: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    },
+    role: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    },
+    explanation: {
+      type: String,
+      trim: true,
+      maxlength: 5000
+    }
+  }],
+  // Format the AI was asked to answer in: 'text' (section markers) or 'json'
+  outputFormat: {
+    type: String,
+    enum: ['text', 'json'],
+    default: 'text'
+  },
   thinkingText: {
     type: String,
     trim: true,
@@ -63,13 +88,31 @@ const generationSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Comments and replies not deleted (see models/Comment)
+  commentCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Hidden by a moderator or by reaching the report threshold (see services/moderationService);
+  // only the owner still sees it
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
   aiModel: {
     type: String,
     default: 'Qwen/Qwen3-8B' // Updated default to SiliconFlow model
   },
+  // Prompt template version (src/prompts/{type}/{version}); documents from before prompt versioning have '1.0'
   promptVersion: {
     type: String,
-    default: '1.0'
+    default: 'v1'
+  },
+  // Language of the grammar explanation; not set on generations from before it was recorded
+  grammarLanguageOption: {
+    type: String,
+    enum: ['combined', 'pure']
   },
   // Dynamic model selection information
   modelSelection: {
@@ -85,7 +128,57 @@ const generationSchema = new mongoose.Schema({
       type: String, // Reason for model selection (e.g., 'Word count: 5 words')
       required: false
     }
-  }
+  },
+  // AI token usage reported by the provider (all attempts together)
+  usage: {
+    promptTokens: { type: Number, default: 0 },
+    completionTokens: { type: Number, default: 0 }, // Includes reasoning tokens
+    reasoningTokens: { type: Number, default: 0 },
+    totalTokens: { type: Number, default: 0 }
+  },
+  // Every AI attempt made for this generation, including retries, re-prompts and model fallbacks
+  attempts: [{
+    _id: false,
+    attempt: {
+      type: Number, // 1-based attempt number
+      required: true
+    },
+    model: {
+      type: String,
+      required: false
+    },
+    tier: {
+      type: String, // Model tier used for the attempt ('light', 'medium', 'heavy' or 'default')
+      required: false
+    },
+    outcome: {
+      type: String,
+      enum: ['success', 'partialParse', 'invalidFormat', 'circuitOpen', 'error'],
+      required: true
+    },
+    error: {
+      type: String,
+      required: false
+    },
+    durationMs: {
+      type: Number,
+      required: false
+    },
+    retryDelayMs: {
+      type: Number, // Backoff delay before the next attempt
+      required: false
+    },
+    startedAt: {
+      type: Date,
+      required: false
+    },
+    usage: {
+      promptTokens: Number,
+      completionTokens: Number,
+      reasoningTokens: Number,
+      totalTokens: Number
+    }
+  }]
 }, {
   timestamps: true,
   toJSON: {
@@ -105,6 +198,14 @@ const generationSchema = new mongoose.Schema({
           }
         });
       }
+      // Format attempts startedAt
+      if (ret.attempts && Array.isArray(ret.attempts)) {
+        ret.attempts.forEach(attempt => {
+          if (attempt.startedAt) {
+            attempt.startedAt = formatDateToUTC8(attempt.startedAt);
+          }
+        });
+      }
       return ret;
     }
   },
@@ -125,6 +226,14 @@ const generationSchema = new mongoose.Schema({
           }
         });
       }
+      // Format attempts startedAt
+      if (ret.attempts && Array.isArray(ret.attempts)) {
+        ret.attempts.forEach(attempt => {
+          if (attempt.startedAt) {
+            attempt.startedAt = formatDateToUTC8(attempt.startedAt);
+          }
+        });
+      }
       return ret;
     }
   }
@@ -135,6 +244,11 @@ generationSchema.index({ userId: 1, createdAt: -1 });
 generationSchema.index({ isPublic: 1, createdAt: -1 });
 generationSchema.index({ isPublic: 1, likeCount: -1, createdAt: -1 });
 generationSchema.index({ 'likes.userId': 1 });
+// Full-text search (see services/searchService)
+generationSchema.index(
+  { sentence: 'text', explanation: 'text', chineseTranslation: 'text' },
+  { name: 'generation_text', weights: { sentence: 10, chineseTranslation: 3, explanation: 1 } }
+);
 generationSchema.index({ configId: 1 }); // Index for AI configuration tracking
 generationSchema.index({ 'modelSelection.selectedModel': 1 }); // Index for model selection tracking
 
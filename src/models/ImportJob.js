@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const {formatDateToUTC8} = require("../utils/timeUtils");
+
+const IMPORT_STATUSES = ['added', 'noWordNetData', 'alreadyPresent', 'duplicate', 'spellingError', 'invalid', 'error'];
+
+// A bulk word import and its per-line report
+const importJobSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['text', 'csv', 'anki'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  // Number of lines with a word, and how many of them have been imported so far
+  total: {
+    type: Number,
+    default: 0
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  // Number of lines per result status
+  counts: IMPORT_STATUSES.reduce((fields, status) => ({
+    ...fields,
+    [status]: { type: Number, default: 0 }
+  }), {}),
+  results: [{
+    _id: false,
+    line: Number, // line number in the file
+    word: String,
+    lemma: String, // form the word was saved as, when different
+    status: {
+      type: String,
+      enum: IMPORT_STATUSES
+    },
+    suggestions: {
+      type: [String],
+      default: undefined
+    }
+  }],
+  error: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      ['createdAt', 'updatedAt', 'startedAt', 'finishedAt'].forEach(field => {
+        if (ret[field]) {
+          ret[field] = formatDateToUTC8(ret[field]);
+        }
+      });
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      ['createdAt', 'updatedAt', 'startedAt', 'finishedAt'].forEach(field => {
+        if (ret[field]) {
+          ret[field] = formatDateToUTC8(ret[field]);
+        }
+      });
+      return ret;
+    }
+  }
+});
+
+// Index for the user's imports
+importJobSchema.index({ userId: 1, createdAt: -1 });
+
+// Import reports are kept for 30 days
+importJobSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
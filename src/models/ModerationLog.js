@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const {formatDateToUTC8} = require("../utils/timeUtils");
+
+// Audit trail of moderation: one entry per action on reported content (see services/moderationService)
+const moderationLogSchema = new mongoose.Schema({
+  // Moderator who acted; not set when content was hidden automatically
+  moderatorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    enum: ['hide', 'restore', 'delete', 'autoHide'],
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['Generation', 'SentenceCheck', 'Comment'],
+    required: true
+  },
+  // Not populated: deleted content is gone
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Author of the content
+  targetUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  // Open reports resolved or dismissed by the action, or that triggered automatic hiding
+  reportCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      ['createdAt', 'updatedAt'].forEach(field => {
+        if (ret[field]) {
+          ret[field] = formatDateToUTC8(ret[field]);
+        }
+      });
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      ['createdAt', 'updatedAt'].forEach(field => {
+        if (ret[field]) {
+          ret[field] = formatDateToUTC8(ret[field]);
+        }
+      });
+      return ret;
+    }
+  }
+});
+
+moderationLogSchema.index({ createdAt: -1 });
+moderationLogSchema.index({ targetId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ModerationLog', moderationLogSchema);
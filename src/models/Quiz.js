@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const {formatDateToUTC8} = require("../utils/timeUtils");
+
+// A vocabulary quiz built from a user's saved words (see services/quizService)
+// The quiz is also the user's attempt: answers are saved on its questions as they are submitted
+const quizSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  questions: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: ['definition', 'partOfSpeech', 'cloze', 'reverse'],
+      required: true
+    },
+    wordId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Word',
+      required: true
+    },
+    word: {
+      type: String,
+      required: true
+    },
+    // The word, the sentence with the word blanked out, or the Chinese text to find the word for
+    prompt: {
+      type: String,
+      required: true,
+      maxlength: 30000
+    },
+    // Generation the sentence or translation of a cloze or reverse question comes from
+    generationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Generation'
+    },
+    options: [{
+      type: String
+    }],
+    // Index of the correct option
+    answer: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    // Index of the option the user chose
+    response: {
+      type: Number,
+      min: 0
+    },
+    isCorrect: {
+      type: Boolean
+    },
+    answeredAt: {
+      type: Date
+    }
+  }],
+  questionCount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  answeredCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  correctCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['inProgress', 'completed'],
+    default: 'inProgress'
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      ['completedAt', 'createdAt', 'updatedAt'].forEach(field => {
+        if (ret[field]) {
+          ret[field] = formatDateToUTC8(ret[field]);
+        }
+      });
+      if (ret.questions && Array.isArray(ret.questions)) {
+        ret.questions.forEach(question => {
+          if (question.answeredAt) {
+            question.answeredAt = formatDateToUTC8(question.answeredAt);
+          }
+        });
+      }
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      ['completedAt', 'createdAt', 'updatedAt'].forEach(field => {
+        if (ret[field]) {
+          ret[field] = formatDateToUTC8(ret[field]);
+        }
+      });
+      if (ret.questions && Array.isArray(ret.questions)) {
+        ret.questions.forEach(question => {
+          if (question.answeredAt) {
+            question.answeredAt = formatDateToUTC8(question.answeredAt);
+          }
+        });
+      }
+      return ret;
+    }
+  }
+});
+
+// Index for the user's quiz history
+quizSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Quiz', quizSchema);
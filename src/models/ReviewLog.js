@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const {formatDateToUTC8} = require("../utils/timeUtils");
+
+// One record per word review, used for the daily new word and review limits
+const reviewLogSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  wordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Word',
+    required: true
+  },
+  grade: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 5
+  },
+  // First review of the word (counts towards the daily new word limit)
+  isNew: {
+    type: Boolean,
+    default: false
+  },
+  // Scheduled interval in days and ease after the review
+  interval: {
+    type: Number,
+    default: 0
+  },
+  ease: {
+    type: Number
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      if (ret.createdAt) {
+        ret.createdAt = formatDateToUTC8(ret.createdAt);
+      }
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      if (ret.createdAt) {
+        ret.createdAt = formatDateToUTC8(ret.createdAt);
+      }
+      return ret;
+    }
+  }
+});
+
+// Index for counting the user's reviews of the day
+reviewLogSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReviewLog', reviewLogSchema);
@@ -33,6 +33,58 @@ const sentenceCheckSchema = new mongoose.Schema({
     trim: true,
     maxlength: 30000
   },
+  // Typed check results (JSON output mode only)
+  isCorrect: {
+    type: Boolean,
+    required: false
+  },
+  grammarErrors: [{
+    _id: false,
+    original: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    },
+    correction: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    },
+    errorType: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    },
+    explanation: {
+      type: String,
+      trim: true,
+      maxlength: 5000
+    }
+  }],
+  keywords: [{
+    _id: false,
+    word: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    },
+    partOfSpeech: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    },
+    explanation: {
+      type: String,
+      trim: true,
+      maxlength: 5000
+    }
+  }],
+  // Format the AI was asked to answer in: 'text' (section markers) or 'json'
+  outputFormat: {
+    type: String,
+    enum: ['text', 'json'],
+    default: 'text'
+  },
   thinkingText: {
     type: String,
     trim: true,
@@ -63,13 +115,26 @@ const sentenceCheckSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Comments and replies not deleted (see models/Comment)
+  commentCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Hidden by a moderator or by reaching the report threshold (see services/moderationService);
+  // only the owner still sees it
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
   aiModel: {
     type: String,
     default: 'Qwen/Qwen3-8B'
   },
+  // Prompt template version (src/prompts/{type}/{version}); documents from before prompt versioning have '1.0'
   promptVersion: {
     type: String,
-    default: '1.0'
+    default: 'v1'
   },
   grammarLanguageOption: {
     type: String,
@@ -90,6 +155,13 @@ const sentenceCheckSchema = new mongoose.Schema({
       type: String, // Reason for model selection (e.g., 'Sentence length: 150 characters')
       required: false
     }
+  },
+  // AI token usage reported by the provider
+  usage: {
+    promptTokens: { type: Number, default: 0 },
+    completionTokens: { type: Number, default: 0 }, // Includes reasoning tokens
+    reasoningTokens: { type: Number, default: 0 },
+    totalTokens: { type: Number, default: 0 }
   }
 }, {
   timestamps: true,
@@ -140,6 +212,11 @@ sentenceCheckSchema.index({ userId: 1, createdAt: -1 });
 sentenceCheckSchema.index({ isPublic: 1, createdAt: -1 });
 sentenceCheckSchema.index({ isPublic: 1, likeCount: -1, createdAt: -1 });
 sentenceCheckSchema.index({ 'likes.userId': 1 });
+// Full-text search (see services/searchService)
+sentenceCheckSchema.index(
+  { originalSentence: 'text', grammarCorrection: 'text' },
+  { name: 'sentence_check_text', weights: { originalSentence: 10, grammarCorrection: 1 } }
+);
 sentenceCheckSchema.index({ 'modelSelection.selectedModel': 1 }); // Index for model selection tracking
 
 // Method to check if user has liked this sentence check
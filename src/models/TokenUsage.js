@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const {formatDateToUTC8} = require("../utils/timeUtils");
+
+// One record per AI request (all of its attempts together), including failed requests
+const tokenUsageSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  requestType: {
+    type: String,
+    enum: ['generation', 'sentenceCheck', 'followup'],
+    required: true
+  },
+  provider: {
+    type: String,
+    required: false
+  },
+  aiModel: {
+    type: String, // Model of the last attempt
+    required: false
+  },
+  // Whether the request used the user's own API key (not counted against platform quotas)
+  usesCustomApiKey: {
+    type: Boolean,
+    default: false
+  },
+  success: {
+    type: Boolean,
+    default: true
+  },
+  attemptCount: {
+    type: Number,
+    default: 1
+  },
+  // Prompt template version (generation and sentence check requests; follow-ups use the original's version)
+  promptVersion: {
+    type: String,
+    required: false
+  },
+  // Number of attempts per outcome (see aiService.getAttemptOutcome)
+  attemptOutcomes: {
+    success: { type: Number, default: 0 },
+    partialParse: { type: Number, default: 0 },
+    invalidFormat: { type: Number, default: 0 },
+    circuitOpen: { type: Number, default: 0 },
+    error: { type: Number, default: 0 }
+  },
+  // Time spent on all attempts, including retry delays
+  durationMs: {
+    type: Number,
+    required: false
+  },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number, // Includes reasoning tokens
+    default: 0
+  },
+  reasoningTokens: {
+    type: Number,
+    default: 0
+  },
+  totalTokens: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      if (ret.createdAt) {
+        ret.createdAt = formatDateToUTC8(ret.createdAt);
+      }
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      if (ret.createdAt) {
+        ret.createdAt = formatDateToUTC8(ret.createdAt);
+      }
+      return ret;
+    }
+  }
+});
+
+// Index for better query performance
+tokenUsageSchema.index({ userId: 1, createdAt: -1 });
+tokenUsageSchema.index({ requestType: 1, createdAt: -1 });
+
+module.exports = mongoose.model('TokenUsage', tokenUsageSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const {formatDateToUTC8} = require("../utils/timeUtils");
+
+// Token usage of one user aggregated per UTC+8 day or month, used for quota checks and usage reports
+const tokenUsageSummarySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  period: {
+    type: String,
+    enum: ['day', 'month'],
+    required: true
+  },
+  periodKey: {
+    type: String, // 'YYYY-MM-DD' for days, 'YYYY-MM' for months
+    required: true
+  },
+  requestCount: {
+    type: Number,
+    default: 0
+  },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number, // Includes reasoning tokens
+    default: 0
+  },
+  reasoningTokens: {
+    type: Number,
+    default: 0
+  },
+  totalTokens: {
+    type: Number,
+    default: 0
+  },
+  // Part of totalTokens used with the platform API key; quotas only apply to these
+  platformTokens: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      if (ret.createdAt) {
+        ret.createdAt = formatDateToUTC8(ret.createdAt);
+      }
+      if (ret.updatedAt) {
+        ret.updatedAt = formatDateToUTC8(ret.updatedAt);
+      }
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      if (ret.createdAt) {
+        ret.createdAt = formatDateToUTC8(ret.createdAt);
+      }
+      if (ret.updatedAt) {
+        ret.updatedAt = formatDateToUTC8(ret.updatedAt);
+      }
+      return ret;
+    }
+  }
+});
+
+// One summary per user and period
+tokenUsageSummarySchema.index({ userId: 1, period: 1, periodKey: 1 }, { unique: true });
+
+module.exports = mongoose.model('TokenUsageSummary', tokenUsageSummarySchema);
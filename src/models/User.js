@@ -24,7 +24,31 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
-  // Custom API key for SiliconFlow (optional - if not set, platform default is used)
+  // Moderators review reported content (see routes/moderation); set with scripts/setUserRole.js
+  role: {
+    type: String,
+    enum: ['user', 'moderator'],
+    default: 'user'
+  },
+  // Shown on the public profile (GET /api/users/:username)
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: 300,
+    default: ''
+  },
+  // Denormalized from the follows collection (see models/Follow)
+  followerCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  followingCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Custom API key for the user's AI provider (optional - if not set, platform default is used)
   // Stored encrypted in database
   apiKey: {
     type: String,
@@ -36,6 +60,13 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // AI provider the custom API key belongs to (see config.aiProviders)
+  // Unset means the platform's default provider
+  aiProvider: {
+    type: String,
+    required: false,
+    trim: true
+  },
   preferences: {
     theme: {
       type: String,
@@ -56,6 +87,19 @@ const userSchema = new mongoose.Schema({
       enum: ['combined', 'pure'],
       default: 'combined'
     },
+    // Daily limits of the word review queue (GET /api/words/reviews/due)
+    dailyNewWords: {
+      type: Number,
+      min: 0,
+      max: 500,
+      default: 20
+    },
+    dailyReviews: {
+      type: Number,
+      min: 0,
+      max: 2000,
+      default: 200
+    },
     fontSettings: {
       size: {
         type: String,
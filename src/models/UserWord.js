@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const {formatDateToUTC8} = require("../utils/timeUtils");
+
+// A user's own entry for a word in their collection
+// The Word document (with its WordNet data) is shared by all users who saved the word;
+// notes, tags and the personal definition live here
+const userWordSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  wordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Word',
+    required: true
+  },
+  // The word as the user typed it, when it was saved as its lemma (e.g. 'running' for 'run')
+  addedAs: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 50
+  },
+  // Personal definition, shown instead of the WordNet definition
+  definition: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  chineseGloss: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  mnemonic: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 30
+  }],
+  // Where the user met the word (e.g. a book, article or course)
+  source: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      if (ret.createdAt) {
+        ret.createdAt = formatDateToUTC8(ret.createdAt);
+      }
+      if (ret.updatedAt) {
+        ret.updatedAt = formatDateToUTC8(ret.updatedAt);
+      }
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      if (ret.createdAt) {
+        ret.createdAt = formatDateToUTC8(ret.createdAt);
+      }
+      if (ret.updatedAt) {
+        ret.updatedAt = formatDateToUTC8(ret.updatedAt);
+      }
+      return ret;
+    }
+  }
+});
+
+// One entry per user and word
+userWordSchema.index({ userId: 1, wordId: 1 }, { unique: true });
+
+// Index for tag filters
+userWordSchema.index({ userId: 1, tags: 1 });
+
+module.exports = mongoose.model('UserWord', userWordSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const {formatDateToUTC8} = require("../utils/timeUtils");
+const {CEFR_LEVELS, getWordFrequency} = require("../utils/wordFrequency");
 
 const wordSchema = new mongoose.Schema({
   word: {
@@ -9,6 +10,13 @@ const wordSchema = new mongoose.Schema({
     lowercase: true,
     maxlength: 50
   },
+  // Inflected forms users typed that were saved as this word (e.g. 'ran' and 'running' for 'run')
+  forms: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 50
+  }],
   userIds: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -42,10 +50,45 @@ const wordSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Rank in the bundled word frequency list (1 = most frequent), missing for words the list does not have
+  frequencyRank: {
+    type: Number,
+    min: 1
+  },
+  // CEFR level estimated from the frequency rank
+  level: {
+    type: String,
+    enum: CEFR_LEVELS
+  },
   // Track if WordNet lookup was successful
   wordNetProcessed: {
     type: Boolean,
     default: false
+  },
+  // All WordNet senses with their relations, looked up the first time the word's details are requested
+  // Not selected by default to keep word lists small
+  senses: {
+    type: [{
+      _id: false,
+      partOfSpeech: {
+        type: String,
+        enum: ['noun', 'verb', 'adjective', 'adverb']
+      },
+      definition: String,
+      examples: [String],
+      synonyms: [String],
+      antonyms: [String],
+      hypernyms: [String],
+      hyponyms: [String],
+      derivations: [String],
+      similarTo: [String]
+    }],
+    select: false,
+    default: undefined
+  },
+  sensesProcessedAt: {
+    type: Date,
+    select: false
   }
 }, {
   timestamps: true,
@@ -75,6 +118,16 @@ const wordSchema = new mongoose.Schema({
   }
 });
 
+// Rank and level new words from the frequency list
+wordSchema.pre('save', async function(next) {
+  if (this.isNew || this.isModified('word')) {
+    const { frequencyRank, level } = await getWordFrequency(this.word);
+    this.frequencyRank = frequencyRank || undefined;
+    this.level = level;
+  }
+  next();
+});
+
 // Compound index to prevent duplicate words per user
 wordSchema.index({ word: 1, userIds: 1 }, { unique: true });
 
@@ -82,5 +135,7 @@ wordSchema.index({ word: 1, userIds: 1 }, { unique: true });
 wordSchema.index({ userIds: 1, createdAt: -1 });
 wordSchema.index({ usageCount: -1 });
 wordSchema.index({ primaryPartOfSpeech: 1 });
+wordSchema.index({ level: 1 });
+wordSchema.index({ frequencyRank: 1 });
 
 module.exports = mongoose.model('Word', wordSchema); 
\ No newline at end of file
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const {formatDateToUTC8} = require("../utils/timeUtils");
+
+// Quiz results of a word for one user, updated as quiz answers are submitted
+const wordQuizStatSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  wordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Word',
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  correct: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastCorrect: {
+    type: Boolean
+  },
+  lastAnsweredAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      ['lastAnsweredAt', 'createdAt', 'updatedAt'].forEach(field => {
+        if (ret[field]) {
+          ret[field] = formatDateToUTC8(ret[field]);
+        }
+      });
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      ['lastAnsweredAt', 'createdAt', 'updatedAt'].forEach(field => {
+        if (ret[field]) {
+          ret[field] = formatDateToUTC8(ret[field]);
+        }
+      });
+      return ret;
+    }
+  }
+});
+
+// One record per user and word
+wordQuizStatSchema.index({ userId: 1, wordId: 1 }, { unique: true });
+
+module.exports = mongoose.model('WordQuizStat', wordQuizStatSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const {formatDateToUTC8} = require("../utils/timeUtils");
+
+// Review state of a word for one user (SM-2, see utils/spacedRepetition)
+// Words the user has never reviewed have no review state and are new words
+const wordReviewSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  wordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Word',
+    required: true
+  },
+  ease: {
+    type: Number,
+    default: 2.5,
+    min: 1.3
+  },
+  interval: {
+    type: Number, // Days until the next review
+    default: 0,
+    min: 0
+  },
+  // Successful reviews in a row since the word was last forgotten
+  repetitions: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Times the word was forgotten after it had been learned
+  lapses: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  dueAt: {
+    type: Date,
+    required: true
+  },
+  reviewCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastGrade: {
+    type: Number,
+    min: 0,
+    max: 5
+  },
+  lastReviewedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      ['dueAt', 'lastReviewedAt', 'createdAt', 'updatedAt'].forEach(field => {
+        if (ret[field]) {
+          ret[field] = formatDateToUTC8(ret[field]);
+        }
+      });
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      // Format timestamps
+      ['dueAt', 'lastReviewedAt', 'createdAt', 'updatedAt'].forEach(field => {
+        if (ret[field]) {
+          ret[field] = formatDateToUTC8(ret[field]);
+        }
+      });
+      return ret;
+    }
+  }
+});
+
+// One review state per user and word
+wordReviewSchema.index({ userId: 1, wordId: 1 }, { unique: true });
+
+// Index for the due review queue
+wordReviewSchema.index({ userId: 1, dueAt: 1 });
+
+module.exports = mongoose.model('WordReview', wordReviewSchema);
@@ -9,6 +9,7 @@ const {
   updateApiKey,
   testApiKey,
   getApiKeyStatus,
+  getUsage,
   getPublicKey,
   sendResetCode,
   verifyResetCode,
@@ -64,6 +65,11 @@ router.post('/test-api-key', authLimiter, auth, testApiKey);
 // @access  Private (with rate limiting)
 router.get('/api-key-status', authLimiter, auth, getApiKeyStatus);
 
+// @route   GET /api/auth/usage
+// @desc    Get AI token usage and quotas (query: days of history, default 30)
+// @access  Private (with rate limiting)
+router.get('/usage', authLimiter, auth, getUsage);
+
 // @route   GET /api/auth/public-key
 // @desc    Get RSA public key for API key encryption
 // @access  Public (no rate limiting needed)
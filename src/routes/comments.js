@@ -0,0 +1,32 @@
+const express = require('express');
+const {
+  getReplies,
+  updateComment,
+  deleteComment,
+  toggleLike
+} = require('../controllers/commentController');
+const { auth, optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/comments/:id/replies
+// @desc    Get comment replies
+// @access  Public with optional auth (comments on public content; on private content only by its owner)
+router.get('/:id/replies', optionalAuth, getReplies);
+
+// @route   PUT /api/comments/:id
+// @desc    Edit comment
+// @access  Private (author only)
+router.put('/:id', auth, updateComment);
+
+// @route   DELETE /api/comments/:id
+// @desc    Delete comment
+// @access  Private (author or content owner)
+router.delete('/:id', auth, deleteComment);
+
+// @route   POST /api/comments/:id/like
+// @desc    Toggle like on comment
+// @access  Private (AUTHENTICATION REQUIRED for liking)
+router.post('/:id/like', auth, toggleLike);
+
+module.exports = router;
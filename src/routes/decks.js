@@ -0,0 +1,62 @@
+const express = require('express');
+const {
+  getDecks,
+  getPublicDecks,
+  createDeck,
+  getDeck,
+  updateDeck,
+  deleteDeck,
+  addDeckWords,
+  removeDeckWord,
+  cloneDeck
+} = require('../controllers/deckController');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/decks/public
+// @desc    Get built-in and public decks
+// @access  Private
+router.get('/public', auth, getPublicDecks);
+
+// @route   GET /api/decks
+// @desc    Get user's decks
+// @access  Private
+router.get('/', auth, getDecks);
+
+// @route   POST /api/decks
+// @desc    Create deck
+// @access  Private
+router.post('/', auth, createDeck);
+
+// @route   GET /api/decks/:id
+// @desc    Get deck with its words
+// @access  Private (own, public and built-in decks)
+router.get('/:id', auth, getDeck);
+
+// @route   PUT /api/decks/:id
+// @desc    Update deck name, description and sharing
+// @access  Private (owner only)
+router.put('/:id', auth, updateDeck);
+
+// @route   DELETE /api/decks/:id
+// @desc    Delete deck
+// @access  Private (owner only)
+router.delete('/:id', auth, deleteDeck);
+
+// @route   POST /api/decks/:id/words
+// @desc    Add words to deck
+// @access  Private (owner only)
+router.post('/:id/words', auth, addDeckWords);
+
+// @route   DELETE /api/decks/:id/words/:wordId
+// @desc    Remove word from deck
+// @access  Private (owner only)
+router.delete('/:id/words/:wordId', auth, removeDeckWord);
+
+// @route   POST /api/decks/:id/clone
+// @desc    Clone deck into user's decks and vocabulary
+// @access  Private (own, public and built-in decks)
+router.post('/:id/clone', auth, cloneDeck);
+
+module.exports = router;
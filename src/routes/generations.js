@@ -9,13 +9,17 @@ const {
   deleteAllGenerations
 } = require('../controllers/generationController');
 const { auth, optionalAuth } = require('../middleware/auth');
+const { checkUsageQuota } = require('../middleware/usageQuota');
+const { aiLimiter } = require('../middleware/rateLimiter');
+const { createGenerationFollowup, getGenerationFollowups } = require('../controllers/followupController');
+const { getGenerationComments, createGenerationComment } = require('../controllers/commentController');
 
 const router = express.Router();
 
 // @route   POST /api/generate
-// @desc    Generate sentence with AI
+// @desc    Generate sentence with AI (send stream: true to receive Server-Sent Events)
 // @access  Private (requires authentication)
-router.post('/', auth, generateSentence);
+router.post('/', auth, checkUsageQuota, generateSentence);
 
 // @route   GET /api/generations
 // @desc    Get user's generations
@@ -37,6 +41,26 @@ router.get('/:id', optionalAuth, getGeneration);
 // @access  Private (AUTHENTICATION REQUIRED for liking)
 router.post('/:id/like', auth, toggleLike);
 
+// @route   GET /api/generations/:id/followups
+// @desc    Get the follow-up thread of a generation
+// @access  Private (owner only)
+router.get('/:id/followups', auth, getGenerationFollowups);
+
+// @route   POST /api/generations/:id/followups
+// @desc    Ask a follow-up question about a generation (same AI rate limit and token quota as generating)
+// @access  Private (owner only)
+router.post('/:id/followups', aiLimiter, auth, checkUsageQuota, createGenerationFollowup);
+
+// @route   GET /api/generations/:id/comments
+// @desc    Get generation comments
+// @access  Public with optional auth (public generations viewable by anyone, private only by owner)
+router.get('/:id/comments', optionalAuth, getGenerationComments);
+
+// @route   POST /api/generations/:id/comments
+// @desc    Comment on generation or reply to a comment
+// @access  Private (AUTHENTICATION REQUIRED for commenting)
+router.post('/:id/comments', auth, createGenerationComment);
+
 // @route   PUT /api/generations/:id/privacy
 // @desc    Update generation privacy
 // @access  Private (requires authentication)
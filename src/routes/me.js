@@ -0,0 +1,62 @@
+const express = require('express');
+const {
+  getBookmarks,
+  addBookmark,
+  moveBookmark,
+  deleteBookmark,
+  getCollections,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  getLikes
+} = require('../controllers/bookmarkController');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/me/bookmarks
+// @desc    Get user's bookmarks
+// @access  Private
+router.get('/bookmarks', auth, getBookmarks);
+
+// @route   POST /api/me/bookmarks
+// @desc    Bookmark public content
+// @access  Private
+router.post('/bookmarks', auth, addBookmark);
+
+// @route   PUT /api/me/bookmarks/:id
+// @desc    Move bookmark to another collection
+// @access  Private
+router.put('/bookmarks/:id', auth, moveBookmark);
+
+// @route   DELETE /api/me/bookmarks/:id
+// @desc    Remove bookmark
+// @access  Private
+router.delete('/bookmarks/:id', auth, deleteBookmark);
+
+// @route   GET /api/me/collections
+// @desc    Get user's bookmark collections
+// @access  Private
+router.get('/collections', auth, getCollections);
+
+// @route   POST /api/me/collections
+// @desc    Create bookmark collection
+// @access  Private
+router.post('/collections', auth, createCollection);
+
+// @route   PUT /api/me/collections/:id
+// @desc    Update bookmark collection
+// @access  Private
+router.put('/collections/:id', auth, updateCollection);
+
+// @route   DELETE /api/me/collections/:id
+// @desc    Delete bookmark collection
+// @access  Private
+router.delete('/collections/:id', auth, deleteCollection);
+
+// @route   GET /api/me/likes
+// @desc    Get content the user liked
+// @access  Private
+router.get('/likes', auth, getLikes);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const {
+  getQueue,
+  applyAction,
+  getLog
+} = require('../controllers/moderationController');
+const { auth, moderator } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/moderation/queue
+// @desc    Get reported content
+// @access  Private (moderators only)
+router.get('/queue', auth, moderator, getQueue);
+
+// @route   POST /api/moderation/actions
+// @desc    Hide, restore or delete content
+// @access  Private (moderators only)
+router.post('/actions', auth, moderator, applyAction);
+
+// @route   GET /api/moderation/log
+// @desc    Get moderation audit trail
+// @access  Private (moderators only)
+router.get('/log', auth, moderator, getLog);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const {
+  createQuiz,
+  getQuizzes,
+  getQuiz,
+  submitAnswers
+} = require('../controllers/quizController');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/quizzes
+// @desc    Get user's quizzes
+// @access  Private
+router.get('/', auth, getQuizzes);
+
+// @route   POST /api/quizzes
+// @desc    Create quiz from user's words
+// @access  Private
+router.post('/', auth, createQuiz);
+
+// @route   GET /api/quizzes/:id
+// @desc    Get quiz with its questions and answers
+// @access  Private
+router.get('/:id', auth, getQuiz);
+
+// @route   POST /api/quizzes/:id/answers
+// @desc    Submit quiz answers
+// @access  Private
+router.post('/:id/answers', auth, submitAnswers);
+
+module.exports = router;
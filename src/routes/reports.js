@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+  getReasons,
+  createReport
+} = require('../controllers/reportController');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/reports/reasons
+// @desc    Get report reasons
+// @access  Public
+router.get('/reasons', getReasons);
+
+// @route   POST /api/reports
+// @desc    Report generation, sentence check or comment
+// @access  Private (AUTHENTICATION REQUIRED)
+router.post('/', auth, createReport);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const { search } = require('../controllers/searchController');
+const { optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/search
+// @desc    Full-text search of generations and sentence checks
+// @access  Public with optional auth (the user's own private content is searched too)
+router.get('/', optionalAuth, search);
+
+module.exports = router;
@@ -1,17 +1,27 @@
 const express = require('express');
-const { auth } = require('../middleware/auth');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { checkUsageQuota } = require('../middleware/usageQuota');
+const { aiLimiter } = require('../middleware/rateLimiter');
+const { createSentenceCheckFollowup, getSentenceCheckFollowups } = require('../controllers/followupController');
+const { getSentenceCheckComments, createSentenceCheckComment } = require('../controllers/commentController');
 const sentenceCheckController = require('../controllers/sentenceCheckController');
 
 const router = express.Router();
 
 // @route   POST /api/check (when mounted on /api/check)
 // @route   GET /api/checks (when mounted on /api/checks)
-// @desc    Check sentence with AI OR Get user's sentence checks
+// @desc    Check sentence with AI (send stream: true to receive Server-Sent Events) OR Get user's sentence checks
 // @access  Private
 router.route('/')
-  .post(auth, sentenceCheckController.checkSentence)
+  .post(auth, checkUsageQuota, sentenceCheckController.checkSentence)
   .get(auth, sentenceCheckController.getUserSentenceChecks);
 
+// @route   DELETE /api/checks/all
+// @desc    Delete all user's sentence checks
+// @access  Private
+// Registered before /:id so that "all" is not taken for an ID
+router.delete('/all', auth, sentenceCheckController.deleteAllSentenceChecks);
+
 // @route   GET /api/checks/:id
 // @desc    Get single sentence check
 // @access  Public (for public checks) / Private (for user's own checks)
@@ -22,6 +32,26 @@ router.get('/:id', sentenceCheckController.getSentenceCheck);
 // @access  Private
 router.post('/:id/like', auth, sentenceCheckController.toggleLike);
 
+// @route   GET /api/checks/:id/followups
+// @desc    Get the follow-up thread of a sentence check
+// @access  Private (owner only)
+router.get('/:id/followups', auth, getSentenceCheckFollowups);
+
+// @route   POST /api/checks/:id/followups
+// @desc    Ask a follow-up question about a sentence check (same AI rate limit and token quota as checking)
+// @access  Private (owner only)
+router.post('/:id/followups', aiLimiter, auth, checkUsageQuota, createSentenceCheckFollowup);
+
+// @route   GET /api/checks/:id/comments
+// @desc    Get sentence check comments
+// @access  Public (for public checks) / Private (for user's own checks)
+router.get('/:id/comments', optionalAuth, getSentenceCheckComments);
+
+// @route   POST /api/checks/:id/comments
+// @desc    Comment on sentence check or reply to a comment
+// @access  Private
+router.post('/:id/comments', auth, createSentenceCheckComment);
+
 // @route   PUT /api/checks/:id/privacy
 // @desc    Update sentence check privacy
 // @access  Private
@@ -32,9 +62,4 @@ router.put('/:id/privacy', auth, sentenceCheckController.updateSentenceCheckPriv
 // @access  Private
 router.delete('/:id', auth, sentenceCheckController.deleteSentenceCheck);
 
-// @route   DELETE /api/checks/all
-// @desc    Delete all user's sentence checks
-// @access  Private
-router.delete('/all', auth, sentenceCheckController.deleteAllSentenceChecks);
-
 module.exports = router; 
\ No newline at end of file
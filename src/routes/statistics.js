@@ -1,10 +1,15 @@
 const express = require('express');
 const router = express.Router();
-const { getGlobalStatistics } = require('../controllers/statisticsController');
+const { getGlobalStatistics, getPromptStatistics } = require('../controllers/statisticsController');
 
 // @route   GET /api/statistics
 // @desc    Get global public statistics
 // @access  Public
 router.get('/', getGlobalStatistics);
 
+// @route   GET /api/statistics/prompts
+// @desc    Compare prompt versions (parse success, partial parses, latency, likes)
+// @access  Public
+router.get('/prompts', getPromptStatistics);
+
 module.exports = router; 
\ No newline at end of file
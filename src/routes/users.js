@@ -0,0 +1,38 @@
+const express = require('express');
+const {
+  getProfile,
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing
+} = require('../controllers/userController');
+const { auth, optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/users/:username
+// @desc    Get public profile
+// @access  Public with optional auth (shows whether the current user follows them)
+router.get('/:username', optionalAuth, getProfile);
+
+// @route   GET /api/users/:username/followers
+// @desc    Get followers
+// @access  Public with optional auth
+router.get('/:username/followers', optionalAuth, getFollowers);
+
+// @route   GET /api/users/:username/following
+// @desc    Get users followed
+// @access  Public with optional auth
+router.get('/:username/following', optionalAuth, getFollowing);
+
+// @route   POST /api/users/:username/follow
+// @desc    Follow user
+// @access  Private (AUTHENTICATION REQUIRED)
+router.post('/:username/follow', auth, followUser);
+
+// @route   DELETE /api/users/:username/follow
+// @desc    Unfollow user
+// @access  Private (AUTHENTICATION REQUIRED)
+router.delete('/:username/follow', auth, unfollowUser);
+
+module.exports = router;
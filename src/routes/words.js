@@ -2,10 +2,18 @@ const express = require('express');
 const {
   getUserWords,
   addWord,
+  getWord,
+  updateWordEntry,
   deleteWord,
   getRandomWords,
   getWordStats,
-  getPartsOfSpeech
+  getPartsOfSpeech,
+  getWordTags,
+  exportWords,
+  importWords,
+  getImportJob,
+  getDueReviews,
+  reviewWord
 } = require('../controllers/wordController');
 const { auth } = require('../middleware/auth');
 
@@ -26,6 +34,31 @@ router.get('/stats', auth, getWordStats);
 // @access  Private
 router.get('/parts-of-speech', auth, getPartsOfSpeech);
 
+// @route   GET /api/words/export
+// @desc    Export user's words
+// @access  Private
+router.get('/export', auth, exportWords);
+
+// @route   POST /api/words/import
+// @desc    Import words from a file
+// @access  Private
+router.post('/import', auth, importWords);
+
+// @route   GET /api/words/imports/:id
+// @desc    Get word import status and report
+// @access  Private
+router.get('/imports/:id', auth, getImportJob);
+
+// @route   GET /api/words/tags
+// @desc    Get the user's word tags
+// @access  Private
+router.get('/tags', auth, getWordTags);
+
+// @route   GET /api/words/reviews/due
+// @desc    Get words due for review
+// @access  Private
+router.get('/reviews/due', auth, getDueReviews);
+
 // @route   GET /api/words
 // @desc    Get user's words
 // @access  Private
@@ -36,6 +69,21 @@ router.get('/', auth, getUserWords);
 // @access  Private
 router.post('/', auth, addWord);
 
+// @route   POST /api/words/:id/review
+// @desc    Review word
+// @access  Private
+router.post('/:id/review', auth, reviewWord);
+
+// @route   GET /api/words/:id
+// @desc    Get word details with WordNet senses
+// @access  Private
+router.get('/:id', auth, getWord);
+
+// @route   PUT /api/words/:id
+// @desc    Update the user's entry for a word
+// @access  Private
+router.put('/:id', auth, updateWordEntry);
+
 // @route   DELETE /api/words/:id
 // @desc    Delete word
 // @access  Private
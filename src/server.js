@@ -1,4 +1,16 @@
 const app = require('../app');
+const config = require('./config/config');
+const aiProviders = require('./services/providers');
+
+const PORT = config.port;
+const defaultAiProvider = aiProviders.getProvider(aiProviders.getDefaultProviderName());
+
+app.listen(PORT, () => {
+  console.log(`Server running in ${config.nodeEnv} mode on port ${PORT}`);
+  console.log(`AI Provider: ${defaultAiProvider.displayName} (${defaultAiProvider.getModelForTier('default')})`);
+  console.log(`Public content access: Enabled`);
+  console.log(`Internationalization: English (en) and Chinese (zh) supported`);
+});
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
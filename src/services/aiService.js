@@ -1,47 +1,23 @@
-const axios = require('axios');
 const config = require('../config/config');
 const User = require('../models/User');
-const HttpUtils = require('../utils/httpUtils');
+const providers = require('./providers');
+const circuitBreaker = require('./circuitBreaker');
+const promptExperimentService = require('./promptExperimentService');
 const i18n = require('../utils/i18n');
 const promptLoader = require('../utils/promptLoader');
+const StreamSectionParser = require('../utils/streamSectionParser');
+const JsonStreamCollector = require('../utils/jsonStreamCollector');
+const {validateSchema} = require('../utils/jsonSchemaValidator');
+const {computeBackoffDelay, getRetryAfterMs, sleep} = require('../utils/retryUtils');
+const {mergeUsage, normalizeUsage, sumUsage} = require('../utils/usageUtils');
+const {normalizeWord, isValidWord} = require('../utils/wordUtils');
 
 class AIService {
     constructor() {
-        // Platform-provided SiliconFlow configuration (immutable)
-        this.platformConfig = {
-            name: "SiliconFlow/Qwen Platform",
-            apiUrl: config.siliconflowApiUrl || 'https://api.siliconflow.cn/v1/chat/completions',
-            model: config.siliconflowModel || 'Qwen/Qwen3-8B',
-            apiKeyPlacement: "header",
-
-            requestTemplate: {
-                model: config.siliconflowModel || 'Qwen/Qwen3-8B',
-                messages: [], // Populated dynamically
-                max_tokens: 512,
-                enable_thinking: false,
-                temperature: 0.7,
-                top_p: 0.7,
-                top_k: 50,
-                stream: false,
-                frequency_penalty: 0.5,
-                response_format: {type: "text"}
-            },
-
-            // Dynamic path configurations
-            requestMessageGroupPath: "messages",
-            requestRolePathFromGroup: "role",
-            requestTextPathFromGroup: "content",
-            responseTextPath: "choices[0].message.content",
-            responseThinkingTextPath: "choices[0].message.reasoning_content",
-
-            // Role mappings
-            requestUserRoleField: "user",
-            requestAssistantField: "assistant",
-            requestSystemField: "system",
-
-            headers: {'Content-Type': 'application/json'},
-            timeout: 180000
-        };
+        // Deployment provider configuration (immutable)
+        // Users with a custom API key may use a different provider (see getConfigurationForUser)
+        this.defaultProvider = providers.getDefaultProviderName();
+        this.platformConfig = providers.getProvider(this.defaultProvider).getBaseConfig();
 
         // Dynamic model configuration thresholds
         this.modelThresholds = {
@@ -57,6 +33,12 @@ class AIService {
             }
         };
 
+        // Model tier to fall back to when a tier keeps failing
+        this.tierFallbacks = {
+            heavy: 'medium',
+            medium: 'light'
+        };
+
         // Response format configuration for generation
         this.responseFormat = {
             sentenceMarker: "SENTENCE:",
@@ -76,76 +58,87 @@ class AIService {
     }
 
     /**
-     * Dynamically select AI model based on input complexity
+     * Select the model tier based on input complexity
      * @param {string} type - Type of operation ('wordGeneration' or 'sentenceCheck')
      * @param {number} inputSize - Size of input (word count or character count)
-     * @returns {string} Selected model name
+     * @returns {string} Model tier ('light', 'medium', 'heavy' or 'default' for unknown operations)
      */
-    selectModelByComplexity(type, inputSize) {
+    selectTierByComplexity(type, inputSize) {
         const thresholds = this.modelThresholds[type];
 
         if (!thresholds) {
             console.warn(`Unknown operation type: ${type}, using default model`);
-            return config.siliconflowModel || 'Qwen/Qwen3-8B';
+            return 'default';
         }
 
         if (inputSize < thresholds.lightThreshold) {
-            return config.siliconflowModelLight || 'Qwen/Qwen3-8B';
+            return 'light';
         } else if (inputSize < thresholds.mediumThreshold) {
-            return config.siliconflowModelMedium || 'Qwen/Qwen3-14B';
+            return 'medium';
         } else {
-            return config.siliconflowModelHeavy || 'Qwen/Qwen3-30B-A3B';
+            return 'heavy';
         }
     }
 
     /**
-     * Get configuration for user (platform config + user's API key if provided)
+     * Dynamically select AI model based on input complexity
+     * @param {string} type - Type of operation ('wordGeneration' or 'sentenceCheck')
+     * @param {number} inputSize - Size of input (word count or character count)
+     * @param {string} providerName - Provider whose models to use (defaults to the deployment provider)
+     * @returns {string} Selected model name
+     */
+    selectModelByComplexity(type, inputSize, providerName = null) {
+        const provider = providers.getProvider(providerName || this.defaultProvider);
+        return provider.getModelForTier(this.selectTierByComplexity(type, inputSize));
+    }
+
+    /**
+     * Get configuration for user (provider config + user's API key if provided)
      * @param {string} userId - User ID
-     * @param {string} selectedModel - Dynamically selected model
+     * @param {string} tier - Dynamically selected model tier ('light', 'medium' or 'heavy')
      * @returns {Object} AI configuration object
      */
-    async getConfigurationForUser(userId, selectedModel = null) {
-        const modelToUse = selectedModel || this.platformConfig.model;
-
-        if (!userId) {
-            // Use platform default API key for anonymous users
-            return {
-                ...this.platformConfig,
-                model: modelToUse,
-                requestTemplate: {
-                    ...this.platformConfig.requestTemplate,
-                    model: modelToUse
-                },
-                apiKey: config.siliconflowApiKey
-            };
+    async getConfigurationForUser(userId, tier = null) {
+        let provider = providers.getProvider(this.defaultProvider);
+        let apiKey = config.siliconflowApiKey;
+        let usesCustomApiKey = false;
+
+        if (userId) {
+            // Get user's API key and provider preference
+            const user = await User.findById(userId).select('apiKey useCustomApiKey aiProvider');
+
+            if (user && user.useCustomApiKey && user.apiKey) {
+                // User has custom API key - decrypt it for use with the user's provider
+                provider = providers.getProvider(user.aiProvider || this.defaultProvider);
+                apiKey = user.getDecryptedApiKey();
+                usesCustomApiKey = true;
+            }
         }
 
-        // Get user's API key preference
-        const user = await User.findById(userId).select('apiKey useCustomApiKey');
+        const baseConfig = provider.getBaseConfig();
+        const modelToUse = provider.getModelForTier(tier);
 
-        if (user && user.useCustomApiKey && user.apiKey) {
-            // User has custom API key - decrypt it for use
-            const decryptedApiKey = user.getDecryptedApiKey();
-            return {
-                ...this.platformConfig,
-                model: modelToUse,
-                requestTemplate: {
-                    ...this.platformConfig.requestTemplate,
-                    model: modelToUse
-                },
-                apiKey: decryptedApiKey
-            };
-        } else {
-            // Use platform default API key
-            return {
-                ...this.platformConfig,
-                model: modelToUse,
+        return {
+            ...baseConfig,
+            model: modelToUse,
+            ...(baseConfig.requestTemplate && {
                 requestTemplate: {
-                    ...this.platformConfig.requestTemplate,
+                    ...baseConfig.requestTemplate,
                     model: modelToUse
-                },
-                apiKey: config.siliconflowApiKey
-            };
+                }
+            }),
+            apiKey,
+            usesCustomApiKey
+        };
+    }
+
+    /**
+     * Ensure the configuration has an API key when the provider needs one
+     * @param {Object} aiConfig - AI configuration object
+     */
+    assertApiKeyAvailable(aiConfig) {
+        if (!aiConfig.apiKey && providers.getProvider(aiConfig.provider).requiresApiKey) {
+            throw new Error('No API key available. Please contact administrator or provide your own API key.');
         }
     }
 
@@ -156,293 +149,995 @@ class AIService {
      * @param {string} grammarLanguageOption - Grammar explanation language option ('combined' or 'pure')
      * @param {string} locale - Locale for error messages (default: 'en')
      * @param {boolean} enableThinking - Whether to enable AI thinking process (default: false)
-     * @returns {Object} Sentence check result
+     * @param {Object} options - Options: { outputFormat } ('text' or 'json', defaults to config.aiOutputFormat)
+     * @returns {Object} Sentence check result, with the prompt version used
      */
-    async checkSentence(sentence, userId = null, grammarLanguageOption = 'combined', locale = 'en', enableThinking = false) {
+    async checkSentence(sentence, userId = null, grammarLanguageOption = 'combined', locale = 'en', enableThinking = false, options = {}) {
         // Validate sentence first
         this.validateSentence(sentence);
 
         // Dynamic model selection based on sentence length
         const sentenceLength = sentence.trim().length;
-        const selectedModel = this.selectModelByComplexity('sentenceCheck', sentenceLength);
+        const promptVersion = promptExperimentService.getVersion('sentence-check', userId);
 
-        console.log(`Dynamic model selection for sentence check: ${sentenceLength} chars -> ${selectedModel}`);
-
-        // Get configuration for user with selected model
-        const aiConfig = await this.getConfigurationForUser(userId, selectedModel);
-
-        if (!aiConfig.apiKey) {
-            throw new Error('No API key available. Please contact administrator or provide your own API key.');
-        }
+        const result = await this.runWithRetry('sentenceCheck', sentenceLength, userId, async (aiConfig, modelSelection) => {
+            const outputFormat = this.resolveOutputFormat(aiConfig, options.outputFormat);
 
-        try {
             // Create structured prompt for sentence checking using prompt loader
-            const prompt = promptLoader.getSentenceCheckPrompt(sentence, grammarLanguageOption);
-
-            // Prepare request data using configuration with thinking enabled/disabled
-            const requestConfig = {
-                ...aiConfig,
-                requestTemplate: {
-                    ...aiConfig.requestTemplate,
-                    enable_thinking: enableThinking
-                }
-            };
+            const prompt = promptLoader.getSentenceCheckPrompt(sentence, grammarLanguageOption, outputFormat, promptVersion);
 
-            const {headers, requestBody} = HttpUtils.prepareRequestData(
-                requestConfig,
+            const {content, thinking, rawResponse, usage} = await this.requestCompletion(
+                aiConfig,
                 prompt,
-                [] // No conversation history for sentence checking
+                [], // No conversation history for sentence checking
+                enableThinking,
+                {responseSchema: this.getResponseSchema('sentence-check', outputFormat)}
             );
 
-            // Make HTTP request
-            const response = await axios.post(aiConfig.apiUrl, requestBody, {
-                headers,
-                timeout: aiConfig.timeout
-            });
+            return {...this.buildSentenceCheckResult(content, thinking, rawResponse, aiConfig, modelSelection, locale, outputFormat), usage};
+        }, {
+            locale,
+            selectionReason: `Sentence length: ${sentenceLength} characters`
+        });
 
-            // Process response using configuration
-            const {content, thinking} = HttpUtils.processAiResponse(
-                JSON.stringify(response.data),
-                aiConfig
-            );
+        return {...result, promptVersion};
+    }
 
-            // Parse the structured response
-            const parsedResponse = this.parseSentenceCheckResponse(content, locale);
+    /**
+     * Check sentence using AI and stream the response as it is produced
+     * In JSON output mode, all sections are sent at once when the reply is complete.
+     * @param {string} sentence - Sentence to check
+     * @param {string} userId - User ID (optional)
+     * @param {string} grammarLanguageOption - Grammar explanation language option ('combined' or 'pure')
+     * @param {string} locale - Locale for error messages (default: 'en')
+     * @param {boolean} enableThinking - Whether to enable AI thinking process (default: false)
+     * @param {Object} handlers - Stream callbacks: { onStart, onThinking, onSection, signal }
+     * @param {Object} options - Options: { outputFormat }
+     * @returns {Object} Sentence check result (same shape as checkSentence) once the stream completes
+     */
+    async checkSentenceStream(sentence, userId = null, grammarLanguageOption = 'combined', locale = 'en', enableThinking = false, handlers = {}, options = {}) {
+        // Validate sentence first
+        this.validateSentence(sentence);
 
-            if (parsedResponse.isValid) {
-                return {
-                    success: true,
-                    grammarAnalysis: parsedResponse.grammarAnalysis,
-                    grammarCorrection: parsedResponse.grammarCorrection,
-                    keywordAnalysis: parsedResponse.keywordAnalysis,
-                    chineseDefinition: parsedResponse.chineseDefinition,
-                    aiModel: aiConfig.model,
-                    thinking: thinking,
-                    rawResponse: response.data,
-                    modelSelection: {
-                        inputSize: sentenceLength,
-                        selectedModel: selectedModel,
-                        selectionReason: `Sentence length: ${sentenceLength} characters`
-                    }
-                };
-            } else {
-                // Check if this is a partial parse that we should accept
-                const hasAnyUsefulContent = parsedResponse.grammarAnalysis ||
-                    parsedResponse.grammarCorrection ||
-                    parsedResponse.keywordAnalysis ||
-                    parsedResponse.chineseDefinition;
-
-                if (hasAnyUsefulContent) {
-                    // Accept partial parse if we have some useful content
-                    return {
-                        success: true,
-                        grammarAnalysis: parsedResponse.grammarAnalysis || '',
-                        grammarCorrection: parsedResponse.grammarCorrection || '',
-                        keywordAnalysis: parsedResponse.keywordAnalysis || '',
-                        chineseDefinition: parsedResponse.chineseDefinition || '',
-                        aiModel: aiConfig.model,
-                        thinking: thinking,
-                        rawResponse: response.data,
-                        partialParse: true,
-                        parseError: parsedResponse.error,
-                        modelSelection: {
-                            inputSize: sentenceLength,
-                            selectedModel: selectedModel,
-                            selectionReason: `Sentence length: ${sentenceLength} characters`
-                        }
-                    };
-                }
+        // Dynamic model selection based on sentence length
+        const sentenceLength = sentence.trim().length;
+        const promptVersion = promptExperimentService.getVersion('sentence-check', userId);
 
-                // Invalid format
-                return {
-                    success: false,
-                    message: `Invalid response format: ${parsedResponse.error}`,
-                    error: parsedResponse.error,
-                    rawResponse: response.data
-                };
-            }
+        const result = await this.runWithRetry('sentenceCheck', sentenceLength, userId, async (aiConfig, modelSelection) => {
+            const outputFormat = this.resolveOutputFormat(aiConfig, options.outputFormat);
+            const prompt = promptLoader.getSentenceCheckPrompt(sentence, grammarLanguageOption, outputFormat, promptVersion);
 
-        } catch (error) {
-            // Handle different types of errors
-            if (error.response?.status === 429) {
-                return {
-                    success: false,
-                    message: 'Rate limit exceeded. Please try again later.',
-                    retryable: true
-                };
-            } else if (error.response?.status === 401) {
-                return {
-                    success: false,
-                    message: 'Invalid API key or authentication failed.',
-                    retryable: false
-                };
-            } else if (error.code === 'ECONNABORTED') {
-                return {
-                    success: false,
-                    message: 'Request timeout. Please try again.',
-                    retryable: true
-                };
-            } else if (error.response?.status === 400) {
-                return {
-                    success: false,
-                    message: 'Invalid request to AI API',
-                    retryable: false
-                };
-            } else {
-                return {
-                    success: false,
-                    message: `AI service error: ${error.message}`,
-                    retryable: true
-                };
-            }
-        }
+            const {content, thinking, rawResponse, usage} = await this.streamCompletion(
+                aiConfig,
+                prompt,
+                [], // No conversation history for sentence checking
+                enableThinking,
+                this.createStreamParser('sentenceCheck', outputFormat),
+                {...handlers, modelSelection, responseSchema: this.getResponseSchema('sentence-check', outputFormat)}
+            );
+
+            return {...this.buildSentenceCheckResult(content, thinking, rawResponse, aiConfig, modelSelection, locale, outputFormat), usage};
+        }, {
+            locale,
+            signal: handlers.signal,
+            selectionReason: `Sentence length: ${sentenceLength} characters`
+        });
+
+        return {...result, promptVersion};
     }
 
     /**
      * Generate sentence using AI with platform configuration and dynamic model selection
+     * Failed attempts are retried with backoff, re-prompting on invalid output and falling back to lighter models.
      * @param {Array} words - Array of words to include
      * @param {string} userId - User ID (optional)
      * @param {Array} conversationHistory - Previous messages (optional)
      * @param {string} grammarLanguageOption - Grammar explanation language option ('combined' or 'pure')
      * @param {string} locale - Locale for error messages (default: 'en')
      * @param {boolean} enableThinking - Whether to enable AI thinking process (default: false)
-     * @returns {Object} Generated sentence and explanation
+     * @param {Object} options - Options: { maxRetries, outputFormat, signal, onRetry } (see runWithRetry)
+     * @returns {Object} Generated sentence and explanation, with the list of attempts made and the prompt version used
      */
-    async generateSentence(words, userId = null, conversationHistory = [], grammarLanguageOption = 'combined', locale = 'en', enableThinking = false) {
+    async generateSentence(words, userId = null, conversationHistory = [], grammarLanguageOption = 'combined', locale = 'en', enableThinking = false, options = {}) {
         // Validate words first
         const cleanedWords = this.validateWords(words);
-
-        // Dynamic model selection based on word count
         const wordCount = cleanedWords.length;
-        const selectedModel = this.selectModelByComplexity('wordGeneration', wordCount);
+        const promptVersion = promptExperimentService.getVersion('sentence-generation', userId);
 
-        console.log(`Dynamic model selection for word generation: ${wordCount} words -> ${selectedModel}`);
+        const result = await this.runWithRetry('wordGeneration', wordCount, userId, async (aiConfig, modelSelection, previousResult) => {
+            const outputFormat = this.resolveOutputFormat(aiConfig, options.outputFormat);
 
-        // Get configuration for user with selected model
-        const aiConfig = await this.getConfigurationForUser(userId, selectedModel);
+            // Create structured prompt for consistent output format using prompt loader
+            const {prompt, history} = this.buildGenerationMessages(cleanedWords, conversationHistory, grammarLanguageOption, previousResult, outputFormat, promptVersion);
 
-        if (!aiConfig.apiKey) {
-            throw new Error('No API key available. Please contact administrator or provide your own API key.');
-        }
+            const {content, thinking, rawResponse, usage} = await this.requestCompletion(
+                aiConfig,
+                prompt,
+                history,
+                enableThinking,
+                {signal: options.signal, responseSchema: this.getResponseSchema('sentence-generation', outputFormat)}
+            );
 
-        try {
-            // Create structured prompt for consistent output format using prompt loader
-            const prompt = promptLoader.getSentenceGenerationPrompt(cleanedWords, grammarLanguageOption);
+            return {...this.buildGenerationResult(content, thinking, rawResponse, aiConfig, modelSelection, locale, outputFormat), usage};
+        }, {
+            ...options,
+            locale,
+            selectionReason: `Word count: ${wordCount} words`
+        });
 
-            // Prepare request data using configuration with thinking enabled/disabled
-            const requestConfig = {
-                ...aiConfig,
-                requestTemplate: {
-                    ...aiConfig.requestTemplate,
-                    enable_thinking: enableThinking
-                }
-            };
+        return {...result, promptVersion};
+    }
+
+    /**
+     * Generate sentence using AI and stream the response as it is produced
+     * When an attempt is retried, handlers.onRetry is called before the next attempt starts streaming.
+     * In JSON output mode, all sections are sent at once when the reply is complete.
+     * @param {Array} words - Array of words to include
+     * @param {string} userId - User ID (optional)
+     * @param {Array} conversationHistory - Previous messages (optional)
+     * @param {string} grammarLanguageOption - Grammar explanation language option ('combined' or 'pure')
+     * @param {string} locale - Locale for error messages (default: 'en')
+     * @param {boolean} enableThinking - Whether to enable AI thinking process (default: false)
+     * @param {Object} handlers - Stream callbacks: { onStart, onThinking, onSection, onRetry, signal }
+     * @param {Object} options - Options: { maxRetries, outputFormat }
+     * @returns {Object} Generation result (same shape as generateSentence) once the stream completes
+     */
+    async generateSentenceStream(words, userId = null, conversationHistory = [], grammarLanguageOption = 'combined', locale = 'en', enableThinking = false, handlers = {}, options = {}) {
+        // Validate words first
+        const cleanedWords = this.validateWords(words);
+        const wordCount = cleanedWords.length;
+        const promptVersion = promptExperimentService.getVersion('sentence-generation', userId);
 
-            const {headers, requestBody} = HttpUtils.prepareRequestData(
-                requestConfig,
+        const result = await this.runWithRetry('wordGeneration', wordCount, userId, async (aiConfig, modelSelection, previousResult) => {
+            const outputFormat = this.resolveOutputFormat(aiConfig, options.outputFormat);
+            const {prompt, history} = this.buildGenerationMessages(cleanedWords, conversationHistory, grammarLanguageOption, previousResult, outputFormat, promptVersion);
+
+            // Each attempt parses its own stream
+            const {content, thinking, rawResponse, usage} = await this.streamCompletion(
+                aiConfig,
                 prompt,
-                conversationHistory
+                history,
+                enableThinking,
+                this.createStreamParser('wordGeneration', outputFormat),
+                {...handlers, modelSelection, responseSchema: this.getResponseSchema('sentence-generation', outputFormat)}
             );
 
-            // Make HTTP request
-            const response = await axios.post(aiConfig.apiUrl, requestBody, {
-                headers,
-                timeout: aiConfig.timeout
-            });
+            return {...this.buildGenerationResult(content, thinking, rawResponse, aiConfig, modelSelection, locale, outputFormat), usage};
+        }, {
+            ...options,
+            locale,
+            signal: handlers.signal,
+            onRetry: handlers.onRetry,
+            selectionReason: `Word count: ${wordCount} words`
+        });
+
+        return {...result, promptVersion};
+    }
 
-            // Process response using configuration
-            const {content, thinking} = HttpUtils.processAiResponse(
-                JSON.stringify(response.data),
-                aiConfig
+    /**
+     * Answer a follow-up question about an earlier generation or sentence check
+     * The original result is sent as the system message and the earlier questions and answers as conversation history.
+     * The model tier is selected from the original input, like the original request, and the prompt is
+     * the follow-up template of the original's prompt version.
+     * @param {string} targetType - 'generation' or 'sentenceCheck'
+     * @param {Object} target - Generation ({ words, sentence, explanation, chineseTranslation, promptVersion }) or
+     *                          sentence check ({ originalSentence, grammarAnalysis, grammarCorrection, promptVersion })
+     * @param {Array} thread - Earlier follow-up messages in order ({ role: 'user' | 'assistant', content })
+     * @param {string} question - New question
+     * @param {string} userId - User ID (optional)
+     * @param {string} grammarLanguageOption - Grammar explanation language option ('combined' or 'pure')
+     * @param {string} locale - Locale for error messages (default: 'en')
+     * @param {boolean} enableThinking - Whether to enable AI thinking process (default: false)
+     * @param {Object} options - Options: { maxRetries } (see runWithRetry)
+     * @returns {Object} Result with answer, thinking, aiModel and modelSelection, the list of attempts made and the prompt version used
+     */
+    async answerFollowup(targetType, target, thread, question, userId = null, grammarLanguageOption = 'combined', locale = 'en', enableThinking = false, options = {}) {
+        const isGeneration = targetType === 'generation';
+        const promptVersion = promptExperimentService.normalizeVersion(target.promptVersion);
+
+        const systemPrompt = isGeneration
+            ? promptLoader.getFollowupPrompt('sentence-generation', {
+                words: target.words,
+                sentence: target.sentence,
+                explanation: target.explanation,
+                translation: target.chineseTranslation
+            }, grammarLanguageOption, promptVersion)
+            : promptLoader.getFollowupPrompt('sentence-check', {
+                sentence: target.originalSentence,
+                analysis: target.grammarAnalysis,
+                correction: target.grammarCorrection
+            }, grammarLanguageOption, promptVersion);
+
+        const history = [
+            {role: 'system', content: systemPrompt},
+            ...thread.map(message => ({role: message.role, content: message.content}))
+        ];
+
+        // Same model selection as the original request
+        const type = isGeneration ? 'wordGeneration' : 'sentenceCheck';
+        const inputSize = isGeneration ? target.words.length : target.originalSentence.trim().length;
+
+        const result = await this.runWithRetry(type, inputSize, userId, async (aiConfig, modelSelection) => {
+            const {content, thinking, rawResponse, usage} = await this.requestCompletion(
+                aiConfig,
+                question,
+                history,
+                enableThinking
             );
 
-            // Parse the structured response
-            const parsedResponse = this.parseStructuredResponse(content, locale);
+            return {
+                success: true,
+                answer: content.trim(),
+                thinking: thinking,
+                aiModel: aiConfig.model,
+                rawResponse: rawResponse,
+                modelSelection: modelSelection,
+                usage
+            };
+        }, {
+            ...options,
+            locale,
+            selectionReason: isGeneration
+                ? `Follow-up on generation with ${inputSize} words`
+                : `Follow-up on sentence check of ${inputSize} characters`
+        });
+
+        return {...result, promptVersion};
+    }
 
-            if (parsedResponse.isValid) {
-                return {
-                    success: true,
-                    sentence: parsedResponse.sentence,
-                    explanation: parsedResponse.grammarAnalysis,
-                    chineseTranslation: parsedResponse.chineseTranslation,
-                    aiModel: aiConfig.model,
-                    thinking: thinking,
-                    rawResponse: response.data,
-                    modelSelection: {
-                        inputSize: wordCount,
-                        selectedModel: selectedModel,
-                        selectionReason: `Word count: ${wordCount} words`
-                    }
-                };
+    /**
+     * Decide the output format for a request
+     * JSON is only used when requested and supported by the provider; otherwise the marker-based text format is used.
+     * @param {Object} aiConfig - AI configuration for the request
+     * @param {string} requestedFormat - Requested output format ('text' or 'json'), defaults to config.aiOutputFormat
+     * @returns {string} 'json' or 'text'
+     */
+    resolveOutputFormat(aiConfig, requestedFormat = null) {
+        const outputFormat = requestedFormat || config.aiOutputFormat;
+
+        if (outputFormat === 'json' && providers.getProvider(aiConfig.provider).supportsJsonMode()) {
+            return 'json';
+        }
+
+        return 'text';
+    }
+
+    /**
+     * Get the response schema to send to the provider for a JSON-mode request
+     * @param {string} type - Schema type ('sentence-check' or 'sentence-generation')
+     * @param {string} outputFormat - Output format ('text' or 'json')
+     * @returns {Object|null} { name, schema } or null for text output
+     */
+    getResponseSchema(type, outputFormat) {
+        if (outputFormat !== 'json') {
+            return null;
+        }
+
+        return {
+            name: type.replace(/-/g, '_'),
+            schema: promptLoader.getResponseSchema(type)
+        };
+    }
+
+    /**
+     * Create the incremental parser for a streamed response
+     * @param {string} type - Type of operation ('wordGeneration' or 'sentenceCheck')
+     * @param {string} outputFormat - Output format ('text' or 'json')
+     * @returns {StreamSectionParser|JsonStreamCollector} Stream parser
+     */
+    createStreamParser(type, outputFormat = 'text') {
+        if (type === 'wordGeneration') {
+            if (outputFormat === 'json') {
+                return new JsonStreamCollector([
+                    {name: 'SENTENCE', field: 'sentence', key: 'sentence'},
+                    {name: 'GRAMMAR_ANALYSIS', field: 'explanation', key: 'grammarAnalysis'},
+                    {name: 'GRAMMAR_POINTS', field: 'grammarPoints', key: 'grammarPoints'},
+                    {name: 'CHINESE_TRANSLATION', field: 'chineseTranslation', key: 'chineseTranslation'}
+                ], content => this.extractJson(content));
+            }
+
+            const {sentenceMarker, grammarMarker, chineseMarker, endMarker} = this.responseFormat;
+
+            return new StreamSectionParser([
+                {name: 'SENTENCE', field: 'sentence', marker: sentenceMarker},
+                {name: 'GRAMMAR_ANALYSIS', field: 'explanation', marker: grammarMarker},
+                {name: 'CHINESE_TRANSLATION', field: 'chineseTranslation', marker: chineseMarker}
+            ], endMarker);
+        }
+
+        if (outputFormat === 'json') {
+            return new JsonStreamCollector([
+                {name: 'GRAMMAR_ANALYSIS', field: 'grammarAnalysis', key: 'grammarAnalysis'},
+                {name: 'GRAMMAR_ERRORS', field: 'grammarErrors', key: 'grammarErrors'},
+                {name: 'GRAMMAR_CORRECTION', field: 'grammarCorrection', key: 'grammarCorrection'},
+                {name: 'KEYWORDS', field: 'keywords', key: 'keywords'},
+                {name: 'CHINESE_DEFINITION', field: 'chineseDefinition', key: 'chineseDefinition'}
+            ], content => this.extractJson(content));
+        }
+
+        const {
+            grammarAnalysisMarker,
+            grammarCorrectionMarker,
+            keywordAnalysisMarker,
+            chineseDefinitionMarker,
+            endMarker
+        } = this.checkResponseFormat;
+
+        return new StreamSectionParser([
+            {name: 'GRAMMAR_ANALYSIS', field: 'grammarAnalysis', marker: grammarAnalysisMarker},
+            {name: 'GRAMMAR_CORRECTION', field: 'grammarCorrection', marker: grammarCorrectionMarker},
+            {name: 'KEYWORD_ANALYSIS', field: 'keywordAnalysis', marker: keywordAnalysisMarker},
+            {name: 'CHINESE_DEFINITION', field: 'chineseDefinition', marker: chineseDefinitionMarker}
+        ], endMarker);
+    }
+
+    /**
+     * Build the prompt and conversation history for a generation attempt
+     * After a reply in an invalid format, the model is shown its reply and asked to answer again in the required format.
+     * @param {Array} words - Cleaned words to include
+     * @param {Array} conversationHistory - Previous messages
+     * @param {string} grammarLanguageOption - Grammar explanation language option ('combined' or 'pure')
+     * @param {Object} previousResult - Result of the previous failed attempt (null on the first attempt)
+     * @param {string} outputFormat - Output format ('text' or 'json')
+     * @param {string} promptVersion - Prompt version (defaults to v1)
+     * @returns {Object} Object containing prompt and history
+     */
+    buildGenerationMessages(words, conversationHistory = [], grammarLanguageOption = 'combined', previousResult = null, outputFormat = 'text', promptVersion = promptLoader.defaultVersion) {
+        const prompt = promptLoader.getSentenceGenerationPrompt(words, grammarLanguageOption, outputFormat, promptVersion);
+
+        if (!previousResult?.invalidFormat || !previousResult.rawContent) {
+            return {prompt, history: conversationHistory};
+        }
+
+        return {
+            prompt: promptLoader.getSentenceGenerationRetryPrompt(words, grammarLanguageOption, outputFormat, promptVersion),
+            history: [
+                ...conversationHistory,
+                {role: 'user', content: prompt},
+                {role: 'assistant', content: previousResult.rawContent}
+            ]
+        };
+    }
+
+    /**
+     * Run an AI operation with retries, exponential backoff with jitter and model tier fallback
+     * Retryable failures (rate limits, timeouts, invalid output format) are retried up to maxRetries times.
+     * After config.aiRetry.failuresBeforeFallback consecutive failures on a tier, the next lighter tier is used
+     * (heavy -> medium -> light). Models whose circuit is open are skipped in favour of a lighter tier, or fail fast.
+     * @param {string} type - Type of operation ('wordGeneration' or 'sentenceCheck')
+     * @param {number} inputSize - Size of input (word count or character count)
+     * @param {string} userId - User ID (optional)
+     * @param {Function} attemptFn - async (aiConfig, modelSelection, previousResult) => result
+     * @param {Object} options - Options: { maxRetries, locale, selectionReason, signal, onRetry }
+     * @returns {Object} Result of the last attempt with an attempts array describing every attempt,
+     *                   the token usage of all attempts together, the provider and whether the user's own API key was used
+     */
+    async runWithRetry(type, inputSize, userId, attemptFn, options = {}) {
+        const {maxRetries = 0, locale = 'en', selectionReason, signal, onRetry} = options;
+        const {baseDelayMs, maxDelayMs, failuresBeforeFallback} = config.aiRetry;
+
+        let tier = this.selectTierByComplexity(type, inputSize);
+        let tierFailures = 0;
+        let fallbackReason = null;
+        let previousResult = null;
+        const attempts = [];
+
+        for (let attemptNumber = 1; ; attemptNumber++) {
+            // Get configuration for user with the current model tier
+            const aiConfig = await this.getConfigurationForUser(userId, tier);
+
+            console.log(`Dynamic model selection for ${type} (attempt ${attemptNumber}): ${inputSize} -> ${aiConfig.provider}/${aiConfig.model}`);
+
+            this.assertApiKeyAvailable(aiConfig);
+
+            const modelSelection = {
+                inputSize: inputSize,
+                selectedModel: aiConfig.model,
+                selectionReason: fallbackReason ? `${selectionReason}; ${fallbackReason}` : selectionReason
+            };
+
+            const startedAt = new Date();
+            const fallbackTier = this.tierFallbacks[tier];
+            let result;
+            let retryAfterMs = null;
+
+            // Fail fast while the model's circuit is open instead of waiting for the provider to time out
+            const circuit = await circuitBreaker.canRequest(aiConfig.provider, aiConfig.model);
+
+            if (!circuit.allowed) {
+                result = this.buildCircuitOpenResult(aiConfig, circuit, locale, !!fallbackTier);
             } else {
-                // Check if this is a partial parse that we should accept
-                const hasAnyUsefulContent = parsedResponse.sentence ||
-                    parsedResponse.grammarAnalysis ||
-                    parsedResponse.chineseTranslation;
-
-                if (hasAnyUsefulContent) {
-                    // Accept partial parse if we have some useful content
-                    return {
-                        success: true,
-                        sentence: parsedResponse.sentence || '',
-                        explanation: parsedResponse.grammarAnalysis || '',
-                        chineseTranslation: parsedResponse.chineseTranslation || '',
-                        aiModel: aiConfig.model,
-                        thinking: thinking,
-                        rawResponse: response.data,
-                        partialParse: true,
-                        parseError: parsedResponse.error,
-                        modelSelection: {
-                            inputSize: wordCount,
-                            selectedModel: selectedModel,
-                            selectionReason: `Word count: ${wordCount} words`
-                        }
-                    };
+                try {
+                    result = await attemptFn(aiConfig, modelSelection, previousResult);
+                    // The provider responded, even if the output could not be parsed
+                    await circuitBreaker.recordSuccess(aiConfig.provider, aiConfig.model);
+                } catch (error) {
+                    result = this.buildErrorResult(error);
+                    retryAfterMs = getRetryAfterMs(error);
+
+                    if (this.isProviderFailure(error)) {
+                        await circuitBreaker.recordFailure(aiConfig.provider, aiConfig.model, error.message);
+                    } else if (circuit.probe) {
+                        await circuitBreaker.releaseProbe(aiConfig.provider, aiConfig.model);
+                    }
                 }
+            }
+
+            const attempt = {
+                attempt: attemptNumber,
+                model: aiConfig.model,
+                tier: tier,
+                outcome: this.getAttemptOutcome(result),
+                error: result.success ? undefined : (result.error || result.message),
+                durationMs: Date.now() - startedAt.getTime(),
+                startedAt: startedAt,
+                usage: result.usage || undefined
+            };
+            attempts.push(attempt);
 
-                // Invalid format
+            // Skipping an open circuit for a lighter model does not need a retry to be left
+            const canRetry = !result.success && result.retryable && !signal?.aborted &&
+                (attemptNumber <= maxRetries || result.circuitOpen);
+            if (!canRetry) {
                 return {
-                    success: false,
-                    message: `Invalid response format: ${parsedResponse.error}`,
-                    error: parsedResponse.error,
-                    rawResponse: response.data
+                    ...result,
+                    attempts,
+                    // Failed and re-prompted attempts consume tokens too
+                    usage: sumUsage(attempts.map(entry => entry.usage)),
+                    provider: aiConfig.provider,
+                    usesCustomApiKey: !!aiConfig.usesCustomApiKey
                 };
             }
 
-        } catch (error) {
-            // Handle different types of errors
-            if (error.response?.status === 429) {
-                return {
-                    success: false,
-                    message: 'Rate limit exceeded. Please try again later.',
-                    retryable: true
-                };
-            } else if (error.response?.status === 401) {
-                return {
-                    success: false,
-                    message: 'Invalid API key or authentication failed.',
-                    retryable: false
-                };
-            } else if (error.code === 'ECONNABORTED') {
-                return {
-                    success: false,
-                    message: 'Request timeout. Please try again.',
-                    retryable: true
-                };
-            } else if (error.response?.status === 400) {
-                return {
-                    success: false,
-                    message: 'Invalid request to AI API',
-                    retryable: false
-                };
-            } else {
-                return {
-                    success: false,
-                    message: `AI service error: ${error.message}`,
-                    retryable: true
-                };
+            // Fall back to a lighter model when the current tier keeps failing or its circuit is open
+            tierFailures++;
+            if (fallbackTier && (result.circuitOpen || tierFailures >= failuresBeforeFallback)) {
+                fallbackReason = result.circuitOpen
+                    ? `fell back from ${tier} to ${fallbackTier} model because its circuit is open`
+                    : `fell back from ${tier} to ${fallbackTier} model after ${tierFailures} failed attempts`;
+                tier = fallbackTier;
+                tierFailures = 0;
             }
+
+            // Honor Retry-After from rate limited responses, within the configured maximum delay
+            // A skipped open circuit did not reach the provider, so the lighter model is tried right away
+            const delayMs = result.circuitOpen ? 0 : Math.max(
+                computeBackoffDelay(attemptNumber, {baseDelayMs, maxDelayMs}),
+                Math.min(retryAfterMs || 0, maxDelayMs)
+            );
+            attempt.retryDelayMs = delayMs;
+
+            console.warn(`AI ${type} attempt ${attemptNumber} failed (${attempt.outcome}: ${attempt.error}), retrying in ${delayMs}ms`);
+
+            if (onRetry) {
+                onRetry({
+                    attempt: attemptNumber,
+                    outcome: attempt.outcome,
+                    error: attempt.error,
+                    delayMs: delayMs,
+                    nextTier: tier
+                });
+            }
+
+            await sleep(delayMs, signal);
+            previousResult = result;
+        }
+    }
+
+    /**
+     * Classify the result of an AI attempt
+     * @param {Object} result - Generation or sentence check result
+     * @returns {string} 'success', 'partialParse', 'invalidFormat', 'circuitOpen' or 'error'
+     */
+    getAttemptOutcome(result) {
+        if (result.success) {
+            return result.partialParse ? 'partialParse' : 'success';
+        }
+
+        if (result.circuitOpen) {
+            return 'circuitOpen';
+        }
+
+        return result.invalidFormat ? 'invalidFormat' : 'error';
+    }
+
+    /**
+     * Check whether an error means the provider itself is failing (counts towards opening the circuit)
+     * Timeouts, network errors and 5xx responses count; rejected requests (4xx) and client aborts do not.
+     * @param {Error} error - Error thrown by the provider request
+     * @returns {boolean} True if the error is a provider failure
+     */
+    isProviderFailure(error) {
+        if (error.code === 'ERR_CANCELED' || error.name === 'CanceledError') {
+            return false;
+        }
+
+        if (error.response) {
+            return error.response.status >= 500;
+        }
+
+        // No response at all: timeout, connection refused/reset, DNS failure
+        return !!error.code || !!error.request;
+    }
+
+    /**
+     * Build the fail-fast result for a model whose circuit is open
+     * @param {Object} aiConfig - AI configuration for the model
+     * @param {Object} circuit - Circuit check result ({ state, retryAfterMs })
+     * @param {string} locale - Locale for the error message
+     * @param {boolean} canFallback - Whether a lighter model tier can be tried instead
+     * @returns {Object} Failed result
+     */
+    buildCircuitOpenResult(aiConfig, circuit, locale = 'en', canFallback = false) {
+        const retryAfterSeconds = Math.max(1, Math.ceil((circuit.retryAfterMs || 0) / 1000));
+
+        return {
+            success: false,
+            message: i18n.t('ai.circuitOpen', locale, {model: aiConfig.model, seconds: retryAfterSeconds}),
+            error: `Circuit ${circuit.state} for ${aiConfig.provider}/${aiConfig.model}`,
+            circuitOpen: true,
+            retryAfterSeconds: retryAfterSeconds,
+            retryable: canFallback
+        };
+    }
+
+    /**
+     * Get AI provider health based on circuit breaker state
+     * @returns {Object} { provider, status, models, circuits }
+     */
+    async getHealthStatus() {
+        const provider = providers.getProvider(this.defaultProvider);
+        const circuits = await circuitBreaker.getAllStates();
+
+        // Report every platform model tier, including models that never failed
+        const models = ['light', 'medium', 'heavy'].map(tier => {
+            const model = provider.getModelForTier(tier);
+            const circuit = circuits.find(entry => entry.provider === provider.name && entry.model === model);
+
+            return {
+                tier,
+                model,
+                state: circuit ? circuit.state : 'closed'
+            };
+        });
+
+        const openModels = models.filter(entry => entry.state !== 'closed').length;
+        let status = 'available';
+        if (openModels === models.length) {
+            status = 'unavailable';
+        } else if (openModels > 0) {
+            status = 'degraded';
+        }
+
+        return {
+            provider: provider.displayName,
+            status,
+            models,
+            circuits: circuits.filter(entry => entry.state !== 'closed' || entry.failures > 0)
+        };
+    }
+
+    /**
+     * Send a chat completion request through the configured provider adapter
+     * @param {Object} aiConfig - AI configuration for the user and selected model
+     * @param {string} prompt - Prompt text
+     * @param {Array} conversationHistory - Previous messages
+     * @param {boolean} enableThinking - Whether to enable AI thinking process
+     * @param {Object} options - Options: { signal, responseSchema } (responseSchema requests JSON output)
+     * @returns {Object} Content, thinking text, raw provider response and token usage (null if not reported)
+     */
+    async requestCompletion(aiConfig, prompt, conversationHistory = [], enableThinking = false, options = {}) {
+        const provider = providers.getProvider(aiConfig.provider);
+
+        // Prepare request data for the provider with thinking enabled/disabled
+        const {headers, requestBody} = provider.buildRequest(
+            aiConfig,
+            prompt,
+            conversationHistory,
+            {enableThinking, stream: false, responseSchema: options.responseSchema}
+        );
+
+        // Make HTTP request
+        const data = await provider.send(aiConfig, requestBody, headers, {signal: options.signal});
+
+        // Process response using the provider's format
+        const {content, thinking} = provider.parseResponse(data, aiConfig);
+
+        return {content, thinking, rawResponse: data, usage: normalizeUsage(provider.parseUsage(data))};
+    }
+
+    /**
+     * Send a streaming chat completion request and forward thinking tokens and parsed sections
+     * @param {Object} aiConfig - AI configuration for the user and selected model
+     * @param {string} prompt - Prompt text
+     * @param {Array} conversationHistory - Previous messages
+     * @param {boolean} enableThinking - Whether to enable AI thinking process
+     * @param {StreamSectionParser|JsonStreamCollector} sectionParser - Incremental parser for the expected sections
+     * @param {Object} handlers - Stream callbacks: { onStart, onThinking, onSection, signal, modelSelection, responseSchema }
+     * @returns {Object} Accumulated content, thinking text, a reconstructed raw response and token usage (null if not reported)
+     */
+    async streamCompletion(aiConfig, prompt, conversationHistory, enableThinking, sectionParser, handlers = {}) {
+        const {onStart, onThinking, onSection, signal, modelSelection, responseSchema} = handlers;
+        const provider = providers.getProvider(aiConfig.provider);
+
+        const {headers, requestBody} = provider.buildRequest(
+            aiConfig,
+            prompt,
+            conversationHistory,
+            {enableThinking, stream: true, responseSchema}
+        );
+
+        const stream = await provider.sendStream(aiConfig, requestBody, headers, {signal});
+
+        if (onStart) {
+            onStart({aiModel: aiConfig.model, modelSelection});
+        }
+
+        let thinking = '';
+        let pending = '';
+        let usage = null;
+
+        const handleLine = (line) => {
+            const parsed = provider.parseStreamLine(line, aiConfig);
+
+            // Usage arrives in its own chunk or on the final one, usually without content
+            if (parsed?.rawChunk) {
+                usage = mergeUsage(usage, provider.parseStreamUsage(parsed.rawChunk));
+            }
+
+            if (!parsed || (parsed.done && !parsed.content)) {
+                return;
+            }
+
+            if (parsed.thinking) {
+                thinking += parsed.thinking;
+                if (onThinking) {
+                    onThinking(parsed.thinking);
+                }
+            }
+
+            if (parsed.content) {
+                const sections = sectionParser.push(parsed.content);
+                if (onSection) {
+                    sections.forEach(section => onSection(section));
+                }
+            }
+        };
+
+        for await (const chunk of stream) {
+            pending += chunk;
+            const lines = pending.split('\n');
+            pending = lines.pop();
+            lines.forEach(handleLine);
+        }
+
+        if (pending) {
+            handleLine(pending);
+        }
+
+        const remainingSections = sectionParser.finish();
+        if (onSection) {
+            remainingSections.forEach(section => onSection(section));
+        }
+
+        const content = sectionParser.getContent();
+        if (!content) {
+            throw new Error('Could not extract response content from API response');
+        }
+
+        return {
+            content,
+            thinking: thinking || null,
+            // Mirror the OpenAI-style response shape so stored raw responses stay consistent
+            rawResponse: {
+                provider: aiConfig.provider,
+                model: aiConfig.model,
+                stream: true,
+                choices: [{
+                    message: {
+                        role: 'assistant',
+                        content,
+                        reasoning_content: thinking || null
+                    }
+                }]
+            },
+            usage: normalizeUsage(usage)
+        };
+    }
+
+    /**
+     * Build the sentence check result from AI response content
+     * @param {string} content - AI response content
+     * @param {string} thinking - AI thinking text (optional)
+     * @param {Object} rawResponse - Raw provider response
+     * @param {Object} aiConfig - AI configuration used for the request
+     * @param {Object} modelSelection - Model selection details
+     * @param {string} locale - Locale for error messages
+     * @param {string} outputFormat - Output format the response was requested in ('text' or 'json')
+     * @returns {Object} Sentence check result
+     */
+    buildSentenceCheckResult(content, thinking, rawResponse, aiConfig, modelSelection, locale = 'en', outputFormat = 'text') {
+        if (outputFormat === 'json') {
+            const parsedJson = this.parseJsonResponse(content, 'sentence-check', locale);
+
+            if (!parsedJson.isValid) {
+                return this.buildInvalidJsonResult(parsedJson, content, rawResponse);
+            }
+
+            const {isCorrect, grammarAnalysis, grammarErrors, grammarCorrection, keywords, chineseDefinition} = parsedJson.data;
+
+            return {
+                success: true,
+                grammarAnalysis: grammarAnalysis.trim(),
+                grammarCorrection: grammarCorrection.trim(),
+                // Keep the text field filled for clients that only read keywordAnalysis
+                keywordAnalysis: this.formatKeywordAnalysis(keywords),
+                chineseDefinition: chineseDefinition.trim(),
+                isCorrect,
+                grammarErrors,
+                keywords,
+                aiModel: aiConfig.model,
+                thinking: thinking,
+                rawResponse: rawResponse,
+                modelSelection: modelSelection,
+                outputFormat: 'json'
+            };
+        }
+
+        // Parse the structured response
+        const parsedResponse = this.parseSentenceCheckResponse(content, locale);
+
+        if (parsedResponse.isValid) {
+            return {
+                success: true,
+                grammarAnalysis: parsedResponse.grammarAnalysis,
+                grammarCorrection: parsedResponse.grammarCorrection,
+                keywordAnalysis: parsedResponse.keywordAnalysis,
+                chineseDefinition: parsedResponse.chineseDefinition,
+                aiModel: aiConfig.model,
+                thinking: thinking,
+                rawResponse: rawResponse,
+                // Some section markers were missing (counted separately in the attempt outcome)
+                ...(parsedResponse.partialParse && {partialParse: true}),
+                modelSelection: modelSelection
+            };
+        }
+
+        // Check if this is a partial parse that we should accept
+        const hasAnyUsefulContent = parsedResponse.grammarAnalysis ||
+            parsedResponse.grammarCorrection ||
+            parsedResponse.keywordAnalysis ||
+            parsedResponse.chineseDefinition;
+
+        if (hasAnyUsefulContent) {
+            // Accept partial parse if we have some useful content
+            return {
+                success: true,
+                grammarAnalysis: parsedResponse.grammarAnalysis || '',
+                grammarCorrection: parsedResponse.grammarCorrection || '',
+                keywordAnalysis: parsedResponse.keywordAnalysis || '',
+                chineseDefinition: parsedResponse.chineseDefinition || '',
+                aiModel: aiConfig.model,
+                thinking: thinking,
+                rawResponse: rawResponse,
+                partialParse: true,
+                parseError: parsedResponse.error,
+                modelSelection: modelSelection
+            };
         }
+
+        // Invalid format
+        return {
+            success: false,
+            message: `Invalid response format: ${parsedResponse.error}`,
+            error: parsedResponse.error,
+            rawResponse: rawResponse
+        };
+    }
+
+    /**
+     * Build the sentence generation result from AI response content
+     * @param {string} content - AI response content
+     * @param {string} thinking - AI thinking text (optional)
+     * @param {Object} rawResponse - Raw provider response
+     * @param {Object} aiConfig - AI configuration used for the request
+     * @param {Object} modelSelection - Model selection details
+     * @param {string} locale - Locale for error messages
+     * @param {string} outputFormat - Output format the response was requested in ('text' or 'json')
+     * @returns {Object} Generation result
+     */
+    buildGenerationResult(content, thinking, rawResponse, aiConfig, modelSelection, locale = 'en', outputFormat = 'text') {
+        if (outputFormat === 'json') {
+            const parsedJson = this.parseJsonResponse(content, 'sentence-generation', locale);
+
+            if (!parsedJson.isValid) {
+                return this.buildInvalidJsonResult(parsedJson, content, rawResponse);
+            }
+
+            const {sentence, grammarAnalysis, grammarPoints, chineseTranslation} = parsedJson.data;
+
+            return {
+                success: true,
+                sentence: sentence.trim(),
+                explanation: grammarAnalysis.trim(),
+                grammarPoints,
+                chineseTranslation: chineseTranslation.trim(),
+                aiModel: aiConfig.model,
+                thinking: thinking,
+                rawResponse: rawResponse,
+                modelSelection: modelSelection,
+                outputFormat: 'json'
+            };
+        }
+
+        // Parse the structured response
+        const parsedResponse = this.parseStructuredResponse(content, locale);
+
+        if (parsedResponse.isValid) {
+            return {
+                success: true,
+                sentence: parsedResponse.sentence,
+                explanation: parsedResponse.grammarAnalysis,
+                chineseTranslation: parsedResponse.chineseTranslation,
+                aiModel: aiConfig.model,
+                thinking: thinking,
+                rawResponse: rawResponse,
+                // Some section markers were missing (counted separately in the attempt outcome)
+                ...(parsedResponse.partialParse && {partialParse: true}),
+                modelSelection: modelSelection
+            };
+        }
+
+        // Check if this is a partial parse that we should accept
+        const hasAnyUsefulContent = parsedResponse.sentence ||
+            parsedResponse.grammarAnalysis ||
+            parsedResponse.chineseTranslation;
+
+        if (hasAnyUsefulContent) {
+            // Accept partial parse if we have some useful content
+            return {
+                success: true,
+                sentence: parsedResponse.sentence || '',
+                explanation: parsedResponse.grammarAnalysis || '',
+                chineseTranslation: parsedResponse.chineseTranslation || '',
+                aiModel: aiConfig.model,
+                thinking: thinking,
+                rawResponse: rawResponse,
+                partialParse: true,
+                parseError: parsedResponse.error,
+                modelSelection: modelSelection
+            };
+        }
+
+        // Invalid format - retryable by re-prompting with the unparseable reply
+        return {
+            success: false,
+            message: `Invalid response format: ${parsedResponse.error}`,
+            error: parsedResponse.error,
+            rawResponse: rawResponse,
+            rawContent: content,
+            invalidFormat: true,
+            retryable: true
+        };
+    }
+
+    /**
+     * Map an AI request error to a failed result
+     * @param {Error} error - Error thrown by the HTTP request or response processing
+     * @returns {Object} Failed result with retryable flag
+     */
+    buildErrorResult(error) {
+        // Handle different types of errors
+        if (error.response?.status === 429) {
+            return {
+                success: false,
+                message: 'Rate limit exceeded. Please try again later.',
+                retryable: true
+            };
+        } else if (error.response?.status === 401) {
+            return {
+                success: false,
+                message: 'Invalid API key or authentication failed.',
+                retryable: false
+            };
+        } else if (error.code === 'ECONNABORTED') {
+            return {
+                success: false,
+                message: 'Request timeout. Please try again.',
+                retryable: true
+            };
+        } else if (error.response?.status === 400) {
+            return {
+                success: false,
+                message: 'Invalid request to AI API',
+                retryable: false
+            };
+        } else {
+            return {
+                success: false,
+                message: `AI service error: ${error.message}`,
+                retryable: true
+            };
+        }
+    }
+
+    /**
+     * Parse a JSON-mode AI response and validate it against its response schema
+     * @param {string} content - AI response content
+     * @param {string} schemaType - Schema type ('sentence-check' or 'sentence-generation')
+     * @param {string} locale - Locale for error messages (default: 'en')
+     * @returns {Object} { isValid, data, error }
+     */
+    parseJsonResponse(content, schemaType, locale = 'en') {
+        let data;
+
+        try {
+            data = this.extractJson(content);
+        } catch (error) {
+            return {
+                isValid: false,
+                error: i18n.t('ai.invalidJson', locale, {message: error.message}) + ` | Response preview: "${content.substring(0, 200)}..."`
+            };
+        }
+
+        const errors = validateSchema(data, promptLoader.getResponseSchema(schemaType));
+        if (errors.length > 0) {
+            return {
+                isValid: false,
+                data,
+                error: i18n.t('ai.schemaValidationFailed', locale, {errors: errors.slice(0, 5).join('; ')})
+            };
+        }
+
+        return {isValid: true, data};
+    }
+
+    /**
+     * Extract the JSON object from a JSON-mode response
+     * Models without schema-constrained output sometimes wrap the object in code fences or thinking tags.
+     * @param {string} content - AI response content
+     * @returns {Object} Parsed object
+     */
+    extractJson(content) {
+        const cleanedContent = content.replace(/<think>[\s\S]*?<\/think>/gi, '').trim();
+        const start = cleanedContent.indexOf('{');
+        const end = cleanedContent.lastIndexOf('}');
+
+        if (start === -1 || end <= start) {
+            throw new Error('No JSON object found in AI response');
+        }
+
+        return JSON.parse(cleanedContent.substring(start, end + 1));
+    }
+
+    /**
+     * Build the failed result for a JSON-mode response that could not be parsed or validated
+     * @param {Object} parsedJson - Result of parseJsonResponse
+     * @param {string} content - AI response content
+     * @param {Object} rawResponse - Raw provider response
+     * @returns {Object} Failed result, retryable by re-prompting
+     */
+    buildInvalidJsonResult(parsedJson, content, rawResponse) {
+        return {
+            success: false,
+            message: `Invalid response format: ${parsedJson.error}`,
+            error: parsedJson.error,
+            rawResponse: rawResponse,
+            rawContent: content,
+            invalidFormat: true,
+            retryable: true
+        };
+    }
+
+    /**
+     * Format JSON-mode keywords as the text keyword analysis used by marker-based responses
+     * @param {Array} keywords - Keywords: [{ word, partOfSpeech, explanation }]
+     * @returns {string} Keyword analysis text
+     */
+    formatKeywordAnalysis(keywords = []) {
+        return keywords
+            .map(keyword => `**${keyword.word}** (${keyword.partOfSpeech}): ${keyword.explanation}`)
+            .join('\n');
     }
 
     /**
@@ -795,38 +1490,28 @@ class AIService {
     }
 
     /**
-     * Test user's API key with platform configuration
+     * Test user's API key with the given provider
      * @param {string} apiKey - API key to test
+     * @param {string} providerName - Provider the key belongs to (defaults to the deployment provider)
      * @returns {Object} Test result
      */
-    async testApiKey(apiKey) {
+    async testApiKey(apiKey, providerName = null) {
         try {
             // Create test configuration
+            const provider = providers.getProvider(providerName || this.defaultProvider);
             const testConfig = {
-                ...this.platformConfig,
-                enable_thinking: true,
+                ...provider.getBaseConfig(),
                 apiKey: apiKey
             };
 
-            // Prepare test request
-            const testMessage = "Hello, this is a test message.";
-            const {headers, requestBody} = HttpUtils.prepareRequestData(testConfig, testMessage);
-
             // Make test request
-            const response = await axios.post(testConfig.apiUrl, requestBody, {
-                headers,
-                timeout: testConfig.timeout
-            });
-
-            // Process response
-            const {content, thinking} = HttpUtils.processAiResponse(
-                JSON.stringify(response.data),
-                testConfig
-            );
+            const testMessage = "Hello, this is a test message.";
+            const {content, thinking} = await this.requestCompletion(testConfig, testMessage, [], true);
 
             return {
                 success: true,
                 message: "API key is valid and working",
+                provider: provider.name,
                 response: {
                     content: content,
                     thinking: thinking
@@ -849,15 +1534,18 @@ class AIService {
         // Get prompt system information
         const promptValidation = promptLoader.validatePromptFiles();
         const promptCache = promptLoader.getCacheInfo();
+        const defaultProvider = providers.getProvider(this.defaultProvider);
 
         return {
-            provider: "SiliconFlow",
+            provider: this.platformConfig.name,
+            providerId: this.defaultProvider,
             defaultModel: this.platformConfig.model,
             dynamicModels: {
-                light: config.siliconflowModelLight || 'Qwen/Qwen3-8B',
-                medium: config.siliconflowModelMedium || 'Qwen/Qwen3-14B',
-                heavy: config.siliconflowModelHeavy || 'Qwen/Qwen3-30B-A3B'
+                light: defaultProvider.getModelForTier('light'),
+                medium: defaultProvider.getModelForTier('medium'),
+                heavy: defaultProvider.getModelForTier('heavy')
             },
+            userSelectableProviders: providers.getUserSelectableProviders(),
             modelSelection: {
                 wordGeneration: {
                     maxWords: this.modelThresholds.wordGeneration.max,
@@ -875,12 +1563,14 @@ class AIService {
                 availablePrompts: promptValidation.existing,
                 missingPrompts: promptValidation.missing,
                 promptsDirectory: promptValidation.promptsDirectory,
+                promptVersions: promptValidation.versions,
+                promptExperiments: config.promptExperiments,
                 cacheStatus: promptCache
             },
             apiUrl: this.platformConfig.apiUrl,
             features: [
                 "Dynamic model selection based on complexity",
-                "Advanced reasoning with QwQ model",
+                "Pluggable AI providers (OpenAI-compatible, Anthropic, Ollama)",
                 "Grammar explanations",
                 "Natural sentence generation",
                 "Multi-word integration",
@@ -927,7 +1617,7 @@ class AIService {
 
     /**
      * Validate words array
-     * @param {Array} words - Array of words to validate
+     * @param {Array} words - Array of words and phrases to validate
      * @returns {Array} Cleaned words array
      */
     validateWords(words) {
@@ -953,13 +1643,13 @@ class AIService {
                 throw new Error('Words must be 50 characters or less');
             }
 
-            // Basic validation for English words (letters, hyphens, apostrophes)
-            if (!/^[a-zA-Z\-']+$/.test(word.trim())) {
+            // Basic validation for English words and phrases (letters, hyphens, apostrophes, spaces between words)
+            if (!isValidWord(normalizeWord(word))) {
                 throw new Error(`Invalid word format: ${word}`);
             }
         }
 
-        return words.map(word => word.trim().toLowerCase());
+        return words.map(normalizeWord);
     }
 }
 
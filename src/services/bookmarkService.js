@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const Bookmark = require('../models/Bookmark');
+const BookmarkCollection = require('../models/BookmarkCollection');
+const Generation = require('../models/Generation');
+const SentenceCheck = require('../models/SentenceCheck');
+
+// Models that can be bookmarked and liked, by Bookmark.targetType
+const TARGET_MODELS = {
+    Generation,
+    SentenceCheck
+};
+
+/**
+ * Bookmarks of public generations and sentence checks, in optional named collections, and the history of
+ * the content a user liked.
+ * Entries are returned with their targets; a target that was deleted, made private by someone else or hidden
+ * by moderators is marked so the caller can show a tombstone in its place.
+ */
+class BookmarkService {
+    constructor() {
+        this.targetModels = TARGET_MODELS;
+    }
+
+    /**
+     * Bookmark content, or move an existing bookmark of it to another collection
+     * @param {string} userId - User ID
+     * @param {string} targetType - 'Generation' or 'SentenceCheck'
+     * @param {string} targetId - Generation or sentence check ID
+     * @param {string|null|undefined} collectionId - Collection to put the bookmark in; undefined keeps the current one
+     * @returns {Promise<Object>} { bookmark, created }
+     */
+    async addBookmark(userId, targetType, targetId, collectionId) {
+        const existing = await Bookmark.findOne({userId, targetId});
+        if (existing) {
+            if (collectionId !== undefined) {
+                existing.collectionId = collectionId;
+                await existing.save();
+            }
+            return {bookmark: existing, created: false};
+        }
+
+        try {
+            const bookmark = await Bookmark.create({userId, targetType, targetId, collectionId: collectionId || null});
+            return {bookmark, created: true};
+        } catch (error) {
+            // Duplicate key: bookmarked by a concurrent request
+            if (error.code === 11000) {
+                return {bookmark: await Bookmark.findOne({userId, targetId}), created: false};
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Get a page of a user's bookmarks, newest first
+     * @param {string} userId - User ID
+     * @param {Object} options - { page, limit, collectionId, targetType } with collectionId 'none' for bookmarks
+     *   not in a collection
+     * @returns {Promise<Object>} { bookmarks, items, total } with items as returned by loadTargets
+     */
+    async getBookmarks(userId, {page, limit, collectionId, targetType}) {
+        const query = {userId};
+        if (collectionId) {
+            query.collectionId = collectionId === 'none' ? null : collectionId;
+        }
+        if (targetType) {
+            query.targetType = targetType;
+        }
+
+        const [bookmarks, total] = await Promise.all([
+            Bookmark.find(query)
+                .sort({createdAt: -1, _id: -1})
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Bookmark.countDocuments(query)
+        ]);
+
+        const items = await this.loadTargets(userId, bookmarks);
+        return {bookmarks, items, total};
+    }
+
+    /**
+     * Get a user's collections with the number of bookmarks in each, by name
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} { collections, unsortedCount } with collections { ...collection, bookmarkCount }
+     */
+    async getCollections(userId) {
+        const [collections, counts] = await Promise.all([
+            BookmarkCollection.find({userId}).sort({name: 1}),
+            Bookmark.aggregate([
+                {$match: {userId: new mongoose.Types.ObjectId(String(userId))}},
+                {$group: {_id: '$collectionId', count: {$sum: 1}}}
+            ])
+        ]);
+
+        const countByCollection = new Map(counts.map(entry => [String(entry._id), entry.count]));
+        return {
+            collections: collections.map(collection => ({
+                ...collection.toObject(),
+                bookmarkCount: countByCollection.get(String(collection._id)) || 0
+            })),
+            unsortedCount: countByCollection.get('null') || 0
+        };
+    }
+
+    /**
+     * Delete a collection; its bookmarks are kept, outside any collection
+     * @param {Object} collection - Collection document
+     * @returns {Promise<number>} Number of bookmarks moved out of the collection
+     */
+    async deleteCollection(collection) {
+        const result = await Bookmark.updateMany(
+            {userId: collection.userId, collectionId: collection._id},
+            {$set: {collectionId: null}}
+        );
+        await BookmarkCollection.deleteOne({_id: collection._id});
+        return result.modifiedCount;
+    }
+
+    /**
+     * Get a page of the generations and sentence checks a user liked, most recently liked first
+     * Uses the likes.userId index of both collections.
+     * @param {string} userId - User ID
+     * @param {Object} options - { page, limit, targetType }
+     * @returns {Promise<Object>} { likes, items, total } with likes { targetType, targetId, likedAt } and items as
+     *   returned by loadTargets
+     */
+    async getLikes(userId, {page, limit, targetType}) {
+        const userObjectId = new mongoose.Types.ObjectId(String(userId));
+        const likePipeline = (type) => [
+            {$match: {'likes.userId': userObjectId}},
+            {
+                $project: {
+                    _id: 0,
+                    targetType: {$literal: type},
+                    targetId: '$_id',
+                    likedAt: {
+                        $let: {
+                            vars: {
+                                like: {
+                                    $arrayElemAt: [
+                                        {$filter: {input: '$likes', cond: {$eq: ['$$this.userId', userObjectId]}}},
+                                        0
+                                    ]
+                                }
+                            },
+                            in: '$$like.createdAt'
+                        }
+                    }
+                }
+            }
+        ];
+
+        const types = targetType ? [targetType] : Object.keys(TARGET_MODELS);
+        const [first, ...others] = types;
+        const pipeline = [
+            ...likePipeline(first),
+            ...others.map(type => ({
+                $unionWith: {coll: TARGET_MODELS[type].collection.name, pipeline: likePipeline(type)}
+            })),
+            {$sort: {likedAt: -1, targetId: -1}},
+            {
+                $facet: {
+                    likes: [{$skip: (page - 1) * limit}, {$limit: limit}],
+                    total: [{$count: 'count'}]
+                }
+            }
+        ];
+
+        const [result] = await TARGET_MODELS[first].aggregate(pipeline);
+        const likes = result.likes;
+        const total = result.total.length > 0 ? result.total[0].count : 0;
+
+        const items = await this.loadTargets(userId, likes);
+        return {likes, items, total};
+    }
+
+    /**
+     * Load the targets of bookmarks or likes, with their authors
+     * @param {string} userId - User ID, who still sees their own content after it is made private
+     * @param {Array} entries - Objects with targetType and targetId
+     * @returns {Promise<Map>} Target ID to { target, visible, hidden }, or to null when the target was deleted;
+     *   visible is false when someone else's target was made private or hidden by moderators
+     */
+    async loadTargets(userId, entries) {
+        const items = new Map(entries.map(entry => [String(entry.targetId), null]));
+
+        await Promise.all(Object.entries(TARGET_MODELS).map(async ([type, Model]) => {
+            const ids = entries.filter(entry => entry.targetType === type).map(entry => entry.targetId);
+            if (ids.length === 0) {
+                return;
+            }
+            const targets = await Model.find({_id: {$in: ids}}).populate('userId', 'username');
+            targets.forEach(target => {
+                const ownerId = target.userId && target.userId._id ? target.userId._id : target.userId;
+                items.set(String(target._id), {
+                    target,
+                    visible: (target.isPublic && !target.isHidden) || String(ownerId) === String(userId),
+                    hidden: !!target.isHidden
+                });
+            });
+        }));
+
+        return items;
+    }
+}
+
+module.exports = new BookmarkService();
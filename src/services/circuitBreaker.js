@@ -0,0 +1,323 @@
+const config = require('../config/config');
+const redisClient = require('../config/redis');
+
+// Redis key management for circuit state (shared by all server instances)
+const CircuitKeys = {
+    // Hash with state, failures, openedAt, lastFailureAt and lastError for one model
+    getStateKey: (provider, model) => `ai_circuit:${provider}:${model}`,
+
+    // Lock held by the single in-flight half-open probe
+    getProbeKey: (provider, model) => `ai_circuit_probe:${provider}:${model}`,
+
+    // Set of "provider|model" members that have circuit state, used for health reporting
+    trackedModelsKey: 'ai_circuit:models'
+};
+
+/**
+ * Per-model circuit breaker for AI provider requests.
+ *
+ * closed    - requests pass; consecutive provider failures are counted
+ * open      - after failureThreshold consecutive failures, requests fail fast for openDurationMs
+ * half_open - once openDurationMs has passed, one probe request at a time is let through;
+ *             success closes the circuit, failure opens it again
+ *
+ * State lives in Redis so all instances share it. When Redis is unavailable, state is kept in memory.
+ */
+class CircuitBreaker {
+    constructor() {
+        this.settings = config.aiCircuitBreaker;
+
+        // In-memory fallback used while Redis is not connected
+        this.localStates = new Map();
+        this.localProbes = new Map();
+    }
+
+    /**
+     * Check whether a request to the model may be sent
+     * @param {string} provider - Provider name
+     * @param {string} model - Model name
+     * @returns {Object} { allowed, state, retryAfterMs, probe }
+     */
+    async canRequest(provider, model) {
+        const circuit = await this.getState(provider, model);
+
+        if (circuit.state === 'closed') {
+            return {allowed: true, state: 'closed'};
+        }
+
+        const elapsedMs = Date.now() - circuit.openedAt;
+        if (circuit.state === 'open' && elapsedMs < this.settings.openDurationMs) {
+            return {allowed: false, state: 'open', retryAfterMs: this.settings.openDurationMs - elapsedMs};
+        }
+
+        // Open long enough - let a single probe through
+        const acquired = await this.acquireProbe(provider, model);
+        if (!acquired) {
+            return {allowed: false, state: 'half_open', retryAfterMs: this.settings.openDurationMs};
+        }
+
+        await this.saveState(provider, model, {state: 'half_open'});
+        return {allowed: true, state: 'half_open', probe: true};
+    }
+
+    /**
+     * Record a successful request; closes the circuit
+     * @param {string} provider - Provider name
+     * @param {string} model - Model name
+     */
+    async recordSuccess(provider, model) {
+        const circuit = await this.getState(provider, model);
+
+        if (circuit.state === 'closed' && circuit.failures === 0) {
+            return;
+        }
+
+        if (circuit.state !== 'closed') {
+            console.log(`AI circuit for ${provider}/${model} closed after successful request`);
+        }
+
+        await this.clearState(provider, model);
+    }
+
+    /**
+     * Record a provider failure; opens the circuit after too many consecutive failures or a failed probe
+     * @param {string} provider - Provider name
+     * @param {string} model - Model name
+     * @param {string} errorMessage - Failure description
+     */
+    async recordFailure(provider, model, errorMessage) {
+        const {failures, state} = await this.incrementFailures(provider, model, errorMessage);
+        const shouldOpen = state === 'half_open' || failures >= this.settings.failureThreshold;
+
+        // Failures that finish after another request opened the circuit leave it open as it is
+        if (shouldOpen && state !== 'open') {
+            console.warn(`AI circuit for ${provider}/${model} opened after ${failures} consecutive failures: ${errorMessage}`);
+            await this.saveState(provider, model, {state: 'open', openedAt: Date.now()});
+        }
+
+        await this.releaseProbe(provider, model);
+    }
+
+    /**
+     * Get the state of every tracked circuit
+     * @returns {Array} Circuit states: { provider, model, state, failures, openedAt, lastFailureAt, lastError, retryAfterMs }
+     */
+    async getAllStates() {
+        const members = await this.getTrackedModels();
+
+        const states = await Promise.all(members.map(async member => {
+            const [provider, model] = member.split('|');
+            const circuit = await this.getState(provider, model);
+
+            // An open circuit past its open duration will accept a probe on the next request
+            const retryAfterMs = circuit.state === 'open'
+                ? Math.max(0, this.settings.openDurationMs - (Date.now() - circuit.openedAt))
+                : 0;
+
+            return {
+                provider,
+                model,
+                state: circuit.state === 'open' && retryAfterMs === 0 ? 'half_open' : circuit.state,
+                failures: circuit.failures,
+                openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+                lastFailureAt: circuit.lastFailureAt ? new Date(circuit.lastFailureAt).toISOString() : null,
+                lastError: circuit.lastError || null,
+                retryAfterMs
+            };
+        }));
+
+        return states;
+    }
+
+    /**
+     * Read circuit state for a model
+     * @param {string} provider - Provider name
+     * @param {string} model - Model name
+     * @returns {Object} { state, failures, openedAt, lastFailureAt, lastError }
+     */
+    async getState(provider, model) {
+        let stored;
+
+        if (this.useRedis()) {
+            try {
+                stored = await redisClient.hGetAll(CircuitKeys.getStateKey(provider, model));
+            } catch (error) {
+                console.error('Error reading AI circuit state from Redis:', error.message);
+            }
+        }
+
+        if (!stored) {
+            stored = this.localStates.get(CircuitKeys.getStateKey(provider, model)) || {};
+        }
+
+        return {
+            state: stored.state || 'closed',
+            failures: parseInt(stored.failures) || 0,
+            openedAt: parseInt(stored.openedAt) || 0,
+            lastFailureAt: parseInt(stored.lastFailureAt) || 0,
+            lastError: stored.lastError || null
+        };
+    }
+
+    /**
+     * Count a failure of a model. The count is incremented in Redis (HINCRBY) rather than read and written back,
+     * so concurrent failures on any instance are all counted.
+     * @param {string} provider - Provider name
+     * @param {string} model - Model name
+     * @param {string} errorMessage - Failure description
+     * @returns {Object} { failures, state } - Failure count after this one, and the circuit state it was counted in
+     */
+    async incrementFailures(provider, model, errorMessage) {
+        const key = CircuitKeys.getStateKey(provider, model);
+        const details = {lastFailureAt: Date.now(), lastError: errorMessage || ''};
+
+        if (this.useRedis()) {
+            try {
+                const [failures, state] = await redisClient.multi()
+                    .hIncrBy(key, 'failures', 1)
+                    .hGet(key, 'state')
+                    .hSet(key, {lastFailureAt: String(details.lastFailureAt), lastError: details.lastError})
+                    .expire(key, this.settings.stateTtlSeconds)
+                    .sAdd(CircuitKeys.trackedModelsKey, `${provider}|${model}`)
+                    .exec();
+                return {failures: Number(failures), state: state || 'closed'};
+            } catch (error) {
+                console.error('Error counting AI circuit failure in Redis:', error.message);
+            }
+        }
+
+        // Read and written without awaiting in between, so failures in this process are not lost either
+        const stored = {...(this.localStates.get(key) || {}), ...details};
+        stored.failures = (parseInt(stored.failures) || 0) + 1;
+        this.localStates.set(key, stored);
+        return {failures: stored.failures, state: stored.state || 'closed'};
+    }
+
+    /**
+     * Merge fields into the circuit state for a model
+     * @param {string} provider - Provider name
+     * @param {string} model - Model name
+     * @param {Object} update - Fields to store
+     */
+    async saveState(provider, model, update) {
+        const key = CircuitKeys.getStateKey(provider, model);
+        const member = `${provider}|${model}`;
+
+        if (this.useRedis()) {
+            try {
+                const fields = Object.fromEntries(Object.entries(update).map(([field, value]) => [field, String(value)]));
+                // One transaction, so other instances never see a half-written state change
+                await redisClient.multi()
+                    .hSet(key, fields)
+                    .expire(key, this.settings.stateTtlSeconds)
+                    .sAdd(CircuitKeys.trackedModelsKey, member)
+                    .exec();
+                return;
+            } catch (error) {
+                console.error('Error saving AI circuit state to Redis:', error.message);
+            }
+        }
+
+        this.localStates.set(key, {...(this.localStates.get(key) || {}), ...update});
+    }
+
+    /**
+     * Reset a model's circuit to closed
+     * @param {string} provider - Provider name
+     * @param {string} model - Model name
+     */
+    async clearState(provider, model) {
+        const key = CircuitKeys.getStateKey(provider, model);
+
+        if (this.useRedis()) {
+            try {
+                await redisClient.del([key, CircuitKeys.getProbeKey(provider, model)]);
+                await redisClient.sRem(CircuitKeys.trackedModelsKey, `${provider}|${model}`);
+            } catch (error) {
+                console.error('Error clearing AI circuit state in Redis:', error.message);
+            }
+        }
+
+        this.localStates.delete(key);
+        this.localProbes.delete(CircuitKeys.getProbeKey(provider, model));
+    }
+
+    /**
+     * Try to become the single half-open probe for a model
+     * @param {string} provider - Provider name
+     * @param {string} model - Model name
+     * @returns {boolean} True if this request may probe
+     */
+    async acquireProbe(provider, model) {
+        const key = CircuitKeys.getProbeKey(provider, model);
+
+        if (this.useRedis()) {
+            try {
+                // The lock expires on its own if the probing instance dies mid-request
+                const result = await redisClient.set(key, String(Date.now()), {
+                    NX: true,
+                    PX: this.settings.probeTimeoutMs
+                });
+                return result === 'OK';
+            } catch (error) {
+                console.error('Error acquiring AI circuit probe in Redis:', error.message);
+            }
+        }
+
+        const heldSince = this.localProbes.get(key);
+        if (heldSince && Date.now() - heldSince < this.settings.probeTimeoutMs) {
+            return false;
+        }
+
+        this.localProbes.set(key, Date.now());
+        return true;
+    }
+
+    /**
+     * Release the half-open probe lock for a model
+     * @param {string} provider - Provider name
+     * @param {string} model - Model name
+     */
+    async releaseProbe(provider, model) {
+        const key = CircuitKeys.getProbeKey(provider, model);
+
+        if (this.useRedis()) {
+            try {
+                await redisClient.del(key);
+            } catch (error) {
+                console.error('Error releasing AI circuit probe in Redis:', error.message);
+            }
+        }
+
+        this.localProbes.delete(key);
+    }
+
+    /**
+     * Get the "provider|model" members that have circuit state
+     * @returns {string[]} Tracked models
+     */
+    async getTrackedModels() {
+        if (this.useRedis()) {
+            try {
+                return await redisClient.sMembers(CircuitKeys.trackedModelsKey);
+            } catch (error) {
+                console.error('Error reading tracked AI circuits from Redis:', error.message);
+            }
+        }
+
+        return Array.from(this.localStates.keys()).map(key => {
+            const [, provider, ...modelParts] = key.split(':');
+            return `${provider}|${modelParts.join(':')}`;
+        });
+    }
+
+    /**
+     * Whether the shared Redis client can be used
+     * @returns {boolean} True if Redis is connected
+     */
+    useRedis() {
+        return redisClient.isReady;
+    }
+}
+
+module.exports = new CircuitBreaker();
@@ -0,0 +1,150 @@
+const Comment = require('../models/Comment');
+const Generation = require('../models/Generation');
+const SentenceCheck = require('../models/SentenceCheck');
+
+// Models comments can be on, by Comment.targetType
+const TARGET_MODELS = {
+    Generation,
+    SentenceCheck
+};
+
+/**
+ * Comments on public generations and sentence checks.
+ * Top-level comments have one level of replies: a reply to a reply joins the same thread and names the comment
+ * it answers. Each target keeps the number of its comments and replies in commentCount, and each top-level
+ * comment the number of its replies in replyCount. A top-level comment deleted while it has replies stays as a
+ * placeholder without content until its last reply is deleted.
+ */
+class CommentService {
+    constructor() {
+        this.targetModels = TARGET_MODELS;
+    }
+
+    /**
+     * Add a comment or reply
+     * @param {string} userId - Author ID
+     * @param {string} targetType - 'Generation' or 'SentenceCheck'
+     * @param {Object} target - Generation or sentence check
+     * @param {string} content - Comment text
+     * @param {Object|null} replyTo - Comment answered, in the same target; null for a top-level comment
+     * @returns {Promise<Object>} New comment
+     */
+    async addComment(userId, targetType, target, content, replyTo = null) {
+        const threadId = replyTo ? (replyTo.parentId || replyTo._id) : null;
+
+        const comment = await Comment.create({
+            userId,
+            targetType,
+            targetId: target._id,
+            parentId: threadId,
+            replyToId: replyTo ? replyTo._id : undefined,
+            replyToUserId: replyTo ? replyTo.userId : undefined,
+            content
+        });
+
+        await Promise.all([
+            threadId ? Comment.updateOne({_id: threadId}, {$inc: {replyCount: 1}}) : null,
+            TARGET_MODELS[targetType].updateOne({_id: target._id}, {$inc: {commentCount: 1}})
+        ]);
+
+        return comment;
+    }
+
+    /**
+     * Delete a comment or reply
+     * @param {Object} comment - Comment document
+     * @returns {Promise<void>}
+     */
+    async deleteComment(comment) {
+        if (!comment.parentId && comment.replyCount > 0) {
+            // Keep the thread: the comment becomes a placeholder
+            await Comment.updateOne(
+                {_id: comment._id},
+                {$set: {isDeleted: true, likes: [], likeCount: 0}, $unset: {content: 1, editedAt: 1}}
+            );
+        } else {
+            await Comment.deleteOne({_id: comment._id});
+
+            if (comment.parentId) {
+                const parent = await Comment.findOneAndUpdate(
+                    {_id: comment.parentId, replyCount: {$gt: 0}},
+                    {$inc: {replyCount: -1}},
+                    {new: true}
+                );
+                // The placeholder of a deleted comment goes with its last reply
+                if (parent && parent.isDeleted && parent.replyCount === 0) {
+                    await Comment.deleteOne({_id: parent._id});
+                }
+            }
+        }
+
+        await TARGET_MODELS[comment.targetType].updateOne(
+            {_id: comment.targetId, commentCount: {$gt: 0}},
+            {$inc: {commentCount: -1}}
+        );
+    }
+
+    /**
+     * Get a page of the top-level comments of a target
+     * @param {Object} target - Generation or sentence check
+     * @param {Object} options - { page, limit, sortBy } with sortBy 'recent', 'oldest' or 'liked'
+     * @returns {Promise<Object>} { comments, total } with the author populated
+     */
+    async getComments(target, {page, limit, sortBy}) {
+        // Comments hidden by moderators are left out
+        const query = {targetId: target._id, parentId: null, isHidden: {$ne: true}};
+        const sort = {
+            recent: {createdAt: -1, _id: -1},
+            oldest: {createdAt: 1, _id: 1},
+            liked: {likeCount: -1, createdAt: -1, _id: -1}
+        }[sortBy];
+
+        const [comments, total] = await Promise.all([
+            Comment.find(query)
+                .sort(sort)
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('userId', 'username'),
+            Comment.countDocuments(query)
+        ]);
+
+        return {comments, total};
+    }
+
+    /**
+     * Get a page of the replies of a top-level comment, oldest first
+     * @param {Object} comment - Top-level comment
+     * @param {Object} options - { page, limit }
+     * @returns {Promise<Object>} { replies, total } with the authors populated
+     */
+    async getReplies(comment, {page, limit}) {
+        const query = {parentId: comment._id, isHidden: {$ne: true}};
+
+        const [replies, total] = await Promise.all([
+            Comment.find(query)
+                .sort({createdAt: 1, _id: 1})
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('userId', 'username')
+                .populate('replyToUserId', 'username'),
+            Comment.countDocuments(query)
+        ]);
+
+        return {replies, total};
+    }
+
+    /**
+     * Delete the comments of deleted targets
+     * @param {Array} targetIds - Generation or sentence check IDs
+     * @returns {Promise<number>} Number of comments deleted
+     */
+    async deleteTargetComments(targetIds) {
+        if (targetIds.length === 0) {
+            return 0;
+        }
+        const result = await Comment.deleteMany({targetId: {$in: targetIds}});
+        return result.deletedCount;
+    }
+}
+
+module.exports = new CommentService();
@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Deck = require('../models/Deck');
+const Word = require('../models/Word');
+const UserWord = require('../models/UserWord');
+const {normalizeWord, isValidWord, isWordSpelledCorrectly, getSpellingSuggestions, getWordNetData} = require('../utils/wordUtils');
+const {lemmatize} = require('../utils/lemmatizer');
+const {parseImport} = require('../utils/importUtils');
+
+// Maximum number of words in a deck (the largest built-in lists have several thousand)
+const MAX_DECK_WORDS = 10000;
+const MAX_WORD_LENGTH = 50;
+// Files of the built-in decks
+const BUILT_IN_DIR = path.join(__dirname, '..', 'data', 'decks');
+
+/**
+ * Read the "# key: value" header lines of a deck file
+ * @param {string} content - File content
+ * @returns {Object} Header values by lowercase key (e.g. { name, description })
+ */
+const parseDeckHeader = (content) => {
+    const header = {};
+    content.split(/\r?\n/).forEach(line => {
+        const match = line.match(/^#\s*(\w+)\s*:\s*(.*)$/);
+        if (match) {
+            header[match[1].toLowerCase()] = match[2].trim();
+        }
+    });
+    return header;
+};
+
+/**
+ * Word decks.
+ * A deck is a named list of shared Word documents. Words added to a deck are saved as their lemma like in
+ * POST /api/words, and a Word is created (without users) for a word nobody has saved yet, so decks can be
+ * drawn from for random words and generations. Cloning a public deck copies it to the user's decks and
+ * adds its words to the user's vocabulary. Built-in decks (samples of the CET-4, CET-6, IELTS and TOEFL lists)
+ * are public decks without an owner, seeded from the text files in src/data/decks.
+ */
+class DeckService {
+    constructor() {
+        this.maxDeckWords = MAX_DECK_WORDS;
+        this.builtInDir = BUILT_IN_DIR;
+    }
+
+    /**
+     * Find a deck the user may see: one of their own, a public deck or a built-in deck
+     * @param {string} userId - User ID
+     * @param {string} deckId - Deck ID
+     * @returns {Promise<Object|null>} Deck, or null if there is no such deck or it is private to someone else
+     */
+    async findAccessibleDeck(userId, deckId) {
+        if (!mongoose.isValidObjectId(deckId)) {
+            return null;
+        }
+        return Deck.findOne({_id: deckId, $or: [{userId}, {isPublic: true}]});
+    }
+
+    /**
+     * Add words to a deck and save it
+     * @param {Object} deck - Deck document
+     * @param {string[]} words - Words and phrases as typed
+     * @param {Object} options - { forceAdd } to add words with spelling errors
+     * @returns {Promise<Array>} Report per word { word, lemma, status, suggestions }, where status is
+     *                           'added', 'alreadyPresent', 'spellingError', 'invalid' or 'deckFull'
+     */
+    async addWords(deck, words, options = {}) {
+        const present = new Set(deck.wordIds.map(String));
+        const results = [];
+
+        for (const rawWord of words) {
+            const word = normalizeWord(rawWord);
+            const result = {word};
+
+            if (!word || word.length > MAX_WORD_LENGTH || !isValidWord(word)) {
+                results.push({...result, status: 'invalid'});
+                continue;
+            }
+
+            const lemma = await lemmatize(word);
+            if (lemma !== word) {
+                result.lemma = lemma;
+            }
+
+            let wordDoc = await Word.findOne({word: lemma}).select('_id');
+            if (!wordDoc) {
+                // Spelling is checked on the word as written
+                if (!options.forceAdd && !isWordSpelledCorrectly(word)) {
+                    results.push({...result, status: 'spellingError', suggestions: getSpellingSuggestions(word).slice(0, 5)});
+                    continue;
+                }
+                wordDoc = await this.createWord(lemma);
+            }
+
+            if (present.has(String(wordDoc._id))) {
+                results.push({...result, status: 'alreadyPresent'});
+            } else if (present.size >= this.maxDeckWords) {
+                results.push({...result, status: 'deckFull'});
+            } else {
+                present.add(String(wordDoc._id));
+                deck.wordIds.push(wordDoc._id);
+                results.push({...result, status: 'added'});
+            }
+        }
+
+        await deck.save();
+        return results;
+    }
+
+    /**
+     * Create a Word nobody has saved yet, with its WordNet data
+     * @param {string} lemma - Word as it is saved
+     * @returns {Promise<Object>} Word document
+     */
+    async createWord(lemma) {
+        const wordNetData = await getWordNetData(lemma);
+        try {
+            return await Word.create({
+                word: lemma,
+                userIds: [],
+                definitions: wordNetData.definitions || [],
+                primaryDefinition: wordNetData.primaryDefinition,
+                primaryPartOfSpeech: wordNetData.primaryPartOfSpeech,
+                wordNetProcessed: wordNetData.wordNetProcessed
+            });
+        } catch (error) {
+            // Created at the same time by another request
+            if (error.code === 11000) {
+                return Word.findOne({word: lemma});
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Draw random words from a deck
+     * @param {Object} deck - Deck document
+     * @param {number} count - Number of words
+     * @returns {Promise<string[]>} Up to count words
+     */
+    async drawWords(deck, count) {
+        const words = await Word.aggregate([
+            {$match: {_id: {$in: deck.wordIds}}},
+            {$sample: {size: count}},
+            {$project: {word: 1}}
+        ]);
+        return words.map(word => word.word);
+    }
+
+    /**
+     * Copy a deck to the user's decks and add its words to the user's vocabulary
+     * Words the user already has keep their entry; the others get the deck name as their source.
+     * @param {string} userId - User ID
+     * @param {Object} deck - Deck document to clone
+     * @returns {Promise<Object>} { deck, added, alreadyPresent } with the new deck and word counts
+     */
+    async cloneDeck(userId, deck) {
+        const clone = await Deck.create({
+            userId,
+            name: deck.name,
+            description: deck.description,
+            isPublic: false,
+            wordIds: deck.wordIds,
+            clonedFrom: deck._id
+        });
+
+        const newWordIds = await Word.find({_id: {$in: deck.wordIds}, userIds: {$ne: userId}}).distinct('_id');
+        if (newWordIds.length > 0) {
+            await Word.updateMany({_id: {$in: newWordIds}}, {$addToSet: {userIds: userId}});
+            await UserWord.bulkWrite(newWordIds.map(wordId => ({
+                updateOne: {
+                    filter: {userId, wordId},
+                    update: {$setOnInsert: {source: deck.name}},
+                    upsert: true
+                }
+            })));
+        }
+
+        await Deck.updateOne({_id: deck._id}, {$inc: {cloneCount: 1}});
+
+        return {deck: clone, added: newWordIds.length, alreadyPresent: deck.wordIds.length - newWordIds.length};
+    }
+
+    /**
+     * Create or update the built-in decks from the files in a directory
+     * Each file ({key}.txt) has one word or phrase per line and "# name:" and "# description:" header lines.
+     * A deck's words are replaced by the words of its file; words are added without a spell check.
+     * @param {string} dir - Directory of the deck files (defaults to src/data/decks)
+     * @returns {Promise<Array>} Seeded decks { key, name, wordCount, skipped } where skipped counts unusable lines
+     */
+    async seedBuiltInDecks(dir = this.builtInDir) {
+        const files = (await fs.promises.readdir(dir)).filter(file => file.endsWith('.txt')).sort();
+        const seeded = [];
+
+        for (const file of files) {
+            const key = path.basename(file, '.txt');
+            const content = await fs.promises.readFile(path.join(dir, file), 'utf8');
+            const header = parseDeckHeader(content);
+            const words = parseImport('text', content).map(item => item.word);
+
+            const deck = (await Deck.findOne({builtInKey: key})) || new Deck({builtInKey: key});
+            deck.set({name: header.name || key, description: header.description || '', isPublic: true});
+            deck.wordIds = [];
+
+            const results = await this.addWords(deck, words, {forceAdd: true});
+            seeded.push({
+                key,
+                name: deck.name,
+                wordCount: deck.wordCount,
+                skipped: results.filter(result => result.status === 'invalid').length
+            });
+        }
+
+        return seeded;
+    }
+}
+
+module.exports = new DeckService();
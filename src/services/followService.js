@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const Follow = require('../models/Follow');
+const User = require('../models/User');
+const Generation = require('../models/Generation');
+const SentenceCheck = require('../models/SentenceCheck');
+const Word = require('../models/Word');
+const {formatDateToUTC8} = require('../utils/timeUtils');
+
+/**
+ * Public profiles and the follow graph.
+ * Each user keeps the number of its followers and of the users it follows in followerCount and followingCount,
+ * updated as follows are added and removed.
+ */
+class FollowService {
+    /**
+     * Follow a user
+     * @param {string} followerId - ID of the user following
+     * @param {string} followingId - ID of the user followed
+     * @returns {Promise<boolean>} False when the user was already followed
+     */
+    async follow(followerId, followingId) {
+        try {
+            await Follow.create({followerId, followingId});
+        } catch (error) {
+            // Duplicate key: already following
+            if (error.code === 11000) {
+                return false;
+            }
+            throw error;
+        }
+
+        await Promise.all([
+            User.updateOne({_id: followerId}, {$inc: {followingCount: 1}}),
+            User.updateOne({_id: followingId}, {$inc: {followerCount: 1}})
+        ]);
+        return true;
+    }
+
+    /**
+     * Unfollow a user
+     * @param {string} followerId - ID of the user following
+     * @param {string} followingId - ID of the user followed
+     * @returns {Promise<boolean>} False when the user was not followed
+     */
+    async unfollow(followerId, followingId) {
+        const result = await Follow.deleteOne({followerId, followingId});
+        if (result.deletedCount === 0) {
+            return false;
+        }
+
+        await Promise.all([
+            User.updateOne({_id: followerId, followingCount: {$gt: 0}}, {$inc: {followingCount: -1}}),
+            User.updateOne({_id: followingId, followerCount: {$gt: 0}}, {$inc: {followerCount: -1}})
+        ]);
+        return true;
+    }
+
+    /**
+     * Whether a user follows another
+     * @param {string} followerId - ID of the user following
+     * @param {string} followingId - ID of the user followed
+     * @returns {Promise<boolean>}
+     */
+    async isFollowing(followerId, followingId) {
+        return !!(await Follow.exists({followerId, followingId}));
+    }
+
+    /**
+     * IDs of the users a user follows, for the "following" public feeds
+     * @param {string} userId - User ID
+     * @returns {Promise<Array>} User IDs
+     */
+    async getFollowingIds(userId) {
+        return Follow.find({followerId: userId}).distinct('followingId');
+    }
+
+    /**
+     * Public counts shown on a profile
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} { publicGenerations, publicChecks, likesReceived, vocabularySize }
+     */
+    async getProfileStats(userId) {
+        const match = {userId: new mongoose.Types.ObjectId(String(userId))};
+        const likesPipeline = [
+            {$match: match},
+            {$group: {_id: null, likes: {$sum: '$likeCount'}}}
+        ];
+
+        const [publicGenerations, publicChecks, generationLikes, checkLikes, vocabularySize] = await Promise.all([
+            Generation.countDocuments({...match, isPublic: true, isHidden: {$ne: true}}),
+            SentenceCheck.countDocuments({...match, isPublic: true, isHidden: {$ne: true}}),
+            Generation.aggregate(likesPipeline),
+            SentenceCheck.aggregate(likesPipeline),
+            Word.countDocuments({userIds: userId})
+        ]);
+
+        return {
+            publicGenerations,
+            publicChecks,
+            // Likes can only be given to public content, and stay counted after it is made private
+            likesReceived: (generationLikes[0] ? generationLikes[0].likes : 0) + (checkLikes[0] ? checkLikes[0].likes : 0),
+            vocabularySize
+        };
+    }
+
+    /**
+     * Get a page of the followers of a user, or of the users it follows, newest follow first
+     * @param {string} userId - User ID
+     * @param {string} direction - 'followers' or 'following'
+     * @param {Object} options - { page, limit }
+     * @returns {Promise<Object>} { users, total } with users { _id, username, bio, followedAt }
+     */
+    async getFollows(userId, direction, {page, limit}) {
+        const query = direction === 'followers' ? {followingId: userId} : {followerId: userId};
+        const otherField = direction === 'followers' ? 'followerId' : 'followingId';
+
+        const [follows, total] = await Promise.all([
+            Follow.find(query)
+                .sort({createdAt: -1, _id: -1})
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate(otherField, 'username bio'),
+            Follow.countDocuments(query)
+        ]);
+
+        const users = follows
+            .filter(follow => follow[otherField])
+            .map(follow => ({
+                _id: follow[otherField]._id,
+                username: follow[otherField].username,
+                bio: follow[otherField].bio,
+                followedAt: formatDateToUTC8(follow.createdAt)
+            }));
+
+        return {users, total};
+    }
+
+    /**
+     * Which of the given users a user follows
+     * @param {string} followerId - ID of the user following
+     * @param {Array} userIds - User IDs
+     * @returns {Promise<Set<string>>} IDs of the users followed
+     */
+    async getFollowedAmong(followerId, userIds) {
+        const follows = await Follow.find({followerId, followingId: {$in: userIds}}).select('followingId');
+        return new Set(follows.map(follow => String(follow.followingId)));
+    }
+}
+
+module.exports = new FollowService();
@@ -0,0 +1,250 @@
+const Report = require('../models/Report');
+const ModerationLog = require('../models/ModerationLog');
+const Generation = require('../models/Generation');
+const SentenceCheck = require('../models/SentenceCheck');
+const Comment = require('../models/Comment');
+const FollowupMessage = require('../models/FollowupMessage');
+const commentService = require('./commentService');
+const config = require('../config/config');
+
+// Models that can be reported, by Report.targetType
+const TARGET_MODELS = {
+    Generation,
+    SentenceCheck,
+    Comment
+};
+
+const REPORT_REASONS = ['spam', 'harassment', 'hate', 'sexual', 'violence', 'selfHarm', 'misinformation', 'other'];
+
+// Report status given to the open reports of content by each moderator action
+const RESOLUTIONS = {
+    hide: 'resolved',
+    delete: 'resolved',
+    restore: 'dismissed'
+};
+
+// Fields of reported content not shown in the moderation queue
+const EXCLUDED_FIELDS = '-thinkingText -rawResponseContent -attempts -usage -modelSelection -likes';
+
+/**
+ * Reports of generations, sentence checks and comments, and their moderation.
+ * Reported content stays visible until a moderator hides it, or until its open reports reach
+ * config.moderation.reportHideThreshold, when it is hidden automatically. Hidden content (isHidden) is only
+ * seen by its owner. Moderators hide, restore or delete reported content, which closes its open reports;
+ * every action, automatic ones included, is recorded in the moderation log.
+ */
+class ModerationService {
+    constructor() {
+        this.targetModels = TARGET_MODELS;
+        this.reasons = REPORT_REASONS;
+    }
+
+    /**
+     * Report content
+     * @param {string} reporterId - Reporting user ID
+     * @param {string} targetType - 'Generation', 'SentenceCheck' or 'Comment'
+     * @param {Object} target - Reported document
+     * @param {Object} report - { reason, details }
+     * @returns {Promise<Object|null>} { report, autoHidden }, or null when the user already reported the content
+     */
+    async report(reporterId, targetType, target, {reason, details}) {
+        let report;
+        try {
+            report = await Report.create({
+                reporterId,
+                targetType,
+                targetId: target._id,
+                targetUserId: target.userId,
+                reason,
+                details
+            });
+        } catch (error) {
+            // Duplicate key: already reported by this user
+            if (error.code === 11000) {
+                return null;
+            }
+            throw error;
+        }
+
+        const threshold = config.moderation.reportHideThreshold;
+        let autoHidden = false;
+
+        if (threshold > 0) {
+            const openReports = await Report.countDocuments({targetId: target._id, status: 'open'});
+            if (openReports >= threshold) {
+                const result = await TARGET_MODELS[targetType].updateOne(
+                    {_id: target._id, isHidden: {$ne: true}},
+                    {$set: {isHidden: true}}
+                );
+                // Only the report that crossed the threshold hides the content and logs it
+                if (result.modifiedCount > 0) {
+                    autoHidden = true;
+                    await ModerationLog.create({
+                        action: 'autoHide',
+                        targetType,
+                        targetId: target._id,
+                        targetUserId: target.userId,
+                        reportCount: openReports
+                    });
+                }
+            }
+        }
+
+        return {report, autoHidden};
+    }
+
+    /**
+     * Get a page of the moderation queue: content with open reports, most reported first
+     * @param {Object} options - { page, limit, targetType }
+     * @returns {Promise<Object>} { entries, total } with entries { targetType, targetId, reportCount, reasons,
+     *   firstReportedAt, lastReportedAt, target } and target null when the content was deleted by its owner
+     */
+    async getQueue({page, limit, targetType}) {
+        const match = {status: 'open'};
+        if (targetType) {
+            match.targetType = targetType;
+        }
+
+        const [result] = await Report.aggregate([
+            {$match: match},
+            {
+                $group: {
+                    _id: '$targetId',
+                    targetType: {$first: '$targetType'},
+                    reportCount: {$sum: 1},
+                    reasons: {$push: '$reason'},
+                    details: {$push: '$details'},
+                    firstReportedAt: {$min: '$createdAt'},
+                    lastReportedAt: {$max: '$createdAt'}
+                }
+            },
+            {$sort: {reportCount: -1, lastReportedAt: -1, _id: -1}},
+            {
+                $facet: {
+                    entries: [{$skip: (page - 1) * limit}, {$limit: limit}],
+                    total: [{$count: 'count'}]
+                }
+            }
+        ]);
+
+        const targets = new Map();
+        await Promise.all(Object.entries(TARGET_MODELS).map(async ([type, Model]) => {
+            const ids = result.entries.filter(entry => entry.targetType === type).map(entry => entry._id);
+            if (ids.length === 0) {
+                return;
+            }
+            const documents = await Model.find({_id: {$in: ids}}).select(EXCLUDED_FIELDS).populate('userId', 'username');
+            documents.forEach(document => targets.set(String(document._id), document));
+        }));
+
+        const entries = result.entries.map(entry => {
+            // Count of each reason, e.g. { spam: 2, hate: 1 }
+            const reasons = {};
+            entry.reasons.forEach(reason => {
+                reasons[reason] = (reasons[reason] || 0) + 1;
+            });
+
+            return {
+                targetType: entry.targetType,
+                targetId: entry._id,
+                reportCount: entry.reportCount,
+                reasons,
+                details: entry.details.filter(Boolean),
+                firstReportedAt: entry.firstReportedAt,
+                lastReportedAt: entry.lastReportedAt,
+                target: targets.get(String(entry._id)) || null
+            };
+        });
+
+        return {entries, total: result.total.length > 0 ? result.total[0].count : 0};
+    }
+
+    /**
+     * Hide, restore or delete reported content, closing its open reports
+     * @param {string} moderatorId - Moderator user ID
+     * @param {string} action - 'hide', 'restore' or 'delete'
+     * @param {string} targetType - 'Generation', 'SentenceCheck' or 'Comment'
+     * @param {string} targetId - Content ID
+     * @param {string} note - Moderator's note for the audit trail
+     * @returns {Promise<Object|null>} Moderation log entry, or null when the content does not exist and has no
+     *   open reports
+     */
+    async applyAction(moderatorId, action, targetType, targetId, note) {
+        const target = await TARGET_MODELS[targetType].findById(targetId);
+        const openReports = await Report.find({targetId, status: 'open'}).select('targetUserId');
+
+        // Content deleted by its owner can only have its reports closed
+        if (!target && (action !== 'delete' || openReports.length === 0)) {
+            return null;
+        }
+
+        if (target) {
+            if (action === 'delete') {
+                await this.deleteTarget(targetType, target);
+            } else {
+                await TARGET_MODELS[targetType].updateOne({_id: target._id}, {$set: {isHidden: action === 'hide'}});
+            }
+        }
+
+        await Report.updateMany(
+            {targetId, status: 'open'},
+            {$set: {status: RESOLUTIONS[action], resolvedBy: moderatorId, resolvedAt: new Date()}}
+        );
+
+        return ModerationLog.create({
+            moderatorId,
+            action,
+            targetType,
+            targetId,
+            targetUserId: target ? target.userId : openReports[0].targetUserId,
+            note,
+            reportCount: openReports.length
+        });
+    }
+
+    /**
+     * Delete reported content with what belongs to it, as its owner deleting it would
+     * @param {string} targetType - 'Generation', 'SentenceCheck' or 'Comment'
+     * @param {Object} target - Content document
+     * @returns {Promise<void>}
+     */
+    async deleteTarget(targetType, target) {
+        if (targetType === 'Comment') {
+            await commentService.deleteComment(target);
+            return;
+        }
+
+        await TARGET_MODELS[targetType].deleteOne({_id: target._id});
+        await FollowupMessage.deleteMany({targetId: target._id});
+        await commentService.deleteTargetComments([target._id]);
+    }
+
+    /**
+     * Get a page of the moderation log, newest first
+     * @param {Object} options - { page, limit, targetId, moderatorId }
+     * @returns {Promise<Object>} { entries, total } with the moderators populated
+     */
+    async getLog({page, limit, targetId, moderatorId}) {
+        const query = {};
+        if (targetId) {
+            query.targetId = targetId;
+        }
+        if (moderatorId) {
+            query.moderatorId = moderatorId;
+        }
+
+        const [entries, total] = await Promise.all([
+            ModerationLog.find(query)
+                .sort({createdAt: -1, _id: -1})
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('moderatorId', 'username')
+                .populate('targetUserId', 'username'),
+            ModerationLog.countDocuments(query)
+        ]);
+
+        return {entries, total};
+    }
+}
+
+module.exports = new ModerationService();
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const promptLoader = require('../utils/promptLoader');
+const TokenUsage = require('../models/TokenUsage');
+const Generation = require('../models/Generation');
+const SentenceCheck = require('../models/SentenceCheck');
+const {formatDateToUTC8} = require('../utils/timeUtils');
+
+const PROMPT_TYPES = {
+    generation: 'sentence-generation',
+    sentenceCheck: 'sentence-check'
+};
+
+// promptVersion of documents saved before prompt versioning
+const LEGACY_PROMPT_VERSIONS = ['1.0'];
+
+/**
+ * Prompt template experiments.
+ * Users are assigned a prompt version (src/prompts/{type}/{version}) by the weights in
+ * config.promptExperiments. The assignment is a hash of the user ID, so a user keeps the same version
+ * across requests, and raising a version's weight only moves users to that version.
+ * The version used is recorded on TokenUsage records and saved generations and sentence checks,
+ * from which getStats compares the versions.
+ */
+class PromptExperimentService {
+    constructor() {
+        this.experiments = config.promptExperiments;
+    }
+
+    /**
+     * Get the prompt version a user is assigned to
+     * Configured versions without a template directory are ignored.
+     * @param {string} type - Prompt type ('sentence-generation' or 'sentence-check')
+     * @param {string} userId - User ID (optional)
+     * @returns {string} Prompt version (e.g. 'v2')
+     */
+    getVersion(type, userId = null) {
+        const available = promptLoader.getVersions(type);
+        const weights = Object.entries(this.experiments[type] || {})
+            .filter(([version]) => available.includes(version));
+        const totalWeight = weights.reduce((sum, [, weight]) => sum + weight, 0);
+
+        if (totalWeight === 0) {
+            return promptLoader.defaultVersion;
+        }
+
+        // Position of the user in [0, totalWeight), stable for the same user and type
+        const hash = crypto.createHash('sha256').update(`${type}:${userId || ''}`).digest();
+        let position = (hash.readUInt32BE(0) / 0x100000000) * totalWeight;
+
+        for (const [version, weight] of weights) {
+            if (position < weight) {
+                return version;
+            }
+            position -= weight;
+        }
+
+        return weights[weights.length - 1][0];
+    }
+
+    /**
+     * Get the prompt version an existing document was created with
+     * @param {string} promptVersion - Stored promptVersion (documents from before prompt versioning have '1.0')
+     * @returns {string} Prompt version
+     */
+    normalizeVersion(promptVersion) {
+        if (!promptVersion || LEGACY_PROMPT_VERSIONS.includes(promptVersion)) {
+            return promptLoader.defaultVersion;
+        }
+        return promptVersion;
+    }
+
+    /**
+     * Compare prompt versions over a period
+     * Request outcomes and latency come from TokenUsage records (including failed requests),
+     * likes from the saved generations or sentence checks.
+     * @param {string} requestType - 'generation' or 'sentenceCheck'
+     * @param {number} days - Number of days to include, up to now
+     * @returns {Object} { type, days, since, versions } with one entry per prompt version, newest version first
+     */
+    async getStats(requestType, days = 30) {
+        const type = PROMPT_TYPES[requestType];
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        const Model = requestType === 'generation' ? Generation : SentenceCheck;
+
+        // Records without a promptVersion are from before prompt versioning
+        const versionExpression = {
+            $let: {
+                vars: {version: {$ifNull: ['$promptVersion', LEGACY_PROMPT_VERSIONS[0]]}},
+                in: {
+                    $cond: [{$in: ['$$version', LEGACY_PROMPT_VERSIONS]}, promptLoader.defaultVersion, '$$version']
+                }
+            }
+        };
+
+        const [requestStats, itemStats] = await Promise.all([
+            TokenUsage.aggregate([
+                {$match: {requestType, createdAt: {$gte: since}}},
+                {
+                    $group: {
+                        _id: versionExpression,
+                        requests: {$sum: 1},
+                        successfulRequests: {$sum: {$cond: ['$success', 1, 0]}},
+                        successAttempts: {$sum: {$ifNull: ['$attemptOutcomes.success', 0]}},
+                        partialParseAttempts: {$sum: {$ifNull: ['$attemptOutcomes.partialParse', 0]}},
+                        invalidFormatAttempts: {$sum: {$ifNull: ['$attemptOutcomes.invalidFormat', 0]}},
+                        errorAttempts: {$sum: {$ifNull: ['$attemptOutcomes.error', 0]}},
+                        avgLatencyMs: {$avg: {$cond: ['$success', '$durationMs', null]}},
+                        avgTotalTokens: {$avg: '$totalTokens'}
+                    }
+                }
+            ]),
+            Model.aggregate([
+                {$match: {createdAt: {$gte: since}}},
+                {
+                    $group: {
+                        _id: versionExpression,
+                        items: {$sum: 1},
+                        publicItems: {$sum: {$cond: ['$isPublic', 1, 0]}},
+                        totalLikes: {$sum: '$likeCount'}
+                    }
+                }
+            ])
+        ]);
+
+        const weights = this.experiments[type] || {};
+        const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+        const versions = new Set([
+            ...Object.keys(weights),
+            ...requestStats.map(entry => entry._id),
+            ...itemStats.map(entry => entry._id)
+        ]);
+
+        const ratio = (count, total) => total > 0 ? Math.round(count / total * 10000) / 10000 : null;
+
+        return {
+            type: requestType,
+            days,
+            since: formatDateToUTC8(since),
+            versions: Array.from(versions)
+                .sort((a, b) => parseInt(b.slice(1)) - parseInt(a.slice(1)))
+                .map(version => {
+                    const requests = requestStats.find(entry => entry._id === version) || {};
+                    const items = itemStats.find(entry => entry._id === version) || {};
+                    const parsedAttempts = (requests.successAttempts || 0) + (requests.partialParseAttempts || 0);
+
+                    return {
+                        version,
+                        weight: ratio(weights[version] || 0, totalWeight) || 0,
+                        requests: requests.requests || 0,
+                        successRate: ratio(requests.successfulRequests || 0, requests.requests || 0),
+                        // Share of provider replies that could be parsed, and of those, how many were missing sections
+                        parseSuccessRate: ratio(parsedAttempts, parsedAttempts + (requests.invalidFormatAttempts || 0)),
+                        partialParseRate: ratio(requests.partialParseAttempts || 0, parsedAttempts),
+                        errorAttempts: requests.errorAttempts || 0,
+                        avgLatencyMs: requests.avgLatencyMs != null ? Math.round(requests.avgLatencyMs) : null,
+                        avgTotalTokens: requests.avgTotalTokens != null ? Math.round(requests.avgTotalTokens) : null,
+                        items: items.items || 0,
+                        publicItems: items.publicItems || 0,
+                        totalLikes: items.totalLikes || 0,
+                        avgLikesPerPublicItem: ratio(items.totalLikes || 0, items.publicItems || 0)
+                    };
+                })
+        };
+    }
+}
+
+module.exports = new PromptExperimentService();
@@ -0,0 +1,142 @@
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Adapter for the Anthropic Messages API
+ * Request: { model, max_tokens, system, messages, thinking, stream }
+ * Response: { content: [{ type: 'thinking', thinking }, { type: 'text', text }] }
+ */
+class AnthropicProvider extends BaseProvider {
+    getBaseConfig() {
+        return {
+            ...super.getBaseConfig(),
+            apiVersion: this.settings.apiVersion || '2023-06-01',
+            maxTokens: 512,
+            thinkingBudgetTokens: 1024,
+            temperature: 0.7
+        };
+    }
+
+    buildRequest(aiConfig, messageText, conversationHistory = [], options = {}) {
+        const headers = {
+            ...aiConfig.headers,
+            'x-api-key': aiConfig.apiKey,
+            'anthropic-version': aiConfig.apiVersion
+        };
+
+        // System messages go into the top-level system field
+        const systemMessages = [];
+        const messages = [];
+
+        for (const message of conversationHistory || []) {
+            if (message.role === 'system') {
+                systemMessages.push(message.content);
+            } else {
+                messages.push({role: message.role === 'assistant' ? 'assistant' : 'user', content: message.content});
+            }
+        }
+
+        if (messageText) {
+            messages.push({role: 'user', content: messageText});
+        }
+
+        const requestBody = {
+            model: aiConfig.model,
+            max_tokens: aiConfig.maxTokens,
+            messages,
+            stream: !!options.stream
+        };
+
+        if (systemMessages.length > 0) {
+            requestBody.system = systemMessages.join('\n\n');
+        }
+
+        if (options.enableThinking) {
+            // Extended thinking requires the budget to fit inside max_tokens and does not allow a custom temperature
+            requestBody.thinking = {type: 'enabled', budget_tokens: aiConfig.thinkingBudgetTokens};
+            requestBody.max_tokens = aiConfig.maxTokens + aiConfig.thinkingBudgetTokens;
+        } else {
+            requestBody.temperature = aiConfig.temperature;
+        }
+
+        return {headers, requestBody};
+    }
+
+    parseResponse(data, aiConfig) {
+        const blocks = Array.isArray(data?.content) ? data.content : [];
+
+        const content = blocks
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+        const thinking = blocks
+            .filter(block => block.type === 'thinking')
+            .map(block => block.thinking)
+            .join('');
+
+        if (!content) {
+            throw new Error('Could not extract response content from API response');
+        }
+
+        return {content, thinking: thinking || null};
+    }
+
+    parseUsage(data) {
+        const usage = data?.usage;
+        if (!usage) {
+            return null;
+        }
+
+        // Cached prompt tokens are reported separately from input_tokens
+        const promptFields = ['input_tokens', 'cache_creation_input_tokens', 'cache_read_input_tokens'];
+        const hasPromptTokens = promptFields.some(field => Number.isFinite(usage[field]));
+
+        return {
+            promptTokens: hasPromptTokens ? promptFields.reduce((sum, field) => sum + (usage[field] || 0), 0) : undefined,
+            // Thinking tokens are billed as output and not reported separately
+            completionTokens: usage.output_tokens
+        };
+    }
+
+    parseStreamUsage(rawChunk) {
+        // message_start carries the prompt tokens, message_delta the running output token count
+        if (rawChunk?.type === 'message_start') {
+            return this.parseUsage(rawChunk.message);
+        }
+        return rawChunk?.type === 'message_delta' ? this.parseUsage(rawChunk) : null;
+    }
+
+    parseStreamLine(line, aiConfig) {
+        const trimmedLine = line.trim();
+        if (!trimmedLine.startsWith('data:')) {
+            return null;
+        }
+
+        let event;
+        try {
+            event = JSON.parse(trimmedLine.substring(5).trim());
+        } catch (error) {
+            return null;
+        }
+
+        if (event.type === 'message_stop') {
+            return {content: null, thinking: null, done: true};
+        }
+
+        if (event.type === 'error') {
+            throw new Error(event.error?.message || 'Anthropic stream error');
+        }
+
+        if (event.type !== 'content_block_delta') {
+            return {content: null, thinking: null, done: false, rawChunk: event};
+        }
+
+        return {
+            content: event.delta?.type === 'text_delta' ? event.delta.text : null,
+            thinking: event.delta?.type === 'thinking_delta' ? event.delta.thinking : null,
+            done: false,
+            rawChunk: event
+        };
+    }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,148 @@
+const axios = require('axios');
+
+/**
+ * Base class for AI provider adapters.
+ * An adapter turns a prompt (plus conversation history) into a provider-specific request,
+ * sends it, and extracts the content and thinking text from the provider's response format.
+ */
+class BaseProvider {
+    /**
+     * @param {string} name - Provider name as configured in config.aiProviders (e.g. 'siliconflow')
+     * @param {Object} settings - Provider settings from config.aiProviders
+     */
+    constructor(name, settings = {}) {
+        this.name = name;
+        this.settings = settings;
+        this.displayName = settings.displayName || name;
+        this.models = settings.models || {};
+        this.requiresApiKey = settings.requiresApiKey !== false;
+        // JSON output support: 'json_schema' (schema-constrained), 'json_object' (any JSON) or null (text only)
+        this.jsonMode = settings.jsonMode || null;
+    }
+
+    /**
+     * Whether the provider can be asked for JSON output
+     * @returns {boolean} True if JSON mode is supported
+     */
+    supportsJsonMode() {
+        return !!this.jsonMode;
+    }
+
+    /**
+     * Get the model configured for a complexity tier
+     * @param {string} tier - Model tier ('light', 'medium' or 'heavy')
+     * @returns {string} Model name
+     */
+    getModelForTier(tier) {
+        return this.models[tier] || this.models.default;
+    }
+
+    /**
+     * Get the base (immutable) request configuration for this provider
+     * @returns {Object} Provider configuration without API key
+     */
+    getBaseConfig() {
+        return {
+            name: this.displayName,
+            provider: this.name,
+            apiUrl: this.settings.apiUrl,
+            model: this.models.default,
+            headers: {'Content-Type': 'application/json'},
+            timeout: this.settings.timeout || 180000
+        };
+    }
+
+    /**
+     * Build provider request headers and body
+     * @param {Object} aiConfig - AI configuration (base config + model + apiKey)
+     * @param {string} messageText - The user message text
+     * @param {Array} conversationHistory - Previous messages ({ role, content })
+     * @param {Object} options - Request options: { enableThinking, stream, responseSchema }
+     *                           responseSchema ({ name, schema }) requests JSON output when JSON mode is supported
+     * @returns {Object} Object containing headers and requestBody
+     */
+    buildRequest(aiConfig, messageText, conversationHistory = [], options = {}) {
+        throw new Error(`buildRequest is not implemented for provider ${this.name}`);
+    }
+
+    /**
+     * Extract content and thinking text from a complete provider response
+     * @param {Object} data - Parsed response body
+     * @param {Object} aiConfig - AI configuration used for the request
+     * @returns {Object} Object containing content and thinking
+     */
+    parseResponse(data, aiConfig) {
+        throw new Error(`parseResponse is not implemented for provider ${this.name}`);
+    }
+
+    /**
+     * Extract content and thinking deltas from one line of a streamed provider response
+     * @param {string} line - Raw line from the response stream
+     * @param {Object} aiConfig - AI configuration used for the request
+     * @returns {Object|null} Object containing content, thinking and done flag, or null for lines without data
+     */
+    parseStreamLine(line, aiConfig) {
+        throw new Error(`parseStreamLine is not implemented for provider ${this.name}`);
+    }
+
+    /**
+     * Extract token usage from a complete provider response
+     * @param {Object} data - Parsed response body
+     * @returns {Object|null} { promptTokens, completionTokens, reasoningTokens, totalTokens } (fields may be missing),
+     *                        or null if the response does not report usage
+     */
+    parseUsage(data) {
+        return null;
+    }
+
+    /**
+     * Extract token usage reported by one streamed chunk
+     * Counts are cumulative; aiService.streamCompletion keeps the latest value of each field.
+     * @param {Object} rawChunk - Parsed stream chunk (rawChunk returned by parseStreamLine)
+     * @returns {Object|null} Usage fields reported by the chunk, or null
+     */
+    parseStreamUsage(rawChunk) {
+        return this.parseUsage(rawChunk);
+    }
+
+    /**
+     * Send a request and return the parsed response body
+     * @param {Object} aiConfig - AI configuration used for the request
+     * @param {Object} requestBody - Request body
+     * @param {Object} headers - Request headers
+     * @param {Object} options - Options: { signal }
+     * @returns {Promise<Object>} Response body
+     */
+    async send(aiConfig, requestBody, headers, options = {}) {
+        const response = await axios.post(aiConfig.apiUrl, requestBody, {
+            headers,
+            timeout: aiConfig.timeout,
+            signal: options.signal
+        });
+
+        return response.data;
+    }
+
+    /**
+     * Send a streaming request and return the response body as a readable text stream
+     * @param {Object} aiConfig - AI configuration used for the request
+     * @param {Object} requestBody - Request body
+     * @param {Object} headers - Request headers
+     * @param {Object} options - Options: { signal }
+     * @returns {Promise<Readable>} Response stream (utf8 encoded)
+     */
+    async sendStream(aiConfig, requestBody, headers, options = {}) {
+        const response = await axios.post(aiConfig.apiUrl, requestBody, {
+            headers,
+            timeout: aiConfig.timeout,
+            responseType: 'stream',
+            signal: options.signal
+        });
+
+        // Decode multi-byte characters split across chunks correctly
+        response.data.setEncoding('utf8');
+        return response.data;
+    }
+}
+
+module.exports = BaseProvider;
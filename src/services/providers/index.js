@@ -0,0 +1,70 @@
+const config = require('../../config/config');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const AnthropicProvider = require('./anthropicProvider');
+const OllamaProvider = require('./ollamaProvider');
+const MockProvider = require('./mockProvider');
+
+// Adapter implementations by request/response format
+const adapters = {
+    'openai-compatible': OpenAICompatibleProvider,
+    'anthropic': AnthropicProvider,
+    'ollama': OllamaProvider,
+    'mock': MockProvider
+};
+
+// Instantiate one adapter per configured provider
+const providers = {};
+for (const [name, settings] of Object.entries(config.aiProviders)) {
+    const Adapter = adapters[settings.adapter];
+    if (!Adapter) {
+        console.warn(`Unknown AI provider adapter "${settings.adapter}" for provider ${name}, skipping`);
+        continue;
+    }
+    providers[name] = new Adapter(name, settings);
+}
+
+/**
+ * Get the name of the deployment's default provider
+ * @returns {string} Provider name
+ */
+const getDefaultProviderName = () => {
+    if (providers[config.aiProvider]) {
+        return config.aiProvider;
+    }
+
+    console.warn(`Unknown AI provider "${config.aiProvider}", falling back to siliconflow`);
+    return 'siliconflow';
+};
+
+/**
+ * Get a provider adapter by name
+ * @param {string} name - Provider name (defaults to the deployment provider)
+ * @returns {BaseProvider} Provider adapter
+ */
+const getProvider = (name = null) => {
+    return providers[name] || providers[getDefaultProviderName()];
+};
+
+/**
+ * Check whether a provider is configured
+ * @param {string} name - Provider name
+ * @returns {boolean} True if the provider exists
+ */
+const hasProvider = (name) => !!providers[name];
+
+/**
+ * Get providers users may select for their own API key (hosted providers that require a key)
+ * @returns {string[]} Provider names
+ */
+const getUserSelectableProviders = () => {
+    return Object.values(providers)
+        .filter(provider => provider.requiresApiKey)
+        .map(provider => provider.name);
+};
+
+module.exports = {
+    getProvider,
+    getDefaultProviderName,
+    hasProvider,
+    getUserSelectableProviders
+};
@@ -0,0 +1,310 @@
+const fs = require('fs');
+const path = require('path');
+const {Readable} = require('stream');
+const {AxiosError, CanceledError} = require('axios');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+
+// Fixture files used to build replies (see fixtures/)
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Number of request bodies kept in requests
+const MAX_RECORDED_REQUESTS = 50;
+
+// Replies and errors the mock can produce
+const SCENARIOS = ['success', 'partialParse', 'malformed', 'unauthorized', 'rateLimit', 'timeout', 'serverError'];
+
+/**
+ * Deterministic offline provider for local development and automated tests.
+ * Speaks the OpenAI-compatible format, but builds replies locally from the fixtures in fixtures/
+ * instead of sending requests, so every aiService code path (parsing, JSON mode, streaming, retries,
+ * circuit breaker) can run without network access or an API key.
+ *
+ * Scenarios:
+ * success      - a complete reply in the requested format (section markers or JSON)
+ * partialParse - text: a reply with sections missing; JSON: an object missing a required field
+ * malformed    - a reply with neither section markers nor JSON
+ * unauthorized - HTTP 401
+ * rateLimit    - HTTP 429 with Retry-After: 1
+ * timeout      - a request timeout (ECONNABORTED), reported immediately
+ * serverError  - HTTP 500
+ *
+ * The scenario comes from settings.scenario (MOCK_AI_SCENARIO); queueScenarios() overrides it
+ * for the next requests, e.g. ['rateLimit', 'success'] to test a retry.
+ */
+class MockProvider extends OpenAICompatibleProvider {
+    constructor(name, settings = {}) {
+        super(name, settings);
+        this.defaultScenario = SCENARIOS.includes(settings.scenario) ? settings.scenario : 'success';
+        this.latencyMs = settings.latencyMs || 0;
+        this.queuedScenarios = [];
+        // Request bodies received, most recent last
+        this.requests = [];
+        this.fixtureCache = new Map();
+    }
+
+    /**
+     * Use the given scenarios for the next requests, in order, before returning to the default scenario
+     * @param {...string} scenarios - Scenario names
+     */
+    queueScenarios(...scenarios) {
+        for (const scenario of scenarios.flat()) {
+            if (!SCENARIOS.includes(scenario)) {
+                throw new Error(`Unknown mock AI scenario "${scenario}". Supported: ${SCENARIOS.join(', ')}`);
+            }
+            this.queuedScenarios.push(scenario);
+        }
+    }
+
+    /**
+     * Clear queued scenarios and recorded requests
+     */
+    reset() {
+        this.queuedScenarios = [];
+        this.requests = [];
+    }
+
+    async send(aiConfig, requestBody, headers, options = {}) {
+        const reply = await this.createReply(aiConfig, requestBody, options.signal);
+
+        return {
+            id: 'mock-completion',
+            object: 'chat.completion',
+            model: aiConfig.model,
+            choices: [{
+                index: 0,
+                message: {
+                    role: 'assistant',
+                    content: reply.content,
+                    reasoning_content: reply.thinking
+                },
+                finish_reason: 'stop'
+            }],
+            usage: reply.usage
+        };
+    }
+
+    async sendStream(aiConfig, requestBody, headers, options = {}) {
+        const reply = await this.createReply(aiConfig, requestBody, options.signal);
+        const signal = options.signal;
+
+        const toLine = (chunk) => `data: ${JSON.stringify(chunk)}\n\n`;
+        const lines = [
+            ...this.splitText(reply.thinking).map(text => toLine({choices: [{index: 0, delta: {reasoning_content: text}}]})),
+            ...this.splitText(reply.content).map(text => toLine({choices: [{index: 0, delta: {content: text}}]})),
+            toLine({choices: [], usage: reply.usage}),
+            'data: [DONE]\n\n'
+        ];
+
+        return Readable.from((async function* () {
+            for (const line of lines) {
+                if (signal?.aborted) {
+                    throw new CanceledError();
+                }
+                yield line;
+            }
+        })());
+    }
+
+    /**
+     * Build the reply for a request, or throw the error of an error scenario
+     * @param {Object} aiConfig - AI configuration used for the request
+     * @param {Object} requestBody - OpenAI-compatible request body
+     * @param {AbortSignal} signal - Abort signal of the request
+     * @returns {Promise<Object>} { content, thinking, usage }
+     */
+    async createReply(aiConfig, requestBody, signal) {
+        this.requests.push(requestBody);
+        if (this.requests.length > MAX_RECORDED_REQUESTS) {
+            this.requests.shift();
+        }
+
+        if (this.latencyMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+        }
+
+        if (signal?.aborted) {
+            throw new CanceledError();
+        }
+
+        const scenario = this.queuedScenarios.length > 0 ? this.queuedScenarios.shift() : this.defaultScenario;
+        const request = this.describeRequest(requestBody);
+
+        switch (scenario) {
+            case 'unauthorized':
+                throw this.createHttpError(aiConfig, 401, 'Invalid API key');
+            case 'rateLimit':
+                throw this.createHttpError(aiConfig, 429, 'Rate limit exceeded', {'retry-after': '1'});
+            case 'serverError':
+                throw this.createHttpError(aiConfig, 500, 'Internal server error');
+            case 'timeout':
+                throw new AxiosError(`timeout of ${aiConfig.timeout}ms exceeded`, AxiosError.ECONNABORTED, {timeout: aiConfig.timeout});
+        }
+
+        const content = scenario === 'malformed'
+            ? this.loadFixture('malformed.txt')
+            : this.buildContent(request, scenario === 'partialParse');
+
+        const thinking = requestBody.enable_thinking ? `Mock reasoning about the ${request.type} request.` : null;
+        const promptTokens = this.countTokens(requestBody.messages.map(message => message.content).join('\n'));
+        const completionTokens = this.countTokens(content) + this.countTokens(thinking);
+
+        return {
+            content,
+            thinking,
+            usage: {
+                prompt_tokens: promptTokens,
+                completion_tokens: completionTokens,
+                total_tokens: promptTokens + completionTokens,
+                completion_tokens_details: {reasoning_tokens: this.countTokens(thinking)}
+            }
+        };
+    }
+
+    /**
+     * Work out what kind of reply a request expects from its messages and response_format
+     * @param {Object} requestBody - OpenAI-compatible request body
+     * @returns {Object} { type: 'generation' | 'check' | 'followup', json, words, sentence, question }
+     */
+    describeRequest(requestBody) {
+        const messages = requestBody.messages || [];
+        const userMessages = messages.filter(message => message.role === 'user');
+        const firstLine = (messages.find(message => message.role !== 'assistant')?.content || '').split('\n')[0];
+        const json = requestBody.response_format?.type === 'json_schema' || requestBody.response_format?.type === 'json_object';
+
+        let type;
+        if (messages.some(message => message.role === 'system')) {
+            type = 'followup';
+        } else if (requestBody.response_format?.json_schema?.name) {
+            type = /check/i.test(requestBody.response_format.json_schema.name) ? 'check' : 'generation';
+        } else {
+            type = /GRAMMAR_CORRECTION|grammarCorrection/.test(userMessages[0]?.content || '') ? 'check' : 'generation';
+        }
+
+        // Prompts start with 'Analyze this sentence: "{sentence}"' or '...these words: {words}' (phrases quoted)
+        const quoted = firstLine.match(/"(.*)"/);
+        const listed = firstLine.split(':').pop();
+
+        return {
+            type,
+            json,
+            words: type === 'check' || !listed ? [] : listed.split(',').map(word => word.trim().replace(/^"(.*)"$/, '$1')).filter(Boolean),
+            sentence: quoted ? quoted[1] : '',
+            question: userMessages.length > 0 ? userMessages[userMessages.length - 1].content : ''
+        };
+    }
+
+    /**
+     * Fill the fixture for a request
+     * @param {Object} request - Request description from describeRequest
+     * @param {boolean} partial - Whether to leave sections out
+     * @returns {string} Reply content
+     */
+    buildContent(request, partial) {
+        const words = request.words.length > 0 ? request.words : ['example'];
+        const values = {
+            words: words.join(', '),
+            // The generated sentence is built from the requested words, so it always contains them
+            sentence: request.type === 'generation' ? `This sample sentence includes the words ${words.join(', ')}.` : request.sentence,
+            question: request.question
+        };
+
+        if (request.type === 'followup') {
+            return this.fillTemplate(this.loadFixture('followup.txt'), values);
+        }
+
+        const fixtureName = request.type === 'check' ? 'sentence-check' : 'sentence-generation';
+
+        if (request.json) {
+            const data = this.fillJson(JSON.parse(this.loadFixture(`${fixtureName}.json`)), values);
+            if (partial) {
+                // Leave out the last required field so schema validation fails
+                delete data[request.type === 'check' ? 'chineseDefinition' : 'chineseTranslation'];
+            }
+            return JSON.stringify(data, null, 2);
+        }
+
+        return this.fillTemplate(this.loadFixture(`${fixtureName}${partial ? '-partial' : ''}.txt`), values);
+    }
+
+    /**
+     * Replace {placeholders} in a template
+     * @param {string} template - Template text
+     * @param {Object} values - Placeholder values
+     * @returns {string} Filled text
+     */
+    fillTemplate(template, values) {
+        return template.replace(/\{(\w+)\}/g, (placeholder, key) => (key in values ? values[key] : placeholder));
+    }
+
+    /**
+     * Replace {placeholders} in every string of a parsed JSON fixture
+     * @param {*} value - Parsed JSON value
+     * @param {Object} values - Placeholder values
+     * @returns {*} Filled value
+     */
+    fillJson(value, values) {
+        if (typeof value === 'string') {
+            return this.fillTemplate(value, values);
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.fillJson(item, values));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.fillJson(item, values)]));
+        }
+        return value;
+    }
+
+    /**
+     * Read a fixture file with caching
+     * @param {string} filename - File name in fixtures/
+     * @returns {string} File content
+     */
+    loadFixture(filename) {
+        if (!this.fixtureCache.has(filename)) {
+            this.fixtureCache.set(filename, fs.readFileSync(path.join(FIXTURES_DIR, filename), 'utf8').trim());
+        }
+        return this.fixtureCache.get(filename);
+    }
+
+    /**
+     * Build an Axios error with an HTTP response, as thrown by axios for non-2xx responses
+     * @param {Object} aiConfig - AI configuration used for the request
+     * @param {number} status - HTTP status
+     * @param {string} message - Error message in the response body
+     * @param {Object} headers - Response headers
+     * @returns {AxiosError} Error
+     */
+    createHttpError(aiConfig, status, message, headers = {}) {
+        const response = {
+            status,
+            statusText: message,
+            headers,
+            data: {error: {message}}
+        };
+
+        return new AxiosError(`Request failed with status code ${status}`, AxiosError.ERR_BAD_RESPONSE, {url: aiConfig.apiUrl}, {}, response);
+    }
+
+    /**
+     * Split text into small chunks for streaming
+     * @param {string|null} text - Text to split
+     * @returns {string[]} Chunks
+     */
+    splitText(text) {
+        return text ? text.match(/[\s\S]{1,24}/g) : [];
+    }
+
+    /**
+     * Rough token count (4 characters per token), stable for the same text
+     * @param {string|null} text - Text to count
+     * @returns {number} Token count
+     */
+    countTokens(text) {
+        return text ? Math.ceil(text.length / 4) : 0;
+    }
+}
+
+MockProvider.SCENARIOS = SCENARIOS;
+
+module.exports = MockProvider;
@@ -0,0 +1,102 @@
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Adapter for the native Ollama chat API (/api/chat)
+ * Request: { model, messages, stream, think, options }
+ * Response: { message: { content, thinking }, done }; streamed as newline-delimited JSON
+ */
+class OllamaProvider extends BaseProvider {
+    getBaseConfig() {
+        return {
+            ...super.getBaseConfig(),
+            options: {
+                num_predict: 512,
+                temperature: 0.7,
+                top_p: 0.7,
+                top_k: 50
+            }
+        };
+    }
+
+    buildRequest(aiConfig, messageText, conversationHistory = [], options = {}) {
+        const headers = {...aiConfig.headers};
+
+        // Ollama runs locally without a key, but a reverse proxy in front of it may require one
+        if (aiConfig.apiKey) {
+            headers['Authorization'] = `Bearer ${aiConfig.apiKey}`;
+        }
+
+        const messages = (conversationHistory || []).map(message => ({
+            role: message.role,
+            content: message.content
+        }));
+
+        if (messageText) {
+            messages.push({role: 'user', content: messageText});
+        }
+
+        const requestBody = {
+            model: aiConfig.model,
+            messages,
+            stream: !!options.stream,
+            think: !!options.enableThinking,
+            options: {...aiConfig.options}
+        };
+
+        // Structured outputs: a JSON Schema, or 'json' for any JSON object
+        if (options.responseSchema && this.supportsJsonMode()) {
+            requestBody.format = this.jsonMode === 'json_schema' ? options.responseSchema.schema : 'json';
+        }
+
+        return {headers, requestBody};
+    }
+
+    parseResponse(data, aiConfig) {
+        const content = data?.message?.content;
+
+        if (!content) {
+            throw new Error('Could not extract response content from API response');
+        }
+
+        return {content, thinking: data.message.thinking || null};
+    }
+
+    parseUsage(data) {
+        // Counts are only reported on the final (done) message
+        if (!data || (data.prompt_eval_count === undefined && data.eval_count === undefined)) {
+            return null;
+        }
+
+        return {
+            promptTokens: data.prompt_eval_count,
+            completionTokens: data.eval_count
+        };
+    }
+
+    parseStreamLine(line, aiConfig) {
+        const trimmedLine = line.trim();
+        if (!trimmedLine) {
+            return null;
+        }
+
+        let chunk;
+        try {
+            chunk = JSON.parse(trimmedLine);
+        } catch (error) {
+            return null;
+        }
+
+        if (chunk.error) {
+            throw new Error(chunk.error);
+        }
+
+        return {
+            content: chunk.message?.content || null,
+            thinking: chunk.message?.thinking || null,
+            done: !!chunk.done,
+            rawChunk: chunk
+        };
+    }
+}
+
+module.exports = OllamaProvider;
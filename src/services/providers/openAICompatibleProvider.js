@@ -0,0 +1,100 @@
+const BaseProvider = require('./baseProvider');
+const HttpUtils = require('../../utils/httpUtils');
+
+/**
+ * Adapter for OpenAI-compatible chat completion APIs (SiliconFlow, OpenAI, llama.cpp server, ...).
+ * Requests and responses are described with the dynamic path configuration understood by HttpUtils.
+ */
+class OpenAICompatibleProvider extends BaseProvider {
+    getBaseConfig() {
+        const baseConfig = super.getBaseConfig();
+
+        return {
+            ...baseConfig,
+            apiKeyPlacement: "header",
+
+            requestTemplate: {
+                model: baseConfig.model,
+                messages: [], // Populated dynamically
+                max_tokens: 512,
+                temperature: 0.7,
+                top_p: 0.7,
+                stream: false,
+                frequency_penalty: 0.5,
+                response_format: {type: "text"},
+                // Provider-specific fields (e.g. SiliconFlow's enable_thinking and top_k)
+                ...(this.settings.extraRequestFields || {})
+            },
+
+            // Dynamic path configurations
+            requestMessageGroupPath: "messages",
+            requestRolePathFromGroup: "role",
+            requestTextPathFromGroup: "content",
+            responseTextPath: "choices[0].message.content",
+            responseThinkingTextPath: "choices[0].message.reasoning_content",
+            streamTextPath: "choices[0].delta.content",
+            streamThinkingTextPath: "choices[0].delta.reasoning_content",
+
+            // Role mappings
+            requestUserRoleField: "user",
+            requestAssistantField: "assistant",
+            requestSystemField: "system"
+        };
+    }
+
+    buildRequest(aiConfig, messageText, conversationHistory = [], options = {}) {
+        const requestConfig = {
+            ...aiConfig,
+            // Local servers (llama.cpp) run without a key
+            apiKeyPlacement: aiConfig.apiKey ? aiConfig.apiKeyPlacement : 'none',
+            requestTemplate: {
+                ...aiConfig.requestTemplate,
+                model: aiConfig.model,
+                stream: !!options.stream
+            }
+        };
+
+        // Ask for a final chunk with token usage, which streams otherwise leave out
+        if (options.stream) {
+            requestConfig.requestTemplate.stream_options = {include_usage: true};
+        }
+
+        // Only send enable_thinking to providers that understand it
+        if (this.settings.supportsEnableThinking) {
+            requestConfig.requestTemplate.enable_thinking = !!options.enableThinking;
+        }
+
+        if (options.responseSchema && this.supportsJsonMode()) {
+            requestConfig.requestTemplate.response_format = this.jsonMode === 'json_schema'
+                ? {type: 'json_schema', json_schema: {name: options.responseSchema.name, schema: options.responseSchema.schema}}
+                : {type: 'json_object'};
+        }
+
+        return HttpUtils.prepareRequestData(requestConfig, messageText, conversationHistory);
+    }
+
+    parseResponse(data, aiConfig) {
+        const {content, thinking} = HttpUtils.processAiResponse(JSON.stringify(data), aiConfig);
+        return {content, thinking};
+    }
+
+    parseUsage(data) {
+        const usage = data?.usage;
+        if (!usage) {
+            return null;
+        }
+
+        return {
+            promptTokens: usage.prompt_tokens,
+            completionTokens: usage.completion_tokens,
+            reasoningTokens: usage.completion_tokens_details?.reasoning_tokens,
+            totalTokens: usage.total_tokens
+        };
+    }
+
+    parseStreamLine(line, aiConfig) {
+        return HttpUtils.processAiStreamLine(line, aiConfig);
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,326 @@
+const mongoose = require('mongoose');
+const Quiz = require('../models/Quiz');
+const Word = require('../models/Word');
+const UserWord = require('../models/UserWord');
+const Generation = require('../models/Generation');
+const WordQuizStat = require('../models/WordQuizStat');
+const {findPhrase, getTextLemmas} = require('../utils/lemmatizer');
+
+const QUESTION_TYPES = ['definition', 'partOfSpeech', 'cloze', 'reverse'];
+const OPTION_COUNT = 4;
+// Saved words drawn for a quiz; the words not asked about give the wrong options
+const WORD_SAMPLE_SIZE = 200;
+// With fewer saved words than this, words of other users are drawn for wrong options too
+const MIN_OPTION_WORDS = 20;
+const EXTRA_OPTION_WORDS = 50;
+// Parts of speech asked about (WordNet's)
+const PARTS_OF_SPEECH = ['noun', 'verb', 'adjective', 'adverb'];
+// Own generations looked at for the sentence of a cloze or reverse question
+const GENERATIONS_PER_WORD = 5;
+const BLANK = '_____';
+// Answers to a word before it can be one of the user's weakest words
+const MIN_WEAK_WORD_ATTEMPTS = 2;
+const WEAKEST_WORDS = 5;
+
+const WORD_FIELDS = {word: 1, forms: 1, definitions: 1, primaryDefinition: 1, primaryPartOfSpeech: 1};
+
+/**
+ * Shuffle a list (Fisher-Yates)
+ * @param {Array} items - List to shuffle
+ * @returns {Array} Shuffled copy
+ */
+const shuffle = (items) => {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+// Adjective satellites are asked about as adjectives
+const toQuizPartOfSpeech = (partOfSpeech) => partOfSpeech === 'adjective satellite' ? 'adjective' : partOfSpeech;
+
+const getDefinition = (word) => word.primaryDefinition || word.definitions?.[0]?.text || null;
+
+/**
+ * Build the options of a multiple-choice question
+ * @param {string} correct - Correct option
+ * @param {string[]} candidates - Wrong options in order of preference
+ * @returns {Object|null} { options, answer } with the options shuffled, or null without a wrong option
+ */
+const buildOptions = (correct, candidates) => {
+    const wrong = [...new Set(candidates)].filter(candidate => candidate !== correct).slice(0, OPTION_COUNT - 1);
+    if (wrong.length === 0) {
+        return null;
+    }
+    const options = shuffle([correct, ...wrong]);
+    return {options, answer: options.indexOf(correct)};
+};
+
+/**
+ * Vocabulary quizzes built from a user's saved words.
+ * Each question is about one word and has up to 4 options:
+ * - definition: choose the word's definition (WordNet's) among definitions of other words
+ * - partOfSpeech: choose the word's primary part of speech among parts of speech the word does not have
+ * - cloze: choose the word that fills the blank in a sentence of one of the user's own generations
+ * - reverse: choose the word for the Chinese translation of one of the user's generations,
+ *   or for the user's own Chinese gloss of the word
+ * A quiz is also the user's attempt at it: answers are saved as they are submitted, and each answer
+ * updates the user's quiz results for the word (WordQuizStat).
+ */
+class QuizService {
+    constructor() {
+        this.questionTypes = QUESTION_TYPES;
+    }
+
+    /**
+     * Create a quiz from the user's saved words
+     * @param {string} userId - User ID
+     * @param {Object} options - { count, types, wordIds }; without wordIds, words are drawn at random
+     * @returns {Promise<Object|null>} Quiz, or null when no question could be built from the user's words
+     */
+    async createQuiz(userId, {count = 10, types = QUESTION_TYPES, wordIds} = {}) {
+        const userObjectId = new mongoose.Types.ObjectId(String(userId));
+
+        const userWords = await Word.aggregate([
+            {$match: {userIds: userObjectId}},
+            {$sample: {size: WORD_SAMPLE_SIZE}},
+            {$project: WORD_FIELDS}
+        ]);
+        const quizWords = wordIds
+            ? shuffle(await Word.find({_id: {$in: wordIds}, userIds: userObjectId}).select(WORD_FIELDS).lean())
+            : userWords;
+        if (quizWords.length === 0) {
+            return null;
+        }
+
+        let optionWords = userWords;
+        if (optionWords.length < MIN_OPTION_WORDS) {
+            const extraWords = await Word.aggregate([
+                {$match: {userIds: {$ne: userObjectId}, primaryDefinition: {$nin: [null, '']}}},
+                {$sample: {size: EXTRA_OPTION_WORDS}},
+                {$project: WORD_FIELDS}
+            ]);
+            optionWords = [...optionWords, ...extraWords];
+        }
+
+        const glosses = new Map();
+        (await UserWord.find({userId: userObjectId, wordId: {$in: quizWords.map(word => word._id)}, chineseGloss: {$nin: [null, '']}})
+            .select('wordId chineseGloss')
+            .lean())
+            .forEach(entry => glosses.set(String(entry.wordId), entry.chineseGloss));
+
+        const context = {userId: userObjectId, optionWords, glosses};
+        const typeOrder = shuffle(types);
+        const questions = [];
+
+        for (const word of quizWords) {
+            if (questions.length >= count) {
+                break;
+            }
+
+            // Start each word at the next type so a quiz mixes the types; words a type cannot be built for get another
+            const first = questions.length % typeOrder.length;
+            for (const type of [...typeOrder.slice(first), ...typeOrder.slice(0, first)]) {
+                const question = await this.buildQuestion(type, word, context);
+                if (question) {
+                    questions.push({type, wordId: word._id, word: word.word, ...question});
+                    break;
+                }
+            }
+        }
+
+        if (questions.length === 0) {
+            return null;
+        }
+
+        return Quiz.create({userId: userObjectId, questions, questionCount: questions.length});
+    }
+
+    /**
+     * Build a question about a word
+     * @param {string} type - Question type
+     * @param {Object} word - Word (lean)
+     * @param {Object} context - { userId, optionWords, glosses } as set up by createQuiz
+     * @returns {Promise<Object|null>} { prompt, options, answer, generationId }, or null when the word
+     *                                 lacks what the question needs
+     */
+    async buildQuestion(type, word, context) {
+        const otherWords = shuffle(context.optionWords.filter(other => String(other._id) !== String(word._id)));
+
+        if (type === 'definition') {
+            const definition = getDefinition(word);
+            const options = definition && buildOptions(definition, otherWords.map(getDefinition).filter(Boolean));
+            return options ? {prompt: word.word, ...options} : null;
+        }
+
+        if (type === 'partOfSpeech') {
+            const partOfSpeech = toQuizPartOfSpeech(word.primaryPartOfSpeech);
+            if (!PARTS_OF_SPEECH.includes(partOfSpeech)) {
+                return null;
+            }
+            const wordPartsOfSpeech = new Set((word.definitions || []).map(definition => toQuizPartOfSpeech(definition.partOfSpeech)));
+            const options = buildOptions(partOfSpeech, shuffle(PARTS_OF_SPEECH.filter(other => !wordPartsOfSpeech.has(other))));
+            return options ? {prompt: word.word, ...options} : null;
+        }
+
+        const generations = await this.getSentences(context.userId, word);
+
+        for (const {generation, range} of generations) {
+            if (type === 'reverse' && !generation.chineseTranslation) {
+                continue;
+            }
+
+            // Words that appear in the sentence would be right answers too
+            const sentenceWords = new Set(await getTextLemmas(generation.sentence));
+            const options = buildOptions(word.word, this.getWordCandidates(word, otherWords, sentenceWords));
+            if (!options) {
+                return null;
+            }
+
+            const prompt = type === 'cloze'
+                ? `${generation.sentence.slice(0, range.start)}${BLANK}${generation.sentence.slice(range.end)}`
+                : generation.chineseTranslation;
+            return {prompt, generationId: generation._id, ...options};
+        }
+
+        const gloss = context.glosses.get(String(word._id));
+        if (type === 'reverse' && gloss) {
+            const options = buildOptions(word.word, this.getWordCandidates(word, otherWords, new Set()));
+            return options ? {prompt: gloss, ...options} : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Get sentences of the user's own generations that use a word, with where the word appears
+     * @param {ObjectId} userId - User ID
+     * @param {Object} word - Word (lean)
+     * @returns {Promise<Array>} [{ generation, range }] newest first
+     */
+    async getSentences(userId, word) {
+        const generations = await Generation.find({userId, words: {$in: [word.word, ...(word.forms || [])]}})
+            .sort({createdAt: -1})
+            .limit(GENERATIONS_PER_WORD)
+            .select('sentence chineseTranslation')
+            .lean();
+
+        const sentences = [];
+        for (const generation of generations) {
+            const range = generation.sentence && await findPhrase(generation.sentence, word.word);
+            if (range) {
+                sentences.push({generation, range});
+            }
+        }
+        return sentences;
+    }
+
+    /**
+     * Get the wrong options of a question answered with a word, words of the same part of speech first
+     * @param {Object} word - Word asked about
+     * @param {Object[]} otherWords - Other words, shuffled
+     * @param {Set} excluded - Words that must not be options
+     * @returns {string[]} Words
+     */
+    getWordCandidates(word, otherWords, excluded) {
+        const candidates = otherWords.filter(other => !excluded.has(other.word));
+        return [
+            ...candidates.filter(other => other.primaryPartOfSpeech === word.primaryPartOfSpeech),
+            ...candidates.filter(other => other.primaryPartOfSpeech !== word.primaryPartOfSpeech)
+        ].map(other => other.word);
+    }
+
+    /**
+     * Save answers to questions of a quiz, score them and update the user's results for their words
+     * The answers must be to questions not answered yet, with valid option indexes.
+     * @param {Object} quiz - Quiz document, as loaded before checking the answers
+     * @param {Array} answers - [{ question, answer }] question and option indexes
+     * @param {Date} now - Answer time (default: now)
+     * @returns {Promise<Object|null>} { quiz, results } with the updated quiz and for each answer
+     *                                 { question, isCorrect, answer }, or null when other answers were
+     *                                 saved in the meantime
+     */
+    async submitAnswers(quiz, answers, now = new Date()) {
+        const set = {};
+        const results = answers.map(({question, answer}) => {
+            const isCorrect = answer === quiz.questions[question].answer;
+            set[`questions.${question}.response`] = answer;
+            set[`questions.${question}.isCorrect`] = isCorrect;
+            set[`questions.${question}.answeredAt`] = now;
+            return {question, isCorrect, answer: quiz.questions[question].answer};
+        });
+
+        const correctCount = results.filter(result => result.isCorrect).length;
+        if (quiz.answeredCount + answers.length >= quiz.questions.length) {
+            set.status = 'completed';
+            set.completedAt = now;
+        }
+
+        // The answered count only matches while no other answers were saved since the quiz was loaded
+        const updated = await Quiz.findOneAndUpdate(
+            {_id: quiz._id, answeredCount: quiz.answeredCount},
+            {$set: set, $inc: {answeredCount: answers.length, correctCount}},
+            {new: true}
+        );
+        if (!updated) {
+            return null;
+        }
+
+        await WordQuizStat.bulkWrite(results.map(result => ({
+            updateOne: {
+                filter: {userId: quiz.userId, wordId: quiz.questions[result.question].wordId},
+                update: {
+                    $inc: {attempts: 1, correct: result.isCorrect ? 1 : 0},
+                    $set: {lastCorrect: result.isCorrect, lastAnsweredAt: now}
+                },
+                upsert: true
+            }
+        })));
+
+        return {quiz: updated, results};
+    }
+
+    /**
+     * Get a user's quiz results
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} { completedQuizzes, answeredQuestions, correctAnswers, accuracy, weakestWords }
+     *                            with accuracy in percent (null before the first answer) and the words
+     *                            answered least accurately
+     */
+    async getStats(userId) {
+        const userObjectId = new mongoose.Types.ObjectId(String(userId));
+
+        const [completedQuizzes, totals, weakestWords] = await Promise.all([
+            Quiz.countDocuments({userId: userObjectId, status: 'completed'}),
+            WordQuizStat.aggregate([
+                {$match: {userId: userObjectId}},
+                {$group: {_id: null, attempts: {$sum: '$attempts'}, correct: {$sum: '$correct'}}}
+            ]),
+            WordQuizStat.aggregate([
+                {$match: {userId: userObjectId, attempts: {$gte: MIN_WEAK_WORD_ATTEMPTS}}},
+                {$match: {$expr: {$lt: ['$correct', '$attempts']}}},
+                {$addFields: {accuracy: {$round: [{$multiply: [{$divide: ['$correct', '$attempts']}, 100]}, 0]}}},
+                {$sort: {accuracy: 1, attempts: -1}},
+                {$limit: WEAKEST_WORDS},
+                {$lookup: {from: 'words', localField: 'wordId', foreignField: '_id', as: 'word'}},
+                {$unwind: '$word'},
+                {$project: {_id: 0, wordId: 1, word: '$word.word', attempts: 1, correct: 1, accuracy: 1}}
+            ])
+        ]);
+
+        const answeredQuestions = totals[0]?.attempts || 0;
+        const correctAnswers = totals[0]?.correct || 0;
+
+        return {
+            completedQuizzes,
+            answeredQuestions,
+            correctAnswers,
+            accuracy: answeredQuestions > 0 ? Math.round(correctAnswers / answeredQuestions * 100) : null,
+            weakestWords
+        };
+    }
+}
+
+module.exports = new QuizService();
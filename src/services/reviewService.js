@@ -0,0 +1,186 @@
+const Word = require('../models/Word');
+const WordReview = require('../models/WordReview');
+const ReviewLog = require('../models/ReviewLog');
+const Generation = require('../models/Generation');
+const {getInitialState, scheduleReview} = require('../utils/spacedRepetition');
+const {getUTC8PeriodStart, getUTC8PeriodEnd, formatDateToUTC8} = require('../utils/timeUtils');
+
+const DEFAULT_DAILY_NEW_WORDS = 20;
+const DEFAULT_DAILY_REVIEWS = 200;
+const EXAMPLES_PER_WORD = 3;
+
+/**
+ * Spaced repetition reviews of a user's saved words.
+ * Each reviewed word has a WordReview with its SM-2 state; words without one are new words.
+ * The review queue holds due reviews first, then new words in the order they were saved,
+ * within the user's daily limits (preferences.dailyReviews and preferences.dailyNewWords).
+ * Days are UTC+8 calendar days.
+ */
+class ReviewService {
+    /**
+     * Get a user's daily review limits
+     * @param {Object} user - User document
+     * @returns {Object} { dailyNewWords, dailyReviews }
+     */
+    getLimits(user) {
+        const preferences = user?.preferences || {};
+
+        return {
+            dailyNewWords: preferences.dailyNewWords ?? DEFAULT_DAILY_NEW_WORDS,
+            dailyReviews: preferences.dailyReviews ?? DEFAULT_DAILY_REVIEWS
+        };
+    }
+
+    /**
+     * Count the new words and reviews a user has done today
+     * @param {string} userId - User ID
+     * @param {Date} now - Reference time (default: now)
+     * @returns {Object} { newWords, reviews }
+     */
+    async getTodayCounts(userId, now = new Date()) {
+        const since = getUTC8PeriodStart('day', now);
+        const [newWords, reviews] = await Promise.all([
+            ReviewLog.countDocuments({userId, isNew: true, createdAt: {$gte: since}}),
+            ReviewLog.countDocuments({userId, isNew: false, createdAt: {$gte: since}})
+        ]);
+
+        return {newWords, reviews};
+    }
+
+    /**
+     * Get the words a user should review now
+     * @param {Object} user - User document
+     * @param {number} limit - Maximum number of cards to return
+     * @param {Date} now - Reference time (default: now)
+     * @returns {Object} { cards, counts, limits, resetsAt } where each card has the word with its WordNet
+     *                   definitions, its review state (null for new words) and example sentences
+     */
+    async getDueQueue(user, limit = 20, now = new Date()) {
+        const userId = user._id;
+        const limits = this.getLimits(user);
+        const today = await this.getTodayCounts(userId, now);
+
+        const remainingReviews = Math.max(0, limits.dailyReviews - today.reviews);
+        const remainingNewWords = Math.max(0, limits.dailyNewWords - today.newWords);
+
+        // A limit of 0 means no limit to MongoDB, so skip the query instead
+        const dueQuery = {userId, dueAt: {$lte: now}};
+        const dueLimit = Math.min(limit, remainingReviews);
+        const [dueReviews, dueTotal, reviewedWordIds] = await Promise.all([
+            dueLimit > 0 ? WordReview.find(dueQuery).sort({dueAt: 1}).limit(dueLimit).populate('wordId') : [],
+            WordReview.countDocuments(dueQuery),
+            WordReview.distinct('wordId', {userId})
+        ]);
+
+        const newQuery = {userIds: userId, _id: {$nin: reviewedWordIds}};
+        const newWordLimit = Math.min(limit - dueReviews.length, remainingNewWords);
+        const [newWords, newTotal] = await Promise.all([
+            newWordLimit > 0 ? Word.find(newQuery).sort({createdAt: 1, _id: 1}).limit(newWordLimit) : [],
+            Word.countDocuments(newQuery)
+        ]);
+
+        // Skip review states whose word has since been deleted
+        const cards = [
+            ...dueReviews
+                .filter(review => review.wordId)
+                .map(review => ({word: review.wordId, review, isNew: false})),
+            ...newWords.map(word => ({word, review: null, isNew: true}))
+        ];
+
+        const examples = await Promise.all(cards.map(card => this.getExamples(userId, card.word.word)));
+
+        return {
+            cards: cards.map((card, index) => ({...card, examples: examples[index]})),
+            counts: {
+                dueReviews: dueTotal,
+                newWords: newTotal,
+                reviewedToday: today.reviews,
+                newWordsToday: today.newWords,
+                remainingReviews,
+                remainingNewWords
+            },
+            limits,
+            resetsAt: formatDateToUTC8(getUTC8PeriodEnd('day', now))
+        };
+    }
+
+    /**
+     * Get example sentences for a word from past generations
+     * The user's own generations come first, then public generations of other users.
+     * @param {string} userId - User ID
+     * @param {string} word - Word (lowercase)
+     * @returns {Array} Up to 3 examples { _id, sentence, chineseTranslation, isOwn }
+     */
+    async getExamples(userId, word) {
+        const select = 'sentence chineseTranslation userId';
+        const own = await Generation.find({userId, words: word})
+            .sort({createdAt: -1})
+            .limit(EXAMPLES_PER_WORD)
+            .select(select)
+            .lean();
+
+        const others = own.length < EXAMPLES_PER_WORD
+            ? await Generation.find({userId: {$ne: userId}, isPublic: true, isHidden: {$ne: true}, words: word})
+                .sort({likeCount: -1, createdAt: -1})
+                .limit(EXAMPLES_PER_WORD - own.length)
+                .select(select)
+                .lean()
+            : [];
+
+        return [...own, ...others].map(generation => ({
+            _id: generation._id,
+            sentence: generation.sentence,
+            chineseTranslation: generation.chineseTranslation,
+            isOwn: String(generation.userId) === String(userId)
+        }));
+    }
+
+    /**
+     * Record a review of a word and schedule the next one, within the user's daily limits
+     * @param {Object} user - User document
+     * @param {Object} word - Word document (must belong to the user)
+     * @param {number} grade - Recall grade from 0 to 5
+     * @param {Date} now - Review time (default: now)
+     * @returns {Object} { review } with the updated WordReview document, or { limitReached, limit, resetsAt }
+     *                   when today's limit of new words ('dailyNewWords') or reviews ('dailyReviews') is used up
+     */
+    async recordReview(user, word, grade, now = new Date()) {
+        const userId = user._id;
+        const existing = await WordReview.findOne({userId, wordId: word._id});
+
+        // The queue stays within the limits, but reviews can be sent without it
+        const limits = this.getLimits(user);
+        const today = await this.getTodayCounts(userId, now);
+        const limitReached = existing
+            ? (today.reviews >= limits.dailyReviews ? 'dailyReviews' : null)
+            : (today.newWords >= limits.dailyNewWords ? 'dailyNewWords' : null);
+
+        if (limitReached) {
+            return {limitReached, limit: limits[limitReached], resetsAt: getUTC8PeriodEnd('day', now)};
+        }
+
+        const next = scheduleReview(existing || getInitialState(), grade, now);
+
+        const review = await WordReview.findOneAndUpdate(
+            {userId, wordId: word._id},
+            {
+                $set: {...next, lastGrade: grade, lastReviewedAt: now},
+                $inc: {reviewCount: 1}
+            },
+            {new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true}
+        );
+
+        await ReviewLog.create({
+            userId,
+            wordId: word._id,
+            grade,
+            isNew: !existing,
+            interval: next.interval,
+            ease: next.ease
+        });
+
+        return {review};
+    }
+}
+
+module.exports = new ReviewService();
@@ -0,0 +1,161 @@
+const Generation = require('../models/Generation');
+const SentenceCheck = require('../models/SentenceCheck');
+const {getSearchTerms, getHighlights} = require('../utils/searchUtils');
+
+// What can be searched: model and text-indexed fields, most important first
+const SEARCH_TARGETS = {
+    Generation: {
+        model: Generation,
+        fields: ['sentence', 'chineseTranslation', 'explanation']
+    },
+    SentenceCheck: {
+        model: SentenceCheck,
+        fields: ['originalSentence', 'grammarCorrection']
+    }
+};
+
+// Relevance score, without the fields not returned with search results
+const PROJECTION = {
+    score: {$meta: 'textScore'},
+    thinkingText: 0,
+    rawResponseContent: 0,
+    attempts: 0,
+    usage: 0,
+    modelSelection: 0
+};
+
+const SORTS = {
+    relevance: {score: {$meta: 'textScore'}, createdAt: -1, _id: -1},
+    recent: {createdAt: -1, _id: -1},
+    liked: {likeCount: -1, createdAt: -1, _id: -1}
+};
+
+/**
+ * Full-text search over generations and sentence checks, with the text indexes of both collections.
+ * Public content is searched for everyone, and a signed-in user's own private and hidden content for them.
+ * Results of both collections are merged by the chosen sort; relevance scores come from each collection's
+ * own weights, so they are only roughly comparable between generations and sentence checks.
+ */
+class SearchService {
+    constructor() {
+        this.targets = SEARCH_TARGETS;
+    }
+
+    /**
+     * Build the query of one collection
+     * @param {string} type - 'Generation' or 'SentenceCheck'
+     * @param {Object} options - Search options (see search)
+     * @param {string|null} viewerId - Signed-in user ID
+     * @returns {Object} MongoDB query
+     */
+    buildQuery(type, {q, words, authorId, from, to, model, grammarLanguage}, viewerId) {
+        // Content hidden by moderators is only found by its owner
+        const open = {isPublic: true, isHidden: {$ne: true}};
+        const query = {
+            $text: {$search: q},
+            $or: viewerId ? [open, {userId: viewerId}] : [open]
+        };
+
+        if (words && type === 'Generation') {
+            query.words = {$all: words};
+        }
+        if (authorId) {
+            query.userId = authorId;
+        }
+        if (from || to) {
+            query.createdAt = {};
+            if (from) {
+                query.createdAt.$gte = from;
+            }
+            if (to) {
+                query.createdAt.$lte = to;
+            }
+        }
+        if (model) {
+            query.aiModel = model;
+        }
+        if (grammarLanguage) {
+            query.grammarLanguageOption = grammarLanguage;
+        }
+
+        return query;
+    }
+
+    /**
+     * Search generations and sentence checks
+     * @param {Object} options - { q, type, words, authorId, from, to, model, grammarLanguage, sortBy, page, limit };
+     *   words only applies to generations, so giving it searches generations only
+     * @param {string|null} viewerId - Signed-in user ID, whose private content is searched too
+     * @returns {Promise<Object>} { results, total } with results { type, score, document, highlights }
+     */
+    async search(options, viewerId = null) {
+        const {type, words, sortBy, page, limit} = options;
+        const types = type ? [type] : (words ? ['Generation'] : Object.keys(SEARCH_TARGETS));
+        const skip = (page - 1) * limit;
+        const terms = getSearchTerms(options.q);
+
+        // With two collections, each one's first skip + limit results are enough to merge the page
+        const perType = await Promise.all(types.map(async (targetType) => {
+            const {model} = SEARCH_TARGETS[targetType];
+            const query = this.buildQuery(targetType, options, viewerId);
+
+            const [documents, total] = await Promise.all([
+                model.find(query, PROJECTION)
+                    .sort(SORTS[sortBy])
+                    .skip(types.length === 1 ? skip : 0)
+                    .limit(types.length === 1 ? limit : skip + limit)
+                    .populate('userId', 'username'),
+                model.countDocuments(query)
+            ]);
+
+            return {
+                total,
+                results: documents.map(document => ({
+                    type: targetType,
+                    score: document.get('score'),
+                    document
+                }))
+            };
+        }));
+
+        let results = perType.flatMap(entry => entry.results);
+        if (types.length > 1) {
+            results = results.sort((a, b) => this.compare(a, b, sortBy)).slice(skip, skip + limit);
+        }
+
+        return {
+            total: perType.reduce((sum, entry) => sum + entry.total, 0),
+            results: results.map(({type: resultType, score, document}) => ({
+                type: resultType,
+                score,
+                document,
+                highlights: getHighlights(document, SEARCH_TARGETS[resultType].fields, terms)
+            }))
+        };
+    }
+
+    /**
+     * Order of two results from different collections, as SORTS orders them within one
+     * @param {Object} a - Result
+     * @param {Object} b - Result
+     * @param {string} sortBy - 'relevance', 'recent' or 'liked'
+     * @returns {number} Comparison result
+     */
+    compare(a, b, sortBy) {
+        const keys = {
+            relevance: [result => result.score],
+            recent: [],
+            liked: [result => result.document.likeCount]
+        }[sortBy];
+
+        for (const key of [...keys, result => result.document.createdAt.getTime(), result => String(result.document._id)]) {
+            const [valueA, valueB] = [key(a), key(b)];
+            if (valueA !== valueB) {
+                return valueA < valueB ? 1 : -1;
+            }
+        }
+        return 0;
+    }
+}
+
+module.exports = new SearchService();
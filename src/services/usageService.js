@@ -0,0 +1,183 @@
+const config = require('../config/config');
+const TokenUsage = require('../models/TokenUsage');
+const TokenUsageSummary = require('../models/TokenUsageSummary');
+const {USAGE_FIELDS, sumUsage} = require('../utils/usageUtils');
+const {formatDateToUTC8, getUTC8PeriodKeys, getUTC8PeriodEnd} = require('../utils/timeUtils');
+
+/**
+ * AI token usage accounting and platform quotas.
+ * Every AI request is stored as a TokenUsage record and added to the user's daily and monthly
+ * TokenUsageSummary. Quotas apply to tokens used with the platform API key only; users with
+ * their own API key are exempt but their usage is still recorded.
+ * Quotas are checked before a request is sent, so the request that crosses a limit still completes.
+ */
+class UsageService {
+    constructor() {
+        this.quota = config.aiUsageQuota;
+    }
+
+    /**
+     * Whether a user is exempt from platform quotas (uses their own API key)
+     * @param {Object} user - User document
+     * @returns {boolean} True if the user is exempt
+     */
+    isQuotaExempt(user) {
+        return !!(user?.useCustomApiKey && user?.apiKey);
+    }
+
+    /**
+     * Record the token usage of an AI request
+     * Errors are logged and swallowed so that accounting never fails the request itself.
+     * @param {string} userId - User ID
+     * @param {string} requestType - 'generation', 'sentenceCheck' or 'followup'
+     * @param {Object} aiResult - Result returned by aiService (usage, attempts, provider, usesCustomApiKey, aiModel, promptVersion)
+     */
+    async recordUsage(userId, requestType, aiResult) {
+        const attempts = aiResult.attempts || [];
+
+        // Nothing reached the provider when every model's circuit was open
+        if (attempts.length > 0 && attempts.every(attempt => attempt.outcome === 'circuitOpen')) {
+            return;
+        }
+
+        const usage = aiResult.usage || sumUsage([]);
+        const usesCustomApiKey = !!aiResult.usesCustomApiKey;
+
+        const attemptOutcomes = {};
+        attempts.forEach(attempt => {
+            attemptOutcomes[attempt.outcome] = (attemptOutcomes[attempt.outcome] || 0) + 1;
+        });
+        const durationMs = attempts.length > 0
+            ? attempts.reduce((sum, attempt) => sum + (attempt.durationMs || 0) + (attempt.retryDelayMs || 0), 0)
+            : undefined;
+
+        try {
+            await TokenUsage.create({
+                userId,
+                requestType,
+                provider: aiResult.provider,
+                aiModel: attempts.length > 0 ? attempts[attempts.length - 1].model : aiResult.aiModel,
+                usesCustomApiKey,
+                success: !!aiResult.success,
+                attemptCount: attempts.length || 1,
+                promptVersion: aiResult.promptVersion,
+                attemptOutcomes,
+                durationMs,
+                ...usage
+            });
+
+            const increment = {requestCount: 1};
+            USAGE_FIELDS.forEach(field => {
+                increment[field] = usage[field] || 0;
+            });
+            increment.platformTokens = usesCustomApiKey ? 0 : usage.totalTokens || 0;
+
+            const periodKeys = getUTC8PeriodKeys();
+            await Promise.all(['day', 'month'].map(period => TokenUsageSummary.updateOne(
+                {userId, period, periodKey: periodKeys[period]},
+                {$inc: increment},
+                {upsert: true}
+            )));
+        } catch (error) {
+            console.error('Error recording AI token usage:', error.message);
+        }
+    }
+
+    /**
+     * Check whether a user may send another AI request on the platform API key
+     * @param {Object} user - User document
+     * @returns {Object} { exempt, exceeded } where exceeded is the used-up period (see getCurrentPeriods) or null
+     */
+    async checkQuota(user) {
+        if (this.isQuotaExempt(user)) {
+            return {exempt: true, exceeded: null};
+        }
+
+        const periods = await this.getCurrentPeriods(user._id);
+
+        // Report the month first: when both are used up, waiting for the next day does not help
+        const exceeded = [periods.month, periods.day]
+            .find(period => period.limit > 0 && period.platformTokens >= period.limit);
+
+        return {exempt: false, exceeded: exceeded || null};
+    }
+
+    /**
+     * Get a user's usage for the current UTC+8 day and month
+     * @param {string} userId - User ID
+     * @param {Date} now - Reference time (default: now)
+     * @returns {Object} { day, month }, each with period, periodKey, token counts, requestCount, limit, remaining and resetsAt
+     */
+    async getCurrentPeriods(userId, now = new Date()) {
+        const periodKeys = getUTC8PeriodKeys(now);
+        const summaries = await TokenUsageSummary.find({
+            userId,
+            $or: [
+                {period: 'day', periodKey: periodKeys.day},
+                {period: 'month', periodKey: periodKeys.month}
+            ]
+        }).lean();
+
+        const buildPeriod = (period, limit) => {
+            const summary = summaries.find(entry => entry.period === period) || {};
+            const platformTokens = summary.platformTokens || 0;
+
+            return {
+                period,
+                periodKey: periodKeys[period],
+                requestCount: summary.requestCount || 0,
+                ...Object.fromEntries(USAGE_FIELDS.map(field => [field, summary[field] || 0])),
+                platformTokens,
+                limit: limit || null,
+                remaining: limit > 0 ? Math.max(0, limit - platformTokens) : null,
+                resetsAt: getUTC8PeriodEnd(period, now)
+            };
+        };
+
+        return {
+            day: buildPeriod('day', this.quota.dailyTokens),
+            month: buildPeriod('month', this.quota.monthlyTokens)
+        };
+    }
+
+    /**
+     * Build a user's usage report: current day and month with quotas, plus a per-day history
+     * @param {Object} user - User document
+     * @param {number} days - Number of days of history, including today
+     * @returns {Object} { quotaExempt, usesCustomApiKey, today, month, daily }
+     */
+    async getUsageReport(user, days = 30) {
+        const quotaExempt = this.isQuotaExempt(user);
+        const periods = await this.getCurrentPeriods(user._id);
+
+        const firstDay = getUTC8PeriodKeys(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000)).day;
+        const history = await TokenUsageSummary.find({
+            userId: user._id,
+            period: 'day',
+            periodKey: {$gte: firstDay}
+        }).sort({periodKey: -1}).lean();
+
+        // Quotas do not apply to users with their own API key
+        const formatPeriod = ({period, ...summary}) => ({
+            ...summary,
+            limit: quotaExempt ? null : summary.limit,
+            remaining: quotaExempt ? null : summary.remaining,
+            resetsAt: formatDateToUTC8(summary.resetsAt)
+        });
+
+        return {
+            quotaExempt,
+            usesCustomApiKey: !!user.useCustomApiKey,
+            today: formatPeriod(periods.day),
+            month: formatPeriod(periods.month),
+            daily: history.map(entry => ({
+                date: entry.periodKey,
+                requestCount: entry.requestCount,
+                ...Object.fromEntries(USAGE_FIELDS.map(field => [field, entry[field] || 0])),
+                platformTokens: entry.platformTokens || 0
+            }))
+        };
+    }
+}
+
+module.exports = new UsageService();
@@ -0,0 +1,233 @@
+const Word = require('../models/Word');
+const UserWord = require('../models/UserWord');
+const ImportJob = require('../models/ImportJob');
+const {isWordSpelledCorrectly, getSpellingSuggestions, getWordNetData} = require('../utils/wordUtils');
+const {lemmatize} = require('../utils/lemmatizer');
+const {normalizeTags} = require('../utils/importUtils');
+
+// Imports with up to this many words are processed within the request
+const SYNC_IMPORT_WORDS = 50;
+// Maximum number of words per import
+const MAX_IMPORT_WORDS = 5000;
+// Number of lines between progress updates of a background import
+const PROGRESS_BATCH_SIZE = 25;
+// Running imports not updated for this long were interrupted (e.g. by a server restart)
+const STALE_JOB_MS = 10 * 60 * 1000;
+
+/**
+ * Bulk word imports.
+ * Each line of an import is added like POST /api/words: the word is spell checked and looked up in WordNet,
+ * then the user is added to the shared Word and their entry is saved. Words with spelling errors are skipped
+ * (unless forceAdd is set) and reported with suggestions; words the user already has are left unchanged.
+ * Every import is an ImportJob holding the per-line report. Small imports run within the request,
+ * larger ones in the background while the client polls the job.
+ */
+class WordImportService {
+    constructor() {
+        this.syncImportWords = SYNC_IMPORT_WORDS;
+        this.maxImportWords = MAX_IMPORT_WORDS;
+    }
+
+    /**
+     * Whether the user has an import that is still running
+     * @param {string} userId - User ID
+     * @returns {Promise<boolean>} True if an import is queued or running
+     */
+    async hasActiveImport(userId) {
+        const active = await ImportJob.findOne({
+            userId,
+            status: {$in: ['queued', 'running']},
+            updatedAt: {$gte: new Date(Date.now() - STALE_JOB_MS)}
+        }).select('_id');
+
+        return !!active;
+    }
+
+    /**
+     * Create an import job and run it
+     * @param {string} userId - User ID
+     * @param {string} format - Import format ('text', 'csv' or 'anki')
+     * @param {Array} items - Parsed lines (see utils/importUtils parseImport)
+     * @param {Object} options - { forceAdd, tags, source } applied to every line
+     * @returns {Promise<Object>} The ImportJob, completed for small imports and queued for larger ones
+     */
+    async startImport(userId, format, items, options = {}) {
+        const job = await ImportJob.create({userId, format, total: items.length});
+
+        if (items.length <= this.syncImportWords) {
+            await this.runImport(job._id, userId, items, options);
+            return ImportJob.findById(job._id);
+        }
+
+        // Runs after the response is sent; failures are recorded on the job
+        setImmediate(() => {
+            this.runImport(job._id, userId, items, options).catch(error => {
+                console.error('Word import error:', error);
+            });
+        });
+
+        return job;
+    }
+
+    /**
+     * Import the lines of a job, saving progress as it goes
+     * @param {string} jobId - ImportJob ID
+     * @param {string} userId - User ID
+     * @param {Array} items - Parsed lines
+     * @param {Object} options - { forceAdd, tags, source }
+     */
+    async runImport(jobId, userId, items, options) {
+        await ImportJob.updateOne({_id: jobId}, {$set: {status: 'running', startedAt: new Date()}});
+
+        const seen = new Set();
+        let batch = [];
+
+        const saveProgress = async () => {
+            if (batch.length === 0) {
+                return;
+            }
+            const counts = {};
+            batch.forEach(result => {
+                counts[`counts.${result.status}`] = (counts[`counts.${result.status}`] || 0) + 1;
+            });
+            await ImportJob.updateOne({_id: jobId}, {
+                $push: {results: {$each: batch}},
+                $inc: {processed: batch.length, ...counts}
+            });
+            batch = [];
+        };
+
+        try {
+            for (const item of items) {
+                batch.push(await this.importItem(userId, item, options, seen));
+                if (batch.length >= PROGRESS_BATCH_SIZE) {
+                    await saveProgress();
+                }
+            }
+            await saveProgress();
+
+            await ImportJob.updateOne({_id: jobId}, {$set: {status: 'completed', finishedAt: new Date()}});
+        } catch (error) {
+            await ImportJob.updateOne({_id: jobId}, {
+                $set: {status: 'failed', error: error.message, finishedAt: new Date()}
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Import a single line
+     * @param {string} userId - User ID
+     * @param {Object} item - Parsed line { line, word, entry, invalid }
+     * @param {Object} options - { forceAdd, tags, source }
+     * @param {Set} seen - Lemmas of the words earlier in the same import
+     * @returns {Promise<Object>} Report line { line, word, lemma, status, suggestions }; lemma is set when
+     *                            the word is saved as a different form (e.g. 'run' for 'running')
+     */
+    async importItem(userId, item, options, seen) {
+        const result = {line: item.line, word: item.word};
+
+        if (item.invalid) {
+            return {...result, status: 'invalid'};
+        }
+
+        try {
+            const lemma = await lemmatize(item.word);
+            if (lemma !== item.word) {
+                result.lemma = lemma;
+            }
+            if (seen.has(lemma)) {
+                return {...result, status: 'duplicate'};
+            }
+            seen.add(lemma);
+
+            const forms = lemma !== item.word ? [item.word] : [];
+            const entry = {...item.entry, addedAs: item.word};
+
+            const existingWord = await Word.findOne({word: lemma});
+            if (existingWord && existingWord.userIds.some(id => String(id) === String(userId))) {
+                return {...result, status: 'alreadyPresent'};
+            }
+
+            let wordNetProcessed;
+            let hasDefinitions;
+
+            if (existingWord) {
+                await Word.updateOne({_id: existingWord._id}, {$addToSet: {userIds: userId, forms: {$each: forms}}});
+                wordNetProcessed = existingWord.wordNetProcessed;
+                hasDefinitions = existingWord.definitions.length > 0;
+                await this.saveEntry(userId, existingWord._id, entry, options);
+            } else {
+                // Spelling is checked on the word as written
+                if (!options.forceAdd && !isWordSpelledCorrectly(item.word)) {
+                    return {...result, status: 'spellingError', suggestions: getSpellingSuggestions(item.word).slice(0, 5)};
+                }
+
+                const wordNetData = await getWordNetData(lemma);
+                const newWord = await Word.create({
+                    word: lemma,
+                    forms,
+                    userIds: [userId],
+                    definitions: wordNetData.definitions || [],
+                    primaryDefinition: wordNetData.primaryDefinition,
+                    primaryPartOfSpeech: wordNetData.primaryPartOfSpeech,
+                    wordNetProcessed: wordNetData.wordNetProcessed
+                });
+                wordNetProcessed = newWord.wordNetProcessed;
+                hasDefinitions = newWord.definitions.length > 0;
+                await this.saveEntry(userId, newWord._id, entry, options);
+            }
+
+            return {...result, status: wordNetProcessed && hasDefinitions ? 'added' : 'noWordNetData'};
+        } catch (error) {
+            console.error(`Error importing word "${item.word}":`, error);
+            return {...result, status: 'error'};
+        }
+    }
+
+    /**
+     * Save the user's entry for an imported word, with the import-wide tags and source
+     * @param {string} userId - User ID
+     * @param {string} wordId - Word ID
+     * @param {Object} entry - Entry fields from the line
+     * @param {Object} options - { tags, source }
+     */
+    async saveEntry(userId, wordId, entry = {}, options = {}) {
+        const fields = {...entry};
+        const tags = normalizeTags([...(entry.tags || []), ...(options.tags || [])]);
+        if (tags.length > 0) {
+            fields.tags = tags;
+        }
+        if (options.source && !fields.source) {
+            fields.source = options.source;
+        }
+
+        await UserWord.findOneAndUpdate(
+            {userId, wordId},
+            {$set: fields},
+            {upsert: true, runValidators: true, setDefaultsOnInsert: true}
+        );
+    }
+
+    /**
+     * Get one of the user's import jobs
+     * Jobs that stopped updating while running were interrupted and are reported as failed.
+     * @param {string} userId - User ID
+     * @param {string} jobId - ImportJob ID
+     * @returns {Promise<Object|null>} ImportJob, or null if the user has no such job
+     */
+    async getImport(userId, jobId) {
+        const job = await ImportJob.findOne({_id: jobId, userId});
+
+        if (job && ['queued', 'running'].includes(job.status) && Date.now() - job.updatedAt.getTime() > STALE_JOB_MS) {
+            job.status = 'failed';
+            job.error = 'Import was interrupted';
+            job.finishedAt = new Date();
+            await job.save();
+        }
+
+        return job;
+    }
+}
+
+module.exports = new WordImportService();
@@ -0,0 +1,46 @@
+const Word = require('../models/Word');
+const {getTextForms, containsPhrase} = require('../utils/lemmatizer');
+
+/**
+ * Word usage counts.
+ * A word is used when it appears in a generated sentence or a sentence the user had checked,
+ * in any inflected form ("ran" and "running" both count for "run"). Phrases count when their words appear
+ * together and in order ("took off" counts for "take off").
+ */
+class WordUsageService {
+    /**
+     * Add one use to each of the user's words that appear in a text
+     * Errors are logged and swallowed so that usage counting never fails the request itself.
+     * @param {string} userId - User ID
+     * @param {string} text - Sentence
+     * @returns {Promise<number>} Number of words credited
+     */
+    async creditText(userId, text) {
+        try {
+            const textForms = await getTextForms(text);
+            if (textForms.length === 0) {
+                return 0;
+            }
+
+            const words = new Set();
+            textForms.forEach(forms => forms.forEach(form => words.add(form)));
+
+            // The user's phrases are matched against the text one by one
+            const phrases = await Word.find({userIds: userId, word: / /}).select('word').lean();
+            phrases
+                .filter(phrase => containsPhrase(textForms, phrase.word))
+                .forEach(phrase => words.add(phrase.word));
+
+            const result = await Word.updateMany(
+                {userIds: userId, word: {$in: Array.from(words)}},
+                {$inc: {usageCount: 1}}
+            );
+            return result.modifiedCount;
+        } catch (error) {
+            console.error('Error crediting word usage:', error);
+            return 0;
+        }
+    }
+}
+
+module.exports = new WordUsageService();
@@ -0,0 +1,110 @@
+/**
+ * Word export formats.
+ * Each format turns exported words (as returned by GET /api/words, with optional examples)
+ * into text chunks so exports can be streamed word by word.
+ */
+
+// The user's own definition takes precedence over the WordNet one
+const getDefinition = (word) => word.entry?.definition || word.primaryDefinition || '';
+
+const formatExample = (example) => example.chineseTranslation
+  ? `${example.sentence} (${example.chineseTranslation})`
+  : example.sentence;
+
+// Columns of the CSV and TSV formats
+const COLUMNS = [
+  ['word', word => word.word],
+  ['partOfSpeech', word => word.primaryPartOfSpeech],
+  ['definition', word => getDefinition(word)],
+  ['definitions', word => (word.definitions || []).map(definition => definition.text).join(' | ')],
+  ['chineseGloss', word => word.entry?.chineseGloss],
+  ['note', word => word.entry?.note],
+  ['mnemonic', word => word.entry?.mnemonic],
+  ['tags', word => (word.entry?.tags || []).join(', ')],
+  ['source', word => word.entry?.source],
+  ['usageCount', word => word.usageCount],
+  ['addedAt', word => word.addedAt],
+  ['examples', word => (word.examples || []).map(formatExample).join(' | ')]
+];
+
+const toText = (value) => (value === undefined || value === null ? '' : String(value));
+
+// Quote CSV fields that need it, and keep spreadsheets from evaluating fields as formulas
+const escapeCsv = (value) => {
+  let text = toText(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// TSV fields cannot contain tabs or line breaks
+const escapeTsv = (value) => toText(value).replace(/[\t\r\n]+/g, ' ');
+
+const escapeHtml = (value) => toText(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Back of an Anki card: part of speech, definition, gloss, note, mnemonic and examples
+const getAnkiBack = (word) => {
+  const lines = [];
+  if (word.primaryPartOfSpeech) {
+    lines.push(`<i>${escapeHtml(word.primaryPartOfSpeechTranslated || word.primaryPartOfSpeech)}</i>`);
+  }
+  lines.push(escapeHtml(getDefinition(word)));
+  ['chineseGloss', 'note', 'mnemonic'].forEach(field => {
+    if (word.entry?.[field]) {
+      lines.push(escapeHtml(word.entry[field]));
+    }
+  });
+  (word.examples || []).forEach(example => {
+    lines.push(`<br>${escapeHtml(example.sentence)}`);
+    if (example.chineseTranslation) {
+      lines.push(escapeHtml(example.chineseTranslation));
+    }
+  });
+  return lines.filter(Boolean).join('<br>');
+};
+
+const EXPORT_FORMATS = {
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json',
+    start: (meta) => `{"success":true,"exportDate":${JSON.stringify(meta.exportDate)},"words":[`,
+    row: (word, index) => `${index > 0 ? ',' : ''}${JSON.stringify(word)}`,
+    end: (count) => `],"totalCount":${count}}`
+  },
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    // The byte order mark lets spreadsheet programs detect UTF-8
+    start: () => `\ufeff${COLUMNS.map(([name]) => name).join(',')}\r\n`,
+    row: (word) => `${COLUMNS.map(([, getValue]) => escapeCsv(getValue(word))).join(',')}\r\n`,
+    end: () => ''
+  },
+  tsv: {
+    contentType: 'text/tab-separated-values; charset=utf-8',
+    extension: 'tsv',
+    start: () => `${COLUMNS.map(([name]) => name).join('\t')}\n`,
+    row: (word) => `${COLUMNS.map(([, getValue]) => escapeTsv(getValue(word))).join('\t')}\n`,
+    end: () => ''
+  },
+  // Anki text import: front, back (HTML) and tags, one note per line
+  anki: {
+    contentType: 'text/plain; charset=utf-8',
+    extension: 'txt',
+    start: () => '#separator:tab\n#html:true\n#tags column:3\n',
+    row: (word) => [
+      escapeHtml(word.word),
+      getAnkiBack(word),
+      (word.entry?.tags || []).map(tag => tag.replace(/\s+/g, '_')).join(' ')
+    ].map(escapeTsv).join('\t') + '\n',
+    end: () => ''
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS
+};
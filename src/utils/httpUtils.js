@@ -111,6 +111,7 @@ class HttpUtils {
     const textPath = config.requestTextPathFromGroup || 'content';
     const userRoleValue = config.requestUserRoleField || 'user';
     const assistantRoleValue = config.requestAssistantField || 'assistant';
+    const systemRoleValue = config.requestSystemField;
 
     // Create the message group and add conversation history
     if (config.requestMessageGroupPath && (conversationHistory.length > 0 || messageText)) {
@@ -119,14 +120,16 @@ class HttpUtils {
       // Add previous messages
       if (conversationHistory && conversationHistory.length > 0) {
         for (const message of conversationHistory) {
-          // Skip system messages
-          if (message.role === 'system') {
+          // Skip system messages unless the API has a system role
+          if (message.role === 'system' && !systemRoleValue) {
             continue;
           }
 
           const messageObj = {};
           // Map the role values appropriately
-          if (message.role === 'user') {
+          if (message.role === 'system') {
+            messageObj[rolePath] = systemRoleValue;
+          } else if (message.role === 'user') {
             messageObj[rolePath] = userRoleValue;
           } else if (message.role === 'assistant') {
             messageObj[rolePath] = assistantRoleValue;
@@ -181,6 +184,39 @@ class HttpUtils {
     return { content, thinking, rawResponse: responseMap };
   }
 
+  /**
+   * Process a single line of a streamed (Server-Sent Events) AI response
+   * @param {string} line - Raw line from the response stream (e.g. 'data: {...}')
+   * @param {Object} config - AI configuration object
+   * @returns {Object|null} Object containing content and thinking deltas and a done flag, or null for non-data lines
+   */
+  static processAiStreamLine(line, config) {
+    const trimmedLine = line.trim();
+    if (!trimmedLine.startsWith('data:')) {
+      return null;
+    }
+
+    const payload = trimmedLine.substring(5).trim();
+    if (payload === '[DONE]') {
+      return { content: null, thinking: null, done: true };
+    }
+
+    let chunk;
+    try {
+      chunk = JSON.parse(payload);
+    } catch (error) {
+      // Ignore keep-alive comments and malformed fragments
+      return null;
+    }
+
+    // Extract deltas using dynamic paths
+    const content = this.extractValueFromPath(chunk, config.streamTextPath);
+    const thinking = config.streamThinkingTextPath ?
+      this.extractValueFromPath(chunk, config.streamThinkingTextPath) : null;
+
+    return { content, thinking, done: false, rawChunk: chunk };
+  }
+
 
 
   /**
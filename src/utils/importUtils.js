@@ -0,0 +1,237 @@
+const { normalizeWord, isValidWord } = require('./wordUtils');
+
+/**
+ * Parsing of bulk word imports.
+ * Supported formats:
+ * - text: one word or phrase per line; blank lines and lines starting with # are skipped
+ * - csv: word, note and tags columns, or any entry columns named in a header row
+ * - anki: Anki "Notes in Plain Text" exports; the front is the word, the back becomes the note
+ * Every parsed line keeps its line number in the file so import reports can point to it.
+ */
+
+const MAX_WORD_LENGTH = 50;
+
+// Entry field limits of models/UserWord; longer values are cut
+const FIELD_LIMITS = {
+  definition: 1000,
+  chineseGloss: 500,
+  note: 2000,
+  mnemonic: 500,
+  source: 200
+};
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+
+// CSV header names (lowercase) of the entry fields
+const CSV_COLUMNS = {
+  word: 'word',
+  note: 'note',
+  notes: 'note',
+  tags: 'tags',
+  definition: 'definition',
+  chinesegloss: 'chineseGloss',
+  mnemonic: 'mnemonic',
+  source: 'source'
+};
+
+// Anki #separator values
+const ANKI_SEPARATORS = {
+  tab: '\t',
+  comma: ',',
+  semicolon: ';',
+  pipe: '|',
+  colon: ':',
+  space: ' '
+};
+
+/**
+ * Split delimited text into records, honouring double-quoted fields with escaped quotes and line breaks
+ * @param {string} content - Text to parse
+ * @param {string} separator - Field separator
+ * @param {number} firstLine - Line number of the first line of content
+ * @returns {Array} Records { line, fields }
+ */
+const parseDelimited = (content, separator, firstLine = 1) => {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = firstLine;
+  let recordLine = firstLine;
+
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.some(value => value.trim() !== '')) {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === separator) {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  endRecord();
+
+  return records;
+};
+
+// Plain text of an HTML field (Anki fields are HTML)
+const stripHtml = (html) => html
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(div|p|li)>/gi, '\n')
+  .replace(/<[^>]*>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, '\'')
+  .replace(/&amp;/g, '&')
+  .replace(/\n{2,}/g, '\n')
+  .trim();
+
+/**
+ * Normalize tags the way the entry validation does: lowercase, no commas, at most 20 unique tags
+ * @param {string[]} tags - Raw tags
+ * @returns {string[]} Tags
+ */
+const normalizeTags = (tags) => Array.from(new Set(tags
+  .map(tag => tag.replace(/,/g, '').trim().toLowerCase().slice(0, MAX_TAG_LENGTH))
+  .filter(Boolean)))
+  .slice(0, MAX_TAGS);
+
+// Build a parsed line from a raw word and entry fields, marking words that cannot be saved
+const toItem = (line, rawWord, fields = {}) => {
+  const word = normalizeWord(rawWord || '');
+  const item = { line, word };
+
+  if (!word || word.length > MAX_WORD_LENGTH || !isValidWord(word)) {
+    item.invalid = true;
+    return item;
+  }
+
+  const entry = {};
+  Object.entries(FIELD_LIMITS).forEach(([field, limit]) => {
+    const value = (fields[field] || '').trim();
+    if (value) {
+      entry[field] = value.slice(0, limit);
+    }
+  });
+  if (fields.tags && fields.tags.length > 0) {
+    entry.tags = normalizeTags(fields.tags);
+  }
+
+  item.entry = entry;
+  return item;
+};
+
+const parseText = (content) => content
+  .split(/\r?\n/)
+  .map((text, index) => ({ line: index + 1, text: text.trim() }))
+  .filter(({ text }) => text && !text.startsWith('#'))
+  .map(({ line, text }) => toItem(line, text));
+
+const parseCsv = (content) => {
+  const records = parseDelimited(content, ',');
+  if (records.length === 0) {
+    return [];
+  }
+
+  // A header row names the columns; without one the columns are word, note and tags
+  const header = records[0].fields.map(name => CSV_COLUMNS[name.trim().toLowerCase()]);
+  const hasHeader = header.includes('word');
+  const columns = hasHeader ? header : ['word', 'note', 'tags'];
+
+  return records.slice(hasHeader ? 1 : 0).map(({ line, fields }) => {
+    const values = {};
+    columns.forEach((column, index) => {
+      if (column && fields[index] !== undefined) {
+        values[column] = fields[index];
+      }
+    });
+
+    return toItem(line, values.word, {
+      ...values,
+      tags: values.tags ? values.tags.split(/[,;]/) : []
+    });
+  });
+};
+
+const parseAnki = (content) => {
+  const lines = content.split(/\r?\n/);
+  let separator = '\t';
+  let tagsColumn = null;
+  let html = true;
+
+  // File headers (#key:value) come before the notes
+  let headerLines = 0;
+  while (headerLines < lines.length && lines[headerLines].startsWith('#')) {
+    const [key, ...rest] = lines[headerLines].slice(1).split(':');
+    const value = rest.join(':').trim();
+
+    if (key === 'separator') {
+      separator = ANKI_SEPARATORS[value.toLowerCase()] || value.charAt(0) || separator;
+    } else if (key === 'tags column') {
+      tagsColumn = parseInt(value, 10) || null;
+    } else if (key === 'html') {
+      html = value !== 'false';
+    }
+    headerLines++;
+  }
+
+  const clean = (value) => (html ? stripHtml(value || '') : (value || '').trim());
+
+  return parseDelimited(lines.slice(headerLines).join('\n'), separator, headerLines + 1)
+    .map(({ line, fields }) => toItem(line, clean(fields[0]), {
+      note: clean(fields[1]),
+      tags: tagsColumn && fields[tagsColumn - 1] ? fields[tagsColumn - 1].split(/\s+/) : []
+    }));
+};
+
+const PARSERS = {
+  text: parseText,
+  csv: parseCsv,
+  anki: parseAnki
+};
+
+/**
+ * Parse an import file into words with their entry fields
+ * @param {string} format - 'text', 'csv' or 'anki'
+ * @param {string} content - File content
+ * @returns {Array} Items { line, word, entry } in file order; lines without a valid word have invalid: true
+ */
+const parseImport = (format, content) => PARSERS[format](content.replace(/^\ufeff/, ''));
+
+module.exports = {
+  IMPORT_FORMATS: Object.keys(PARSERS),
+  parseImport,
+  normalizeTags
+};
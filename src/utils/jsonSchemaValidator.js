@@ -0,0 +1,88 @@
+/**
+ * Minimal JSON Schema validator for AI responses.
+ * Supports the subset used by the schemas in src/prompts/schemas:
+ * type, properties, required, additionalProperties (false), items, enum and minLength.
+ */
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} JSON Schema type
+ */
+const getJsonType = (value) => {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+};
+
+/**
+ * Check whether a value matches a schema type ('integer' values are also numbers)
+ * @param {*} value - Value to check
+ * @param {string} type - JSON Schema type
+ * @returns {boolean} True if the value has the type
+ */
+const matchesType = (value, type) => {
+  const actualType = getJsonType(value);
+  return actualType === type || (type === 'number' && actualType === 'integer');
+};
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+const validateSchema = (value, schema, path = '$') => {
+  const errors = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${path} should be ${schema.type} but is ${getJsonType(value)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${path} should not be empty`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  if (getJsonType(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) {
+        errors.push(`${path}.${field} is required`);
+      }
+    }
+
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if (properties[field]) {
+        errors.push(...validateSchema(fieldValue, properties[field], `${path}.${field}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${field} is not allowed`);
+      }
+    }
+  }
+
+  return errors;
+};
+
+module.exports = {
+  validateSchema
+};
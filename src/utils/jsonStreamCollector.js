@@ -0,0 +1,58 @@
+/**
+ * Collects a streamed JSON-mode AI response.
+ * Unlike StreamSectionParser, a JSON reply cannot be split into sections before it is complete,
+ * so every section is emitted at once when the stream finishes and the object can be parsed.
+ * Exposes the same push/finish/getContent interface so aiService.streamCompletion can use either.
+ */
+class JsonStreamCollector {
+  /**
+   * @param {Array} sections - Sections to emit: [{ name, field, key }] where key is the JSON property
+   * @param {Function} parseContent - Parses the complete reply into an object (throws if it is not JSON)
+   */
+  constructor(sections, parseContent) {
+    this.sections = sections;
+    this.parseContent = parseContent;
+    this.content = '';
+  }
+
+  /**
+   * Append a streamed content delta
+   * @param {string} delta - New content from the stream
+   * @returns {Array} Always empty - sections are only known once the reply is complete
+   */
+  push(delta) {
+    this.content += delta;
+    return [];
+  }
+
+  /**
+   * Parse the complete reply and return every section found in it
+   * @returns {Array} Sections: [{ name, field, content }]; empty if the reply is not valid JSON
+   */
+  finish() {
+    let data;
+    try {
+      data = this.parseContent(this.content);
+    } catch (error) {
+      return [];
+    }
+
+    return this.sections
+      .filter(section => data[section.key] !== undefined)
+      .map(section => ({
+        name: section.name,
+        field: section.field,
+        content: data[section.key]
+      }));
+  }
+
+  /**
+   * Get the full accumulated content
+   * @returns {string} Accumulated content
+   */
+  getContent() {
+    return this.content;
+  }
+}
+
+module.exports = JsonStreamCollector;
@@ -0,0 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+const { getLemmaPartsOfSpeech } = require('./wordnetDatabase');
+
+/**
+ * Lemmatization with WordNet's morphology (the "morphy" algorithm).
+ * A word's base forms come from the irregular form lists (src/data/wordnet/*.exc, e.g. "ran run")
+ * and from suffix rules (e.g. "-ies" -> "-y"); a base form from a rule only counts if WordNet has it.
+ *
+ * Words WordNet already has as they are are only reduced when they look like regular inflections:
+ * "running" becomes "run" and "used" becomes "use", but "saw", "left" and "better" are kept,
+ * since users adding them usually mean the noun or adjective rather than an inflection of "see", "leave" or "good".
+ *
+ * Phrases are reduced only to phrases WordNet has ("took off" -> "take off", "ice creams" -> "ice cream");
+ * others, like "looking forward to", are kept as typed.
+ */
+
+const EXCEPTIONS_DIR = path.join(__dirname, '..', 'data', 'wordnet');
+
+// WordNet index part of speech, exception file and suffix rules ([suffix, replacement]) per part of speech,
+// in the order base forms are preferred
+const PARTS_OF_SPEECH = [
+  {
+    pos: 'v',
+    file: 'verb.exc',
+    rules: [['s', ''], ['ies', 'y'], ['es', 'e'], ['es', ''], ['ed', 'e'], ['ed', ''], ['ing', 'e'], ['ing', '']]
+  },
+  {
+    pos: 'n',
+    file: 'noun.exc',
+    rules: [['s', ''], ['ses', 's'], ['xes', 'x'], ['zes', 'z'], ['ches', 'ch'], ['shes', 'sh'], ['men', 'man'], ['ies', 'y']]
+  },
+  {
+    pos: 'a',
+    file: 'adj.exc',
+    rules: [['er', ''], ['est', ''], ['er', 'e'], ['est', 'e']]
+  },
+  {
+    pos: 'r',
+    file: 'adv.exc',
+    rules: []
+  }
+];
+
+// Suffixes of regular verb inflections, reduced even when WordNet has the inflected form
+const REGULAR_INFLECTION = /(ing|ed)$/;
+
+// Words in running text: letters with inner apostrophes or hyphens
+const TOKEN_PATTERN = /[a-z]+(?:['-][a-z]+)*/g;
+
+let exceptionsPromise = null;
+
+/**
+ * Load the irregular form lists: part of speech -> Map of inflected form -> base forms
+ * @returns {Promise<Object>} Exceptions by index part of speech
+ */
+const loadExceptions = () => {
+  if (!exceptionsPromise) {
+    exceptionsPromise = Promise.all(PARTS_OF_SPEECH.map(async ({ pos, file }) => {
+      const content = await fs.promises.readFile(path.join(EXCEPTIONS_DIR, file), 'utf8');
+      const exceptions = new Map();
+
+      content.split('\n').forEach(line => {
+        // Phrases are written with underscores ("allowed_for allow_for")
+        const [form, ...baseForms] = line.trim().split(' ');
+        if (form && baseForms.length > 0) {
+          exceptions.set(form.replace(/_/g, ' '), baseForms.map(baseForm => baseForm.replace(/_/g, ' ')));
+        }
+      });
+
+      return [pos, exceptions];
+    }))
+      .then(entries => Object.fromEntries(entries))
+      .catch(error => {
+        exceptionsPromise = null;
+        throw error;
+      });
+  }
+
+  return exceptionsPromise;
+};
+
+/**
+ * Get the base forms of a word by part of speech
+ * @param {string} word - Lowercase word
+ * @param {Object} options - { regularOnly }: only use the -ing and -ed verb rules
+ * @returns {Promise<string[]>} Base forms other than the word itself, most likely first
+ */
+const findBaseForms = async (word, { regularOnly = false } = {}) => {
+  const exceptions = await loadExceptions();
+  const baseForms = [];
+
+  const add = (baseForm) => {
+    if (baseForm && baseForm !== word && !baseForms.includes(baseForm)) {
+      baseForms.push(baseForm);
+    }
+  };
+
+  for (const { pos, rules } of PARTS_OF_SPEECH) {
+    // Irregular forms of a word WordNet has are kept unless they look like a regular inflection
+    if (!regularOnly || pos === 'v') {
+      (exceptions[pos].get(word) || []).forEach(add);
+    }
+
+    for (const [suffix, replacement] of rules) {
+      if (regularOnly && (pos !== 'v' || !REGULAR_INFLECTION.test(suffix))) {
+        continue;
+      }
+      if (word.length > suffix.length + 1 && word.endsWith(suffix)) {
+        const candidate = word.slice(0, -suffix.length) + replacement;
+        if ((await getLemmaPartsOfSpeech(candidate)).includes(pos)) {
+          add(candidate);
+        }
+      }
+    }
+  }
+
+  return baseForms;
+};
+
+/**
+ * Reduce a phrase to a phrase WordNet has: by its irregular forms and suffix rules (which change the last word),
+ * or else by a base form of its first word
+ * @param {string} phrase - Lowercase phrase with single spaces
+ * @returns {Promise<string>} Lemma, or the phrase itself
+ */
+const lemmatizePhrase = async (phrase) => {
+  if ((await getLemmaPartsOfSpeech(phrase)).length > 0) {
+    return phrase;
+  }
+
+  const [baseForm] = await findBaseForms(phrase);
+  if (baseForm) {
+    return baseForm;
+  }
+
+  const [first, ...rest] = phrase.split(' ');
+  for (const firstBaseForm of await findBaseForms(first)) {
+    const candidate = [firstBaseForm, ...rest].join(' ');
+    if ((await getLemmaPartsOfSpeech(candidate)).length > 0) {
+      return candidate;
+    }
+  }
+
+  return phrase;
+};
+
+/**
+ * Reduce a word or phrase to its lemma (dictionary form)
+ * @param {string} word - Word or phrase as typed
+ * @returns {Promise<string>} Lemma, or the lowercased word if it has no other base form
+ */
+const lemmatize = async (word) => {
+  const cleanWord = word.trim().toLowerCase().replace(/\s+/g, ' ');
+  if (cleanWord.includes(' ')) {
+    return lemmatizePhrase(cleanWord);
+  }
+
+  const known = (await getLemmaPartsOfSpeech(cleanWord)).length > 0;
+
+  if (known && !REGULAR_INFLECTION.test(cleanWord)) {
+    return cleanWord;
+  }
+
+  const [baseForm] = await findBaseForms(cleanWord, { regularOnly: known });
+  return baseForm || cleanWord;
+};
+
+/**
+ * Split a text into words, each with all of its possible base forms
+ * @param {string} text - Sentence or other running text
+ * @returns {Promise<Set[]>} For each word in order, a Set of the lowercase word and its base forms
+ */
+const getTextForms = async (text) => {
+  const tokens = (text || '').toLowerCase().match(TOKEN_PATTERN) || [];
+  const formsByToken = new Map();
+
+  for (const token of tokens) {
+    if (!formsByToken.has(token)) {
+      formsByToken.set(token, new Set([token, ...await findBaseForms(token)]));
+    }
+  }
+
+  return tokens.map(token => formsByToken.get(token));
+};
+
+/**
+ * Get every word of a text with all of its possible base forms, for matching inflected words
+ * (e.g. "She saw two mice" gives she, saw, see, two, mice, mouse)
+ * @param {string} text - Sentence or other running text
+ * @returns {Promise<string[]>} Lowercase words and base forms
+ */
+const getTextLemmas = async (text) => {
+  const forms = new Set();
+  (await getTextForms(text)).forEach(tokenForms => tokenForms.forEach(form => forms.add(form)));
+  return Array.from(forms);
+};
+
+/**
+ * Check if a phrase appears in a text, with its words together and in order and each in any inflected form
+ * (e.g. "take off" in "The plane took off late")
+ * @param {Set[]} textForms - Words of the text with their base forms (see getTextForms)
+ * @param {string} phrase - Lowercase phrase with single spaces
+ * @returns {boolean} True if the text contains the phrase
+ */
+const containsPhrase = (textForms, phrase) => findPhraseStart(textForms, phrase) !== -1;
+
+// Index of the first word of a phrase in a text's words with their base forms, or -1
+const findPhraseStart = (textForms, phrase) => {
+  const words = phrase.split(' ');
+
+  for (let start = 0; start + words.length <= textForms.length; start++) {
+    if (words.every((word, index) => textForms[start + index].has(word))) {
+      return start;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Find where a word or phrase appears in a text, in any inflected form (e.g. "took off" in "The plane took off late")
+ * @param {string} text - Sentence or other running text
+ * @param {string} phrase - Lowercase word or phrase with single spaces
+ * @returns {Promise<Object|null>} { start, end } character offsets of the first occurrence, or null
+ */
+const findPhrase = async (text, phrase) => {
+  const tokens = Array.from((text || '').matchAll(new RegExp(TOKEN_PATTERN.source, 'gi')));
+  const textForms = await getTextForms(tokens.map(token => token[0]).join(' '));
+  const start = findPhraseStart(textForms, phrase);
+  if (start === -1) {
+    return null;
+  }
+
+  const last = tokens[start + phrase.split(' ').length - 1];
+  return { start: tokens[start].index, end: last.index + last[0].length };
+};
+
+module.exports = {
+  lemmatize,
+  findBaseForms,
+  getTextForms,
+  getTextLemmas,
+  containsPhrase,
+  findPhrase
+};
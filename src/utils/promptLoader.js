@@ -1,78 +1,220 @@
 const fs = require('fs');
 const path = require('path');
 
+const DEFAULT_PROMPT_VERSION = 'v1';
+
 class PromptLoader {
     constructor() {
         this.promptCache = new Map();
         this.promptsDir = path.join(__dirname, '../prompts');
+        this.defaultVersion = DEFAULT_PROMPT_VERSION;
     }
 
     /**
      * Load a prompt template from file with caching
+     * Templates live in '{type}/{version}/{variant}-{option}.txt' ('{type}/{version}/{option}.txt' without a variant).
+     * A version that does not have a template uses the default version's template.
+     * Cached templates are reloaded when their file changes.
      * @param {string} type - Type of prompt ('sentence-check' or 'sentence-generation')
+     * @param {string} variant - Template variant ('', 'json', 'retry', 'json-retry', 'followup' or 'phrases')
      * @param {string} grammarLanguageOption - Grammar language option ('combined' or 'pure')
+     * @param {string} version - Prompt version (e.g. 'v2'), defaults to v1
      * @returns {string} Prompt template
      */
-    loadPrompt(type, grammarLanguageOption = 'combined') {
-        const cacheKey = `${type}-${grammarLanguageOption}`;
-        
-        // Return cached version if available
-        if (this.promptCache.has(cacheKey)) {
-            return this.promptCache.get(cacheKey);
+    loadPrompt(type, variant = '', grammarLanguageOption = 'combined', version = DEFAULT_PROMPT_VERSION) {
+        const filename = `${variant ? `${variant}-` : ''}${grammarLanguageOption}.txt`;
+        const cacheKey = `${type}/${version}/${filename}`;
+        const filepath = path.join(this.promptsDir, type, version, filename);
+
+        // Versions only need the templates they change
+        if (version !== DEFAULT_PROMPT_VERSION && !fs.existsSync(filepath)) {
+            return this.loadPrompt(type, variant, grammarLanguageOption, DEFAULT_PROMPT_VERSION);
         }
 
         try {
-            const filename = `${type}-${grammarLanguageOption}.txt`;
-            const filepath = path.join(this.promptsDir, filename);
-            
             if (!fs.existsSync(filepath)) {
                 throw new Error(`Prompt file not found: ${filepath}`);
             }
 
+            const {mtimeMs} = fs.statSync(filepath);
+            const cached = this.promptCache.get(cacheKey);
+
+            // Return cached version if the file has not changed
+            if (cached && cached.mtimeMs === mtimeMs) {
+                return cached.template;
+            }
+
             const promptTemplate = fs.readFileSync(filepath, 'utf8');
-            
+
             // Cache the loaded prompt
-            this.promptCache.set(cacheKey, promptTemplate);
-            
+            this.promptCache.set(cacheKey, {template: promptTemplate, mtimeMs});
+
             return promptTemplate;
         } catch (error) {
-            console.error(`Error loading prompt ${type}-${grammarLanguageOption}:`, error.message);
-            
+            console.error(`Error loading prompt ${cacheKey}:`, error.message);
+
             // Fallback to combined version if pure version fails
             if (grammarLanguageOption === 'pure') {
                 console.warn(`Falling back to combined prompt for ${type}`);
-                return this.loadPrompt(type, 'combined');
+                return this.loadPrompt(type, variant, 'combined', version);
             }
-            
+
             // If combined also fails, throw error
-            throw new Error(`Failed to load prompt template: ${type}-${grammarLanguageOption}`);
+            throw new Error(`Failed to load prompt template: ${cacheKey}`);
+        }
+    }
+
+    /**
+     * Get the prompt versions available for a prompt type (directories named 'v1', 'v2', ...)
+     * @param {string} type - Type of prompt ('sentence-check' or 'sentence-generation')
+     * @returns {Array} Version names in numeric order
+     */
+    getVersions(type) {
+        const typeDir = path.join(this.promptsDir, type);
+
+        if (!fs.existsSync(typeDir)) {
+            return [];
+        }
+
+        return fs.readdirSync(typeDir, {withFileTypes: true})
+            .filter(entry => entry.isDirectory() && /^v\d+$/.test(entry.name))
+            .map(entry => entry.name)
+            .sort((a, b) => parseInt(a.slice(1)) - parseInt(b.slice(1)));
+    }
+
+    /**
+     * Get the template variant for an output format ('json' templates are prefixed with 'json-')
+     * @param {string} variant - Base variant ('' or 'retry')
+     * @param {string} outputFormat - Output format ('text' or 'json')
+     * @returns {string} Template variant
+     */
+    getVariant(variant = '', outputFormat = 'text') {
+        if (outputFormat !== 'json') {
+            return variant;
+        }
+        return variant ? `json-${variant}` : 'json';
+    }
+
+    /**
+     * Format the words of a generation for a prompt
+     * Phrases are quoted so that the model sees them as one unit: apple, "take off", run
+     * @param {Array|string} words - Words and phrases
+     * @returns {string} Comma-separated words
+     */
+    formatWords(words) {
+        if (!Array.isArray(words)) {
+            return words;
         }
+        return words.map(word => (word.includes(' ') ? `"${word}"` : word)).join(', ');
+    }
+
+    /**
+     * Get the note asking the model to keep the phrases of a generation together
+     * Added after the word list in place of '{phrases}'; empty when there are no phrases.
+     * @param {Array|string} words - Words and phrases
+     * @param {string} grammarLanguageOption - Language option ('combined' or 'pure')
+     * @param {string} version - Prompt version (defaults to v1)
+     * @returns {string} Note, starting on a new paragraph
+     */
+    getPhraseNote(words, grammarLanguageOption = 'combined', version = DEFAULT_PROMPT_VERSION) {
+        const phrases = Array.isArray(words) ? words.filter(word => word.includes(' ')) : [];
+        if (phrases.length === 0) {
+            return '';
+        }
+
+        const template = this.loadPrompt('sentence-generation', 'phrases', grammarLanguageOption, version);
+        return `\n\n${template.replace('{phrases}', this.formatWords(phrases))}`;
     }
 
     /**
      * Get sentence check prompt with replacements
      * @param {string} sentence - Sentence to analyze
      * @param {string} grammarLanguageOption - Language option ('combined' or 'pure')
+     * @param {string} outputFormat - Output format ('text' for section markers or 'json')
+     * @param {string} version - Prompt version (defaults to v1)
      * @returns {string} Formatted prompt
      */
-    getSentenceCheckPrompt(sentence, grammarLanguageOption = 'combined') {
-        const template = this.loadPrompt('sentence-check', grammarLanguageOption);
+    getSentenceCheckPrompt(sentence, grammarLanguageOption = 'combined', outputFormat = 'text', version = DEFAULT_PROMPT_VERSION) {
+        const template = this.loadPrompt('sentence-check', this.getVariant('', outputFormat), grammarLanguageOption, version);
         
         return template.replace('{sentence}', sentence);
     }
 
     /**
      * Get sentence generation prompt with replacements
-     * @param {Array} words - Array of words to use
+     * @param {Array} words - Array of words and phrases to use
      * @param {string} grammarLanguageOption - Language option ('combined' or 'pure')
+     * @param {string} outputFormat - Output format ('text' for section markers or 'json')
+     * @param {string} version - Prompt version (defaults to v1)
      * @returns {string} Formatted prompt
      */
-    getSentenceGenerationPrompt(words, grammarLanguageOption = 'combined') {
-        const template = this.loadPrompt('sentence-generation', grammarLanguageOption);
-        
-        const wordsString = Array.isArray(words) ? words.join(', ') : words;
-        
-        return template.replace('{words}', wordsString);
+    getSentenceGenerationPrompt(words, grammarLanguageOption = 'combined', outputFormat = 'text', version = DEFAULT_PROMPT_VERSION) {
+        const template = this.loadPrompt('sentence-generation', this.getVariant('', outputFormat), grammarLanguageOption, version);
+
+        return template
+            .replace('{words}', this.formatWords(words))
+            .replace('{phrases}', this.getPhraseNote(words, grammarLanguageOption, version));
+    }
+
+    /**
+     * Get the re-prompt sent when a generated response did not follow the required format
+     * @param {Array} words - Array of words and phrases to use
+     * @param {string} grammarLanguageOption - Language option ('combined' or 'pure')
+     * @param {string} outputFormat - Output format ('text' for section markers or 'json')
+     * @param {string} version - Prompt version (defaults to v1)
+     * @returns {string} Formatted prompt
+     */
+    getSentenceGenerationRetryPrompt(words, grammarLanguageOption = 'combined', outputFormat = 'text', version = DEFAULT_PROMPT_VERSION) {
+        const template = this.loadPrompt('sentence-generation', this.getVariant('retry', outputFormat), grammarLanguageOption, version);
+
+        return template
+            .replace('{words}', this.formatWords(words))
+            .replace('{phrases}', this.getPhraseNote(words, grammarLanguageOption, version));
+    }
+
+    /**
+     * Get the system prompt for follow-up questions about an earlier generation or sentence check
+     * @param {string} type - Original prompt type ('sentence-generation' or 'sentence-check')
+     * @param {Object} values - Template values: generation { words, sentence, explanation, translation },
+     *                          sentence check { sentence, analysis, correction }
+     * @param {string} grammarLanguageOption - Language option ('combined' or 'pure')
+     * @param {string} version - Prompt version of the original request (defaults to v1)
+     * @returns {string} Formatted prompt
+     */
+    getFollowupPrompt(type, values, grammarLanguageOption = 'combined', version = DEFAULT_PROMPT_VERSION) {
+        const template = this.loadPrompt(type, 'followup', grammarLanguageOption, version);
+
+        // Values are earlier AI output and may contain anything, so replace them literally
+        return template.replace(/\{(\w+)\}/g, (placeholder, key) => {
+            if (!(key in values)) {
+                return placeholder;
+            }
+            const value = values[key] ?? '';
+            return Array.isArray(value) ? this.formatWords(value) : String(value);
+        });
+    }
+
+    /**
+     * Load the JSON Schema describing a JSON-mode response
+     * @param {string} type - Schema type ('sentence-check' or 'sentence-generation')
+     * @returns {Object} JSON Schema
+     */
+    getResponseSchema(type) {
+        const cacheKey = `schema-${type}`;
+
+        if (this.promptCache.has(cacheKey)) {
+            return this.promptCache.get(cacheKey);
+        }
+
+        const filepath = path.join(this.promptsDir, 'schemas', `${type}.json`);
+        if (!fs.existsSync(filepath)) {
+            throw new Error(`Response schema not found: ${filepath}`);
+        }
+
+        const schema = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+        this.promptCache.set(cacheKey, schema);
+
+        return schema;
     }
 
     /**
@@ -95,20 +237,28 @@ class PromptLoader {
 
     /**
      * Validate that all required prompt files exist
+     * The default version must have every template; other versions fall back to it for templates they do not have.
      * @returns {Object} Validation result
      */
     validatePromptFiles() {
-        const requiredPrompts = [
-            'sentence-check-pure.txt',
-            'sentence-check-combined.txt',
-            'sentence-generation-pure.txt',
-            'sentence-generation-combined.txt'
+        const requiredPrompts = {
+            'sentence-check': ['pure.txt', 'combined.txt', 'json-pure.txt', 'json-combined.txt', 'followup-pure.txt', 'followup-combined.txt'],
+            'sentence-generation': [
+                'pure.txt', 'combined.txt', 'retry-pure.txt', 'retry-combined.txt',
+                'json-pure.txt', 'json-combined.txt', 'json-retry-pure.txt', 'json-retry-combined.txt',
+                'followup-pure.txt', 'followup-combined.txt', 'phrases-pure.txt', 'phrases-combined.txt'
+            ]
+        };
+        const requiredFiles = [
+            ...Object.entries(requiredPrompts).flatMap(([type, files]) => files.map(file => `${type}/${DEFAULT_PROMPT_VERSION}/${file}`)),
+            'schemas/sentence-check.json',
+            'schemas/sentence-generation.json'
         ];
 
         const missing = [];
         const existing = [];
 
-        for (const filename of requiredPrompts) {
+        for (const filename of requiredFiles) {
             const filepath = path.join(this.promptsDir, filename);
             if (fs.existsSync(filepath)) {
                 existing.push(filename);
@@ -117,10 +267,16 @@ class PromptLoader {
             }
         }
 
+        const versions = {};
+        for (const type of Object.keys(requiredPrompts)) {
+            versions[type] = this.getVersions(type);
+        }
+
         return {
             valid: missing.length === 0,
             existing,
             missing,
+            versions,
             promptsDirectory: this.promptsDir
         };
     }
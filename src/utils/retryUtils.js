@@ -0,0 +1,67 @@
+/**
+ * Compute the delay before the next retry using exponential backoff with jitter
+ * Half of the delay is fixed and half is random, so retries from many clients spread out
+ * without ever retrying immediately.
+ * @param {number} retryNumber - Retry number, starting at 1 for the first retry
+ * @param {Object} options - Options: { baseDelayMs, maxDelayMs }
+ * @returns {number} Delay in milliseconds
+ */
+const computeBackoffDelay = (retryNumber, { baseDelayMs = 1000, maxDelayMs = 10000 } = {}) => {
+  const exponentialDelay = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, retryNumber - 1));
+  const halfDelay = exponentialDelay / 2;
+
+  return Math.round(halfDelay + Math.random() * halfDelay);
+};
+
+/**
+ * Read the Retry-After header of a failed HTTP response
+ * @param {Object} error - Axios error
+ * @returns {number|null} Delay in milliseconds, or null if the header is missing or invalid
+ */
+const getRetryAfterMs = (error) => {
+  const retryAfter = error?.response?.headers?.['retry-after'];
+  if (!retryAfter) {
+    return null;
+  }
+
+  // Retry-After is either a number of seconds or an HTTP date
+  const seconds = Number(retryAfter);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Wait for the given delay, resolving early if the signal is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal = null) => {
+  return new Promise(resolve => {
+    if (signal?.aborted) {
+      return resolve();
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+};
+
+module.exports = {
+  computeBackoffDelay,
+  getRetryAfterMs,
+  sleep
+};
@@ -0,0 +1,126 @@
+/**
+ * Highlighted snippets for full-text search results.
+ * MongoDB text search matches stemmed words ("subjunctives" finds "subjunctive") but does not say where, so
+ * snippets find the query terms again: a Latin-script term matches words starting with its stem, and other
+ * terms (e.g. Chinese) match anywhere. Snippets are HTML-escaped with the matches in <mark> tags.
+ */
+
+// Words and runs of other characters in a query; quotes only group phrases, and "-term" excludes a term
+const TERM_PATTERN = /(^|\s)(-?)([^\s"]+)/g;
+const LATIN_TERM = /^[a-z0-9'-]+$/;
+
+const SNIPPET_LENGTH = 160;
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Get the terms of a search query to highlight
+ * @param {string} query - Search query as typed
+ * @returns {string[]} Lowercase terms, without excluded ones
+ */
+const getSearchTerms = (query) => {
+  const terms = new Set();
+  for (const [, , excluded, term] of query.toLowerCase().replace(/"/g, ' ').matchAll(TERM_PATTERN)) {
+    const cleaned = term.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+    if (!excluded && cleaned) {
+      terms.add(cleaned);
+    }
+  }
+  return [...terms];
+};
+
+/**
+ * Build the pattern matching the terms in a text
+ * @param {string[]} terms - Lowercase terms
+ * @returns {RegExp|null} Global, case-insensitive pattern, or null without terms
+ */
+const buildTermPattern = (terms) => {
+  if (terms.length === 0) {
+    return null;
+  }
+
+  const alternatives = terms
+    .map(term => {
+      if (!LATIN_TERM.test(term)) {
+        return escapeRegExp(term);
+      }
+      // A rough stem, so inflected forms are highlighted like they are matched
+      const stem = term.length > 4 ? term.replace(/(ing|ed|es|s)$/, '') : term;
+      return `\\b${escapeRegExp(stem)}[\\w'-]*`;
+    })
+    // Longer terms first, so a term is not cut short by another that starts it
+    .sort((a, b) => b.length - a.length);
+
+  return new RegExp(alternatives.join('|'), 'gi');
+};
+
+/**
+ * Get a snippet of a text around the first match of the terms, with the matches highlighted
+ * @param {string} text - Field text
+ * @param {RegExp} pattern - Pattern from buildTermPattern
+ * @param {number} maxLength - Approximate snippet length
+ * @returns {string|null} HTML snippet, or null when the terms do not appear
+ */
+const buildSnippet = (text, pattern, maxLength = SNIPPET_LENGTH) => {
+  if (!text || !pattern) {
+    return null;
+  }
+
+  pattern.lastIndex = 0;
+  const first = pattern.exec(text);
+  if (!first) {
+    return null;
+  }
+
+  // Window around the first match, widened to whole words
+  let start = Math.max(0, first.index - Math.floor((maxLength - first[0].length) / 3));
+  let end = Math.min(text.length, start + maxLength);
+  start = Math.max(0, Math.min(start, end - maxLength));
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space > -1 && space < first.index ? space + 1 : start;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > first.index + first[0].length ? space : end;
+  }
+
+  const window = text.slice(start, end);
+  let snippet = '';
+  let last = 0;
+  pattern.lastIndex = 0;
+  for (const match of window.matchAll(pattern)) {
+    snippet += escapeHtml(window.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  snippet += escapeHtml(window.slice(last));
+
+  return `${start > 0 ? '…' : ''}${snippet.trim()}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Get the highlighted snippets of a document's searched fields
+ * @param {Object} document - Generation or sentence check
+ * @param {string[]} fields - Searched fields, most important first
+ * @param {string[]} terms - Terms from getSearchTerms
+ * @returns {Array} [{ field, snippet }] for the fields the terms appear in
+ */
+const getHighlights = (document, fields, terms) => {
+  const pattern = buildTermPattern(terms);
+  return fields
+    .map(field => ({ field, snippet: buildSnippet(document[field], pattern) }))
+    .filter(highlight => highlight.snippet);
+};
+
+module.exports = {
+  getSearchTerms,
+  buildTermPattern,
+  buildSnippet,
+  getHighlights
+};
@@ -0,0 +1,76 @@
+/**
+ * SM-2 spaced repetition scheduling for word reviews.
+ * Grades follow SM-2: 0-2 means the word was not recalled, 3 recalled with difficulty,
+ * 4 recalled after some hesitation, 5 recalled easily.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+const DEFAULT_EASE = 2.5;
+const PASSING_GRADE = 3;
+const MAX_GRADE = 5;
+
+/**
+ * Initial review state of a word that has not been reviewed yet
+ * @returns {Object} { ease, interval, repetitions, lapses }
+ */
+const getInitialState = () => ({
+  ease: DEFAULT_EASE,
+  interval: 0,
+  repetitions: 0,
+  lapses: 0
+});
+
+/**
+ * Schedule the next review of a word after it was graded
+ * A passing grade lengthens the interval (1 day, 6 days, then the previous interval times the ease);
+ * a failing grade starts the word over with a 1 day interval and counts a lapse if it had been learned.
+ * The ease changes with every grade and never drops below 1.3.
+ * @param {Object} state - Current state { ease, interval, repetitions, lapses } (see getInitialState)
+ * @param {number} grade - Recall grade from 0 to 5
+ * @param {Date} now - Review time (default: now)
+ * @returns {Object} New state { ease, interval, repetitions, lapses, dueAt }
+ */
+const scheduleReview = (state, grade, now = new Date()) => {
+  const { ease = DEFAULT_EASE, interval = 0, repetitions = 0, lapses = 0 } = state || {};
+  const quality = Math.max(0, Math.min(MAX_GRADE, grade));
+
+  let nextInterval;
+  let nextRepetitions;
+  let nextLapses = lapses;
+
+  if (quality >= PASSING_GRADE) {
+    if (repetitions === 0) {
+      nextInterval = 1;
+    } else if (repetitions === 1) {
+      nextInterval = 6;
+    } else {
+      nextInterval = Math.round(interval * ease);
+    }
+    nextRepetitions = repetitions + 1;
+  } else {
+    // Forgotten: learn the word again from the start
+    if (repetitions > 0) {
+      nextLapses++;
+    }
+    nextInterval = 1;
+    nextRepetitions = 0;
+  }
+
+  const missed = MAX_GRADE - quality;
+  const nextEase = Math.max(MIN_EASE, ease + (0.1 - missed * (0.08 + missed * 0.02)));
+
+  return {
+    ease: Math.round(nextEase * 100) / 100,
+    interval: nextInterval,
+    repetitions: nextRepetitions,
+    lapses: nextLapses,
+    dueAt: new Date(now.getTime() + nextInterval * DAY_MS)
+  };
+};
+
+module.exports = {
+  MAX_GRADE,
+  getInitialState,
+  scheduleReview
+};
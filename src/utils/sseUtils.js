@@ -0,0 +1,44 @@
+/**
+ * Prepare an Express response for Server-Sent Events
+ * @param {Object} res - Express response object
+ */
+const initSSE = (res) => {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Disable proxy buffering (nginx) so events reach the client immediately
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+};
+
+/**
+ * Write a single named event to an SSE stream
+ * @param {Object} res - Express response object
+ * @param {string} event - Event name (e.g. 'thinking', 'section', 'done')
+ * @param {Object} data - JSON-serializable payload
+ */
+const sendEvent = (res, event, data = {}) => {
+  if (res.writableEnded) {
+    return;
+  }
+
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Close an SSE stream if it is still open
+ * @param {Object} res - Express response object
+ */
+const endSSE = (res) => {
+  if (!res.writableEnded) {
+    res.end();
+  }
+};
+
+module.exports = {
+  initSSE,
+  sendEvent,
+  endSSE
+};
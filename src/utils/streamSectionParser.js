@@ -0,0 +1,100 @@
+/**
+ * Incremental parser for marker-delimited AI output (SENTENCE:, GRAMMAR_ANALYSIS:, ... END_FORMAT).
+ * Content is fed in as it streams and each section is reported once the
+ * marker that follows it has arrived, so clients can render sections early.
+ * The final, authoritative parse is still done by AIService on the full text.
+ */
+class StreamSectionParser {
+  /**
+   * @param {Array<Object>} sections - Section definitions: { name, field, marker }
+   * @param {string} endMarker - Marker that terminates the last section
+   */
+  constructor(sections, endMarker) {
+    this.sections = sections;
+    this.endMarker = endMarker;
+    this.buffer = '';
+    this.emitted = new Set();
+  }
+
+  /**
+   * Append streamed content
+   * @param {string} delta - New content chunk
+   * @returns {Array<Object>} Sections completed by this chunk ({ name, field, content })
+   */
+  push(delta) {
+    if (delta) {
+      this.buffer += delta;
+    }
+    return this.collect(false);
+  }
+
+  /**
+   * Flush sections that were still open when the stream ended
+   * @returns {Array<Object>} Remaining sections ({ name, field, content })
+   */
+  finish() {
+    return this.collect(true);
+  }
+
+  /**
+   * Get all content received so far
+   * @returns {string} Accumulated content
+   */
+  getContent() {
+    return this.buffer;
+  }
+
+  /**
+   * Collect sections whose boundaries are known
+   * @param {boolean} isFinal - Treat the end of the buffer as the end of the open section
+   * @returns {Array<Object>} Newly completed sections
+   */
+  collect(isFinal) {
+    const content = this.buffer.replace(/\(Parsing required\)/gi, '');
+
+    const found = this.sections
+      .map(section => ({ ...section, index: content.indexOf(section.marker) }))
+      .filter(section => section.index !== -1)
+      .sort((a, b) => a.index - b.index);
+
+    const endIndex = content.indexOf(this.endMarker);
+    const completed = [];
+
+    for (const section of found) {
+      if (this.emitted.has(section.field)) {
+        continue;
+      }
+
+      const start = section.index + section.marker.length;
+
+      // The section ends at the nearest marker that follows it
+      let end = -1;
+      for (const other of found) {
+        if (other.index >= start && (end === -1 || other.index < end)) {
+          end = other.index;
+        }
+      }
+      if (endIndex >= start && (end === -1 || endIndex < end)) {
+        end = endIndex;
+      }
+
+      if (end === -1) {
+        if (!isFinal) {
+          continue;
+        }
+        end = content.length;
+      }
+
+      this.emitted.add(section.field);
+
+      const text = content.substring(start, end).trim();
+      if (text.length > 0) {
+        completed.push({ name: section.name, field: section.field, content: text });
+      }
+    }
+
+    return completed;
+  }
+}
+
+module.exports = StreamSectionParser;
@@ -1,10 +1,43 @@
+// Offset of the application's timezone (UTC+8) from UTC
+const UTC8_OFFSET_MS = 8 * 60 * 60 * 1000;
+
 // Helper function to format date to UTC+8 timezone
 const formatDateToUTC8 = (date) => {
     if (!date) return null;
-    const utc8Date = new Date(date.getTime() + (8 * 60 * 60 * 1000));
+    const utc8Date = new Date(date.getTime() + UTC8_OFFSET_MS);
     return utc8Date.toISOString().replace('T', ' ').substring(0, 19);
 };
 
+// Get the UTC+8 calendar day ('YYYY-MM-DD') and month ('YYYY-MM') a date falls in
+const getUTC8PeriodKeys = (date = new Date()) => {
+    const day = new Date(date.getTime() + UTC8_OFFSET_MS).toISOString().substring(0, 10);
+    return {
+        day,
+        month: day.substring(0, 7)
+    };
+};
+
+// Get the moment the UTC+8 day or month containing a date ends
+const getUTC8PeriodEnd = (period, date = new Date()) => {
+    const utc8Date = new Date(date.getTime() + UTC8_OFFSET_MS);
+    const end = period === 'month'
+        ? Date.UTC(utc8Date.getUTCFullYear(), utc8Date.getUTCMonth() + 1, 1)
+        : Date.UTC(utc8Date.getUTCFullYear(), utc8Date.getUTCMonth(), utc8Date.getUTCDate() + 1);
+    return new Date(end - UTC8_OFFSET_MS);
+};
+
+// Get the moment the UTC+8 day or month containing a date starts
+const getUTC8PeriodStart = (period, date = new Date()) => {
+    const utc8Date = new Date(date.getTime() + UTC8_OFFSET_MS);
+    const start = period === 'month'
+        ? Date.UTC(utc8Date.getUTCFullYear(), utc8Date.getUTCMonth(), 1)
+        : Date.UTC(utc8Date.getUTCFullYear(), utc8Date.getUTCMonth(), utc8Date.getUTCDate());
+    return new Date(start - UTC8_OFFSET_MS);
+};
+
 module.exports = {
-    formatDateToUTC8
-}
\ No newline at end of file
+    formatDateToUTC8,
+    getUTC8PeriodKeys,
+    getUTC8PeriodStart,
+    getUTC8PeriodEnd
+}
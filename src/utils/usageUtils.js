@@ -0,0 +1,73 @@
+/**
+ * Helpers for AI token usage in the provider-neutral shape
+ * { promptTokens, completionTokens, reasoningTokens, totalTokens }.
+ * completionTokens includes reasoningTokens when the provider reports both.
+ */
+
+const USAGE_FIELDS = ['promptTokens', 'completionTokens', 'reasoningTokens', 'totalTokens'];
+
+/**
+ * Overlay the fields reported in a usage update onto the usage collected so far
+ * Streamed responses report cumulative counts, so a later value replaces an earlier one.
+ * @param {Object|null} current - Usage collected so far (fields may be missing)
+ * @param {Object|null} update - Usage reported by a stream chunk (fields may be missing)
+ * @returns {Object|null} Merged usage, or null if neither reports anything
+ */
+const mergeUsage = (current, update) => {
+  if (!update) {
+    return current;
+  }
+
+  const merged = { ...(current || {}) };
+  USAGE_FIELDS.forEach(field => {
+    if (Number.isFinite(update[field])) {
+      merged[field] = update[field];
+    }
+  });
+
+  return Object.keys(merged).length > 0 ? merged : null;
+};
+
+/**
+ * Fill in missing usage fields
+ * @param {Object|null} usage - Usage as reported by a provider (fields may be missing)
+ * @returns {Object|null} Complete usage, or null if the provider reported none
+ */
+const normalizeUsage = (usage) => {
+  if (!usage || !USAGE_FIELDS.some(field => Number.isFinite(usage[field]))) {
+    return null;
+  }
+
+  const promptTokens = usage.promptTokens || 0;
+  const completionTokens = usage.completionTokens || 0;
+
+  return {
+    promptTokens,
+    completionTokens,
+    reasoningTokens: usage.reasoningTokens || 0,
+    totalTokens: usage.totalTokens || promptTokens + completionTokens
+  };
+};
+
+/**
+ * Add up usage from several requests
+ * @param {Array} usages - Usage objects (null entries are skipped)
+ * @returns {Object} Summed usage
+ */
+const sumUsage = (usages) => {
+  return usages.reduce((total, usage) => {
+    if (usage) {
+      USAGE_FIELDS.forEach(field => {
+        total[field] += usage[field] || 0;
+      });
+    }
+    return total;
+  }, { promptTokens: 0, completionTokens: 0, reasoningTokens: 0, totalTokens: 0 });
+};
+
+module.exports = {
+  USAGE_FIELDS,
+  mergeUsage,
+  normalizeUsage,
+  sumUsage
+};
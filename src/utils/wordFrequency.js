@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Word frequency ranks and estimated CEFR levels.
+ * Ranks come from the bundled SUBTLEX-US lemma list (src/data/frequency/subtlex-us.txt, built by
+ * scripts/buildFrequencyList.js): 1 is the most frequent word. A phrase is ranked by its rarest word.
+ * The CEFR level is estimated from the rank: the most frequent 1000 words are A1, the next 1000 A2 and so on;
+ * words the list does not have are C2.
+ */
+
+const FREQUENCY_FILE = path.join(__dirname, '..', 'data', 'frequency', 'subtlex-us.txt');
+
+const CEFR_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+// Highest frequency rank of each level below C2
+const LEVEL_MAX_RANKS = [
+  ['A1', 1000],
+  ['A2', 2000],
+  ['B1', 3500],
+  ['B2', 5500],
+  ['C1', 9000]
+];
+
+let ranksPromise = null;
+
+/**
+ * Load the frequency list: lemma -> rank
+ * @returns {Promise<Map>} Ranks
+ */
+const loadRanks = () => {
+  if (!ranksPromise) {
+    ranksPromise = fs.promises.readFile(FREQUENCY_FILE, 'utf8').then(content => {
+      const ranks = new Map();
+      content.split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .forEach(lemma => {
+          if (!ranks.has(lemma)) {
+            ranks.set(lemma, ranks.size + 1);
+          }
+        });
+      return ranks;
+    }).catch(error => {
+      console.error('Error loading word frequency list:', error);
+      ranksPromise = null;
+      return new Map();
+    });
+  }
+  return ranksPromise;
+};
+
+/**
+ * Estimate the CEFR level of a frequency rank
+ * @param {number|null} rank - Frequency rank, or null for words the list does not have
+ * @returns {string} Level from A1 to C2
+ */
+const getLevelForRank = (rank) => {
+  if (!rank) {
+    return 'C2';
+  }
+  const band = LEVEL_MAX_RANKS.find(([, maxRank]) => rank <= maxRank);
+  return band ? band[0] : 'C2';
+};
+
+/**
+ * Get the frequency rank and estimated level of a word or phrase
+ * @param {string} word - Lemma, or a phrase of lemmas (lowercase, single spaces)
+ * @returns {Promise<Object>} { frequencyRank, level }; frequencyRank is null when the list does not have
+ *                            the word (or one of the words of a phrase)
+ */
+const getWordFrequency = async (word) => {
+  const ranks = await loadRanks();
+  let frequencyRank = null;
+
+  for (const part of word.trim().toLowerCase().split(/\s+/)) {
+    const rank = ranks.get(part);
+    if (!rank) {
+      frequencyRank = null;
+      break;
+    }
+    frequencyRank = Math.max(frequencyRank || 0, rank);
+  }
+
+  return { frequencyRank, level: getLevelForRank(frequencyRank) };
+};
+
+module.exports = {
+  CEFR_LEVELS,
+  getLevelForRank,
+  getWordFrequency
+};
@@ -1,5 +1,25 @@
 const Typo = require('typo-js');
 const wordnet = require('wordnet');
+const { lookupSynsets, readSynset } = require('./wordnetDatabase');
+const { lemmatize } = require('./lemmatizer');
+
+// A word or a phrase of up to MAX_PHRASE_WORDS words: letters, hyphens and apostrophes, single spaces between words
+const WORD_PATTERN = /^[a-zA-Z\-']+(?: [a-zA-Z\-']+)*$/;
+const MAX_PHRASE_WORDS = 6;
+
+/**
+ * Normalize a word or phrase as typed: lowercase, with single spaces between words
+ * @param {string} word - Word or phrase
+ * @returns {string} Normalized word
+ */
+const normalizeWord = (word) => word.toLowerCase().trim().replace(/\s+/g, ' ');
+
+/**
+ * Check if a word or phrase has a valid format
+ * @param {string} word - Normalized word or phrase
+ * @returns {boolean} True for a word or a phrase of up to MAX_PHRASE_WORDS words
+ */
+const isValidWord = (word) => WORD_PATTERN.test(word) && word.split(' ').length <= MAX_PHRASE_WORDS;
 
 // Initialize the spell checker
 let spellChecker;
@@ -25,7 +45,8 @@ const initializeWordNet = async () => {
 
 /**
  * Check if a word is spelled correctly
- * @param {string} word - The word to check
+ * Phrases are checked word by word.
+ * @param {string} word - The word or phrase to check
  * @returns {boolean} - True if the word is spelled correctly
  */
 const isWordSpelledCorrectly = (word) => {
@@ -35,8 +56,7 @@ const isWordSpelledCorrectly = (word) => {
   }
 
   try {
-    const cleanWord = word.toLowerCase().trim();
-    return spellChecker.check(cleanWord);
+    return normalizeWord(word).split(' ').every(token => spellChecker.check(token));
   } catch (error) {
     console.error('Error checking spelling:', error);
     return true; // Default to true if there's an error
@@ -45,7 +65,9 @@ const isWordSpelledCorrectly = (word) => {
 
 /**
  * Get spelling suggestions for a word
- * @param {string} word - The word to get suggestions for
+ * For a phrase, the suggestions are the phrase with its first misspelled word replaced by each suggestion
+ * for that word and any other misspelled words by their best suggestion.
+ * @param {string} word - The word or phrase to get suggestions for
  * @returns {string[]} - Array of suggested spellings
  */
 const getSpellingSuggestions = (word) => {
@@ -54,8 +76,29 @@ const getSpellingSuggestions = (word) => {
   }
 
   try {
-    const cleanWord = word.toLowerCase().trim();
-    return spellChecker.suggest(cleanWord) || [];
+    const tokens = normalizeWord(word).split(' ');
+    if (tokens.length === 1) {
+      return spellChecker.suggest(tokens[0]) || [];
+    }
+
+    const misspelled = tokens
+      .map((token, index) => ({ index, suggestions: spellChecker.check(token) ? null : (spellChecker.suggest(token) || []) }))
+      .filter(({ suggestions }) => suggestions);
+    if (misspelled.length === 0 || misspelled[0].suggestions.length === 0) {
+      return [];
+    }
+
+    // Other misspelled words take their best suggestion, or stay as typed if there is none
+    const corrected = [...tokens];
+    misspelled.slice(1).forEach(({ index, suggestions }) => {
+      corrected[index] = suggestions[0] || tokens[index];
+    });
+
+    return misspelled[0].suggestions.map(suggestion => {
+      const phrase = [...corrected];
+      phrase[misspelled[0].index] = suggestion;
+      return phrase.join(' ');
+    });
   } catch (error) {
     console.error('Error getting spelling suggestions:', error);
     return [];
@@ -82,7 +125,7 @@ const getWordNetData = async (word) => {
       };
     }
 
-    const cleanWord = word.toLowerCase().trim();
+    const cleanWord = normalizeWord(word);
     
     try {
       const definitions = await wordnet.lookup(cleanWord);
@@ -146,6 +189,7 @@ const mapWordNetPoS = (wordnetPos) => {
     'verb': 'verb',
     'adjective': 'adjective',
     'adverb': 'adverb',
+    'adjective satellite': 'adjective',
     'n': 'noun',
     'v': 'verb',
     'a': 'adjective',
@@ -156,16 +200,119 @@ const mapWordNetPoS = (wordnetPos) => {
   return mapping[wordnetPos.toLowerCase()] || null;
 };
 
+// WordNet pointer symbols of the relations kept for each sense
+// (https://wordnet.princeton.edu/documentation/wninput5wn)
+const SENSE_RELATIONS = {
+  '!': 'antonyms',
+  '@': 'hypernyms',
+  '@i': 'hypernyms',
+  '~': 'hyponyms',
+  '~i': 'hyponyms',
+  '+': 'derivations',
+  '&': 'similarTo'
+};
+const MAX_RELATED_WORDS = 20;
+
+// Lemma as written in WordNet ('ice_cream', 'good(a)') to a readable word ('ice cream', 'good')
+const formatLemma = (lemma) => lemma.replace(/\([a-z]+\)$/, '').replace(/_/g, ' ');
+
 /**
- * Process a word: check spelling and get WordNet data
- * @param {string} word - The word to process
- * @returns {Promise<Object>} - Processing result
+ * Split a WordNet gloss into its definition and example phrases
+ * @param {string} glossary - Gloss, e.g. 'enjoying joy; "a happy smile"'
+ * @returns {Object} { definition, examples }
  */
-const processWord = async (word) => {
-  const cleanWord = word.toLowerCase().trim();
+const parseGloss = (glossary = '') => {
+  const exampleStart = glossary.search(/;?\s*"/);
+  if (exampleStart === -1) {
+    return { definition: glossary.trim(), examples: [] };
+  }
+
+  return {
+    definition: glossary.slice(0, exampleStart).trim(),
+    examples: Array.from(glossary.slice(exampleStart).matchAll(/"([^"]+)"/g), match => match[1].trim())
+  };
+};
+
+/**
+ * Get all WordNet senses of a word with their relations
+ * Antonyms and derivationally related forms are relations between words, so only those of the
+ * looked-up word are kept; the other relations are between senses and list the words of the related sense.
+ * @param {string} word - The word to look up
+ * @returns {Promise<Object>} { senses, wordNetProcessed } where each sense has partOfSpeech, definition,
+ *                            examples, synonyms, antonyms, hypernyms, hyponyms, derivations and similarTo
+ */
+const getWordNetSenses = async (word) => {
+  const cleanWord = normalizeWord(word);
+
+  let synsets;
+  try {
+    synsets = await lookupSynsets(cleanWord);
+  } catch (error) {
+    console.error('Error reading WordNet database:', error);
+    return { senses: [], wordNetProcessed: false };
+  }
+
+  const senses = await Promise.all(synsets.map(async (synset) => {
+    const lemmas = synset.words.map(formatLemma);
+    // 1-based number of the word within the sense, used by word-to-word pointers
+    const wordNumber = lemmas.findIndex(lemma => lemma.toLowerCase() === cleanWord) + 1;
+
+    const sense = {
+      partOfSpeech: mapWordNetPoS(synset.synsetType),
+      ...parseGloss(synset.glossary),
+      synonyms: lemmas.filter(lemma => lemma.toLowerCase() !== cleanWord),
+      antonyms: [],
+      hypernyms: [],
+      hyponyms: [],
+      derivations: [],
+      similarTo: []
+    };
+
+    // Pointers of the whole sense, or from the looked-up word; at most 20 per relation
+    const relationCounts = {};
+    const pointers = synset.pointers.filter(pointer => {
+      const relation = SENSE_RELATIONS[pointer.symbol];
+      if (!relation || (pointer.source !== 0 && pointer.source !== wordNumber)) {
+        return false;
+      }
+      relationCounts[relation] = (relationCounts[relation] || 0) + 1;
+      return relationCounts[relation] <= MAX_RELATED_WORDS;
+    });
+
+    const targets = await Promise.all(pointers.map(pointer => readSynset(pointer.pos, pointer.offset)));
+
+    pointers.forEach((pointer, index) => {
+      const relation = SENSE_RELATIONS[pointer.symbol];
+      const targetWords = targets[index].words.map(formatLemma);
+      const related = pointer.source === 0 ? targetWords : [targetWords[pointer.target - 1]].filter(Boolean);
+
+      related.forEach(relatedWord => {
+        if (!sense[relation].includes(relatedWord) && sense[relation].length < MAX_RELATED_WORDS) {
+          sense[relation].push(relatedWord);
+        }
+      });
+    });
+
+    return sense;
+  }));
+
+  return {
+    senses: senses.filter(sense => sense.partOfSpeech && sense.definition),
+    wordNetProcessed: true
+  };
+};
+
+/**
+ * Process a word: check spelling, reduce it to its lemma and get WordNet data for the lemma
+ * @param {string} word - The word or phrase to process
+ * @param {Object} options - { skipSpellCheck }
+ * @returns {Promise<Object>} - Processing result; word is the lemma and form the word as typed (lowercased)
+ */
+const processWord = async (word, { skipSpellCheck = false } = {}) => {
+  const cleanWord = normalizeWord(word);
   
   // Check spelling first
-  const isSpelledCorrectly = isWordSpelledCorrectly(cleanWord);
+  const isSpelledCorrectly = skipSpellCheck || isWordSpelledCorrectly(cleanWord);
   
   if (!isSpelledCorrectly) {
     const suggestions = getSpellingSuggestions(cleanWord);
@@ -177,19 +324,29 @@ const processWord = async (word) => {
     };
   }
 
+  // "ran" and "running" are saved as "run"
+  const lemma = await lemmatize(cleanWord);
+
   // Get WordNet data
-  const wordNetData = await getWordNetData(cleanWord);
+  const wordNetData = await getWordNetData(lemma);
   
   return {
     success: true,
-    word: cleanWord,
+    word: lemma,
+    form: cleanWord,
     ...wordNetData
   };
 };
 
 module.exports = {
+  WORD_PATTERN,
+  MAX_PHRASE_WORDS,
+  normalizeWord,
+  isValidWord,
   isWordSpelledCorrectly,
   getSpellingSuggestions,
   getWordNetData,
+  getWordNetSenses,
+  parseGloss,
   processWord
 }; 
\ No newline at end of file
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Direct access to the WordNet database files of the wordnet package.
+ * The package's lookup() only returns the first sense of a word for each part of speech,
+ * so the full list of senses is read from the index and data files here
+ * (file formats: https://wordnet.princeton.edu/documentation/wndb5wn).
+ * The index is loaded on first use; data lines are read from the files on demand.
+ */
+
+const DB_DIR = path.join(path.dirname(require.resolve('wordnet/package.json')), 'db');
+
+// Data file per synset type ('s' is an adjective satellite, stored with the adjectives)
+const DATA_FILES = {
+  n: 'noun',
+  v: 'verb',
+  a: 'adj',
+  s: 'adj',
+  r: 'adv'
+};
+const INDEX_FILES = ['noun', 'verb', 'adj', 'adv'];
+
+const SYNSET_TYPES = {
+  n: 'noun',
+  v: 'verb',
+  a: 'adjective',
+  s: 'adjective satellite',
+  r: 'adverb'
+};
+
+const READ_CHUNK_SIZE = 4096;
+
+let indexPromise = null;
+const fileHandles = {};
+
+/**
+ * Load the index files: lemma -> synset offsets of its senses in WordNet order
+ * Offsets are kept as strings ('n 02084071 10114209|v 01206474') to keep the index small.
+ * @returns {Promise<Map>} Index
+ */
+const loadIndex = () => {
+  if (!indexPromise) {
+    indexPromise = (async () => {
+      const index = new Map();
+
+      for (const file of INDEX_FILES) {
+        const content = await fs.promises.readFile(path.join(DB_DIR, `index.${file}`), 'utf8');
+
+        content.split('\n').forEach(line => {
+          // License lines start with a space
+          if (!line || line.startsWith(' ')) {
+            return;
+          }
+
+          // lemma pos synset_cnt p_cnt [ptr_symbol...] sense_cnt tagsense_cnt synset_offset [synset_offset...]
+          const [lemma, pos, synsetCount, pointerCount, ...rest] = line.trim().split(' ');
+          const offsetStart = parseInt(pointerCount, 10) + 2;
+          const entry = `${pos} ${rest.slice(offsetStart, offsetStart + parseInt(synsetCount, 10)).join(' ')}`;
+
+          index.set(lemma, index.has(lemma) ? `${index.get(lemma)}|${entry}` : entry);
+        });
+      }
+
+      return index;
+    })().catch(error => {
+      indexPromise = null;
+      throw error;
+    });
+  }
+
+  return indexPromise;
+};
+
+const getFileHandle = (pos) => {
+  const file = DATA_FILES[pos];
+  if (!fileHandles[file]) {
+    fileHandles[file] = fs.promises.open(path.join(DB_DIR, `data.${file}`), 'r').catch(error => {
+      delete fileHandles[file];
+      throw error;
+    });
+  }
+  return fileHandles[file];
+};
+
+/**
+ * Parse a data file line
+ * synset_offset lex_filenum ss_type w_cnt word lex_id [word lex_id...] p_cnt [ptr...] [frames...] | gloss
+ * @param {string} line - Data line
+ * @returns {Object} { offset, synsetType, words, pointers, glossary } where each pointer has
+ *                   { symbol, offset, pos, source, target } (source and target are 1-based word numbers, 0 for the whole synset)
+ */
+const parseDataLine = (line) => {
+  const separator = line.indexOf(' | ');
+  const parts = (separator === -1 ? line : line.slice(0, separator)).trim().split(' ');
+  const glossary = separator === -1 ? '' : line.slice(separator + 3).trim();
+
+  const [offset, , synsetType, wordCountHex, ...rest] = parts;
+  const wordCount = parseInt(wordCountHex, 16);
+  const words = [];
+  for (let i = 0; i < wordCount; i++) {
+    words.push(rest[i * 2]);
+  }
+
+  const pointerStart = wordCount * 2;
+  const pointerCount = parseInt(rest[pointerStart], 10);
+  const pointers = [];
+  for (let i = 0; i < pointerCount; i++) {
+    const [symbol, pointerOffset, pos, sourceTarget] = rest.slice(pointerStart + 1 + i * 4, pointerStart + 5 + i * 4);
+    pointers.push({
+      symbol,
+      offset: parseInt(pointerOffset, 10),
+      pos,
+      source: parseInt(sourceTarget.slice(0, 2), 16),
+      target: parseInt(sourceTarget.slice(2), 16)
+    });
+  }
+
+  return {
+    offset: parseInt(offset, 10),
+    synsetType: SYNSET_TYPES[synsetType],
+    words,
+    pointers,
+    glossary
+  };
+};
+
+/**
+ * Read a synset from the data files
+ * @param {string} pos - Synset type ('n', 'v', 'a', 's' or 'r')
+ * @param {number} offset - Byte offset of the synset in its data file
+ * @returns {Promise<Object>} Parsed synset (see parseDataLine)
+ */
+const readSynset = async (pos, offset) => {
+  const handle = await getFileHandle(pos);
+  let line = '';
+
+  // Synset lines have no fixed length; read until the end of the line
+  for (let position = offset; ; position += READ_CHUNK_SIZE) {
+    const { bytesRead, buffer } = await handle.read(Buffer.alloc(READ_CHUNK_SIZE), 0, READ_CHUNK_SIZE, position);
+    const chunk = buffer.toString('utf8', 0, bytesRead);
+    const end = chunk.indexOf('\n');
+
+    if (end !== -1 || bytesRead < READ_CHUNK_SIZE) {
+      line += end === -1 ? chunk : chunk.slice(0, end);
+      break;
+    }
+    line += chunk;
+  }
+
+  return parseDataLine(line);
+};
+
+/**
+ * Get all synsets (senses) of a word: nouns, verbs, adjectives, then adverbs, each in WordNet sense order
+ * @param {string} word - Word or phrase (lowercase; spaces or underscores between words)
+ * @returns {Promise<Array>} Parsed synsets (see parseDataLine), empty if WordNet does not have the word
+ */
+const lookupSynsets = async (word) => {
+  const index = await loadIndex();
+  const entries = index.get(word.trim().toLowerCase().replace(/\s+/g, '_'));
+  if (!entries) {
+    return [];
+  }
+
+  return Promise.all(entries.split('|').flatMap(entry => {
+    const [pos, ...offsets] = entry.split(' ');
+    return offsets.map(offset => readSynset(pos, parseInt(offset, 10)));
+  }));
+};
+
+/**
+ * Get the parts of speech WordNet has a word or phrase as a lemma in
+ * @param {string} word - Word or phrase (lowercase; spaces or underscores between words)
+ * @returns {Promise<string[]>} Index parts of speech ('n', 'v', 'a', 'r'), empty if WordNet does not have the word
+ */
+const getLemmaPartsOfSpeech = async (word) => {
+  const index = await loadIndex();
+  const entries = index.get(word.trim().toLowerCase().replace(/\s+/g, '_'));
+
+  return entries ? entries.split('|').map(entry => entry.charAt(0)) : [];
+};
+
+module.exports = {
+  getLemmaPartsOfSpeech,
+  lookupSynsets,
+  readSynset,
+  parseDataLine
+};
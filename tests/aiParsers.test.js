@@ -0,0 +1,235 @@
+require('./helpers/testEnv');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const aiService = require('../src/services/aiService');
+const providers = require('../src/services/providers');
+const i18n = require('../src/utils/i18n');
+const { mergeUsage, normalizeUsage } = require('../src/utils/usageUtils');
+
+// Provider responses recorded from real requests
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'ai-responses', name), 'utf8');
+const readJsonFixture = (name) => JSON.parse(readFixture(name));
+
+const aiConfig = { model: 'Qwen/Qwen3-8B' };
+
+describe('AIService sentence generation parsing', () => {
+  it('parses a complete OpenAI-compatible response with (Parsing required) markers', () => {
+    const provider = providers.getProvider('siliconflow');
+    const data = readJsonFixture('generation-text.json');
+
+    const { content, thinking } = provider.parseResponse(data, provider.getBaseConfig());
+    const result = aiService.buildGenerationResult(content, thinking, data, aiConfig, null);
+
+    assert.equal(result.success, true);
+    assert.equal(result.sentence, 'She decided to borrow an umbrella because the forecast promised heavy rain.');
+    assert.match(result.explanation, /^\*\*主语 \(Subject\)\*\*/);
+    assert.match(result.explanation, /because the forecast promised heavy rain/);
+    assert.equal(result.chineseTranslation, '她决定借一把伞，因为天气预报说会有大雨。');
+    assert.equal(result.thinking, data.choices[0].message.reasoning_content);
+    assert.equal(result.partialParse, undefined);
+    assert.deepEqual(normalizeUsage(provider.parseUsage(data)), {
+      promptTokens: 512,
+      completionTokens: 187,
+      reasoningTokens: 24,
+      totalTokens: 699
+    });
+  });
+
+  it('parses a response without END_FORMAT and with markdown headers', () => {
+    const parsed = aiService.parseStructuredResponse(readFixture('generation-no-end-marker.txt'));
+
+    assert.equal(parsed.isValid, true);
+    assert.equal(parsed.partialParse, false);
+    assert.equal(parsed.sentence, 'The children planted tomatoes in the garden last spring.');
+    assert.match(parsed.grammarAnalysis, /simple past tense/);
+    assert.equal(parsed.chineseTranslation, '孩子们去年春天在花园里种了西红柿。');
+  });
+
+  it('accepts a partial parse and reports the missing section', () => {
+    const content = readFixture('generation-partial.txt');
+    const parsed = aiService.parseStructuredResponse(content);
+
+    assert.equal(parsed.isValid, true);
+    assert.equal(parsed.partialParse, true);
+    assert.deepEqual(parsed.missingMarkers, ['chinese']);
+    assert.equal(parsed.rawResponseContent, content);
+
+    const result = aiService.buildGenerationResult(content, null, null, aiConfig, null);
+    assert.equal(result.success, true);
+    assert.equal(result.partialParse, true);
+    assert.equal(aiService.getAttemptOutcome(result), 'partialParse');
+    assert.equal(result.sentence, 'Although it was late, the baker kept the shop open for one more customer.');
+    assert.equal(result.chineseTranslation, '');
+  });
+
+  it('rejects a response without markers as a retryable format error', () => {
+    const content = readFixture('generation-malformed.txt');
+    const parsed = aiService.parseStructuredResponse(content);
+
+    assert.equal(parsed.isValid, false);
+    assert.ok(parsed.error.startsWith(i18n.t('ai.noValidMarkers', 'en')));
+
+    const result = aiService.buildGenerationResult(content, null, null, aiConfig, null);
+    assert.equal(result.success, false);
+    assert.equal(result.invalidFormat, true);
+    assert.equal(result.retryable, true);
+    assert.equal(result.rawContent, content);
+  });
+
+  it('parses a JSON response wrapped in thinking tags and a code fence', () => {
+    const result = aiService.buildGenerationResult(readFixture('generation-json-fenced.txt'), null, null, aiConfig, null, 'en', 'json');
+
+    assert.equal(result.success, true);
+    assert.equal(result.outputFormat, 'json');
+    assert.equal(result.sentence, 'The engineer repaired the bridge before the storm arrived.');
+    assert.equal(result.grammarPoints.length, 3);
+    assert.equal(result.grammarPoints[2].role, 'adverbial clause of time');
+    assert.equal(result.chineseTranslation, '工程师在暴风雨来临之前修好了桥。');
+  });
+
+  it('rejects a JSON response that does not match the schema', () => {
+    const content = readFixture('generation-json-missing-fields.txt');
+    const parsed = aiService.parseJsonResponse(content, 'sentence-generation');
+
+    assert.equal(parsed.isValid, false);
+    assert.match(parsed.error, /\$\.grammarPoints is required/);
+    assert.match(parsed.error, /\$\.chineseTranslation is required/);
+
+    const result = aiService.buildGenerationResult(content, null, null, aiConfig, null, 'en', 'json');
+    assert.equal(result.success, false);
+    assert.equal(result.invalidFormat, true);
+  });
+
+  it('rejects JSON mode output that contains no JSON object', () => {
+    const parsed = aiService.parseJsonResponse(readFixture('generation-malformed.txt'), 'sentence-generation');
+
+    assert.equal(parsed.isValid, false);
+    assert.match(parsed.error, /No JSON object found/);
+  });
+
+  it('parses an Anthropic Messages response with a thinking block', () => {
+    const provider = providers.getProvider('anthropic');
+    const data = readJsonFixture('generation-anthropic.json');
+
+    const { content, thinking } = provider.parseResponse(data, provider.getBaseConfig());
+    const result = aiService.buildGenerationResult(content, thinking, data, aiConfig, null);
+
+    assert.equal(result.success, true);
+    assert.equal(result.sentence, 'The library stays quiet even during exam week.');
+    assert.equal(result.chineseTranslation, '即使在考试周，图书馆也保持安静。');
+    assert.equal(thinking, 'I need one sentence with both words: library and quiet.');
+    assert.deepEqual(normalizeUsage(provider.parseUsage(data)), {
+      promptTokens: 580,
+      completionTokens: 96,
+      reasoningTokens: 0,
+      totalTokens: 676
+    });
+  });
+
+  it('parses a recorded stream into sections, thinking and usage', () => {
+    const provider = providers.getProvider('siliconflow');
+    const config = provider.getBaseConfig();
+    const parser = aiService.createStreamParser('wordGeneration');
+    const sections = [];
+    let thinking = '';
+    let usage = null;
+    let done = false;
+
+    for (const line of readFixture('generation-stream.txt').split('\n')) {
+      const parsed = provider.parseStreamLine(line, config);
+      if (!parsed) {
+        continue;
+      }
+      if (parsed.done) {
+        done = true;
+        break;
+      }
+      usage = mergeUsage(usage, provider.parseStreamUsage(parsed.rawChunk));
+      thinking += parsed.thinking || '';
+      sections.push(...parser.push(parsed.content));
+    }
+    sections.push(...parser.finish());
+
+    assert.equal(done, true);
+    assert.equal(thinking, 'The words are museum, early and weekends.');
+    assert.deepEqual(sections.map(section => section.name), ['SENTENCE', 'GRAMMAR_ANALYSIS', 'CHINESE_TRANSLATION']);
+    assert.equal(sections[0].content, 'The museum opens early on weekends.');
+    assert.equal(sections[2].content, '博物馆周末开门很早。');
+    assert.deepEqual(normalizeUsage(usage), {
+      promptTokens: 498,
+      completionTokens: 80,
+      reasoningTokens: 9,
+      totalTokens: 578
+    });
+
+    // The final parse of the accumulated text agrees with the streamed sections
+    const result = aiService.buildGenerationResult(parser.getContent(), thinking, null, aiConfig, null);
+    assert.equal(result.sentence, sections[0].content);
+  });
+});
+
+describe('AIService sentence check parsing', () => {
+  it('parses a complete response in the combined (Chinese) format', () => {
+    const provider = providers.getProvider('siliconflow');
+    const data = readJsonFixture('check-text.json');
+
+    const { content, thinking } = provider.parseResponse(data, provider.getBaseConfig());
+    const result = aiService.buildSentenceCheckResult(content, thinking, data, aiConfig, null);
+
+    assert.equal(result.success, true);
+    assert.match(result.grammarAnalysis, /^1\. 语法问题/);
+    assert.equal(result.grammarCorrection, 'She goes to school every day.');
+    assert.match(result.keywordAnalysis, /^\*\*goes\*\* \(动词\)/);
+    assert.equal(result.chineseDefinition, '她每天去上学。');
+    assert.equal(result.partialParse, undefined);
+  });
+
+  it('accepts a partial parse and reports the missing sections', () => {
+    const parsed = aiService.parseSentenceCheckResponse(readFixture('check-partial.txt'));
+
+    assert.equal(parsed.isValid, true);
+    assert.equal(parsed.partialParse, true);
+    assert.deepEqual(parsed.missingMarkers, ['keywordAnalysis', 'chineseDefinition']);
+    assert.equal(parsed.grammarCorrection, 'He has two brothers.');
+    assert.equal(parsed.keywordAnalysis, '');
+  });
+
+  it('rejects a response without markers', () => {
+    const result = aiService.buildSentenceCheckResult(readFixture('generation-malformed.txt'), null, null, aiConfig, null);
+
+    assert.equal(result.success, false);
+    assert.ok(result.error.startsWith(i18n.t('ai.noValidMarkers', 'en')));
+  });
+
+  it('parses a JSON response and formats its keywords as text', () => {
+    const result = aiService.buildSentenceCheckResult(readFixture('check-json.txt'), null, null, aiConfig, null, 'en', 'json');
+
+    assert.equal(result.success, true);
+    assert.equal(result.isCorrect, false);
+    assert.equal(result.grammarErrors.length, 2);
+    assert.equal(result.grammarErrors[0].correction, 'goes');
+    assert.equal(result.grammarCorrection, 'She goes to school every day.');
+    assert.equal(
+      result.keywordAnalysis,
+      '**goes** (verb): Present simple, third person singular.\n**every day** (adverbial phrase): Expresses a habit.'
+    );
+  });
+
+  it('localizes parse errors', () => {
+    const parsed = aiService.parseSentenceCheckResponse(readFixture('generation-malformed.txt'), 'zh');
+
+    assert.ok(parsed.error.startsWith(i18n.t('ai.noValidMarkers', 'zh')));
+  });
+});
+
+describe('AIService request error mapping', () => {
+  it('marks rate limits and timeouts as retryable and authentication failures as final', () => {
+    assert.equal(aiService.buildErrorResult({ response: { status: 429 } }).retryable, true);
+    assert.equal(aiService.buildErrorResult({ code: 'ECONNABORTED' }).retryable, true);
+    assert.equal(aiService.buildErrorResult({ response: { status: 401 } }).retryable, false);
+    assert.equal(aiService.buildErrorResult({ response: { status: 400 } }).retryable, false);
+    assert.equal(aiService.buildErrorResult({ response: { status: 502 }, message: 'Bad gateway' }).retryable, true);
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeRedis } = require('./helpers/testEnv');
+const circuitBreaker = require('../src/services/circuitBreaker');
+
+describe('AI circuit breaker', () => {
+  const threshold = circuitBreaker.settings.failureThreshold;
+
+  beforeEach(async () => {
+    await fakeRedis.flushAll();
+    circuitBreaker.localStates.clear();
+    circuitBreaker.localProbes.clear();
+  });
+
+  afterEach(() => {
+    fakeRedis.isReady = true;
+  });
+
+  const failTogether = (count) => Promise.all(
+    Array.from({ length: count }, (_, index) => circuitBreaker.recordFailure('mock', 'mock-light', `failure ${index}`))
+  );
+
+  it('counts concurrent failures and opens at the threshold', async () => {
+    await failTogether(threshold - 1);
+    let circuit = await circuitBreaker.getState('mock', 'mock-light');
+    assert.equal(circuit.failures, threshold - 1);
+    assert.equal(circuit.state, 'closed');
+
+    await failTogether(2);
+    circuit = await circuitBreaker.getState('mock', 'mock-light');
+    assert.equal(circuit.failures, threshold + 1);
+    assert.equal(circuit.state, 'open');
+    assert.equal((await circuitBreaker.canRequest('mock', 'mock-light')).allowed, false);
+  });
+
+  it('counts concurrent failures in memory without Redis', async () => {
+    fakeRedis.isReady = false;
+
+    await failTogether(threshold);
+
+    const circuit = await circuitBreaker.getState('mock', 'mock-light');
+    assert.equal(circuit.failures, threshold);
+    assert.equal(circuit.state, 'open');
+  });
+
+  it('reopens after a failed probe and closes after a successful one', async () => {
+    await failTogether(threshold);
+    await circuitBreaker.saveState('mock', 'mock-light', { openedAt: 0 });
+
+    let check = await circuitBreaker.canRequest('mock', 'mock-light');
+    assert.equal(check.probe, true);
+    await circuitBreaker.recordFailure('mock', 'mock-light', 'probe failed');
+    assert.equal((await circuitBreaker.getState('mock', 'mock-light')).state, 'open');
+
+    await circuitBreaker.saveState('mock', 'mock-light', { openedAt: 0 });
+    check = await circuitBreaker.canRequest('mock', 'mock-light');
+    assert.equal(check.probe, true);
+    await circuitBreaker.recordSuccess('mock', 'mock-light');
+
+    const circuit = await circuitBreaker.getState('mock', 'mock-light');
+    assert.equal(circuit.state, 'closed');
+    assert.equal(circuit.failures, 0);
+  });
+});
@@ -0,0 +1,64 @@
+require('./helpers/testEnv');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EXPORT_FORMATS } = require('../src/utils/exportUtils');
+
+const word = {
+  word: 'apple',
+  primaryPartOfSpeech: 'noun',
+  primaryPartOfSpeechTranslated: 'Noun',
+  primaryDefinition: 'fruit with red or "green" skin, and crisp flesh',
+  definitions: [{ text: 'fruit' }, { text: 'tree' }],
+  entry: { note: '=1+1\tsum', tags: ['food', 'unit 1'] },
+  usageCount: 2,
+  addedAt: '2024-03-10 12:00:00',
+  examples: [{ sentence: 'I ate an <apple>.', chineseTranslation: '我吃了一个苹果。' }]
+};
+
+const exportWith = (format, words) => {
+  const { start, row, end } = EXPORT_FORMATS[format];
+  return start({ exportDate: '2024-03-10T04:00:00.000Z' }) + words.map(row).join('') + end(words.length);
+};
+
+describe('Word export formats', () => {
+  it('writes valid JSON with the word count', () => {
+    const result = JSON.parse(exportWith('json', [word, { ...word, word: 'pear' }]));
+
+    assert.deepEqual(result.words.map(entry => entry.word), ['apple', 'pear']);
+    assert.equal(result.totalCount, 2);
+    assert.equal(JSON.parse(exportWith('json', [])).totalCount, 0);
+  });
+
+  it('quotes CSV fields and neutralizes formulas', () => {
+    const [header, row] = exportWith('csv', [word]).replace(/^\ufeff/, '').split('\r\n');
+
+    assert.ok(header.startsWith('word,partOfSpeech,definition,'));
+    assert.match(row, /^apple,noun,"fruit with red or ""green"" skin, and crisp flesh",fruit \| tree,,'=1\+1\tsum,,"food, unit 1",/);
+    assert.match(row, /I ate an <apple>\. \(我吃了一个苹果。\)$/);
+  });
+
+  it('keeps TSV rows on one line', () => {
+    const lines = exportWith('tsv', [word]).trim().split('\n');
+
+    assert.equal(lines.length, 2);
+    assert.equal(lines[1].split('\t').length, lines[0].split('\t').length);
+    assert.ok(lines[1].includes('=1+1 sum'));
+  });
+
+  it('writes Anki notes with an HTML back and space-separated tags', () => {
+    const lines = exportWith('anki', [word]).trim().split('\n');
+
+    assert.deepEqual(lines.slice(0, 3), ['#separator:tab', '#html:true', '#tags column:3']);
+    const [front, back, tags] = lines[3].split('\t');
+    assert.equal(front, 'apple');
+    assert.ok(back.startsWith('<i>Noun</i><br>fruit with red or &quot;green&quot; skin'));
+    assert.ok(back.includes('I ate an &lt;apple&gt;.<br>我吃了一个苹果。'));
+    assert.equal(tags, 'food unit_1');
+  });
+
+  it('prefers the user\'s own definition', () => {
+    const row = EXPORT_FORMATS.tsv.row({ ...word, entry: { definition: 'my definition' } });
+
+    assert.equal(row.split('\t')[2], 'my definition');
+  });
+});
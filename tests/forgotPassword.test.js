@@ -0,0 +1,226 @@
+const { describe, it, before, beforeEach, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { startTestApp, stopTestApp, resetState, createUser, t, fakeRedis } = require('./helpers/testApp');
+const { mailUtils } = require('../src/utils/mailUtils');
+const User = require('../src/models/User');
+
+describe('Forgot password flow', () => {
+  let app;
+  let user;
+  let sentMails;
+  const sendPasswordResetEmail = mailUtils.sendPasswordResetEmail;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(async () => {
+    mailUtils.sendPasswordResetEmail = sendPasswordResetEmail;
+    await stopTestApp();
+  });
+
+  beforeEach(async () => {
+    await resetState();
+    ({ user } = await createUser({ email: 'reset@example.com' }));
+
+    // Capture outgoing mail instead of calling Alibaba Cloud DirectMail
+    sentMails = [];
+    mailUtils.sendPasswordResetEmail = async (toAddress, resetCode, locale) => {
+      sentMails.push({ toAddress, resetCode, locale });
+      return { success: true };
+    };
+  });
+
+  afterEach(() => {
+    mailUtils.sendPasswordResetEmail = sendPasswordResetEmail;
+  });
+
+  const sendCode = (body, language) => {
+    const req = request(app).post('/api/auth/forgot-password');
+    if (language) req.set('X-Language', language);
+    return req.send(body);
+  };
+  const verifyCode = (body) => request(app).post('/api/auth/verify-reset-code').send(body);
+  const resetPassword = (body) => request(app).post('/api/auth/reset-password').send(body);
+
+  // Runs the first two steps and returns the reset token
+  const obtainResetToken = async () => {
+    await sendCode({ email: user.email }).expect(200);
+    const res = await verifyCode({ email: user.email, code: sentMails[0].resetCode }).expect(200);
+    return res.body.resetToken;
+  };
+
+  describe('POST /api/auth/forgot-password', () => {
+    it('stores a 6-digit code for 5 minutes and mails it in the requested language', async () => {
+      const res = await sendCode({ email: user.email }, 'zh').expect(200);
+
+      assert.equal(res.body.success, true);
+      assert.equal(sentMails.length, 1);
+      assert.equal(sentMails[0].toAddress, user.email);
+      assert.equal(sentMails[0].locale, 'zh');
+      assert.match(sentMails[0].resetCode, /^\d{6}$/);
+
+      const key = `password_reset:${user.email}`;
+      assert.equal(await fakeRedis.get(key), sentMails[0].resetCode);
+      const ttl = await fakeRedis.ttl(key);
+      assert.ok(ttl > 290 && ttl <= 300, `unexpected TTL ${ttl}`);
+    });
+
+    it('replaces the previous code when a new one is requested', async () => {
+      await sendCode({ email: user.email }).expect(200);
+      await sendCode({ email: user.email }).expect(200);
+
+      assert.equal(await fakeRedis.get(`password_reset:${user.email}`), sentMails[1].resetCode);
+    });
+
+    it('validates the email address', async () => {
+      let res = await sendCode({}).expect(400);
+      assert.equal(res.body.message, t('auth.emailRequired'));
+
+      res = await sendCode({ email: 'not-an-email' }).expect(400);
+      assert.equal(res.body.message, t('auth.invalidEmailFormat'));
+
+      assert.equal(sentMails.length, 0);
+    });
+
+    it('returns 404 for an unknown email', async () => {
+      const res = await sendCode({ email: 'nobody@example.com' }).expect(404);
+
+      assert.equal(res.body.message, t('auth.emailNotFound'));
+      assert.equal(sentMails.length, 0);
+      assert.equal(await fakeRedis.exists('password_reset:nobody@example.com'), 0);
+    });
+
+    it('removes the stored code when the email cannot be sent', async () => {
+      mailUtils.sendPasswordResetEmail = async () => {
+        throw new Error('DirectMail unavailable');
+      };
+
+      const res = await sendCode({ email: user.email }).expect(500);
+
+      assert.equal(res.body.message, t('auth.serverErrorSendingResetCode'));
+      assert.equal(await fakeRedis.exists(`password_reset:${user.email}`), 0);
+    });
+  });
+
+  describe('POST /api/auth/verify-reset-code', () => {
+    it('exchanges a correct code for a reset token valid for 30 minutes', async () => {
+      await sendCode({ email: user.email }).expect(200);
+
+      const res = await verifyCode({ email: user.email, code: sentMails[0].resetCode }).expect(200);
+
+      assert.equal(res.body.success, true);
+      assert.equal(typeof res.body.resetToken, 'string');
+      assert.ok(res.body.resetToken.length >= 32);
+
+      const tokenKey = `reset_token:${user.email}`;
+      assert.equal(await fakeRedis.get(tokenKey), res.body.resetToken);
+      const ttl = await fakeRedis.ttl(tokenKey);
+      assert.ok(ttl > 1790 && ttl <= 1800, `unexpected TTL ${ttl}`);
+
+      // The code is single-use
+      assert.equal(await fakeRedis.exists(`password_reset:${user.email}`), 0);
+      const reused = await verifyCode({ email: user.email, code: sentMails[0].resetCode }).expect(400);
+      assert.equal(reused.body.message, t('auth.verificationCodeExpired'));
+    });
+
+    it('validates the request', async () => {
+      let res = await verifyCode({ code: '123456' }).expect(400);
+      assert.equal(res.body.message, t('auth.emailRequired'));
+
+      res = await verifyCode({ email: user.email }).expect(400);
+      assert.equal(res.body.message, t('auth.verificationCodeRequired'));
+
+      res = await verifyCode({ email: user.email, code: '12ab56' }).expect(400);
+      assert.equal(res.body.message, t('auth.invalidVerificationCode'));
+
+      res = await verifyCode({ email: user.email, code: '1234567' }).expect(400);
+      assert.equal(res.body.message, t('auth.invalidVerificationCode'));
+    });
+
+    it('rejects an incorrect code and keeps the stored one', async () => {
+      await sendCode({ email: user.email }).expect(200);
+      const code = sentMails[0].resetCode;
+      const wrongCode = code === '000000' ? '111111' : '000000';
+
+      const res = await verifyCode({ email: user.email, code: wrongCode }).expect(400);
+
+      assert.equal(res.body.message, t('auth.verificationCodeIncorrect'));
+      assert.equal(await fakeRedis.get(`password_reset:${user.email}`), code);
+      assert.equal(await fakeRedis.exists(`reset_token:${user.email}`), 0);
+    });
+
+    it('rejects an expired code', async () => {
+      await sendCode({ email: user.email }).expect(200);
+      fakeRedis.expiries.set(`password_reset:${user.email}`, Date.now() - 1);
+
+      const res = await verifyCode({ email: user.email, code: sentMails[0].resetCode }).expect(400);
+
+      assert.equal(res.body.message, t('auth.verificationCodeExpired'));
+    });
+  });
+
+  describe('POST /api/auth/reset-password', () => {
+    it('sets the new password and invalidates the token', async () => {
+      const resetToken = await obtainResetToken();
+
+      const res = await resetPassword({ email: user.email, resetToken, newPassword: 'newSecret1' }).expect(200);
+
+      assert.equal(res.body.success, true);
+      assert.equal(res.body.message, t('auth.passwordResetSuccessful'));
+      assert.equal(await fakeRedis.exists(`reset_token:${user.email}`), 0);
+
+      const updated = await User.findById(user._id);
+      assert.equal(await updated.matchPassword('newSecret1'), true);
+      assert.equal(await updated.matchPassword('password123'), false);
+
+      await request(app).post('/api/auth/login').send({ email: user.email, password: 'newSecret1' }).expect(200);
+      await request(app).post('/api/auth/login').send({ email: user.email, password: 'password123' }).expect(401);
+
+      const reused = await resetPassword({ email: user.email, resetToken, newPassword: 'another1' }).expect(400);
+      assert.equal(reused.body.message, t('auth.invalidResetToken'));
+    });
+
+    it('validates the request', async () => {
+      let res = await resetPassword({ resetToken: 'token', newPassword: 'newSecret1' }).expect(400);
+      assert.equal(res.body.message, t('auth.emailRequired'));
+
+      res = await resetPassword({ email: user.email, newPassword: 'newSecret1' }).expect(400);
+      assert.equal(res.body.message, t('auth.resetTokenRequired'));
+
+      res = await resetPassword({ email: user.email, resetToken: 'token' }).expect(400);
+      assert.equal(res.body.message, t('auth.newPasswordRequired'));
+
+      res = await resetPassword({ email: user.email, resetToken: 'token', newPassword: '12345' }).expect(400);
+      assert.equal(res.body.message, t('auth.passwordMinLength'));
+    });
+
+    it('rejects a token issued for another email', async () => {
+      const resetToken = await obtainResetToken();
+      const { user: other } = await createUser();
+
+      const res = await resetPassword({ email: other.email, resetToken, newPassword: 'newSecret1' }).expect(400);
+
+      assert.equal(res.body.message, t('auth.invalidResetToken'));
+      assert.equal(await fakeRedis.get(`reset_token:${user.email}`), resetToken);
+    });
+
+    it('keeps the token when the new password is too short', async () => {
+      const resetToken = await obtainResetToken();
+
+      await resetPassword({ email: user.email, resetToken, newPassword: '123' }).expect(400);
+
+      assert.equal(await fakeRedis.get(`reset_token:${user.email}`), resetToken);
+    });
+
+    it('returns 404 when the account was removed after the token was issued', async () => {
+      const resetToken = await obtainResetToken();
+      await User.deleteOne({ _id: user._id });
+
+      const res = await resetPassword({ email: user.email, resetToken, newPassword: 'newSecret1' }).expect(404);
+
+      assert.equal(res.body.message, t('auth.emailNotFound'));
+    });
+  });
+});
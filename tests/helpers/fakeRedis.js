@@ -0,0 +1,186 @@
+/**
+ * In-memory stand-in for the node-redis v5 client exported by src/config/redis.js.
+ * Implements the commands the app uses (strings with expiry, hashes, sets, MULTI transactions) so that
+ * password reset codes and circuit breaker state work without a Redis server.
+ */
+class FakeRedis {
+  constructor() {
+    this.isReady = true;
+    this.isOpen = true;
+    this.store = new Map();
+    this.expiries = new Map();
+  }
+
+  // Connection API (no-ops)
+  on() {
+    return this;
+  }
+
+  async connect() {
+    return this;
+  }
+
+  async quit() {
+    return 'OK';
+  }
+
+  async flushAll() {
+    this.store.clear();
+    this.expiries.clear();
+    return 'OK';
+  }
+
+  // Drop a key whose expiry has passed and return the live entry
+  read(key) {
+    const expiresAt = this.expiries.get(key);
+    if (expiresAt !== undefined && expiresAt <= Date.now()) {
+      this.store.delete(key);
+      this.expiries.delete(key);
+    }
+    return this.store.get(key);
+  }
+
+  write(key, value, ttlMs = null) {
+    this.store.set(key, value);
+    if (ttlMs === null) {
+      this.expiries.delete(key);
+    } else {
+      this.expiries.set(key, Date.now() + ttlMs);
+    }
+  }
+
+  // Transactions: commands are queued and run together by exec, which returns their replies in order
+  multi() {
+    const queued = [];
+    const transaction = new Proxy({}, {
+      get: (target, command) => {
+        if (command === 'exec') {
+          return async () => {
+            const replies = [];
+            for (const [name, args] of queued) {
+              replies.push(await this[name](...args));
+            }
+            return replies;
+          };
+        }
+        return (...args) => {
+          queued.push([command, args]);
+          return transaction;
+        };
+      }
+    });
+    return transaction;
+  }
+
+  // Strings
+  async get(key) {
+    const value = this.read(key);
+    return typeof value === 'string' ? value : null;
+  }
+
+  async set(key, value, options = {}) {
+    if (options.NX && this.read(key) !== undefined) {
+      return null;
+    }
+
+    let ttlMs = null;
+    if (options.PX) ttlMs = options.PX;
+    if (options.EX) ttlMs = options.EX * 1000;
+
+    this.write(key, String(value), ttlMs);
+    return 'OK';
+  }
+
+  async setEx(key, seconds, value) {
+    this.write(key, String(value), seconds * 1000);
+    return 'OK';
+  }
+
+  async del(keys) {
+    let deleted = 0;
+    for (const key of [].concat(keys)) {
+      if (this.read(key) !== undefined) {
+        this.store.delete(key);
+        this.expiries.delete(key);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  async exists(key) {
+    return this.read(key) !== undefined ? 1 : 0;
+  }
+
+  async expire(key, seconds) {
+    if (this.read(key) === undefined) {
+      return 0;
+    }
+    this.expiries.set(key, Date.now() + seconds * 1000);
+    return 1;
+  }
+
+  async ttl(key) {
+    if (this.read(key) === undefined) {
+      return -2;
+    }
+    const expiresAt = this.expiries.get(key);
+    return expiresAt === undefined ? -1 : Math.ceil((expiresAt - Date.now()) / 1000);
+  }
+
+  // Hashes
+  async hSet(key, fields) {
+    const hash = this.read(key) || {};
+    let added = 0;
+    for (const [field, value] of Object.entries(fields)) {
+      if (!(field in hash)) added++;
+      hash[field] = String(value);
+    }
+    this.store.set(key, hash);
+    return added;
+  }
+
+  async hGet(key, field) {
+    const hash = this.read(key) || {};
+    return field in hash ? hash[field] : null;
+  }
+
+  async hGetAll(key) {
+    return { ...(this.read(key) || {}) };
+  }
+
+  async hIncrBy(key, field, increment) {
+    const hash = this.read(key) || {};
+    const value = (parseInt(hash[field]) || 0) + increment;
+    hash[field] = String(value);
+    this.store.set(key, hash);
+    return value;
+  }
+
+  // Sets
+  async sAdd(key, members) {
+    const set = this.read(key) || new Set();
+    const sizeBefore = set.size;
+    [].concat(members).forEach(member => set.add(String(member)));
+    this.store.set(key, set);
+    return set.size - sizeBefore;
+  }
+
+  async sRem(key, members) {
+    const set = this.read(key);
+    if (!set) {
+      return 0;
+    }
+    let removed = 0;
+    [].concat(members).forEach(member => {
+      if (set.delete(String(member))) removed++;
+    });
+    return removed;
+  }
+
+  async sMembers(key) {
+    return Array.from(this.read(key) || []);
+  }
+}
+
+module.exports = FakeRedis;
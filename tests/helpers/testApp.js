@@ -0,0 +1,112 @@
+/**
+ * Express app backed by an in-memory MongoDB for route tests.
+ * The MongoDB binary is downloaded once by mongodb-memory-server when dependencies are
+ * installed; after that the tests run without network access.
+ */
+const { fakeRedis } = require('./testEnv');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+let mongoServer = null;
+let app = null;
+
+/**
+ * Start MongoDB and load the app connected to it
+ * @returns {Promise<Object>} Express app
+ */
+const startTestApp = async () => {
+  mongoServer = await MongoMemoryServer.create();
+  process.env.MONGODB_URI = mongoServer.getUri('questions-party-test');
+
+  // app.js connects to MONGODB_URI when it is loaded
+  app = require('../../app');
+  await mongoose.connection.asPromise();
+
+  // Unique indexes are relied on by several routes
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+
+  return app;
+};
+
+/**
+ * Disconnect and stop MongoDB
+ */
+const stopTestApp = async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+};
+
+/**
+ * Remove all documents, Redis keys and queued mock AI scenarios between tests
+ */
+const resetState = async () => {
+  await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+  await fakeRedis.flushAll();
+  getMockProvider().reset();
+};
+
+/**
+ * Create a user directly in the database
+ * @param {Object} overrides - User fields
+ * @returns {Promise<Object>} { user, token, auth } where auth is the Authorization header value
+ */
+const createUser = async (overrides = {}) => {
+  const User = require('../../src/models/User');
+  const suffix = new mongoose.Types.ObjectId().toString().slice(-8);
+
+  const user = await User.create({
+    username: `user${suffix}`,
+    email: `user${suffix}@example.com`,
+    password: 'password123',
+    ...overrides
+  });
+
+  const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+  return { user, token, auth: `Bearer ${token}` };
+};
+
+/**
+ * Get the mock AI provider used by the app
+ * @returns {MockProvider} Provider adapter
+ */
+const getMockProvider = () => require('../../src/services/providers').getProvider('mock');
+
+/**
+ * Parse a Server-Sent Events response body
+ * @param {string} text - Response body
+ * @returns {Array<Object>} [{ event, data }] in order
+ */
+const parseEvents = (text) => text.split('\n\n')
+  .filter(block => block.trim())
+  .map(block => {
+    const lines = block.split('\n');
+    const event = lines.find(line => line.startsWith('event: '));
+    const data = lines.find(line => line.startsWith('data: '));
+    return {
+      event: event ? event.slice('event: '.length) : 'message',
+      data: data ? JSON.parse(data.slice('data: '.length)) : null
+    };
+  });
+
+/**
+ * Translate a message key the way the app does for requests without a language (English)
+ * @param {string} key - Message key
+ * @param {Object} params - Interpolation parameters
+ * @returns {string} Message
+ */
+const t = (key, params = {}) => require('../../src/utils/i18n').t(key, 'en', params);
+
+module.exports = {
+  startTestApp,
+  stopTestApp,
+  resetState,
+  createUser,
+  getMockProvider,
+  parseEvents,
+  t,
+  fakeRedis
+};
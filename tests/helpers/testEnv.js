@@ -0,0 +1,50 @@
+/**
+ * Test environment. Require this before anything from src/ or app.js:
+ * - fixes the configuration read at load time (mock AI provider, fast retries, generous rate limits),
+ *   so a developer's .env cannot point tests at real services (dotenv never overrides these)
+ * - replaces the Redis client with an in-memory fake
+ */
+const crypto = require('crypto');
+const Module = require('module');
+const FakeRedis = require('./fakeRedis');
+
+// A fresh RSA key pair per run; the app would otherwise generate a slower one with jsrsasign
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  JWT_SECRET: 'test_jwt_secret',
+  RSA_PUBLIC_KEY: publicKey,
+  RSA_PRIVATE_KEY: privateKey,
+  ENCRYPTED_PLATFORM_API_KEY: '',
+  // The mail client is created at load time but never sends in tests
+  ALIBABA_CLOUD_ACCESS_KEY_ID: 'test-access-key-id',
+  ALIBABA_CLOUD_ACCESS_KEY_SECRET: 'test-access-key-secret',
+  AI_PROVIDER: 'mock',
+  MOCK_AI_SCENARIO: 'success',
+  MOCK_AI_LATENCY_MS: '0',
+  AI_OUTPUT_FORMAT: 'text',
+  AI_RETRY_BASE_DELAY_MS: '1',
+  AI_RETRY_MAX_DELAY_MS: '5',
+  AI_DAILY_TOKEN_QUOTA: '100000',
+  AI_MONTHLY_TOKEN_QUOTA: '1500000',
+  RATE_LIMIT_MAX: '10000',
+  RATE_LIMIT_MAX_PUBLIC: '10000',
+  AI_RATE_LIMIT_MAX: '10000',
+  AUTH_RATE_LIMIT_MAX: '10000'
+});
+
+// Serve the fake wherever src/config/redis.js is required
+const fakeRedis = new FakeRedis();
+const redisPath = require.resolve('../../src/config/redis');
+const redisModule = new Module(redisPath, module);
+redisModule.filename = redisPath;
+redisModule.loaded = true;
+redisModule.exports = fakeRedis;
+require.cache[redisPath] = redisModule;
+
+module.exports = { fakeRedis };
@@ -0,0 +1,47 @@
+require('./helpers/testEnv');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseImport } = require('../src/utils/importUtils');
+
+describe('Word import parsing', () => {
+  it('reads one word or phrase per line from plain text', () => {
+    const items = parseImport('text', 'Apple\r\n\r\n# unit 1\n  run  \nice  cream\nabc1\n');
+
+    assert.deepEqual(items, [
+      { line: 1, word: 'apple', entry: {} },
+      { line: 4, word: 'run', entry: {} },
+      { line: 5, word: 'ice cream', entry: {} },
+      { line: 6, word: 'abc1', invalid: true }
+    ]);
+  });
+
+  it('reads CSV files with and without a header row', () => {
+    let items = parseImport('csv', 'apple,crunchy,food;Fruit\nrun\n');
+    assert.deepEqual(items.map(item => item.entry), [{ note: 'crunchy', tags: ['food', 'fruit'] }, {}]);
+
+    // Columns of the CSV export, with quoted fields spanning lines
+    items = parseImport('csv', '\ufeffword,partOfSpeech,definition,note,tags\r\n'
+      + 'apple,noun,"fruit, ""red""","line 1\nline 2","food, unit 1"\r\nquick,adjective,,,\r\n');
+    assert.deepEqual(items, [
+      { line: 2, word: 'apple', entry: { definition: 'fruit, "red"', note: 'line 1\nline 2', tags: ['food', 'unit 1'] } },
+      { line: 4, word: 'quick', entry: {} }
+    ]);
+  });
+
+  it('reads Anki plain text exports', () => {
+    const items = parseImport('anki', '#separator:tab\n#html:true\n#tags column:3\n'
+      + 'apple\t<i>noun</i><br>fruit &amp; tree\tfood unit_1\n<b>Run</b>\tmove fast\t\n');
+
+    assert.deepEqual(items, [
+      { line: 4, word: 'apple', entry: { note: 'noun\nfruit & tree', tags: ['food', 'unit_1'] } },
+      { line: 5, word: 'run', entry: { note: 'move fast' } }
+    ]);
+  });
+
+  it('cuts entry fields to their limits', () => {
+    const [item] = parseImport('csv', `word,note,tags\napple,${'a'.repeat(2100)},${Array.from({ length: 25 }, (_, i) => `t${i}`).join(';')}`);
+
+    assert.equal(item.entry.note.length, 2000);
+    assert.equal(item.entry.tags.length, 20);
+  });
+});
@@ -0,0 +1,68 @@
+require('./helpers/testEnv');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { lemmatize, getTextLemmas, getTextForms, containsPhrase, findPhrase } = require('../src/utils/lemmatizer');
+
+describe('Lemmatizer', () => {
+  it('reduces regular and irregular inflections to the lemma', async () => {
+    const cases = {
+      running: 'run',
+      ran: 'run',
+      Went: 'go',
+      children: 'child',
+      mice: 'mouse',
+      studies: 'study',
+      apples: 'apple',
+      stopped: 'stop',
+      happier: 'happy'
+    };
+
+    for (const [word, lemma] of Object.entries(cases)) {
+      assert.equal(await lemmatize(word), lemma, word);
+    }
+  });
+
+  it('keeps words WordNet has unless they look like regular inflections', async () => {
+    for (const word of ['saw', 'left', 'better', 'glasses', 'species', 'run']) {
+      assert.equal(await lemmatize(word), word);
+    }
+    assert.equal(await lemmatize('meeting'), 'meet');
+    assert.equal(await lemmatize('zzyzx'), 'zzyzx');
+  });
+
+  it('lists every word of a text with its possible base forms', async () => {
+    const forms = await getTextLemmas('She saw two mice running.');
+
+    ['she', 'saw', 'see', 'two', 'mice', 'mouse', 'running', 'run'].forEach(form => {
+      assert.ok(forms.includes(form), form);
+    });
+    assert.deepEqual(await getTextLemmas(''), []);
+  });
+
+  it('reduces phrases only to phrases WordNet has', async () => {
+    assert.equal(await lemmatize('took off'), 'take off');
+    assert.equal(await lemmatize('Ice  creams'), 'ice cream');
+    assert.equal(await lemmatize('looking forward to'), 'looking forward to');
+  });
+
+  it('finds phrases whose words appear together and in order in any inflected form', async () => {
+    const textForms = await getTextForms('The plane took off before we looked it up.');
+
+    assert.ok(containsPhrase(textForms, 'take off'));
+    assert.ok(!containsPhrase(textForms, 'look up'));
+    assert.ok(!containsPhrase(textForms, 'off the'));
+  });
+
+  it('finds where a word or phrase appears in any inflected form', async () => {
+    const text = 'The plane Took off late, and the children ran home.';
+    const find = async (phrase) => {
+      const range = await findPhrase(text, phrase);
+      return range && text.slice(range.start, range.end);
+    };
+
+    assert.equal(await find('take off'), 'Took off');
+    assert.equal(await find('child'), 'children');
+    assert.equal(await find('run'), 'ran');
+    assert.equal(await find('apple'), null);
+  });
+});
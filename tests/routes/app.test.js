@@ -0,0 +1,47 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { startTestApp, stopTestApp, resetState } = require('../helpers/testApp');
+
+describe('App routes', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(stopTestApp);
+
+  beforeEach(resetState);
+
+  it('GET / describes the API', async () => {
+    const res = await request(app).get('/').expect(200);
+
+    assert.equal(res.body.features.aiProvider, 'Mock AI (offline)');
+    assert.deepEqual(res.body.features.models, { light: 'mock-light', medium: 'mock-medium', heavy: 'mock-heavy' });
+  });
+
+  it('GET /api/health reports the AI model circuits', async () => {
+    const res = await request(app).get('/api/health').expect(200);
+
+    assert.equal(res.body.services.ai.status, 'available');
+    assert.deepEqual(res.body.services.ai.models.map(model => model.state), ['closed', 'closed', 'closed']);
+  });
+
+  it('GET /api/i18n detects the language', async () => {
+    let res = await request(app).get('/api/i18n').expect(200);
+    assert.equal(res.body.locale, 'en');
+
+    res = await request(app).get('/api/i18n').set('Accept-Language', 'zh-CN,zh;q=0.9').expect(200);
+    assert.equal(res.body.locale, 'zh');
+
+    res = await request(app).get('/api/i18n?lang=zh').expect(200);
+    assert.equal(res.body.locale, 'zh');
+  });
+
+  it('returns 404 for unknown routes', async () => {
+    const res = await request(app).get('/api/unknown').expect(404);
+
+    assert.equal(res.body.success, false);
+  });
+});
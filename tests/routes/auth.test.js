@@ -0,0 +1,312 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { startTestApp, stopTestApp, resetState, createUser, t } = require('../helpers/testApp');
+const { encrypt } = require('../../src/utils/rsaCrypto');
+const User = require('../../src/models/User');
+const TokenUsageSummary = require('../../src/models/TokenUsageSummary');
+const { getUTC8PeriodKeys } = require('../../src/utils/timeUtils');
+
+describe('Auth routes', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(stopTestApp);
+
+  beforeEach(resetState);
+
+  describe('POST /api/auth/register', () => {
+    const newUser = { username: 'alice', email: 'alice@example.com', password: 'secret123' };
+
+    it('creates the user and returns a token', async () => {
+      const res = await request(app).post('/api/auth/register').send(newUser).expect(201);
+
+      assert.equal(res.body.success, true);
+      assert.equal(typeof res.body.token, 'string');
+      assert.equal(res.body.user.username, 'alice');
+      assert.equal(res.body.user.password, undefined);
+
+      const stored = await User.findOne({ email: 'alice@example.com' });
+      assert.notEqual(stored.password, 'secret123');
+
+      await request(app).get('/api/auth/me').set('Authorization', `Bearer ${res.body.token}`).expect(200);
+    });
+
+    it('rejects invalid input', async () => {
+      await request(app).post('/api/auth/register').send({ ...newUser, username: 'a!' }).expect(400);
+      await request(app).post('/api/auth/register').send({ ...newUser, email: 'alice' }).expect(400);
+      await request(app).post('/api/auth/register').send({ ...newUser, password: '123' }).expect(400);
+      assert.equal(await User.countDocuments(), 0);
+    });
+
+    it('rejects a duplicate email or username', async () => {
+      await request(app).post('/api/auth/register').send(newUser).expect(201);
+
+      let res = await request(app).post('/api/auth/register')
+        .send({ ...newUser, username: 'alice2' })
+        .expect(400);
+      assert.equal(res.body.message, t('auth.userWithFieldExists', { field: 'email' }));
+
+      res = await request(app).post('/api/auth/register')
+        .send({ ...newUser, email: 'other@example.com' })
+        .expect(400);
+      assert.equal(res.body.message, t('auth.userWithFieldExists', { field: 'username' }));
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('returns a token for valid credentials', async () => {
+      const { user } = await createUser();
+
+      const res = await request(app).post('/api/auth/login')
+        .send({ email: user.email, password: 'password123' })
+        .expect(200);
+
+      assert.equal(res.body.user.id, user.id);
+      assert.equal(typeof res.body.token, 'string');
+    });
+
+    it('rejects a wrong password or unknown email with the same message', async () => {
+      const { user } = await createUser();
+
+      const wrongPassword = await request(app).post('/api/auth/login')
+        .send({ email: user.email, password: 'wrong-password' })
+        .expect(401);
+      const unknownEmail = await request(app).post('/api/auth/login')
+        .send({ email: 'nobody@example.com', password: 'password123' })
+        .expect(401);
+
+      assert.equal(wrongPassword.body.message, t('auth.invalidCredentials'));
+      assert.equal(unknownEmail.body.message, t('auth.invalidCredentials'));
+    });
+
+    it('validates the request', async () => {
+      await request(app).post('/api/auth/login').send({ email: 'a@example.com' }).expect(400);
+    });
+  });
+
+  describe('GET /api/auth/me', () => {
+    it('returns the current user', async () => {
+      const { user, auth } = await createUser();
+
+      const res = await request(app).get('/api/auth/me').set('Authorization', auth).expect(200);
+
+      assert.equal(res.body.user.id, user.id);
+      assert.equal(res.body.user.email, user.email);
+      assert.equal(res.body.user.preferences.theme, 'light');
+    });
+
+    it('requires a valid token', async () => {
+      let res = await request(app).get('/api/auth/me').expect(401);
+      assert.equal(res.body.message, t('auth.notAuthorized'));
+
+      res = await request(app).get('/api/auth/me').set('Authorization', 'Bearer invalid').expect(401);
+      assert.equal(res.body.message, t('auth.notAuthorizedTokenFailed'));
+    });
+
+    it('rejects the token of a deleted user', async () => {
+      const { user, auth } = await createUser();
+      await User.deleteOne({ _id: user._id });
+
+      const res = await request(app).get('/api/auth/me').set('Authorization', auth).expect(401);
+
+      assert.equal(res.body.message, t('auth.notAuthorizedUserNotFound'));
+    });
+  });
+
+  describe('PUT /api/auth/profile', () => {
+    it('updates the username, email and preferences', async () => {
+      const { auth } = await createUser();
+
+      const res = await request(app).put('/api/auth/profile')
+        .set('Authorization', auth)
+        .send({ username: 'renamed', email: 'renamed@example.com', preferences: { theme: 'dark' } })
+        .expect(200);
+
+      assert.equal(res.body.user.username, 'renamed');
+      assert.equal(res.body.user.email, 'renamed@example.com');
+      assert.equal(res.body.user.preferences.theme, 'dark');
+      assert.equal(res.body.user.preferences.language, 'en');
+    });
+
+    it('rejects a username taken by another user', async () => {
+      const { user: other } = await createUser();
+      const { auth } = await createUser();
+
+      const res = await request(app).put('/api/auth/profile')
+        .set('Authorization', auth)
+        .send({ username: other.username })
+        .expect(400);
+
+      assert.equal(res.body.message, t('auth.fieldTaken', { field: 'username' }));
+    });
+
+    it('validates the request', async () => {
+      const { auth } = await createUser();
+
+      await request(app).put('/api/auth/profile')
+        .set('Authorization', auth)
+        .send({ preferences: { theme: 'blue' } })
+        .expect(400);
+    });
+  });
+
+  describe('PUT /api/auth/preferences', () => {
+    it('merges the preferences', async () => {
+      const { auth } = await createUser();
+
+      const res = await request(app).put('/api/auth/preferences')
+        .set('Authorization', auth)
+        .send({ language: 'zh', grammarExplanationLanguage: 'pure' })
+        .expect(200);
+
+      assert.equal(res.body.preferences.language, 'zh');
+      assert.equal(res.body.preferences.grammarExplanationLanguage, 'pure');
+      assert.equal(res.body.preferences.theme, 'light');
+    });
+
+    it('rejects unknown values', async () => {
+      const { auth } = await createUser();
+
+      await request(app).put('/api/auth/preferences').set('Authorization', auth).send({ language: 'fr' }).expect(400);
+    });
+  });
+
+  describe('PUT /api/auth/font-settings', () => {
+    it('merges the font settings', async () => {
+      const { auth } = await createUser();
+
+      const res = await request(app).put('/api/auth/font-settings')
+        .set('Authorization', auth)
+        .send({ size: 'text-lg', family: 'font-serif' })
+        .expect(200);
+
+      assert.equal(res.body.fontSettings.size, 'text-lg');
+      assert.equal(res.body.fontSettings.family, 'font-serif');
+      assert.equal(res.body.fontSettings.weight, 'font-normal');
+      assert.equal(res.body.message, t('auth.fontSettingsUpdatedSuccessfully'));
+    });
+
+    it('rejects unknown values', async () => {
+      const { auth } = await createUser();
+
+      await request(app).put('/api/auth/font-settings').set('Authorization', auth).send({ size: 'huge' }).expect(400);
+    });
+  });
+
+  describe('API key settings', () => {
+    it('stores an encrypted custom key and reports its status', async () => {
+      const { user, auth } = await createUser();
+      const encryptedKey = `rsa:${encrypt('sk-user-key')}`;
+
+      let res = await request(app).put('/api/auth/api-key')
+        .set('Authorization', auth)
+        .send({ apiKey: encryptedKey, useCustomApiKey: true, aiProvider: 'openai' })
+        .expect(200);
+      assert.equal(res.body.useCustomApiKey, true);
+      assert.equal(res.body.aiProvider, 'openai');
+
+      const stored = await User.findById(user._id);
+      assert.equal(stored.getDecryptedApiKey(), 'sk-user-key');
+
+      res = await request(app).get('/api/auth/api-key-status').set('Authorization', auth).expect(200);
+      assert.equal(res.body.useCustomApiKey, true);
+      assert.equal(res.body.hasCustomApiKey, true);
+      assert.equal(res.body.aiProvider, 'openai');
+      assert.equal(res.body.platformInfo.providerId, 'mock');
+      assert.equal(res.body.apiKey, undefined);
+    });
+
+    it('removes the custom key when it is turned off', async () => {
+      const { user, auth } = await createUser({ apiKey: `rsa:${encrypt('sk-user-key')}`, useCustomApiKey: true });
+
+      const res = await request(app).put('/api/auth/api-key')
+        .set('Authorization', auth)
+        .send({ useCustomApiKey: false })
+        .expect(200);
+
+      assert.equal(res.body.aiProvider, 'mock');
+      const stored = await User.findById(user._id);
+      assert.equal(stored.apiKey, undefined);
+      assert.equal(stored.useCustomApiKey, false);
+    });
+
+    it('rejects providers that users cannot select', async () => {
+      const { auth } = await createUser();
+
+      const res = await request(app).put('/api/auth/api-key')
+        .set('Authorization', auth)
+        .send({ apiKey: 'rsa:abc', useCustomApiKey: true, aiProvider: 'mock' })
+        .expect(400);
+
+      assert.match(res.body.message, /openai/);
+    });
+
+    it('validates API key test requests before contacting the provider', async () => {
+      const { auth } = await createUser();
+
+      let res = await request(app).post('/api/auth/test-api-key')
+        .set('Authorization', auth)
+        .send({ apiKey: '   ' })
+        .expect(400);
+      assert.equal(res.body.message, t('auth.apiKeyRequired'));
+
+      res = await request(app).post('/api/auth/test-api-key')
+        .set('Authorization', auth)
+        .send({ apiKey: 'sk-test', aiProvider: 'unknown' })
+        .expect(400);
+      assert.match(res.body.message, /siliconflow/);
+    });
+  });
+
+  describe('GET /api/auth/usage', () => {
+    it('reports usage against the platform quotas', async () => {
+      const { user, auth } = await createUser();
+      const { day, month } = getUTC8PeriodKeys();
+      await TokenUsageSummary.create([
+        { userId: user._id, period: 'day', periodKey: day, requestCount: 2, promptTokens: 600, completionTokens: 400, totalTokens: 1000, platformTokens: 1000 },
+        { userId: user._id, period: 'month', periodKey: month, requestCount: 5, promptTokens: 1500, completionTokens: 1000, totalTokens: 2500, platformTokens: 2500 }
+      ]);
+
+      const res = await request(app).get('/api/auth/usage?days=7').set('Authorization', auth).expect(200);
+      const { usage } = res.body;
+
+      assert.equal(usage.quotaExempt, false);
+      assert.equal(usage.today.platformTokens, 1000);
+      assert.equal(usage.today.limit, 100000);
+      assert.equal(usage.today.remaining, 99000);
+      assert.equal(usage.month.remaining, 1500000 - 2500);
+      assert.equal(usage.daily.length, 1);
+      assert.equal(usage.daily[0].date, day);
+      assert.equal(usage.daily[0].totalTokens, 1000);
+    });
+
+    it('has no limits for users with their own API key', async () => {
+      const { auth } = await createUser({ apiKey: `rsa:${encrypt('sk-user-key')}`, useCustomApiKey: true });
+
+      const res = await request(app).get('/api/auth/usage').set('Authorization', auth).expect(200);
+
+      assert.equal(res.body.usage.quotaExempt, true);
+      assert.equal(res.body.usage.today.limit, null);
+    });
+
+    it('validates the number of days', async () => {
+      const { auth } = await createUser();
+
+      await request(app).get('/api/auth/usage?days=0').set('Authorization', auth).expect(400);
+      const res = await request(app).get('/api/auth/usage?days=91').set('Authorization', auth).expect(400);
+      assert.equal(res.body.message, t('usage.invalidDays', { max: 90 }));
+    });
+  });
+
+  describe('GET /api/auth/public-key', () => {
+    it('returns the RSA public key without authentication', async () => {
+      const res = await request(app).get('/api/auth/public-key').expect(200);
+
+      assert.equal(res.body.publicKey, process.env.RSA_PUBLIC_KEY);
+    });
+  });
+});
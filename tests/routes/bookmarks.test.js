@@ -0,0 +1,167 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { startTestApp, stopTestApp, resetState, createUser, t } = require('../helpers/testApp');
+const Generation = require('../../src/models/Generation');
+const SentenceCheck = require('../../src/models/SentenceCheck');
+const Bookmark = require('../../src/models/Bookmark');
+
+describe('Bookmark routes', () => {
+  let app;
+  let owner;
+  let ownerAuth;
+  let auth;
+  let generation;
+  let check;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(stopTestApp);
+
+  beforeEach(async () => {
+    await resetState();
+    ({ user: owner, auth: ownerAuth } = await createUser());
+    ({ auth } = await createUser());
+    generation = await Generation.create({ userId: owner._id, words: ['apple'], sentence: 'I ate an apple.', isPublic: true });
+    check = await SentenceCheck.create({ userId: owner._id, originalSentence: 'She go to school.', isPublic: true });
+  });
+
+  const bookmark = (targetType, targetId, fields = {}) => request(app)
+    .post('/api/me/bookmarks')
+    .set('Authorization', auth)
+    .send({ targetType, targetId: String(targetId), ...fields });
+
+  const createCollection = async (name) => (await request(app)
+    .post('/api/me/collections')
+    .set('Authorization', auth)
+    .send({ name })
+    .expect(201)).body.collection;
+
+  it('requires authentication', async () => {
+    await request(app).get('/api/me/bookmarks').expect(401);
+    await request(app).get('/api/me/collections').expect(401);
+    await request(app).get('/api/me/likes').expect(401);
+  });
+
+  describe('Bookmarks', () => {
+    it('bookmarks public content into collections mixing generations and checks', async () => {
+      const favourites = await createCollection('Favourites');
+
+      let res = await bookmark('Generation', generation._id, { collectionId: favourites._id }).expect(201);
+      assert.equal(res.body.bookmark.collectionId, favourites._id);
+      await bookmark('SentenceCheck', check._id, { collectionId: favourites._id }).expect(201);
+
+      // Bookmarking again moves the bookmark
+      res = await bookmark('Generation', generation._id, { collectionId: null }).expect(200);
+      assert.equal(res.body.bookmark.collectionId, null);
+      await bookmark('Generation', generation._id, { collectionId: favourites._id }).expect(200);
+      assert.equal(await Bookmark.countDocuments(), 2);
+
+      res = await request(app).get(`/api/me/bookmarks?collectionId=${favourites._id}`).set('Authorization', auth).expect(200);
+      assert.deepEqual(res.body.bookmarks.map(entry => entry.targetType), ['SentenceCheck', 'Generation']);
+      assert.equal(res.body.bookmarks[1].item.sentence, 'I ate an apple.');
+      assert.equal(res.body.bookmarks[1].item.userId.username, owner.username);
+      assert.equal(res.body.bookmarks[1].item.likes, undefined);
+      assert.equal(res.body.bookmarks[1].unavailable, false);
+      assert.equal(res.body.pagination.totalBookmarks, 2);
+
+      res = await request(app).get('/api/me/bookmarks?targetType=Generation').set('Authorization', auth).expect(200);
+      assert.equal(res.body.bookmarks.length, 1);
+
+      res = await request(app).get('/api/me/collections').set('Authorization', auth).expect(200);
+      assert.equal(res.body.collections[0].bookmarkCount, 2);
+      assert.equal(res.body.unsortedCount, 0);
+    });
+
+    it('validates bookmarks', async () => {
+      await bookmark('Word', generation._id).expect(400);
+      await bookmark('Generation', 'not-an-id').expect(400);
+
+      await Generation.updateOne({ _id: generation._id }, { isPublic: false });
+      let res = await bookmark('Generation', generation._id).expect(404);
+      assert.equal(res.body.message, t('generations.generationNotFound'));
+
+      const { auth: otherAuth } = await createUser();
+      const otherCollection = (await request(app).post('/api/me/collections').set('Authorization', otherAuth).send({ name: 'Theirs' }).expect(201)).body.collection;
+      res = await bookmark('SentenceCheck', check._id, { collectionId: otherCollection._id }).expect(404);
+      assert.equal(res.body.message, t('bookmarks.collectionNotFound'));
+    });
+
+    it('keeps bookmarks of private and deleted content as tombstones', async () => {
+      await bookmark('Generation', generation._id).expect(201);
+      await bookmark('SentenceCheck', check._id).expect(201);
+
+      await request(app).put(`/api/generations/${generation._id}/privacy`).set('Authorization', ownerAuth).send({ isPublic: false }).expect(200);
+      await request(app).delete(`/api/checks/${check._id}`).set('Authorization', ownerAuth).expect(200);
+
+      const res = await request(app).get('/api/me/bookmarks').set('Authorization', auth).expect(200);
+      const [checkEntry, generationEntry] = res.body.bookmarks;
+      assert.equal(generationEntry.unavailable, true);
+      assert.equal(generationEntry.item, null);
+      assert.equal(generationEntry.notice, t('bookmarks.itemPrivate'));
+      assert.equal(checkEntry.unavailable, true);
+      assert.equal(checkEntry.notice, t('bookmarks.itemDeleted'));
+    });
+
+    it('moves and removes bookmarks', async () => {
+      const collection = await createCollection('Later');
+      const { body } = await bookmark('Generation', generation._id).expect(201);
+
+      let res = await request(app).put(`/api/me/bookmarks/${body.bookmark._id}`).set('Authorization', auth).send({ collectionId: collection._id }).expect(200);
+      assert.equal(res.body.bookmark.collectionId, collection._id);
+
+      await request(app).delete(`/api/me/bookmarks/${body.bookmark._id}`).set('Authorization', ownerAuth).expect(404);
+      res = await request(app).delete(`/api/me/bookmarks/${body.bookmark._id}`).set('Authorization', auth).expect(200);
+      assert.equal(res.body.message, t('bookmarks.bookmarkRemovedSuccessfully'));
+      assert.equal(await Bookmark.countDocuments(), 0);
+    });
+  });
+
+  describe('Collections', () => {
+    it('keeps collection names unique and bookmarks when a collection is deleted', async () => {
+      const collection = await createCollection('Grammar');
+      let res = await request(app).post('/api/me/collections').set('Authorization', auth).send({ name: 'Grammar' }).expect(400);
+      assert.equal(res.body.message, t('bookmarks.collectionNameTaken'));
+
+      res = await request(app).put(`/api/me/collections/${collection._id}`).set('Authorization', auth).send({ name: 'Tenses' }).expect(200);
+      assert.equal(res.body.collection.name, 'Tenses');
+
+      await bookmark('Generation', generation._id, { collectionId: collection._id }).expect(201);
+      res = await request(app).delete(`/api/me/collections/${collection._id}`).set('Authorization', auth).expect(200);
+      assert.equal(res.body.movedCount, 1);
+
+      res = await request(app).get('/api/me/bookmarks?collectionId=none').set('Authorization', auth).expect(200);
+      assert.equal(res.body.bookmarks.length, 1);
+      res = await request(app).get('/api/me/collections').set('Authorization', auth).expect(200);
+      assert.deepEqual(res.body.collections, []);
+      assert.equal(res.body.unsortedCount, 1);
+    });
+  });
+
+  describe('GET /api/me/likes', () => {
+    it('lists liked generations and checks, most recently liked first', async () => {
+      const other = await Generation.create({ userId: owner._id, words: ['pear'], sentence: 'A pear.', isPublic: true });
+      await request(app).post(`/api/generations/${generation._id}/like`).set('Authorization', auth).expect(200);
+      await request(app).post(`/api/checks/${check._id}/like`).set('Authorization', auth).expect(200);
+      await request(app).post(`/api/generations/${other._id}/like`).set('Authorization', ownerAuth).expect(200);
+
+      let res = await request(app).get('/api/me/likes').set('Authorization', auth).expect(200);
+      assert.deepEqual(res.body.likes.map(entry => entry.targetType), ['SentenceCheck', 'Generation']);
+      assert.equal(res.body.likes[1].item.sentence, 'I ate an apple.');
+      assert.equal(res.body.likes[1].item.liked, true);
+      assert.ok(res.body.likes[1].likedAt);
+      assert.equal(res.body.pagination.totalLikes, 2);
+
+      res = await request(app).get('/api/me/likes?targetType=Generation&limit=1').set('Authorization', auth).expect(200);
+      assert.equal(res.body.likes.length, 1);
+      assert.equal(res.body.pagination.hasNext, false);
+
+      await Generation.updateOne({ _id: generation._id }, { isPublic: false });
+      res = await request(app).get('/api/me/likes?targetType=Generation').set('Authorization', auth).expect(200);
+      assert.equal(res.body.likes[0].unavailable, true);
+      assert.equal(res.body.likes[0].notice, t('bookmarks.itemPrivate'));
+    });
+  });
+});
@@ -0,0 +1,226 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { startTestApp, stopTestApp, resetState, createUser, t } = require('../helpers/testApp');
+const Generation = require('../../src/models/Generation');
+const SentenceCheck = require('../../src/models/SentenceCheck');
+const Comment = require('../../src/models/Comment');
+
+describe('Comment routes', () => {
+  let app;
+  let owner;
+  let ownerAuth;
+  let user;
+  let auth;
+  let generation;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(stopTestApp);
+
+  beforeEach(async () => {
+    await resetState();
+    ({ user: owner, auth: ownerAuth } = await createUser());
+    ({ user, auth } = await createUser());
+    generation = await Generation.create({
+      userId: owner._id,
+      words: ['apple'],
+      sentence: 'I ate an apple.',
+      isPublic: true
+    });
+  });
+
+  const comment = (content, fields = {}, authorization = auth, path = `/api/generations/${generation._id}`) => request(app)
+    .post(`${path}/comments`)
+    .set('Authorization', authorization)
+    .send({ content, ...fields });
+
+  const commentCount = async () => (await Generation.findById(generation._id)).commentCount;
+
+  describe('POST /api/generations/:id/comments', () => {
+    it('adds comments and replies and counts them on the generation', async () => {
+      const res = await comment('Nice sentence!').expect(201);
+      assert.equal(res.body.comment.content, 'Nice sentence!');
+      assert.equal(res.body.comment.userId.username, user.username);
+      assert.equal(res.body.comment.parentId, null);
+      assert.equal(res.body.comment.isAuthor, true);
+
+      const reply = await comment('Thanks!', { replyTo: res.body.comment._id }, ownerAuth).expect(201);
+      assert.equal(reply.body.comment.parentId, res.body.comment._id);
+      assert.equal(reply.body.comment.replyToUserId.username, user.username);
+
+      // A reply to a reply joins the same thread
+      const nested = await comment('You are welcome.', { replyTo: reply.body.comment._id }).expect(201);
+      assert.equal(nested.body.comment.parentId, res.body.comment._id);
+      assert.equal(nested.body.comment.replyToId, reply.body.comment._id);
+      assert.equal(nested.body.comment.replyToUserId.username, owner.username);
+
+      assert.equal(await commentCount(), 3);
+      assert.equal((await Comment.findById(res.body.comment._id)).replyCount, 2);
+    });
+
+    it('only allows comments on public content', async () => {
+      await request(app).post(`/api/generations/${generation._id}/comments`).send({ content: 'Hi' }).expect(401);
+
+      await Generation.updateOne({ _id: generation._id }, { isPublic: false });
+      const res = await comment('Hi', {}, ownerAuth).expect(404);
+      assert.equal(res.body.message, t('generations.generationNotFound'));
+    });
+
+    it('validates the comment', async () => {
+      await comment('').expect(400);
+      await comment('x'.repeat(2001)).expect(400);
+      await comment('Hi', { replyTo: 'not-an-id' }).expect(400);
+
+      const other = await Generation.create({ userId: owner._id, words: ['pear'], sentence: 'A pear.', isPublic: true });
+      const elsewhere = await comment('Elsewhere', {}, auth, `/api/generations/${other._id}`).expect(201);
+      const res = await comment('Hi', { replyTo: elsewhere.body.comment._id }).expect(404);
+      assert.equal(res.body.message, t('comments.commentNotFound'));
+    });
+  });
+
+  describe('GET /api/generations/:id/comments', () => {
+    it('lists top-level comments with pagination and likes', async () => {
+      const first = await comment('First').expect(201);
+      await comment('Second', {}, ownerAuth).expect(201);
+      await comment('A reply', { replyTo: first.body.comment._id }, ownerAuth).expect(201);
+      await request(app).post(`/api/comments/${first.body.comment._id}/like`).set('Authorization', ownerAuth).expect(200);
+
+      let res = await request(app).get(`/api/generations/${generation._id}/comments`).expect(200);
+      assert.deepEqual(res.body.comments.map(entry => entry.content), ['Second', 'First']);
+      assert.equal(res.body.commentCount, 3);
+      assert.equal(res.body.pagination.totalComments, 2);
+      assert.equal(res.body.comments[1].replyCount, 1);
+      assert.equal(res.body.comments[1].likes, undefined);
+      assert.equal(res.body.comments[1].liked, false);
+
+      res = await request(app).get(`/api/generations/${generation._id}/comments?sortBy=liked`).set('Authorization', ownerAuth).expect(200);
+      assert.deepEqual(res.body.comments.map(entry => entry.content), ['First', 'Second']);
+      assert.equal(res.body.comments[0].liked, true);
+      assert.equal(res.body.comments[0].likeCount, 1);
+      assert.equal(res.body.comments[0].canDelete, true);
+
+      res = await request(app).get(`/api/generations/${generation._id}/comments?sortBy=oldest&limit=1`).expect(200);
+      assert.deepEqual(res.body.comments.map(entry => entry.content), ['First']);
+      assert.equal(res.body.pagination.hasNext, true);
+
+      res = await request(app).get(`/api/comments/${first.body.comment._id}/replies`).expect(200);
+      assert.deepEqual(res.body.replies.map(entry => entry.content), ['A reply']);
+    });
+
+    it('hides the comments of private content from others', async () => {
+      await comment('Hi').expect(201);
+      await Generation.updateOne({ _id: generation._id }, { isPublic: false });
+
+      await request(app).get(`/api/generations/${generation._id}/comments`).set('Authorization', auth).expect(404);
+      const res = await request(app).get(`/api/generations/${generation._id}/comments`).set('Authorization', ownerAuth).expect(200);
+      assert.equal(res.body.comments.length, 1);
+    });
+
+    it('shows the comment count in the public feed', async () => {
+      await comment('Hi').expect(201);
+      await Generation.create({ userId: owner._id, words: ['pear'], sentence: 'A pear.', isPublic: true });
+      await Generation.collection.insertOne({ userId: owner._id, words: ['plum'], sentence: 'Old.', isPublic: true, createdAt: new Date(0) });
+
+      const res = await request(app).get('/api/generations/public?sortBy=liked').expect(200);
+      const counts = Object.fromEntries(res.body.generations.map(entry => [entry.sentence, entry.commentCount]));
+      assert.deepEqual(counts, { 'I ate an apple.': 1, 'A pear.': 0, 'Old.': 0 });
+    });
+  });
+
+  describe('Editing and deleting', () => {
+    it('lets only the author edit a comment', async () => {
+      const { body } = await comment('Teh sentence').expect(201);
+
+      await request(app).put(`/api/comments/${body.comment._id}`).set('Authorization', ownerAuth).send({ content: 'Changed' }).expect(403);
+
+      const res = await request(app).put(`/api/comments/${body.comment._id}`).set('Authorization', auth).send({ content: 'The sentence' }).expect(200);
+      assert.equal(res.body.comment.content, 'The sentence');
+      assert.ok(res.body.comment.editedAt);
+    });
+
+    it('lets the author and the content owner delete comments', async () => {
+      const { body: first } = await comment('First').expect(201);
+      const { body: second } = await comment('Second').expect(201);
+      const { auth: strangerAuth } = await createUser();
+
+      let res = await request(app).delete(`/api/comments/${first.comment._id}`).set('Authorization', strangerAuth).expect(403);
+      assert.equal(res.body.message, t('comments.notAllowedToDelete'));
+
+      await request(app).delete(`/api/comments/${first.comment._id}`).set('Authorization', auth).expect(200);
+      res = await request(app).delete(`/api/comments/${second.comment._id}`).set('Authorization', ownerAuth).expect(200);
+      assert.equal(res.body.message, t('comments.commentDeletedSuccessfully'));
+
+      assert.equal(await Comment.countDocuments(), 0);
+      assert.equal(await commentCount(), 0);
+    });
+
+    it('keeps a deleted comment with replies as a placeholder until its last reply is deleted', async () => {
+      const { body: parent } = await comment('Question?').expect(201);
+      const { body: reply } = await comment('Answer.', { replyTo: parent.comment._id }, ownerAuth).expect(201);
+
+      await request(app).delete(`/api/comments/${parent.comment._id}`).set('Authorization', auth).expect(200);
+
+      let res = await request(app).get(`/api/generations/${generation._id}/comments`).expect(200);
+      assert.equal(res.body.comments.length, 1);
+      assert.equal(res.body.comments[0].isDeleted, true);
+      assert.equal(res.body.comments[0].content, null);
+      assert.equal(res.body.comments[0].userId, null);
+      assert.equal(res.body.commentCount, 1);
+
+      res = await request(app).get(`/api/comments/${parent.comment._id}/replies`).expect(200);
+      assert.deepEqual(res.body.replies.map(entry => entry.content), ['Answer.']);
+      await request(app).delete(`/api/comments/${parent.comment._id}`).set('Authorization', auth).expect(404);
+
+      await request(app).delete(`/api/comments/${reply.comment._id}`).set('Authorization', ownerAuth).expect(200);
+      assert.equal(await Comment.countDocuments(), 0);
+      assert.equal(await commentCount(), 0);
+    });
+
+    it('deletes the comments with the generation', async () => {
+      await comment('Hi').expect(201);
+
+      await request(app).delete(`/api/generations/${generation._id}`).set('Authorization', ownerAuth).expect(200);
+
+      assert.equal(await Comment.countDocuments(), 0);
+    });
+  });
+
+  describe('POST /api/comments/:id/like', () => {
+    it('toggles a like', async () => {
+      const { body } = await comment('Hi', {}, ownerAuth).expect(201);
+
+      let res = await request(app).post(`/api/comments/${body.comment._id}/like`).set('Authorization', auth).expect(200);
+      assert.equal(res.body.liked, true);
+      assert.equal(res.body.likeCount, 1);
+
+      res = await request(app).post(`/api/comments/${body.comment._id}/like`).set('Authorization', auth).expect(200);
+      assert.equal(res.body.liked, false);
+      assert.equal(res.body.likeCount, 0);
+
+      await request(app).post(`/api/comments/${body.comment._id}/like`).expect(401);
+      await request(app).post('/api/comments/not-an-id/like').set('Authorization', auth).expect(400);
+    });
+  });
+
+  describe('Sentence check comments', () => {
+    it('comments on public sentence checks and shows the count in the feed', async () => {
+      const check = await SentenceCheck.create({ userId: owner._id, originalSentence: 'She go to school.', isPublic: true });
+      const path = `/api/checks/${check._id}`;
+
+      const { body } = await comment('Should be "goes".', {}, auth, path).expect(201);
+      assert.equal(body.comment.targetType, 'SentenceCheck');
+
+      let res = await request(app).get(`${path}/comments`).expect(200);
+      assert.deepEqual(res.body.comments.map(entry => entry.content), ['Should be "goes".']);
+
+      res = await request(app).get('/api/checks/public').expect(200);
+      assert.equal(res.body.sentenceChecks[0].commentCount, 1);
+
+      await request(app).delete('/api/checks/all').set('Authorization', ownerAuth).expect(200);
+      assert.equal(await Comment.countDocuments(), 0);
+    });
+  });
+});
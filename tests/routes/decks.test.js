@@ -0,0 +1,291 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { startTestApp, stopTestApp, resetState, createUser, t } = require('../helpers/testApp');
+const Deck = require('../../src/models/Deck');
+const Word = require('../../src/models/Word');
+const UserWord = require('../../src/models/UserWord');
+const Generation = require('../../src/models/Generation');
+const deckService = require('../../src/services/deckService');
+
+describe('Deck routes', () => {
+  let app;
+  let user;
+  let auth;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(stopTestApp);
+
+  beforeEach(async () => {
+    await resetState();
+    ({ user, auth } = await createUser());
+  });
+
+  const createDeck = (body, authorization = auth) => request(app).post('/api/decks')
+    .set('Authorization', authorization)
+    .send(body)
+    .expect(201);
+
+  it('requires authentication', async () => {
+    await request(app).get('/api/decks').expect(401);
+    await request(app).post('/api/decks').send({ name: 'Fruit' }).expect(401);
+  });
+
+  describe('POST /api/decks', () => {
+    it('creates a deck with its words saved as lemmas and a report per word', async () => {
+      const res = await createDeck({ name: 'Fruit', words: ['Apples', 'pear', 'apple', 'appple', 'abc1', 'take off'] });
+
+      assert.equal(res.body.deck.name, 'Fruit');
+      assert.equal(res.body.deck.isPublic, false);
+      assert.equal(res.body.deck.isOwner, true);
+      assert.equal(res.body.deck.wordCount, 3);
+      assert.equal(res.body.deck.wordIds, undefined);
+      assert.deepEqual(res.body.results.map(result => result.status), ['added', 'added', 'alreadyPresent', 'spellingError', 'invalid', 'added']);
+      assert.equal(res.body.results[0].lemma, 'apple');
+      assert.ok(res.body.results[3].suggestions.includes('apple'));
+
+      // Words in a deck are not added to the user's vocabulary
+      const apple = await Word.findOne({ word: 'apple' });
+      assert.deepEqual(apple.userIds, []);
+      assert.equal(apple.primaryPartOfSpeech, 'noun');
+    });
+
+    it('reuses words that already exist', async () => {
+      const existing = await Word.create({ word: 'apple', userIds: [user._id] });
+
+      await createDeck({ name: 'Fruit', words: ['apple'] });
+
+      const deck = await Deck.findOne({ name: 'Fruit' });
+      assert.deepEqual(deck.wordIds.map(String), [String(existing._id)]);
+      assert.equal(await Word.countDocuments(), 1);
+    });
+
+    it('validates the deck', async () => {
+      await request(app).post('/api/decks').set('Authorization', auth).send({}).expect(400);
+      await request(app).post('/api/decks').set('Authorization', auth).send({ name: 'x'.repeat(101) }).expect(400);
+      await request(app).post('/api/decks').set('Authorization', auth).send({ name: 'Fruit', words: 'apple' }).expect(400);
+    });
+  });
+
+  describe('GET /api/decks', () => {
+    it('lists only the user\'s decks', async () => {
+      const { auth: otherAuth } = await createUser();
+      await createDeck({ name: 'Mine' });
+      await createDeck({ name: 'Theirs', isPublic: true }, otherAuth);
+
+      const res = await request(app).get('/api/decks').set('Authorization', auth).expect(200);
+
+      assert.deepEqual(res.body.decks.map(deck => deck.name), ['Mine']);
+    });
+
+    it('lists built-in decks first, then other public decks by popularity', async () => {
+      const { auth: otherAuth } = await createUser();
+      await createDeck({ name: 'Private' }, otherAuth);
+      await createDeck({ name: 'Verbs', isPublic: true }, otherAuth);
+      const popular = await createDeck({ name: 'Nouns', isPublic: true }, otherAuth);
+      await Deck.updateOne({ _id: popular.body.deck._id }, { cloneCount: 3 });
+      await Deck.create({ name: 'CET-4', builtInKey: 'cet4', isPublic: true });
+
+      const res = await request(app).get('/api/decks/public').set('Authorization', auth).expect(200);
+
+      assert.deepEqual(res.body.decks.map(deck => deck.name), ['CET-4', 'Nouns', 'Verbs']);
+      assert.equal(res.body.decks[0].builtIn, true);
+      assert.ok(res.body.decks[1].userId.username);
+      assert.equal(res.body.pagination.totalDecks, 3);
+
+      const search = await request(app).get('/api/decks/public?search=verb').set('Authorization', auth).expect(200);
+      assert.deepEqual(search.body.decks.map(deck => deck.name), ['Verbs']);
+    });
+  });
+
+  describe('GET /api/decks/:id', () => {
+    it('returns the deck with a page of its words', async () => {
+      await Word.create({ word: 'pear', userIds: [user._id] });
+      const created = await createDeck({ name: 'Fruit', words: ['pear', 'apple', 'banana'] });
+
+      const res = await request(app).get(`/api/decks/${created.body.deck._id}?limit=2`).set('Authorization', auth).expect(200);
+
+      assert.deepEqual(res.body.words.map(word => word.word), ['apple', 'banana']);
+      assert.equal(res.body.words[0].partOfSpeechTranslated, t('words.noun'));
+      assert.equal(res.body.words[0].saved, false);
+      assert.equal(res.body.pagination.totalWords, 3);
+      assert.equal(res.body.pagination.hasNext, true);
+
+      const next = await request(app).get(`/api/decks/${created.body.deck._id}?page=2&limit=2`).set('Authorization', auth).expect(200);
+      assert.deepEqual(next.body.words.map(word => ({ word: word.word, saved: word.saved })), [{ word: 'pear', saved: true }]);
+    });
+
+    it('shows public decks to everyone and private decks only to their owner', async () => {
+      const { auth: otherAuth } = await createUser();
+      const shared = await createDeck({ name: 'Shared', isPublic: true }, otherAuth);
+      const hidden = await createDeck({ name: 'Hidden' }, otherAuth);
+
+      const res = await request(app).get(`/api/decks/${shared.body.deck._id}`).set('Authorization', auth).expect(200);
+      assert.equal(res.body.deck.isOwner, false);
+
+      await request(app).get(`/api/decks/${hidden.body.deck._id}`).set('Authorization', auth).expect(404);
+      await request(app).get('/api/decks/not-an-id').set('Authorization', auth).expect(400);
+    });
+  });
+
+  describe('changing decks', () => {
+    it('renames, shares and deletes the user\'s deck', async () => {
+      const created = await createDeck({ name: 'Fruit', words: ['apple'] });
+      const id = created.body.deck._id;
+
+      const res = await request(app).put(`/api/decks/${id}`)
+        .set('Authorization', auth)
+        .send({ name: 'Fruits', isPublic: true })
+        .expect(200);
+      assert.equal(res.body.deck.name, 'Fruits');
+      assert.equal(res.body.deck.isPublic, true);
+
+      await request(app).put(`/api/decks/${id}`).set('Authorization', auth).send({}).expect(400);
+
+      const deleted = await request(app).delete(`/api/decks/${id}`).set('Authorization', auth).expect(200);
+      assert.equal(deleted.body.message, t('decks.deckDeletedSuccessfully'));
+      assert.equal(await Deck.countDocuments(), 0);
+      assert.equal(await Word.countDocuments({ word: 'apple' }), 1);
+    });
+
+    it('adds and removes words', async () => {
+      const created = await createDeck({ name: 'Fruit', words: ['apple'] });
+      const id = created.body.deck._id;
+
+      const added = await request(app).post(`/api/decks/${id}/words`)
+        .set('Authorization', auth)
+        .send({ words: ['pear', 'apple'] })
+        .expect(200);
+      assert.deepEqual(added.body.results.map(result => result.status), ['added', 'alreadyPresent']);
+      assert.equal(added.body.deck.wordCount, 2);
+
+      const pear = await Word.findOne({ word: 'pear' });
+      const removed = await request(app).delete(`/api/decks/${id}/words/${pear._id}`).set('Authorization', auth).expect(200);
+      assert.equal(removed.body.deck.wordCount, 1);
+
+      await request(app).delete(`/api/decks/${id}/words/${pear._id}`).set('Authorization', auth).expect(404);
+      await request(app).post(`/api/decks/${id}/words`).set('Authorization', auth).send({ words: [] }).expect(400);
+    });
+
+    it('does not let others change a public deck', async () => {
+      const { auth: otherAuth } = await createUser();
+      const shared = await createDeck({ name: 'Shared', isPublic: true }, otherAuth);
+      const id = shared.body.deck._id;
+
+      const res = await request(app).put(`/api/decks/${id}`).set('Authorization', auth).send({ name: 'Mine' }).expect(403);
+      assert.equal(res.body.message, t('decks.deckNotEditable'));
+      await request(app).post(`/api/decks/${id}/words`).set('Authorization', auth).send({ words: ['apple'] }).expect(403);
+      await request(app).delete(`/api/decks/${id}`).set('Authorization', auth).expect(403);
+    });
+
+    it('keeps words that are in a deck when the last user deletes them', async () => {
+      const word = await request(app).post('/api/words').set('Authorization', auth).send({ word: 'apple' }).expect(201);
+      await createDeck({ name: 'Fruit', words: ['apple'] });
+
+      await request(app).delete(`/api/words/${word.body.word._id}`).set('Authorization', auth).expect(200);
+
+      const apple = await Word.findOne({ word: 'apple' });
+      assert.deepEqual(apple.userIds, []);
+    });
+  });
+
+  describe('POST /api/decks/:id/clone', () => {
+    it('copies a public deck and adds its words to the user\'s vocabulary', async () => {
+      const { auth: otherAuth } = await createUser();
+      const shared = await createDeck({ name: 'Fruit', isPublic: true, words: ['apple', 'pear'] }, otherAuth);
+      await request(app).post('/api/words').set('Authorization', auth).send({ word: 'apple', note: 'my note' }).expect(201);
+
+      const res = await request(app).post(`/api/decks/${shared.body.deck._id}/clone`).set('Authorization', auth).expect(201);
+
+      assert.equal(res.body.deck.name, 'Fruit');
+      assert.equal(res.body.deck.isOwner, true);
+      assert.equal(res.body.deck.isPublic, false);
+      assert.equal(res.body.deck.wordCount, 2);
+      assert.equal(res.body.deck.clonedFrom, shared.body.deck._id);
+      assert.equal(res.body.added, 1);
+      assert.equal(res.body.alreadyPresent, 1);
+
+      const pear = await Word.findOne({ word: 'pear' });
+      assert.deepEqual(pear.userIds.map(String), [String(user._id)]);
+      const apple = await Word.findOne({ word: 'apple' });
+      assert.equal((await UserWord.findOne({ userId: user._id, wordId: pear._id })).source, 'Fruit');
+      assert.equal((await UserWord.findOne({ userId: user._id, wordId: apple._id })).note, 'my note');
+      assert.equal((await Deck.findById(shared.body.deck._id)).cloneCount, 1);
+    });
+
+    it('does not clone another user\'s private deck', async () => {
+      const { auth: otherAuth } = await createUser();
+      const hidden = await createDeck({ name: 'Hidden' }, otherAuth);
+
+      await request(app).post(`/api/decks/${hidden.body.deck._id}/clone`).set('Authorization', auth).expect(404);
+    });
+  });
+
+  describe('drawing words from a deck', () => {
+    it('returns random words from the deck only', async () => {
+      await Word.create({ word: 'run', userIds: [user._id], primaryPartOfSpeech: 'verb' });
+      const created = await createDeck({ name: 'Fruit', words: ['apple', 'pear', 'banana'] });
+      const id = created.body.deck._id;
+
+      const res = await request(app).get(`/api/words/random?count=5&deckId=${id}`).set('Authorization', auth).expect(200);
+
+      assert.deepEqual(res.body.words.map(word => word.word).sort(), ['apple', 'banana', 'pear']);
+      assert.equal(res.body.totalAvailable, 3);
+
+      await request(app).get(`/api/words/random?deckId=${new mongoose.Types.ObjectId()}`).set('Authorization', auth).expect(404);
+    });
+
+    it('generates a sentence with words drawn from the deck', async () => {
+      const created = await createDeck({ name: 'Fruit', words: ['apple', 'pear', 'banana'] });
+
+      const res = await request(app).post('/api/generate')
+        .set('Authorization', auth)
+        .send({ deckId: created.body.deck._id, wordCount: 2 })
+        .expect(201);
+
+      assert.equal(res.body.generation.words.length, 2);
+      assert.ok(res.body.generation.words.every(word => ['apple', 'pear', 'banana'].includes(word)));
+      assert.equal(await Generation.countDocuments(), 1);
+
+      await request(app).post('/api/generate')
+        .set('Authorization', auth)
+        .send({ deckId: created.body.deck._id, words: ['apple'] })
+        .expect(400);
+
+      const empty = await createDeck({ name: 'Empty' });
+      const res2 = await request(app).post('/api/generate').set('Authorization', auth).send({ deckId: empty.body.deck._id }).expect(400);
+      assert.equal(res2.body.message, t('decks.deckEmpty'));
+    });
+  });
+
+  describe('built-in decks', () => {
+    it('seeds public decks from the deck files and replaces their words when seeded again', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'decks-'));
+      const file = path.join(dir, 'starter.txt');
+      fs.writeFileSync(file, '# name: Starter\n# description: First words\napple\nran\nabc1\n');
+
+      let seeded = await deckService.seedBuiltInDecks(dir);
+      assert.deepEqual(seeded, [{ key: 'starter', name: 'Starter', wordCount: 2, skipped: 1 }]);
+
+      fs.writeFileSync(file, '# name: Starter\npear\n');
+      seeded = await deckService.seedBuiltInDecks(dir);
+      assert.equal(seeded[0].wordCount, 1);
+      fs.rmSync(dir, { recursive: true, force: true });
+
+      const res = await request(app).get('/api/decks/public').set('Authorization', auth).expect(200);
+      assert.equal(res.body.decks.length, 1);
+      assert.equal(res.body.decks[0].builtIn, true);
+      assert.equal(res.body.decks[0].isOwner, false);
+      assert.equal(res.body.decks[0].wordCount, 1);
+
+      await request(app).put(`/api/decks/${res.body.decks[0]._id}`).set('Authorization', auth).send({ name: 'Mine' }).expect(403);
+    });
+  });
+});
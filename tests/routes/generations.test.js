@@ -0,0 +1,392 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { startTestApp, stopTestApp, resetState, createUser, getMockProvider, parseEvents, t } = require('../helpers/testApp');
+const Generation = require('../../src/models/Generation');
+const SentenceCheck = require('../../src/models/SentenceCheck');
+const FollowupMessage = require('../../src/models/FollowupMessage');
+const TokenUsageSummary = require('../../src/models/TokenUsageSummary');
+const Word = require('../../src/models/Word');
+const { getUTC8PeriodKeys } = require('../../src/utils/timeUtils');
+
+describe('Generation routes', () => {
+  let app;
+  let user;
+  let auth;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(stopTestApp);
+
+  beforeEach(async () => {
+    await resetState();
+    ({ user, auth } = await createUser());
+  });
+
+  const createGeneration = (fields = {}) => Generation.create({
+    userId: user._id,
+    words: ['apple'],
+    sentence: 'I ate an apple.',
+    explanation: 'Simple past tense.',
+    chineseTranslation: '我吃了一个苹果。',
+    aiModel: 'mock-light',
+    ...fields
+  });
+
+  describe('POST /api/generate', () => {
+    it('generates, saves and returns a sentence', async () => {
+      await Word.create({ word: 'apple', userIds: [user._id] });
+
+      const res = await request(app).post('/api/generate')
+        .set('Authorization', auth)
+        .send({ words: ['Apple', 'run'], isPublic: false })
+        .expect(201);
+
+      const { generation } = res.body;
+      assert.equal(res.body.success, true);
+      assert.equal(res.body.partialParse, false);
+      assert.deepEqual(generation.words, ['apple', 'run']);
+      assert.match(generation.sentence, /apple/);
+      assert.ok(generation.explanation.length > 0);
+      assert.ok(generation.chineseTranslation.length > 0);
+      assert.equal(generation.isPublic, false);
+      assert.equal(generation.aiModel, 'mock-light');
+      assert.equal(generation.userId.username, user.username);
+      assert.equal(generation.attempts.length, 1);
+      assert.ok(generation.usage.totalTokens > 0);
+
+      assert.equal(await Generation.countDocuments({ userId: user._id }), 1);
+      assert.equal((await Word.findOne({ word: 'apple' })).usageCount, 1);
+
+      // Platform key usage counts towards the quota
+      const today = await TokenUsageSummary.findOne({ userId: user._id, period: 'day' });
+      assert.equal(today.requestCount, 1);
+      assert.equal(today.platformTokens, generation.usage.totalTokens);
+    });
+
+    it('credits usage to words that appear in the sentence in an inflected form', async () => {
+      await Word.create({ word: 'run', userIds: [user._id] });
+      await Word.create({ word: 'mouse', userIds: [user._id] });
+
+      await request(app).post('/api/generate')
+        .set('Authorization', auth)
+        .send({ words: ['running', 'mice'] })
+        .expect(201);
+
+      assert.equal((await Word.findOne({ word: 'run' })).usageCount, 1);
+      assert.equal((await Word.findOne({ word: 'mouse' })).usageCount, 1);
+    });
+
+    it('generates with phrases and credits usage to phrases that appear in the sentence', async () => {
+      await Word.create({ word: 'take off', userIds: [user._id] });
+
+      const res = await request(app).post('/api/generate')
+        .set('Authorization', auth)
+        .send({ words: ['apple', 'Take  Off'] })
+        .expect(201);
+
+      assert.deepEqual(res.body.generation.words, ['apple', 'take off']);
+      assert.ok(res.body.generation.sentence.includes('take off'));
+      assert.equal((await Word.findOne({ word: 'take off' })).usageCount, 1);
+    });
+
+    it('returns JSON output with grammar points when requested', async () => {
+      const res = await request(app).post('/api/generate')
+        .set('Authorization', auth)
+        .send({ words: ['apple'], outputFormat: 'json' })
+        .expect(201);
+
+      assert.equal(res.body.generation.outputFormat, 'json');
+      assert.ok(res.body.generation.grammarPoints.length > 0);
+    });
+
+    it('accepts a reply with a missing section', async () => {
+      getMockProvider().queueScenarios('partialParse');
+
+      const res = await request(app).post('/api/generate')
+        .set('Authorization', auth)
+        .send({ words: ['apple'], maxRetries: 1 })
+        .expect(201);
+
+      assert.equal(res.body.partialParse, true);
+      assert.match(res.body.generation.sentence, /apple/);
+      assert.equal(res.body.generation.chineseTranslation, '');
+      assert.deepEqual(res.body.generation.attempts.map(attempt => attempt.outcome), ['partialParse']);
+    });
+
+    it('retries after a provider error', async () => {
+      getMockProvider().queueScenarios('serverError');
+
+      const res = await request(app).post('/api/generate')
+        .set('Authorization', auth)
+        .send({ words: ['apple'], maxRetries: 2 })
+        .expect(201);
+
+      assert.deepEqual(res.body.generation.attempts.map(attempt => attempt.outcome), ['error', 'success']);
+    });
+
+    it('retries by default when maxRetries is not sent', async () => {
+      getMockProvider().queueScenarios('serverError');
+
+      const res = await request(app).post('/api/generate')
+        .set('Authorization', auth)
+        .send({ words: ['apple'] })
+        .expect(201);
+
+      assert.deepEqual(res.body.generation.attempts.map(attempt => attempt.outcome), ['error', 'success']);
+    });
+
+    it('reports a failure that cannot be retried', async () => {
+      getMockProvider().queueScenarios('unauthorized');
+
+      const res = await request(app).post('/api/generate')
+        .set('Authorization', auth)
+        .send({ words: ['apple'], maxRetries: 3 })
+        .expect(400);
+
+      assert.equal(res.body.success, false);
+      assert.equal(res.body.retryable, false);
+      assert.equal(res.body.attempts.length, 1);
+      assert.equal(await Generation.countDocuments(), 0);
+    });
+
+    it('streams thinking and sections before the saved generation', async () => {
+      const res = await request(app).post('/api/generate')
+        .set('Authorization', auth)
+        .send({ words: ['apple'], stream: true, enableThinking: true })
+        .expect(200)
+        .expect('Content-Type', /text\/event-stream/);
+
+      const events = parseEvents(res.text);
+      const names = events.map(event => event.event);
+
+      assert.equal(names[0], 'start');
+      assert.ok(names.includes('thinking'));
+      assert.deepEqual(events.filter(event => event.event === 'section').map(event => event.data.name),
+        ['SENTENCE', 'GRAMMAR_ANALYSIS', 'CHINESE_TRANSLATION']);
+      assert.equal(names[names.length - 1], 'done');
+
+      const { generation } = events[events.length - 1].data;
+      assert.equal(generation.sentence, events.find(event => event.event === 'section').data.content);
+      assert.ok(await Generation.findById(generation._id));
+    });
+
+    it('sends a retry event when a streamed attempt fails', async () => {
+      getMockProvider().queueScenarios('serverError');
+
+      const res = await request(app).post('/api/generate')
+        .set('Authorization', auth)
+        .send({ words: ['apple'], stream: true, maxRetries: 2 })
+        .expect(200);
+
+      const names = parseEvents(res.text).map(event => event.event);
+      assert.ok(names.indexOf('retry') < names.indexOf('done'));
+    });
+
+    it('rejects users over their daily quota', async () => {
+      await TokenUsageSummary.create({
+        userId: user._id,
+        period: 'day',
+        periodKey: getUTC8PeriodKeys().day,
+        totalTokens: 100000,
+        platformTokens: 100000
+      });
+
+      const res = await request(app).post('/api/generate')
+        .set('Authorization', auth)
+        .send({ words: ['apple'] })
+        .expect(429);
+
+      assert.ok(Number(res.headers['retry-after']) > 0);
+      assert.equal(res.body.quota.period, 'day');
+      assert.equal(getMockProvider().requests.length, 0);
+    });
+
+    it('validates the request', async () => {
+      await request(app).post('/api/generate').send({ words: ['apple'] }).expect(401);
+      await request(app).post('/api/generate').set('Authorization', auth).send({ words: [] }).expect(400);
+      await request(app).post('/api/generate').set('Authorization', auth).send({ words: ['apple'], maxRetries: 11 }).expect(400);
+      await request(app).post('/api/generate').set('Authorization', auth).send({ words: ['apple'], outputFormat: 'xml' }).expect(400);
+      assert.equal(getMockProvider().requests.length, 0);
+    });
+  });
+
+  describe('GET /api/generations', () => {
+    it('lists the user\'s generations with pagination', async () => {
+      await createGeneration({ sentence: 'First.', createdAt: new Date(Date.now() - 60000) });
+      await createGeneration({ sentence: 'Second.', likeCount: 3 });
+      const { user: other } = await createUser();
+      await createGeneration({ userId: other._id });
+
+      let res = await request(app).get('/api/generations?limit=1').set('Authorization', auth).expect(200);
+      assert.deepEqual(res.body.generations.map(generation => generation.sentence), ['Second.']);
+      assert.deepEqual(res.body.pagination, { current: 1, total: 2, hasNext: true, totalGenerations: 2 });
+
+      res = await request(app).get('/api/generations?sortBy=liked').set('Authorization', auth).expect(200);
+      assert.deepEqual(res.body.generations.map(generation => generation.sentence), ['Second.', 'First.']);
+    });
+  });
+
+  describe('GET /api/generations/:id', () => {
+    it('shows public generations to everyone', async () => {
+      const generation = await createGeneration({ isPublic: true });
+
+      const res = await request(app).get(`/api/generations/${generation._id}`).expect(200);
+
+      assert.equal(res.body.generation.sentence, 'I ate an apple.');
+      assert.equal(res.body.generation.userId.username, user.username);
+    });
+
+    it('shows private generations only to their owner', async () => {
+      const generation = await createGeneration({ isPublic: false });
+      const { auth: otherAuth } = await createUser();
+
+      await request(app).get(`/api/generations/${generation._id}`).set('Authorization', auth).expect(200);
+      await request(app).get(`/api/generations/${generation._id}`).set('Authorization', otherAuth).expect(404);
+      const res = await request(app).get(`/api/generations/${generation._id}`).expect(404);
+      assert.equal(res.body.message, t('generations.generationNotFound'));
+    });
+
+    it('rejects an invalid ID', async () => {
+      await request(app).get('/api/generations/not-an-id').expect(400);
+    });
+  });
+
+  describe('POST /api/generations/:id/like', () => {
+    it('toggles a like', async () => {
+      const generation = await createGeneration({ isPublic: true });
+      const { auth: otherAuth } = await createUser();
+
+      let res = await request(app).post(`/api/generations/${generation._id}/like`).set('Authorization', otherAuth).expect(200);
+      assert.equal(res.body.liked, true);
+      assert.equal(res.body.likeCount, 1);
+
+      res = await request(app).post(`/api/generations/${generation._id}/like`).set('Authorization', auth).expect(200);
+      assert.equal(res.body.likeCount, 2);
+
+      res = await request(app).post(`/api/generations/${generation._id}/like`).set('Authorization', otherAuth).expect(200);
+      assert.equal(res.body.liked, false);
+      assert.equal(res.body.likeCount, 1);
+    });
+
+    it('only allows liking public generations', async () => {
+      const generation = await createGeneration({ isPublic: false });
+
+      await request(app).post(`/api/generations/${generation._id}/like`).set('Authorization', auth).expect(404);
+      await request(app).post(`/api/generations/${generation._id}/like`).expect(401);
+    });
+  });
+
+  describe('PUT /api/generations/:id/privacy', () => {
+    it('changes the visibility of the user\'s generation', async () => {
+      const generation = await createGeneration({ isPublic: true });
+
+      const res = await request(app).put(`/api/generations/${generation._id}/privacy`)
+        .set('Authorization', auth)
+        .send({ isPublic: false })
+        .expect(200);
+
+      assert.equal(res.body.generation.isPublic, false);
+      await request(app).get(`/api/generations/${generation._id}`).expect(404);
+    });
+
+    it('rejects invalid requests and other users', async () => {
+      const generation = await createGeneration();
+      const { auth: otherAuth } = await createUser();
+
+      await request(app).put(`/api/generations/${generation._id}/privacy`).set('Authorization', auth).send({ isPublic: 'no' }).expect(400);
+      await request(app).put(`/api/generations/${generation._id}/privacy`).set('Authorization', otherAuth).send({ isPublic: false }).expect(404);
+    });
+  });
+
+  describe('Follow-up questions', () => {
+    it('answers questions and keeps the thread in order', async () => {
+      const generation = await createGeneration();
+      const url = `/api/generations/${generation._id}/followups`;
+
+      let res = await request(app).post(url).set('Authorization', auth).send({ question: 'Why is "ate" used?' }).expect(201);
+      assert.deepEqual(res.body.messages.map(message => message.role), ['user', 'assistant']);
+      assert.match(res.body.messages[1].content, /Why is "ate" used\?/);
+
+      await request(app).post(url).set('Authorization', auth).send({ question: 'Can I use "eat"?' }).expect(201);
+
+      res = await request(app).get(url).set('Authorization', auth).expect(200);
+      assert.equal(res.body.total, 4);
+      assert.equal(res.body.maxMessages, 40);
+      assert.deepEqual(res.body.messages.map(message => message.sequence), [1, 2, 3, 4]);
+    });
+
+    it('keeps threads private to the owner', async () => {
+      const generation = await createGeneration({ isPublic: true });
+      const { auth: otherAuth } = await createUser();
+      const url = `/api/generations/${generation._id}/followups`;
+
+      await request(app).get(url).set('Authorization', otherAuth).expect(404);
+      await request(app).post(url).set('Authorization', otherAuth).send({ question: 'Why?' }).expect(404);
+    });
+
+    it('rejects a question once the thread is full', async () => {
+      const generation = await createGeneration();
+      await FollowupMessage.insertMany(Array.from({ length: 40 }, (_, index) => ({
+        userId: user._id,
+        targetType: 'Generation',
+        targetId: generation._id,
+        sequence: index + 1,
+        role: index % 2 === 0 ? 'user' : 'assistant',
+        content: `Message ${index + 1}`
+      })));
+
+      const res = await request(app).post(`/api/generations/${generation._id}/followups`)
+        .set('Authorization', auth)
+        .send({ question: 'One more?' })
+        .expect(400);
+
+      assert.equal(res.body.message, t('followups.threadLimitReached', { max: 40 }));
+    });
+
+    it('validates the question', async () => {
+      const generation = await createGeneration();
+
+      await request(app).post(`/api/generations/${generation._id}/followups`).set('Authorization', auth).send({ question: ' ' }).expect(400);
+    });
+  });
+
+  describe('DELETE /api/generations/:id', () => {
+    it('deletes the generation and its follow-up thread', async () => {
+      const generation = await createGeneration();
+      await request(app).post(`/api/generations/${generation._id}/followups`).set('Authorization', auth).send({ question: 'Why?' }).expect(201);
+
+      await request(app).delete(`/api/generations/${generation._id}`).set('Authorization', auth).expect(200);
+
+      assert.equal(await Generation.countDocuments(), 0);
+      assert.equal(await FollowupMessage.countDocuments(), 0);
+    });
+
+    it('does not delete another user\'s generation', async () => {
+      const generation = await createGeneration();
+      const { auth: otherAuth } = await createUser();
+
+      await request(app).delete(`/api/generations/${generation._id}`).set('Authorization', otherAuth).expect(404);
+      assert.equal(await Generation.countDocuments(), 1);
+    });
+  });
+
+  describe('DELETE /api/generations/all', () => {
+    it('deletes the user\'s generations and sentence checks', async () => {
+      await createGeneration();
+      await createGeneration();
+      await SentenceCheck.create({ userId: user._id, originalSentence: 'She go to school.' });
+      const { user: other } = await createUser();
+      await createGeneration({ userId: other._id });
+
+      const res = await request(app).delete('/api/generations/all').set('Authorization', auth).expect(200);
+
+      assert.equal(res.body.deletedGenerations, 2);
+      assert.equal(res.body.deletedSentenceChecks, 1);
+      assert.equal(res.body.totalDeleted, 3);
+      assert.equal(await Generation.countDocuments(), 1);
+    });
+  });
+});
@@ -0,0 +1,225 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { startTestApp, stopTestApp, resetState, createUser, t } = require('../helpers/testApp');
+const config = require('../../src/config/config');
+const Generation = require('../../src/models/Generation');
+const SentenceCheck = require('../../src/models/SentenceCheck');
+const Comment = require('../../src/models/Comment');
+const Report = require('../../src/models/Report');
+const ModerationLog = require('../../src/models/ModerationLog');
+
+describe('Report and moderation routes', () => {
+  let app;
+  let owner;
+  let ownerAuth;
+  let auth;
+  let moderatorAuth;
+  let generation;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(stopTestApp);
+
+  beforeEach(async () => {
+    await resetState();
+    config.moderation.reportHideThreshold = 3;
+    ({ user: owner, auth: ownerAuth } = await createUser());
+    ({ auth } = await createUser());
+    ({ auth: moderatorAuth } = await createUser({ role: 'moderator' }));
+    generation = await Generation.create({ userId: owner._id, words: ['apple'], sentence: 'I ate an apple.', isPublic: true });
+  });
+
+  const report = (fields, authorization = auth) => request(app)
+    .post('/api/reports')
+    .set('Authorization', authorization)
+    .send({ targetType: 'Generation', targetId: String(generation._id), reason: 'spam', ...fields });
+
+  const moderate = (action, fields = {}, authorization = moderatorAuth) => request(app)
+    .post('/api/moderation/actions')
+    .set('Authorization', authorization)
+    .send({ targetType: 'Generation', targetId: String(generation._id), action, ...fields });
+
+  const publicSentences = async () => (await request(app).get('/api/generations/public').expect(200))
+    .body.generations.map(entry => entry.sentence);
+
+  describe('POST /api/reports', () => {
+    it('reports content once per user', async () => {
+      const res = await report({ details: 'Advertising a website' }).expect(201);
+      assert.equal(res.body.message, t('reports.reportSubmitted'));
+      assert.equal(res.body.report.reason, 'spam');
+      assert.equal(res.body.report.status, 'open');
+
+      const again = await report({ reason: 'hate' }).expect(400);
+      assert.equal(again.body.message, t('reports.alreadyReported'));
+      assert.equal(await Report.countDocuments(), 1);
+    });
+
+    it('validates reports', async () => {
+      await request(app).post('/api/reports').send({}).expect(401);
+      await report({ reason: 'boring' }).expect(400);
+      await report({ targetType: 'Word' }).expect(400);
+
+      let res = await report({}, ownerAuth).expect(400);
+      assert.equal(res.body.message, t('reports.cannotReportOwn'));
+
+      await Generation.updateOne({ _id: generation._id }, { isPublic: false });
+      res = await report().expect(404);
+      assert.equal(res.body.message, t('generations.generationNotFound'));
+    });
+
+    it('reports sentence checks and comments', async () => {
+      const check = await SentenceCheck.create({ userId: owner._id, originalSentence: 'She go to school.', isPublic: true });
+      await report({ targetType: 'SentenceCheck', targetId: String(check._id), reason: 'harassment' }).expect(201);
+      await moderate('hide', { targetType: 'SentenceCheck', targetId: String(check._id) }).expect(200);
+      const res = await request(app).get('/api/checks/public').expect(200);
+      assert.equal(res.body.sentenceChecks.length, 0);
+
+      const comment = await Comment.create({ userId: owner._id, targetType: 'Generation', targetId: generation._id, content: 'Rude words' });
+      await report({ targetType: 'Comment', targetId: String(comment._id), reason: 'hate' }).expect(201);
+    });
+
+    it('lists the report reasons', async () => {
+      const res = await request(app).get('/api/reports/reasons').expect(200);
+      assert.ok(res.body.reasons.some(reason => reason.value === 'spam' && reason.label === t('reports.reasons.spam')));
+    });
+  });
+
+  describe('Automatic hiding', () => {
+    it('hides content once the report threshold is reached', async () => {
+      await report().expect(201);
+      await report({}, (await createUser()).auth).expect(201);
+      assert.deepEqual(await publicSentences(), ['I ate an apple.']);
+
+      await report({ reason: 'hate' }, (await createUser()).auth).expect(201);
+
+      assert.deepEqual(await publicSentences(), []);
+      await request(app).get(`/api/generations/${generation._id}`).set('Authorization', auth).expect(404);
+      await request(app).post(`/api/generations/${generation._id}/like`).set('Authorization', auth).expect(404);
+
+      // The owner still sees it
+      await request(app).get(`/api/generations/${generation._id}`).set('Authorization', ownerAuth).expect(200);
+
+      const [entry] = (await request(app).get('/api/moderation/log').set('Authorization', moderatorAuth).expect(200)).body.log;
+      assert.equal(entry.action, 'autoHide');
+      assert.equal(entry.moderatorId, undefined);
+      assert.equal(entry.reportCount, 3);
+    });
+
+    it('can be turned off', async () => {
+      config.moderation.reportHideThreshold = 0;
+      for (let i = 0; i < 3; i++) {
+        await report({}, (await createUser()).auth).expect(201);
+      }
+      assert.deepEqual(await publicSentences(), ['I ate an apple.']);
+    });
+  });
+
+  describe('Moderation', () => {
+    it('is only for moderators', async () => {
+      const res = await request(app).get('/api/moderation/queue').set('Authorization', auth).expect(403);
+      assert.equal(res.body.message, t('moderation.moderatorOnly'));
+      await moderate('hide', {}, auth).expect(403);
+      await request(app).get('/api/moderation/log').expect(401);
+    });
+
+    it('lists reported content, most reported first', async () => {
+      const other = await Generation.create({ userId: owner._id, words: ['pear'], sentence: 'A pear.', isPublic: true });
+      await report({ details: 'Spam link' }).expect(201);
+      await report({ reason: 'hate' }, (await createUser()).auth).expect(201);
+      await report({ targetId: String(other._id) }).expect(201);
+
+      const res = await request(app).get('/api/moderation/queue').set('Authorization', moderatorAuth).expect(200);
+      assert.deepEqual(res.body.queue.map(entry => entry.target.sentence), ['I ate an apple.', 'A pear.']);
+      assert.equal(res.body.queue[0].reportCount, 2);
+      assert.deepEqual(res.body.queue[0].reasons, { spam: 1, hate: 1 });
+      assert.deepEqual(res.body.queue[0].details, ['Spam link']);
+      assert.equal(res.body.queue[0].target.userId.username, owner.username);
+      assert.equal(res.body.pagination.totalEntries, 2);
+    });
+
+    it('hides and restores content, closing its reports, with an audit trail', async () => {
+      await report().expect(201);
+
+      let res = await moderate('hide', { note: 'Spam' }).expect(200);
+      assert.equal(res.body.message, t('moderation.hideSuccess'));
+      assert.equal(res.body.log.reportCount, 1);
+      assert.deepEqual(await publicSentences(), []);
+      assert.equal((await Report.findOne()).status, 'resolved');
+
+      res = await request(app).get('/api/moderation/queue').set('Authorization', moderatorAuth).expect(200);
+      assert.equal(res.body.queue.length, 0);
+
+      await moderate('restore').expect(200);
+      assert.deepEqual(await publicSentences(), ['I ate an apple.']);
+
+      res = await request(app).get(`/api/moderation/log?targetId=${generation._id}`).set('Authorization', moderatorAuth).expect(200);
+      assert.deepEqual(res.body.log.map(entry => entry.action), ['restore', 'hide']);
+      assert.equal(res.body.log[1].note, 'Spam');
+      assert.ok(res.body.log[1].moderatorId.username);
+      assert.equal(res.body.log[1].targetUserId.username, owner.username);
+    });
+
+    it('dismisses reports when content is restored', async () => {
+      await report().expect(201);
+      await moderate('restore').expect(200);
+      assert.equal((await Report.findOne()).status, 'dismissed');
+
+      // New reports count again from zero
+      await report({}, (await createUser()).auth).expect(201);
+      assert.deepEqual(await publicSentences(), ['I ate an apple.']);
+    });
+
+    it('deletes content and its comments', async () => {
+      await Comment.create({ userId: owner._id, targetType: 'Generation', targetId: generation._id, content: 'Hi' });
+      await report().expect(201);
+
+      await moderate('delete').expect(200);
+      assert.equal(await Generation.countDocuments(), 0);
+      assert.equal(await Comment.countDocuments(), 0);
+
+      await moderate('hide').expect(404);
+      assert.equal(await ModerationLog.countDocuments({ action: 'delete' }), 1);
+    });
+
+    it('hides reported comments', async () => {
+      const comment = await Comment.create({ userId: owner._id, targetType: 'Generation', targetId: generation._id, content: 'Rude words' });
+      await moderate('hide', { targetType: 'Comment', targetId: String(comment._id) }).expect(200);
+
+      const res = await request(app).get(`/api/generations/${generation._id}/comments`).expect(200);
+      assert.equal(res.body.comments.length, 0);
+    });
+  });
+
+  describe('Statistics', () => {
+    it('leaves hidden content out of public statistics and profile counts', async () => {
+      await moderate('hide').expect(200);
+
+      let res = await request(app).get('/api/generations/public/stats').expect(200);
+      assert.equal(res.body.statistics.totalGenerations, 0);
+      res = await request(app).get('/api/statistics').expect(200);
+      assert.equal(res.body.statistics.totalGenerations, 0);
+      res = await request(app).get(`/api/users/${owner.username}`).expect(200);
+      assert.equal(res.body.profile.stats.publicGenerations, 0);
+    });
+  });
+
+  describe('Search and bookmarks', () => {
+    it('leaves hidden content out of search and shows hidden bookmarks as tombstones', async () => {
+      await request(app).post('/api/me/bookmarks').set('Authorization', auth)
+        .send({ targetType: 'Generation', targetId: String(generation._id) }).expect(201);
+      await moderate('hide').expect(200);
+
+      let res = await request(app).get('/api/search?q=apple').expect(200);
+      assert.equal(res.body.results.length, 0);
+      res = await request(app).get('/api/search?q=apple').set('Authorization', ownerAuth).expect(200);
+      assert.equal(res.body.results.length, 1);
+
+      res = await request(app).get('/api/me/bookmarks').set('Authorization', auth).expect(200);
+      assert.equal(res.body.bookmarks[0].unavailable, true);
+      assert.equal(res.body.bookmarks[0].notice, t('bookmarks.itemHidden'));
+    });
+  });
+});
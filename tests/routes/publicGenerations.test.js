@@ -0,0 +1,79 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { startTestApp, stopTestApp, resetState, createUser } = require('../helpers/testApp');
+const Generation = require('../../src/models/Generation');
+
+describe('Public generation routes', () => {
+  let app;
+  let user;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(stopTestApp);
+
+  beforeEach(async () => {
+    await resetState();
+    ({ user } = await createUser());
+  });
+
+  const createGeneration = (fields) => Generation.create({
+    userId: user._id,
+    words: ['apple'],
+    sentence: 'I ate an apple.',
+    isPublic: true,
+    ...fields
+  });
+
+  describe('GET /api/generations/public', () => {
+    it('lists public generations without authentication', async () => {
+      const old = await createGeneration({ sentence: 'Old and liked.', likeCount: 2 });
+      await Generation.updateOne({ _id: old._id }, { $set: { createdAt: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000) } }, { timestamps: false });
+      await createGeneration({ sentence: 'New.' });
+      await createGeneration({ sentence: 'Private.', isPublic: false });
+
+      let res = await request(app).get('/api/generations/public').expect(200);
+      assert.deepEqual(res.body.generations.map(generation => generation.sentence), ['New.', 'Old and liked.']);
+      assert.equal(res.body.generations[0].userId.username, user.username);
+      assert.equal(res.body.pagination.totalGenerations, 2);
+
+      res = await request(app).get('/api/generations/public?sortBy=liked').expect(200);
+      assert.deepEqual(res.body.generations.map(generation => generation.sentence), ['Old and liked.', 'New.']);
+
+      // Two likes (20 points) outweigh the recency boost (5 points)
+      res = await request(app).get('/api/generations/public?sortBy=trending').expect(200);
+      assert.deepEqual(res.body.generations.map(generation => generation.sentence), ['Old and liked.', 'New.']);
+      assert.equal(res.body.generations[0].trendingScore, undefined);
+
+      res = await request(app).get('/api/generations/public?limit=1&page=2').expect(200);
+      assert.deepEqual(res.body.generations.map(generation => generation.sentence), ['Old and liked.']);
+      assert.equal(res.body.pagination.hasNext, false);
+    });
+
+    it('validates the query', async () => {
+      await request(app).get('/api/generations/public?limit=51').expect(400);
+      await request(app).get('/api/generations/public?page=0').expect(400);
+      await request(app).get('/api/generations/public?sortBy=random').expect(400);
+    });
+  });
+
+  describe('GET /api/generations/public/stats', () => {
+    it('summarizes public generations', async () => {
+      await createGeneration({ words: ['apple', 'run'], likeCount: 2 });
+      await createGeneration({ words: ['pear'], likeCount: 1 });
+      await createGeneration({ words: ['secret'], isPublic: false, likeCount: 5 });
+
+      const res = await request(app).get('/api/generations/public/stats').expect(200);
+
+      assert.deepEqual(res.body.statistics, { totalGenerations: 2, totalWords: 3, totalLikes: 3 });
+    });
+
+    it('returns zeros when there is nothing public', async () => {
+      const res = await request(app).get('/api/generations/public/stats').expect(200);
+
+      assert.deepEqual(res.body.statistics, { totalGenerations: 0, totalWords: 0, totalLikes: 0 });
+    });
+  });
+});
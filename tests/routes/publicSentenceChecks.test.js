@@ -0,0 +1,65 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { startTestApp, stopTestApp, resetState, createUser } = require('../helpers/testApp');
+const SentenceCheck = require('../../src/models/SentenceCheck');
+
+describe('Public sentence check routes', () => {
+  let app;
+  let user;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(stopTestApp);
+
+  beforeEach(async () => {
+    await resetState();
+    ({ user } = await createUser());
+  });
+
+  const createCheck = (fields) => SentenceCheck.create({
+    userId: user._id,
+    originalSentence: 'She go to school.',
+    isPublic: true,
+    ...fields
+  });
+
+  describe('GET /api/checks/public', () => {
+    it('lists public checks without authentication', async () => {
+      await createCheck({ originalSentence: 'Liked.', likeCount: 4, createdAt: new Date(Date.now() - 60000) });
+      await createCheck({ originalSentence: 'Recent.' });
+      await createCheck({ originalSentence: 'Private.', isPublic: false });
+
+      let res = await request(app).get('/api/checks/public').expect(200);
+      assert.deepEqual(res.body.sentenceChecks.map(check => check.originalSentence), ['Recent.', 'Liked.']);
+      assert.equal(res.body.sentenceChecks[0].userId.username, user.username);
+      assert.equal(res.body.pagination.totalChecks, 2);
+
+      res = await request(app).get('/api/checks/public?sortBy=liked').expect(200);
+      assert.deepEqual(res.body.sentenceChecks.map(check => check.originalSentence), ['Liked.', 'Recent.']);
+
+      res = await request(app).get('/api/checks/public?sortBy=trending&limit=1').expect(200);
+      assert.deepEqual(res.body.sentenceChecks.map(check => check.originalSentence), ['Liked.']);
+      assert.equal(res.body.pagination.hasNext, true);
+    });
+
+    it('validates the query', async () => {
+      await request(app).get('/api/checks/public?limit=0').expect(400);
+      await request(app).get('/api/checks/public?sortBy=oldest').expect(400);
+    });
+  });
+
+  describe('GET /api/checks/public/stats', () => {
+    it('summarizes public checks', async () => {
+      await createCheck({ originalSentence: 'abcd', likeCount: 1 });
+      await createCheck({ originalSentence: 'abcdefgh', likeCount: 2 });
+      await createCheck({ originalSentence: 'private', isPublic: false, likeCount: 5 });
+
+      const res = await request(app).get('/api/checks/public/stats').expect(200);
+
+      assert.deepEqual(res.body.statistics, { totalChecks: 2, totalLikes: 3, avgSentenceLength: 6 });
+    });
+  });
+});
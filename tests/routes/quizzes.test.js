@@ -0,0 +1,292 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { startTestApp, stopTestApp, resetState, createUser, t } = require('../helpers/testApp');
+const Word = require('../../src/models/Word');
+const UserWord = require('../../src/models/UserWord');
+const Generation = require('../../src/models/Generation');
+const Quiz = require('../../src/models/Quiz');
+const WordQuizStat = require('../../src/models/WordQuizStat');
+
+describe('Quiz routes', () => {
+  let app;
+  let user;
+  let auth;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(stopTestApp);
+
+  beforeEach(async () => {
+    await resetState();
+    ({ user, auth } = await createUser());
+  });
+
+  const createWords = (words, userIds = [user._id]) => Word.create(words.map(([word, primaryPartOfSpeech]) => ({
+    word,
+    primaryPartOfSpeech,
+    primaryDefinition: `definition of ${word}`,
+    definitions: [{ text: `definition of ${word}`, partOfSpeech: primaryPartOfSpeech }],
+    userIds
+  })));
+
+  const WORDS = [['apple', 'noun'], ['run', 'verb'], ['quick', 'adjective'], ['pear', 'noun'], ['slowly', 'adverb']];
+
+  it('requires authentication', async () => {
+    await request(app).get('/api/quizzes').expect(401);
+    await request(app).post('/api/quizzes').send({}).expect(401);
+  });
+
+  describe('POST /api/quizzes', () => {
+    it('asks for definitions and parts of speech without showing the answers', async () => {
+      await createWords(WORDS);
+
+      const res = await request(app).post('/api/quizzes')
+        .set('Authorization', auth)
+        .send({ count: 3, types: ['definition'] })
+        .expect(201);
+
+      const { quiz } = res.body;
+      assert.equal(quiz.questions.length, 3);
+      assert.equal(quiz.status, 'inProgress');
+      assert.deepEqual(quiz.score, { correct: 0, answered: 0, total: 3, percent: 0 });
+      quiz.questions.forEach((question, index) => {
+        assert.equal(question.index, index);
+        assert.equal(question.type, 'definition');
+        assert.equal(question.prompt, question.word);
+        assert.equal(question.options.length, 4);
+        assert.ok(question.options.includes(`definition of ${question.word}`));
+        assert.equal(question.answer, undefined);
+      });
+
+      const posRes = await request(app).post('/api/quizzes')
+        .set('Authorization', auth)
+        .send({ types: ['partOfSpeech'] })
+        .expect(201);
+
+      assert.equal(posRes.body.quiz.questions.length, 5);
+      const question = posRes.body.quiz.questions.find(entry => entry.word === 'run');
+      assert.ok(question.options.includes('verb'));
+      assert.deepEqual(question.optionsTranslated, question.options.map(option => t(`words.${option}`)));
+    });
+
+    it('blanks the word in the user\'s own sentences and asks for the word of a translation or gloss', async () => {
+      const [, run, quick] = await createWords(WORDS);
+      await Generation.create({
+        userId: user._id,
+        words: ['run'],
+        sentence: 'The children ran to the station.',
+        chineseTranslation: '孩子们跑到了车站。'
+      });
+      await UserWord.create({ userId: user._id, wordId: quick._id, chineseGloss: '快的' });
+
+      let res = await request(app).post('/api/quizzes')
+        .set('Authorization', auth)
+        .send({ types: ['cloze'], wordIds: [run._id.toString()] })
+        .expect(201);
+
+      let [question] = res.body.quiz.questions;
+      assert.equal(question.type, 'cloze');
+      assert.equal(question.prompt, 'The children _____ to the station.');
+      assert.ok(question.options.includes('run'));
+      assert.equal(question.word, undefined);
+      assert.equal(question.wordId, undefined);
+
+      res = await request(app).post('/api/quizzes')
+        .set('Authorization', auth)
+        .send({ types: ['reverse'], wordIds: [run._id.toString(), quick._id.toString()] })
+        .expect(201);
+
+      const prompts = res.body.quiz.questions.map(entry => entry.prompt).sort();
+      assert.deepEqual(prompts, ['孩子们跑到了车站。', '快的']);
+      const stored = await Quiz.findById(res.body.quiz._id);
+      stored.questions.forEach(entry => assert.equal(entry.options[entry.answer], entry.word));
+    });
+
+    it('reports when no question can be built', async () => {
+      let res = await request(app).post('/api/quizzes').set('Authorization', auth).send({}).expect(400);
+      assert.equal(res.body.message, t('quizzes.notEnoughWords'));
+
+      // No sentences to blank the words in
+      await createWords(WORDS);
+      res = await request(app).post('/api/quizzes').set('Authorization', auth).send({ types: ['cloze'] }).expect(400);
+      assert.equal(res.body.message, t('quizzes.notEnoughWords'));
+    });
+
+    it('only quizzes the user\'s own words', async () => {
+      const { user: other } = await createUser();
+      const [otherWord] = await createWords([['banana', 'noun']], [other._id]);
+      await createWords(WORDS);
+
+      const res = await request(app).post('/api/quizzes')
+        .set('Authorization', auth)
+        .send({ wordIds: [otherWord._id.toString()] })
+        .expect(400);
+
+      assert.equal(res.body.message, t('quizzes.notEnoughWords'));
+    });
+
+    it('validates the request', async () => {
+      await request(app).post('/api/quizzes').set('Authorization', auth).send({ count: 0 }).expect(400);
+      await request(app).post('/api/quizzes').set('Authorization', auth).send({ count: 51 }).expect(400);
+      await request(app).post('/api/quizzes').set('Authorization', auth).send({ types: ['spelling'] }).expect(400);
+      await request(app).post('/api/quizzes').set('Authorization', auth).send({ wordIds: ['not-an-id'] }).expect(400);
+    });
+  });
+
+  describe('POST /api/quizzes/:id/answers', () => {
+    let quizId;
+    let stored;
+
+    beforeEach(async () => {
+      await createWords(WORDS);
+      const res = await request(app).post('/api/quizzes')
+        .set('Authorization', auth)
+        .send({ count: 3, types: ['definition'] })
+        .expect(201);
+      quizId = res.body.quiz._id;
+      stored = await Quiz.findById(quizId);
+    });
+
+    const wrongAnswer = (question) => (question.answer + 1) % question.options.length;
+
+    it('scores the answers, reveals them and completes the quiz', async () => {
+      const [first, second, third] = stored.questions;
+
+      let res = await request(app).post(`/api/quizzes/${quizId}/answers`)
+        .set('Authorization', auth)
+        .send({ answers: [{ question: 0, answer: first.answer }, { question: 1, answer: wrongAnswer(second) }] })
+        .expect(200);
+
+      assert.deepEqual(res.body.results, [
+        { question: 0, isCorrect: true, answer: first.answer },
+        { question: 1, isCorrect: false, answer: second.answer }
+      ]);
+      assert.equal(res.body.quiz.status, 'inProgress');
+      assert.deepEqual(res.body.quiz.score, { correct: 1, answered: 2, total: 3, percent: 33 });
+      assert.equal(res.body.quiz.questions[1].response, wrongAnswer(second));
+      assert.equal(res.body.quiz.questions[1].answer, second.answer);
+      assert.equal(res.body.quiz.questions[2].answer, undefined);
+
+      res = await request(app).post(`/api/quizzes/${quizId}/answers`)
+        .set('Authorization', auth)
+        .send({ answers: [{ question: 2, answer: third.answer }] })
+        .expect(200);
+
+      assert.equal(res.body.quiz.status, 'completed');
+      assert.ok(res.body.quiz.completedAt);
+      assert.deepEqual(res.body.quiz.score, { correct: 2, answered: 3, total: 3, percent: 67 });
+
+      res = await request(app).post(`/api/quizzes/${quizId}/answers`)
+        .set('Authorization', auth)
+        .send({ answers: [{ question: 0, answer: 0 }] })
+        .expect(400);
+      assert.equal(res.body.message, t('quizzes.quizCompleted'));
+    });
+
+    it('keeps per-word results that feed the word stats', async () => {
+      const [first, second] = stored.questions;
+      await request(app).post(`/api/quizzes/${quizId}/answers`)
+        .set('Authorization', auth)
+        .send({ answers: [{ question: 0, answer: first.answer }, { question: 1, answer: wrongAnswer(second) }] })
+        .expect(200);
+
+      const stat = await WordQuizStat.findOne({ userId: user._id, wordId: second.wordId });
+      assert.equal(stat.attempts, 1);
+      assert.equal(stat.correct, 0);
+      assert.equal(stat.lastCorrect, false);
+
+      let res = await request(app).get(`/api/words/${second.wordId}`).set('Authorization', auth).expect(200);
+      assert.equal(res.body.word.quiz.attempts, 1);
+      assert.equal(res.body.word.quiz.accuracy, 0);
+
+      // A second quiz on the same word makes it one of the weakest words
+      const quizRes = await request(app).post('/api/quizzes')
+        .set('Authorization', auth)
+        .send({ types: ['definition'], wordIds: [second.wordId.toString()] })
+        .expect(201);
+      const next = await Quiz.findById(quizRes.body.quiz._id);
+      await request(app).post(`/api/quizzes/${next._id}/answers`)
+        .set('Authorization', auth)
+        .send({ answers: [{ question: 0, answer: next.questions[0].answer }] })
+        .expect(200);
+
+      res = await request(app).get('/api/words/stats').set('Authorization', auth).expect(200);
+      const { quiz } = res.body.stats;
+      assert.equal(quiz.completedQuizzes, 1);
+      assert.equal(quiz.answeredQuestions, 3);
+      assert.equal(quiz.correctAnswers, 2);
+      assert.equal(quiz.accuracy, 67);
+      assert.deepEqual(quiz.weakestWords.map(word => [word.word, word.attempts, word.accuracy]), [[second.word, 2, 50]]);
+    });
+
+    it('rejects answers to answered questions and missing options', async () => {
+      const [first] = stored.questions;
+      await request(app).post(`/api/quizzes/${quizId}/answers`)
+        .set('Authorization', auth)
+        .send({ answers: [{ question: 0, answer: first.answer }] })
+        .expect(200);
+
+      let res = await request(app).post(`/api/quizzes/${quizId}/answers`)
+        .set('Authorization', auth)
+        .send({ answers: [{ question: 0, answer: first.answer }] })
+        .expect(400);
+      assert.equal(res.body.message, t('quizzes.questionAlreadyAnswered', { question: 0 }));
+
+      res = await request(app).post(`/api/quizzes/${quizId}/answers`)
+        .set('Authorization', auth)
+        .send({ answers: [{ question: 1, answer: 4 }] })
+        .expect(400);
+      assert.equal(res.body.message, t('quizzes.invalidAnswer', { question: 1 }));
+
+      await request(app).post(`/api/quizzes/${quizId}/answers`)
+        .set('Authorization', auth)
+        .send({ answers: [{ question: 3, answer: 0 }] })
+        .expect(400);
+      await request(app).post(`/api/quizzes/${quizId}/answers`)
+        .set('Authorization', auth)
+        .send({ answers: [{ question: 1, answer: 0 }, { question: 1, answer: 1 }] })
+        .expect(400);
+
+      const quiz = await Quiz.findById(quizId);
+      assert.equal(quiz.answeredCount, 1);
+    });
+
+    it('returns 404 for another user\'s quiz', async () => {
+      const { auth: otherAuth } = await createUser();
+
+      await request(app).post(`/api/quizzes/${quizId}/answers`)
+        .set('Authorization', otherAuth)
+        .send({ answers: [{ question: 0, answer: 0 }] })
+        .expect(404);
+      await request(app).get(`/api/quizzes/${quizId}`).set('Authorization', otherAuth).expect(404);
+    });
+  });
+
+  describe('GET /api/quizzes', () => {
+    it('lists the user\'s quizzes with their scores, newest first', async () => {
+      await createWords(WORDS);
+      const first = await request(app).post('/api/quizzes').set('Authorization', auth).send({ count: 1 }).expect(201);
+      const stored = await Quiz.findById(first.body.quiz._id);
+      await request(app).post(`/api/quizzes/${stored._id}/answers`)
+        .set('Authorization', auth)
+        .send({ answers: [{ question: 0, answer: stored.questions[0].answer }] })
+        .expect(200);
+      const second = await request(app).post('/api/quizzes').set('Authorization', auth).send({ count: 2 }).expect(201);
+
+      let res = await request(app).get('/api/quizzes').set('Authorization', auth).expect(200);
+      assert.deepEqual(res.body.quizzes.map(quiz => quiz._id), [second.body.quiz._id, first.body.quiz._id]);
+      assert.equal(res.body.quizzes[0].questions, undefined);
+      assert.deepEqual(res.body.quizzes[1].score, { correct: 1, answered: 1, total: 1, percent: 100 });
+      assert.equal(res.body.pagination.totalQuizzes, 2);
+
+      res = await request(app).get('/api/quizzes?status=completed').set('Authorization', auth).expect(200);
+      assert.deepEqual(res.body.quizzes.map(quiz => quiz._id), [first.body.quiz._id]);
+
+      res = await request(app).get(`/api/quizzes/${stored._id}`).set('Authorization', auth).expect(200);
+      assert.equal(res.body.quiz.questions[0].isCorrect, true);
+    });
+  });
+});
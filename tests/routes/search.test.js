@@ -0,0 +1,122 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { startTestApp, stopTestApp, resetState, createUser, t } = require('../helpers/testApp');
+const Generation = require('../../src/models/Generation');
+const SentenceCheck = require('../../src/models/SentenceCheck');
+
+describe('Search routes', () => {
+  let app;
+  let author;
+  let user;
+  let auth;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(stopTestApp);
+
+  beforeEach(async () => {
+    await resetState();
+    ({ user: author } = await createUser());
+    ({ user, auth } = await createUser());
+
+    await Generation.create([
+      {
+        userId: author._id,
+        words: ['albeit', 'reluctant'],
+        sentence: 'He agreed, albeit reluctantly, to join us.',
+        explanation: '"Albeit" means "although" and introduces a concession.',
+        aiModel: 'Qwen/Qwen3-8B',
+        grammarLanguageOption: 'pure',
+        likeCount: 2,
+        isPublic: true
+      },
+      {
+        userId: author._id,
+        words: ['wish'],
+        sentence: 'I wish I were taller.',
+        explanation: 'After "wish" the subjunctive "were" is used.',
+        aiModel: 'Qwen/Qwen3-14B',
+        grammarLanguageOption: 'combined',
+        isPublic: true
+      },
+      {
+        userId: user._id,
+        words: ['albeit'],
+        sentence: 'A private sentence, albeit a short one.',
+        isPublic: false
+      }
+    ]);
+    await SentenceCheck.create({
+      userId: author._id,
+      originalSentence: 'If I was you, I would go.',
+      grammarCorrection: 'Use the subjunctive: "If I were you".',
+      isPublic: true
+    });
+  });
+
+  const search = (query, authorization) => {
+    const req = request(app).get('/api/search').query(query);
+    return authorization ? req.set('Authorization', authorization) : req;
+  };
+
+  it('searches public generations and sentence checks with highlighted snippets', async () => {
+    let res = await search({ q: 'albeit' }).expect(200);
+    assert.equal(res.body.results.length, 1);
+    assert.equal(res.body.results[0].type, 'Generation');
+    assert.equal(res.body.results[0].item.userId.username, author.username);
+    assert.equal(res.body.results[0].item.thinkingText, undefined);
+    assert.deepEqual(res.body.results[0].highlights.map(highlight => highlight.field), ['sentence', 'explanation']);
+    assert.equal(res.body.results[0].highlights[0].snippet, 'He agreed, <mark>albeit</mark> reluctantly, to join us.');
+
+    res = await search({ q: 'subjunctive' }).expect(200);
+    assert.deepEqual(res.body.results.map(result => result.type).sort(), ['Generation', 'SentenceCheck']);
+    assert.equal(res.body.pagination.totalResults, 2);
+
+    res = await search({ q: 'subjunctive', type: 'SentenceCheck' }).expect(200);
+    assert.equal(res.body.results.length, 1);
+    assert.equal(res.body.results[0].highlights[0].field, 'grammarCorrection');
+  });
+
+  it('searches the user\'s own private content when authenticated', async () => {
+    const res = await search({ q: 'albeit', sortBy: 'recent' }, auth).expect(200);
+    assert.deepEqual(res.body.results.map(result => result.item.sentence), [
+      'A private sentence, albeit a short one.',
+      'He agreed, albeit reluctantly, to join us.'
+    ]);
+    assert.deepEqual(res.body.results.map(result => result.item.isOwner), [true, false]);
+  });
+
+  it('filters by words, author, date, model and grammar language', async () => {
+    let res = await search({ q: 'albeit subjunctive', words: 'wish' }).expect(200);
+    assert.deepEqual(res.body.results.map(result => result.item.sentence), ['I wish I were taller.']);
+
+    res = await search({ q: 'albeit', author: user.username }, auth).expect(200);
+    assert.deepEqual(res.body.results.map(result => result.item.sentence), ['A private sentence, albeit a short one.']);
+
+    res = await search({ q: 'subjunctive', model: 'Qwen/Qwen3-14B' }).expect(200);
+    assert.deepEqual(res.body.results.map(result => result.item.sentence), ['I wish I were taller.']);
+
+    res = await search({ q: 'albeit subjunctive', grammarLanguage: 'pure' }).expect(200);
+    assert.deepEqual(res.body.results.map(result => result.item.sentence), ['He agreed, albeit reluctantly, to join us.']);
+
+    res = await search({ q: 'albeit', from: '2000-01-01', to: '2000-12-31' }).expect(200);
+    assert.equal(res.body.results.length, 0);
+
+    res = await search({ q: 'subjunctive albeit', sortBy: 'liked', limit: 1 }).expect(200);
+    assert.equal(res.body.results[0].item.sentence, 'He agreed, albeit reluctantly, to join us.');
+    assert.equal(res.body.pagination.hasNext, true);
+  });
+
+  it('validates the search', async () => {
+    await search({}).expect(400);
+    await search({ q: 'albeit', type: 'Word' }).expect(400);
+    await search({ q: 'albeit', from: '2024-02-01', to: '2024-01-01' }).expect(400);
+    await search({ q: 'albeit', page: 21 }).expect(400);
+
+    const res = await search({ q: 'albeit', author: 'nobody' }).expect(404);
+    assert.equal(res.body.message, t('users.userNotFound'));
+  });
+});
@@ -0,0 +1,217 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { startTestApp, stopTestApp, resetState, createUser, getMockProvider, parseEvents, t } = require('../helpers/testApp');
+const SentenceCheck = require('../../src/models/SentenceCheck');
+const FollowupMessage = require('../../src/models/FollowupMessage');
+const Word = require('../../src/models/Word');
+
+describe('Sentence check routes', () => {
+  let app;
+  let user;
+  let auth;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(stopTestApp);
+
+  beforeEach(async () => {
+    await resetState();
+    ({ user, auth } = await createUser());
+  });
+
+  const createCheck = (fields = {}) => SentenceCheck.create({
+    userId: user._id,
+    originalSentence: 'She go to school every day.',
+    grammarAnalysis: 'Subject-verb agreement error.',
+    grammarCorrection: 'She goes to school every day.',
+    keywordAnalysis: '**goes** (verb)',
+    chineseDefinition: '她每天去上学。',
+    aiModel: 'mock-light',
+    ...fields
+  });
+
+  describe('POST /api/check', () => {
+    it('checks, saves and returns the analysis', async () => {
+      const res = await request(app).post('/api/check')
+        .set('Authorization', auth)
+        .send({ sentence: 'She go to school every day.', isPublic: false, grammarLanguage: 'pure' })
+        .expect(201);
+
+      const { sentenceCheck } = res.body;
+      assert.equal(sentenceCheck.originalSentence, 'She go to school every day.');
+      assert.match(sentenceCheck.grammarCorrection, /She go to school every day\./);
+      assert.ok(sentenceCheck.grammarAnalysis.length > 0);
+      assert.ok(sentenceCheck.keywordAnalysis.length > 0);
+      assert.ok(sentenceCheck.chineseDefinition.length > 0);
+      assert.equal(sentenceCheck.isPublic, false);
+      assert.equal(sentenceCheck.grammarLanguageOption, 'pure');
+      assert.equal(sentenceCheck.userId.username, user.username);
+      assert.equal(await SentenceCheck.countDocuments({ userId: user._id }), 1);
+    });
+
+    it('credits usage to the user\'s words written in the sentence', async () => {
+      await Word.create({ word: 'go', userIds: [user._id] });
+      const { user: other } = await createUser();
+      await Word.create({ word: 'school', userIds: [other._id] });
+
+      await request(app).post('/api/check')
+        .set('Authorization', auth)
+        .send({ sentence: 'She went to school every day.' })
+        .expect(201);
+
+      assert.equal((await Word.findOne({ word: 'go' })).usageCount, 1);
+      assert.equal((await Word.findOne({ word: 'school' })).usageCount, 0);
+    });
+
+    it('returns structured errors in JSON output mode', async () => {
+      const res = await request(app).post('/api/check')
+        .set('Authorization', auth)
+        .send({ sentence: 'She go to school every day.', outputFormat: 'json' })
+        .expect(201);
+
+      assert.equal(res.body.sentenceCheck.outputFormat, 'json');
+      assert.equal(typeof res.body.sentenceCheck.isCorrect, 'boolean');
+    });
+
+    it('streams the analysis sections', async () => {
+      const res = await request(app).post('/api/check')
+        .set('Authorization', auth)
+        .send({ sentence: 'She go to school every day.', stream: true })
+        .expect(200)
+        .expect('Content-Type', /text\/event-stream/);
+
+      const events = parseEvents(res.text);
+      assert.deepEqual(events.filter(event => event.event === 'section').map(event => event.data.name),
+        ['GRAMMAR_ANALYSIS', 'GRAMMAR_CORRECTION', 'KEYWORD_ANALYSIS', 'CHINESE_DEFINITION']);
+      assert.equal(events[events.length - 1].event, 'done');
+      assert.ok(await SentenceCheck.findById(events[events.length - 1].data.sentenceCheck._id));
+    });
+
+    it('reports a provider failure', async () => {
+      getMockProvider().queueScenarios('unauthorized');
+
+      const res = await request(app).post('/api/check')
+        .set('Authorization', auth)
+        .send({ sentence: 'She go to school every day.' })
+        .expect(400);
+
+      assert.equal(res.body.success, false);
+      assert.equal(res.body.retryable, false);
+      assert.equal(await SentenceCheck.countDocuments(), 0);
+    });
+
+    it('validates the request', async () => {
+      await request(app).post('/api/check').send({ sentence: 'Hello.' }).expect(401);
+      await request(app).post('/api/check').set('Authorization', auth).send({}).expect(400);
+      await request(app).post('/api/check').set('Authorization', auth).send({ sentence: 'a'.repeat(801) }).expect(400);
+      assert.equal(getMockProvider().requests.length, 0);
+    });
+  });
+
+  describe('GET /api/checks', () => {
+    it('lists the user\'s checks with pagination', async () => {
+      await createCheck({ originalSentence: 'First.', createdAt: new Date(Date.now() - 60000) });
+      await createCheck({ originalSentence: 'Second.' });
+      const { user: other } = await createUser();
+      await createCheck({ userId: other._id });
+
+      const res = await request(app).get('/api/checks?limit=1').set('Authorization', auth).expect(200);
+
+      assert.deepEqual(res.body.sentenceChecks.map(check => check.originalSentence), ['Second.']);
+      assert.equal(res.body.pagination.totalChecks, 2);
+      assert.equal(res.body.pagination.hasNext, true);
+    });
+  });
+
+  describe('GET /api/checks/:id', () => {
+    it('shows private checks only to their owner', async () => {
+      const publicCheck = await createCheck({ isPublic: true });
+      const privateCheck = await createCheck({ isPublic: false });
+      const { auth: otherAuth } = await createUser();
+
+      await request(app).get(`/api/checks/${publicCheck._id}`).expect(200);
+      await request(app).get(`/api/checks/${privateCheck._id}`).set('Authorization', auth).expect(200);
+      await request(app).get(`/api/checks/${privateCheck._id}`).set('Authorization', otherAuth).expect(404);
+      await request(app).get(`/api/checks/${privateCheck._id}`).expect(404);
+      await request(app).get('/api/checks/not-an-id').expect(400);
+    });
+  });
+
+  describe('POST /api/checks/:id/like', () => {
+    it('toggles a like on public checks', async () => {
+      const check = await createCheck({ isPublic: true });
+
+      let res = await request(app).post(`/api/checks/${check._id}/like`).set('Authorization', auth).expect(200);
+      assert.equal(res.body.liked, true);
+      assert.equal(res.body.likeCount, 1);
+
+      res = await request(app).post(`/api/checks/${check._id}/like`).set('Authorization', auth).expect(200);
+      assert.equal(res.body.liked, false);
+      assert.equal(res.body.likeCount, 0);
+
+      const privateCheck = await createCheck({ isPublic: false });
+      await request(app).post(`/api/checks/${privateCheck._id}/like`).set('Authorization', auth).expect(404);
+    });
+  });
+
+  describe('PUT /api/checks/:id/privacy', () => {
+    it('changes the visibility of the user\'s check', async () => {
+      const check = await createCheck({ isPublic: true });
+      const { auth: otherAuth } = await createUser();
+
+      const res = await request(app).put(`/api/checks/${check._id}/privacy`).set('Authorization', auth).send({ isPublic: false }).expect(200);
+      assert.equal(res.body.sentenceCheck.isPublic, false);
+
+      await request(app).put(`/api/checks/${check._id}/privacy`).set('Authorization', auth).send({}).expect(400);
+      await request(app).put(`/api/checks/${check._id}/privacy`).set('Authorization', otherAuth).send({ isPublic: true }).expect(404);
+    });
+  });
+
+  describe('Follow-up questions', () => {
+    it('answers questions about the user\'s check', async () => {
+      const check = await createCheck();
+      const url = `/api/checks/${check._id}/followups`;
+
+      const res = await request(app).post(url).set('Authorization', auth).send({ question: 'Why "goes"?' }).expect(201);
+      assert.equal(res.body.messages[0].targetType, 'SentenceCheck');
+
+      const thread = await request(app).get(url).set('Authorization', auth).expect(200);
+      assert.equal(thread.body.total, 2);
+
+      const { auth: otherAuth } = await createUser();
+      const denied = await request(app).get(url).set('Authorization', otherAuth).expect(404);
+      assert.equal(denied.body.message, t('sentenceCheck.checkNotFound'));
+    });
+  });
+
+  describe('DELETE /api/checks/:id', () => {
+    it('deletes the user\'s check and its thread', async () => {
+      const check = await createCheck();
+      await request(app).post(`/api/checks/${check._id}/followups`).set('Authorization', auth).send({ question: 'Why?' }).expect(201);
+      const { auth: otherAuth } = await createUser();
+
+      await request(app).delete(`/api/checks/${check._id}`).set('Authorization', otherAuth).expect(404);
+      await request(app).delete(`/api/checks/${check._id}`).set('Authorization', auth).expect(200);
+
+      assert.equal(await SentenceCheck.countDocuments(), 0);
+      assert.equal(await FollowupMessage.countDocuments(), 0);
+    });
+  });
+
+  describe('DELETE /api/checks/all', () => {
+    it('deletes all of the user\'s checks', async () => {
+      await createCheck();
+      await createCheck();
+      const { user: other } = await createUser();
+      await createCheck({ userId: other._id });
+
+      const res = await request(app).delete('/api/checks/all').set('Authorization', auth).expect(200);
+
+      assert.equal(res.body.deletedCount, 2);
+      assert.equal(await SentenceCheck.countDocuments(), 1);
+    });
+  });
+});
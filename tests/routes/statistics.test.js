@@ -0,0 +1,103 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { startTestApp, stopTestApp, resetState, createUser, getMockProvider, t } = require('../helpers/testApp');
+const Generation = require('../../src/models/Generation');
+const TokenUsage = require('../../src/models/TokenUsage');
+const Word = require('../../src/models/Word');
+
+describe('Statistics routes', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(stopTestApp);
+
+  beforeEach(resetState);
+
+  describe('GET /api/statistics', () => {
+    it('returns zeros for an empty site', async () => {
+      const res = await request(app).get('/api/statistics').expect(200);
+
+      assert.deepEqual(res.body.statistics, { totalUsers: 0, totalGenerations: 0, totalWords: 0, totalUniqueWords: 0 });
+    });
+
+    it('counts users, public generations and words', async () => {
+      const { user } = await createUser();
+      await createUser();
+      await Generation.create([
+        { userId: user._id, words: ['apple', 'run'], sentence: 'One.', isPublic: true },
+        { userId: user._id, words: ['pear'], sentence: 'Two.', isPublic: true },
+        { userId: user._id, words: ['secret'], sentence: 'Three.', isPublic: false }
+      ]);
+      await Word.create([
+        { word: 'apple', userIds: [user._id] },
+        { word: 'run', userIds: [user._id] }
+      ]);
+
+      const res = await request(app).get('/api/statistics').expect(200);
+
+      assert.deepEqual(res.body.statistics, { totalUsers: 2, totalGenerations: 2, totalWords: 3, totalUniqueWords: 2 });
+    });
+  });
+
+  describe('GET /api/statistics/prompts', () => {
+    it('records the prompt version of generations and their requests', async () => {
+      const { auth } = await createUser();
+
+      const res = await request(app).post('/api/generate')
+        .set('Authorization', auth)
+        .send({ words: ['apple', 'run'] })
+        .expect(201);
+
+      assert.equal(res.body.generation.promptVersion, 'v1');
+      const [usage] = await TokenUsage.find({ requestType: 'generation' });
+      assert.equal(usage.promptVersion, 'v1');
+      assert.equal(usage.attemptOutcomes.success, 1);
+      assert.equal(typeof usage.durationMs, 'number');
+    });
+
+    it('compares parse success, partial parses and likes per prompt version', async () => {
+      const { user, auth } = await createUser();
+      getMockProvider().queueScenarios('malformed', 'success', 'partialParse');
+
+      await request(app).post('/api/generate').set('Authorization', auth).send({ words: ['apple'], maxRetries: 1 }).expect(201);
+      await request(app).post('/api/generate').set('Authorization', auth).send({ words: ['pear'] }).expect(201);
+      await Generation.updateMany({}, { isPublic: true, likeCount: 2 });
+      // Saved before prompt versioning
+      await Generation.create({ userId: user._id, words: ['old'], sentence: 'Old.', promptVersion: '1.0', isPublic: false });
+
+      const res = await request(app).get('/api/statistics/prompts?type=generation&days=7').expect(200);
+      const { statistics } = res.body;
+
+      assert.equal(statistics.type, 'generation');
+      assert.equal(statistics.days, 7);
+      assert.equal(statistics.versions.length, 1);
+      assert.deepEqual(statistics.versions[0], {
+        version: 'v1',
+        weight: 1,
+        requests: 2,
+        successRate: 1,
+        parseSuccessRate: 0.6667,
+        partialParseRate: 0.5,
+        errorAttempts: 0,
+        avgLatencyMs: statistics.versions[0].avgLatencyMs,
+        avgTotalTokens: statistics.versions[0].avgTotalTokens,
+        items: 3,
+        publicItems: 2,
+        totalLikes: 4,
+        avgLikesPerPublicItem: 2
+      });
+    });
+
+    it('validates the query', async () => {
+      let res = await request(app).get('/api/statistics/prompts?type=words').expect(400);
+      assert.equal(res.body.message, t('statistics.invalidPromptType'));
+
+      res = await request(app).get('/api/statistics/prompts?type=sentenceCheck&days=91').expect(400);
+      assert.equal(res.body.message, t('usage.invalidDays', { max: 90 }));
+    });
+  });
+});
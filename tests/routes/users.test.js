@@ -0,0 +1,155 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { startTestApp, stopTestApp, resetState, createUser, t } = require('../helpers/testApp');
+const User = require('../../src/models/User');
+const Word = require('../../src/models/Word');
+const Generation = require('../../src/models/Generation');
+const SentenceCheck = require('../../src/models/SentenceCheck');
+const Follow = require('../../src/models/Follow');
+
+describe('User routes', () => {
+  let app;
+  let author;
+  let user;
+  let auth;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(stopTestApp);
+
+  beforeEach(async () => {
+    await resetState();
+    ({ user: author } = await createUser({ bio: 'Learning English every day.' }));
+    ({ user, auth } = await createUser());
+  });
+
+  const follow = (username, authorization = auth) => request(app)
+    .post(`/api/users/${username}/follow`)
+    .set('Authorization', authorization);
+
+  describe('GET /api/users/:username', () => {
+    it('shows the public profile with counts of public content only', async () => {
+      await Generation.create([
+        { userId: author._id, words: ['apple'], sentence: 'I ate an apple.', isPublic: true, likeCount: 3 },
+        { userId: author._id, words: ['pear'], sentence: 'A private pear.', isPublic: false, likeCount: 1 }
+      ]);
+      await SentenceCheck.create({ userId: author._id, originalSentence: 'She go to school.', isPublic: true, likeCount: 2 });
+      await Word.create([
+        { word: 'apple', userIds: [author._id, user._id] },
+        { word: 'pear', userIds: [author._id] }
+      ]);
+
+      const res = await request(app).get(`/api/users/${author.username}`).expect(200);
+      const { profile } = res.body;
+      assert.equal(profile.username, author.username);
+      assert.equal(profile.bio, 'Learning English every day.');
+      assert.ok(profile.joinedAt);
+      assert.deepEqual(profile.stats, { publicGenerations: 1, publicChecks: 1, likesReceived: 6, vocabularySize: 2 });
+      assert.equal(profile.isFollowing, false);
+      assert.equal(profile.isSelf, false);
+      assert.equal(profile.email, undefined);
+    });
+
+    it('returns 404 for an unknown user', async () => {
+      const res = await request(app).get('/api/users/nobody').expect(404);
+      assert.equal(res.body.message, t('users.userNotFound'));
+    });
+
+    it('updates the bio through the profile endpoint', async () => {
+      const res = await request(app).put('/api/auth/profile').set('Authorization', auth).send({ bio: 'Hello!' }).expect(200);
+      assert.equal(res.body.user.bio, 'Hello!');
+
+      await request(app).put('/api/auth/profile').set('Authorization', auth).send({ bio: 'x'.repeat(301) }).expect(400);
+    });
+  });
+
+  describe('Following', () => {
+    it('follows and unfollows users idempotently', async () => {
+      let res = await follow(author.username).expect(200);
+      assert.equal(res.body.isFollowing, true);
+      assert.equal(res.body.followerCount, 1);
+      await follow(author.username).expect(200);
+
+      res = await request(app).get(`/api/users/${author.username}`).set('Authorization', auth).expect(200);
+      assert.equal(res.body.profile.isFollowing, true);
+      assert.equal(res.body.profile.followerCount, 1);
+      assert.equal((await User.findById(user._id)).followingCount, 1);
+      assert.equal(await Follow.countDocuments(), 1);
+
+      res = await request(app).delete(`/api/users/${author.username}/follow`).set('Authorization', auth).expect(200);
+      assert.equal(res.body.isFollowing, false);
+      assert.equal(res.body.followerCount, 0);
+      await request(app).delete(`/api/users/${author.username}/follow`).set('Authorization', auth).expect(200);
+
+      assert.equal((await User.findById(author._id)).followerCount, 0);
+      assert.equal((await User.findById(user._id)).followingCount, 0);
+    });
+
+    it('validates follows', async () => {
+      await request(app).post(`/api/users/${author.username}/follow`).expect(401);
+      await follow('nobody').expect(404);
+
+      const res = await follow(user.username).expect(400);
+      assert.equal(res.body.message, t('users.cannotFollowSelf'));
+    });
+
+    it('lists followers and followed users', async () => {
+      const { user: other, auth: otherAuth } = await createUser();
+      await follow(author.username).expect(200);
+      await follow(author.username, otherAuth).expect(200);
+      await follow(user.username, otherAuth).expect(200);
+
+      let res = await request(app).get(`/api/users/${author.username}/followers?limit=1`).set('Authorization', auth).expect(200);
+      assert.deepEqual(res.body.users.map(entry => entry.username), [other.username]);
+      assert.equal(res.body.users[0].isFollowing, false);
+      assert.equal(res.body.pagination.totalUsers, 2);
+      assert.equal(res.body.pagination.hasNext, true);
+
+      res = await request(app).get(`/api/users/${other.username}/following`).set('Authorization', auth).expect(200);
+      assert.deepEqual(res.body.users.map(entry => entry.username), [user.username, author.username]);
+      assert.deepEqual(res.body.users.map(entry => entry.isSelf), [true, false]);
+      assert.deepEqual(res.body.users.map(entry => entry.isFollowing), [false, true]);
+    });
+  });
+
+  describe('Following feeds', () => {
+    it('shows only public content from followed users', async () => {
+      const { user: stranger } = await createUser();
+      await Generation.create([
+        { userId: author._id, words: ['apple'], sentence: 'I ate an apple.', isPublic: true },
+        { userId: author._id, words: ['pear'], sentence: 'A private pear.', isPublic: false },
+        { userId: stranger._id, words: ['plum'], sentence: 'A plum.', isPublic: true }
+      ]);
+      await SentenceCheck.create([
+        { userId: author._id, originalSentence: 'She go to school.', isPublic: true },
+        { userId: stranger._id, originalSentence: 'He have a cat.', isPublic: true }
+      ]);
+
+      let res = await request(app).get('/api/generations/public?feed=following').set('Authorization', auth).expect(200);
+      assert.equal(res.body.generations.length, 0);
+      assert.equal(res.body.pagination.totalGenerations, 0);
+
+      await follow(author.username).expect(200);
+
+      res = await request(app).get('/api/generations/public?feed=following').set('Authorization', auth).expect(200);
+      assert.deepEqual(res.body.generations.map(entry => entry.sentence), ['I ate an apple.']);
+      assert.equal(res.body.pagination.totalGenerations, 1);
+
+      res = await request(app).get('/api/checks/public?feed=following&sortBy=liked').set('Authorization', auth).expect(200);
+      assert.deepEqual(res.body.sentenceChecks.map(entry => entry.originalSentence), ['She go to school.']);
+
+      res = await request(app).get('/api/generations/public').set('Authorization', auth).expect(200);
+      assert.equal(res.body.pagination.totalGenerations, 2);
+    });
+
+    it('requires authentication for the following feeds', async () => {
+      const res = await request(app).get('/api/generations/public?feed=following').expect(401);
+      assert.equal(res.body.message, t('users.loginRequiredForFollowingFeed'));
+      await request(app).get('/api/checks/public?feed=following').expect(401);
+      await request(app).get('/api/checks/public?feed=friends').expect(400);
+    });
+  });
+});
@@ -0,0 +1,730 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { startTestApp, stopTestApp, resetState, createUser, t } = require('../helpers/testApp');
+const Word = require('../../src/models/Word');
+const WordReview = require('../../src/models/WordReview');
+const UserWord = require('../../src/models/UserWord');
+const ImportJob = require('../../src/models/ImportJob');
+const Generation = require('../../src/models/Generation');
+const User = require('../../src/models/User');
+
+describe('Word routes', () => {
+  let app;
+  let user;
+  let auth;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(stopTestApp);
+
+  beforeEach(async () => {
+    await resetState();
+    ({ user, auth } = await createUser());
+  });
+
+  const createWords = (words, userIds = [user._id]) => Word.create(words.map(([word, primaryPartOfSpeech, usageCount = 0]) => ({
+    word,
+    primaryPartOfSpeech,
+    primaryDefinition: `definition of ${word}`,
+    usageCount,
+    userIds
+  })));
+
+  it('requires authentication', async () => {
+    await request(app).get('/api/words').expect(401);
+    await request(app).post('/api/words').send({ word: 'apple' }).expect(401);
+  });
+
+  describe('POST /api/words', () => {
+    it('adds a word with its WordNet data', async () => {
+      const res = await request(app).post('/api/words').set('Authorization', auth).send({ word: 'Apple' }).expect(201);
+
+      assert.equal(res.body.word.word, 'apple');
+      assert.equal(res.body.word.primaryPartOfSpeech, 'noun');
+      assert.equal(res.body.word.primaryPartOfSpeechTranslated, t('words.noun'));
+      assert.ok(res.body.word.definitions.length > 0);
+      assert.equal(res.body.word.wordNetProcessed, true);
+    });
+
+    it('asks for confirmation when the word is misspelled', async () => {
+      const res = await request(app).post('/api/words').set('Authorization', auth).send({ word: 'appple' }).expect(200);
+
+      assert.equal(res.body.success, false);
+      assert.equal(res.body.needsConfirmation, true);
+      assert.ok(res.body.suggestions.includes('apple'));
+      assert.equal(await Word.countDocuments(), 0);
+    });
+
+    it('adds a misspelled word when forced', async () => {
+      const res = await request(app).post('/api/words')
+        .set('Authorization', auth)
+        .send({ word: 'appple', forceAdd: true })
+        .expect(201);
+
+      assert.equal(res.body.word.word, 'appple');
+    });
+
+    it('shares an existing word between users and rejects duplicates', async () => {
+      const { auth: otherAuth } = await createUser();
+      await request(app).post('/api/words').set('Authorization', otherAuth).send({ word: 'apple' }).expect(201);
+
+      await request(app).post('/api/words').set('Authorization', auth).send({ word: 'apple' }).expect(201);
+      const res = await request(app).post('/api/words').set('Authorization', auth).send({ word: 'apple' }).expect(400);
+
+      assert.equal(res.body.message, t('words.wordAlreadyExists'));
+      const word = await Word.findOne({ word: 'apple' });
+      assert.equal(word.userIds.length, 2);
+    });
+
+    it('saves inflected words as their lemma and remembers the form typed', async () => {
+      const res = await request(app).post('/api/words').set('Authorization', auth).send({ word: 'Running' }).expect(201);
+
+      assert.equal(res.body.word.word, 'run');
+      assert.deepEqual(res.body.word.forms, ['running']);
+      assert.equal(res.body.word.entry.addedAs, 'running');
+
+      const { auth: otherAuth } = await createUser();
+      await request(app).post('/api/words').set('Authorization', otherAuth).send({ word: 'ran' }).expect(201);
+      const dup = await request(app).post('/api/words').set('Authorization', auth).send({ word: 'ran' }).expect(400);
+      assert.equal(dup.body.message, t('words.wordAlreadyExists'));
+
+      const word = await Word.findOne({ word: 'run' });
+      assert.deepEqual(word.forms, ['running', 'ran']);
+      assert.equal(word.userIds.length, 2);
+      assert.equal(await Word.countDocuments(), 1);
+
+      const list = await request(app).get('/api/words?search=runn').set('Authorization', auth).expect(200);
+      assert.deepEqual(list.body.words.map(listed => listed.word), ['run']);
+    });
+
+    it('saves phrases as the phrase WordNet has', async () => {
+      const res = await request(app).post('/api/words').set('Authorization', auth).send({ word: ' Took  off ' }).expect(201);
+
+      assert.equal(res.body.word.word, 'take off');
+      assert.deepEqual(res.body.word.forms, ['took off']);
+      assert.ok(res.body.word.definitions.length > 0);
+
+      const kept = await request(app).post('/api/words').set('Authorization', auth).send({ word: 'looking forward to' }).expect(201);
+      assert.equal(kept.body.word.word, 'looking forward to');
+    });
+
+    it('suggests corrections for misspelled words in a phrase', async () => {
+      const res = await request(app).post('/api/words').set('Authorization', auth).send({ word: 'tke off' }).expect(200);
+
+      assert.equal(res.body.needsConfirmation, true);
+      assert.ok(res.body.suggestions.includes('take off'));
+    });
+
+    it('validates the word', async () => {
+      await request(app).post('/api/words').set('Authorization', auth).send({ word: 'one two three four five six seven' }).expect(400);
+      await request(app).post('/api/words').set('Authorization', auth).send({ word: 'abc1' }).expect(400);
+      await request(app).post('/api/words').set('Authorization', auth).send({}).expect(400);
+    });
+  });
+
+  describe('GET /api/words', () => {
+    it('lists only the user\'s words with filters, sorting and pagination', async () => {
+      await createWords([['apple', 'noun', 3], ['run', 'verb', 7], ['quick', 'adjective', 1]]);
+      const { user: other } = await createUser();
+      await createWords([['banana', 'noun']], [other._id]);
+
+      let res = await request(app).get('/api/words?sortBy=alphabetical').set('Authorization', auth).expect(200);
+      assert.deepEqual(res.body.words.map(word => word.word), ['apple', 'quick', 'run']);
+      assert.equal(res.body.pagination.totalWords, 3);
+
+      res = await request(app).get('/api/words?sortBy=usage').set('Authorization', auth).expect(200);
+      assert.deepEqual(res.body.words.map(word => word.word), ['run', 'apple', 'quick']);
+
+      res = await request(app).get('/api/words?partOfSpeech=noun').set('Authorization', auth).expect(200);
+      assert.deepEqual(res.body.words.map(word => word.word), ['apple']);
+
+      res = await request(app).get('/api/words?search=QU').set('Authorization', auth).expect(200);
+      assert.deepEqual(res.body.words.map(word => word.word), ['quick']);
+
+      res = await request(app).get('/api/words?sortBy=alphabetical&limit=2&page=2').set('Authorization', auth).expect(200);
+      assert.deepEqual(res.body.words.map(word => word.word), ['run']);
+      assert.deepEqual(res.body.pagination, { current: 2, total: 2, hasNext: false, totalWords: 3 });
+    });
+  });
+
+  describe('Word entries', () => {
+    it('saves the entry fields with a new word', async () => {
+      const res = await request(app).post('/api/words').set('Authorization', auth)
+        .send({ word: 'apple', note: 'A fruit', tags: ['Food', 'fruit'], source: 'Textbook 1' })
+        .expect(201);
+
+      assert.equal(res.body.word.entry.note, 'A fruit');
+      assert.deepEqual(res.body.word.entry.tags, ['food', 'fruit']);
+      assert.equal(res.body.word.entry.source, 'Textbook 1');
+      assert.equal(await UserWord.countDocuments({ userId: user._id }), 1);
+    });
+
+    it('keeps each user\'s entry separate from the shared word', async () => {
+      const { user: other, auth: otherAuth } = await createUser();
+      const [word] = await createWords([['apple', 'noun']], [user._id, other._id]);
+
+      let res = await request(app).put(`/api/words/${word._id}`).set('Authorization', auth)
+        .send({ definition: 'my definition', chineseGloss: '苹果' })
+        .expect(200);
+      assert.equal(res.body.word.entry.definition, 'my definition');
+      assert.equal(res.body.word.primaryDefinition, 'definition of apple');
+
+      res = await request(app).get('/api/words').set('Authorization', otherAuth).expect(200);
+      assert.equal(res.body.words[0].entry, null);
+      assert.equal((await Word.findById(word._id)).primaryDefinition, 'definition of apple');
+
+      // Only given fields change; an empty string clears a field
+      res = await request(app).put(`/api/words/${word._id}`).set('Authorization', auth)
+        .send({ chineseGloss: '', tags: ['fruit'] })
+        .expect(200);
+      assert.equal(res.body.word.entry.definition, 'my definition');
+      assert.equal(res.body.word.entry.chineseGloss, '');
+      assert.deepEqual(res.body.word.entry.tags, ['fruit']);
+    });
+
+    it('filters and sorts by the entry fields', async () => {
+      const [apple, run, quick] = await createWords([['apple', 'noun'], ['run', 'verb'], ['quick', 'adjective']]);
+      await UserWord.create([
+        { userId: user._id, wordId: apple._id, tags: ['food', 'unit1'], source: 'Textbook', note: 'An orchard fruit' },
+        { userId: user._id, wordId: run._id, tags: ['unit1'], source: 'Article' },
+        { userId: user._id, wordId: quick._id, tags: ['unit2'], mnemonic: 'quick like a fox' }
+      ]);
+
+      const list = async (query) => {
+        const res = await request(app).get(`/api/words?${query}`).set('Authorization', auth).expect(200);
+        return res.body.words.map(word => word.word);
+      };
+
+      assert.deepEqual(await list('tag=unit1&sortBy=alphabetical'), ['apple', 'run']);
+      assert.deepEqual(await list('tag=unit1,FOOD'), ['apple']);
+      assert.deepEqual(await list('source=text'), ['apple']);
+      assert.deepEqual(await list('hasNote=true'), ['apple']);
+      assert.deepEqual(await list('hasNote=false&sortBy=alphabetical'), ['quick', 'run']);
+      assert.deepEqual(await list('search=orchard'), ['apple']);
+      assert.deepEqual(await list('search=FOX'), ['quick']);
+      assert.deepEqual(await list('sortBy=source'), ['quick', 'run', 'apple']);
+
+      await request(app).put(`/api/words/${run._id}`).set('Authorization', auth).send({ note: 'changed' }).expect(200);
+      assert.deepEqual((await list('sortBy=updated'))[0], 'run');
+    });
+
+    it('validates the list query', async () => {
+      await request(app).get('/api/words?tag=unit1&tag=unit2').set('Authorization', auth).expect(400);
+      await request(app).get('/api/words?sortBy=random').set('Authorization', auth).expect(400);
+      await request(app).get('/api/words?limit=0').set('Authorization', auth).expect(400);
+      await request(app).get('/api/words?page=abc').set('Authorization', auth).expect(400);
+    });
+
+    it('lists the user\'s tags with counts', async () => {
+      const [apple, run] = await createWords([['apple', 'noun'], ['run', 'verb']]);
+      await UserWord.create([
+        { userId: user._id, wordId: apple._id, tags: ['food', 'unit1'] },
+        { userId: user._id, wordId: run._id, tags: ['unit1'] }
+      ]);
+      const { user: other } = await createUser();
+      await UserWord.create({ userId: other._id, wordId: apple._id, tags: ['other'] });
+
+      const res = await request(app).get('/api/words/tags').set('Authorization', auth).expect(200);
+
+      assert.deepEqual(res.body.tags, [{ tag: 'unit1', count: 2 }, { tag: 'food', count: 1 }]);
+    });
+
+    it('validates the entry', async () => {
+      const [word] = await createWords([['apple', 'noun']]);
+      const { user: other } = await createUser();
+      const [otherWord] = await createWords([['run', 'verb']], [other._id]);
+
+      await request(app).put(`/api/words/${word._id}`).set('Authorization', auth).send({}).expect(400);
+      await request(app).put(`/api/words/${word._id}`).set('Authorization', auth).send({ tags: ['a,b'] }).expect(400);
+      await request(app).put(`/api/words/${word._id}`).set('Authorization', auth).send({ note: 'a'.repeat(2001) }).expect(400);
+      await request(app).put('/api/words/not-an-id').set('Authorization', auth).send({ note: 'x' }).expect(400);
+      await request(app).put(`/api/words/${otherWord._id}`).set('Authorization', auth).send({ note: 'x' }).expect(404);
+    });
+
+    it('removes the entry with the word', async () => {
+      const [word] = await createWords([['apple', 'noun']]);
+      await UserWord.create({ userId: user._id, wordId: word._id, note: 'x' });
+
+      await request(app).delete(`/api/words/${word._id}`).set('Authorization', auth).expect(200);
+
+      assert.equal(await UserWord.countDocuments(), 0);
+    });
+  });
+
+  describe('GET /api/words/export', () => {
+    it('exports the user\'s words as JSON with their entries and examples', async () => {
+      const [apple] = await createWords([['apple', 'noun'], ['run', 'verb']]);
+      await UserWord.create({ userId: user._id, wordId: apple._id, note: 'crunchy', tags: ['food'] });
+      await Generation.create({ userId: user._id, words: ['apple'], sentence: 'I ate an apple.', explanation: 'x', chineseTranslation: '我吃了一个苹果。' });
+      const { user: other } = await createUser();
+      await createWords([['banana', 'noun']], [other._id]);
+
+      const res = await request(app).get('/api/words/export?includeExamples=true&sortBy=alphabetical')
+        .set('Authorization', auth)
+        .expect(200)
+        .expect('Content-Type', /application\/json/)
+        .expect('Content-Disposition', /attachment; filename="words-.*\.json"/);
+
+      assert.equal(res.body.totalCount, 2);
+      const [exportedApple, exportedRun] = res.body.words;
+      assert.equal(exportedApple.entry.note, 'crunchy');
+      assert.deepEqual(exportedApple.examples.map(example => example.sentence), ['I ate an apple.']);
+      assert.deepEqual(exportedRun.examples, []);
+      assert.equal(exportedApple.userIds, undefined);
+    });
+
+    it('exports CSV, TSV and Anki files with the list filters', async () => {
+      await createWords([['apple', 'noun'], ['quick', 'adjective']]);
+
+      let res = await request(app).get('/api/words/export?format=csv&partOfSpeech=noun').set('Authorization', auth)
+        .expect(200)
+        .expect('Content-Type', /text\/csv/);
+      let lines = res.text.trim().split('\r\n');
+      assert.equal(lines.length, 2);
+      assert.ok(lines[1].startsWith('apple,noun,definition of apple,'));
+
+      res = await request(app).get('/api/words/export?format=tsv&search=qu').set('Authorization', auth).expect(200);
+      lines = res.text.trim().split('\n');
+      assert.deepEqual(lines.slice(1).map(line => line.split('\t')[0]), ['quick']);
+
+      res = await request(app).get('/api/words/export?format=anki&sortBy=alphabetical').set('Authorization', auth).expect(200);
+      lines = res.text.trim().split('\n').filter(line => !line.startsWith('#'));
+      assert.deepEqual(lines.map(line => line.split('\t')[0]), ['apple', 'quick']);
+    });
+
+    it('validates the query', async () => {
+      await request(app).get('/api/words/export?format=xml').set('Authorization', auth).expect(400);
+      await request(app).get('/api/words/export?examplesPerWord=11').set('Authorization', auth).expect(400);
+      await request(app).get('/api/words/export').expect(401);
+    });
+  });
+
+  describe('POST /api/words/import', () => {
+    const waitForImport = async (id) => {
+      for (let i = 0; i < 200; i++) {
+        const res = await request(app).get(`/api/words/imports/${id}`).set('Authorization', auth).expect(200);
+        if (!['queued', 'running'].includes(res.body.job.status)) {
+          return res.body.job;
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+      throw new Error('Import did not finish');
+    };
+
+    it('imports a small list right away with a per-line report', async () => {
+      await createWords([['run', 'verb']]);
+      const { user: other } = await createUser();
+      await createWords([['quick', 'adjective']], [other._id]);
+
+      const res = await request(app).post('/api/words/import').set('Authorization', auth)
+        .send({ content: 'apple\nrun\nquick\nappple\napple\nice cream\n', tags: ['Unit1'], source: 'Class list' })
+        .expect(201);
+
+      const { job } = res.body;
+      assert.equal(job.status, 'completed');
+      assert.deepEqual(job.results.map(result => [result.line, result.word, result.status]), [
+        [1, 'apple', 'added'],
+        [2, 'run', 'alreadyPresent'],
+        [3, 'quick', 'added'],
+        [4, 'appple', 'spellingError'],
+        [5, 'apple', 'duplicate'],
+        [6, 'ice cream', 'invalid']
+      ]);
+      assert.ok(job.results[3].suggestions.includes('apple'));
+      assert.equal(job.counts.added, 2);
+      assert.equal(job.processed, 6);
+
+      assert.equal(await Word.countDocuments({ userIds: user._id }), 3);
+      const entry = await UserWord.findOne({ userId: user._id, wordId: (await Word.findOne({ word: 'quick' }))._id });
+      assert.deepEqual(entry.tags, ['unit1']);
+      assert.equal(entry.source, 'Class list');
+    });
+
+    it('imports inflected words as their lemma', async () => {
+      const res = await request(app).post('/api/words/import').set('Authorization', auth)
+        .send({ content: 'mice\nmouse\nstudies\n' })
+        .expect(201);
+
+      assert.deepEqual(res.body.job.results.map(result => [result.word, result.lemma, result.status]), [
+        ['mice', 'mouse', 'added'],
+        ['mouse', undefined, 'duplicate'],
+        ['studies', 'study', 'added']
+      ]);
+      const word = await Word.findOne({ word: 'mouse' });
+      assert.deepEqual(word.forms, ['mice']);
+      assert.equal((await UserWord.findOne({ userId: user._id, wordId: word._id })).addedAs, 'mice');
+    });
+
+    it('imports CSV notes and tags and reports words without WordNet data', async () => {
+      const res = await request(app).post('/api/words/import').set('Authorization', auth)
+        .send({ format: 'csv', content: 'word,note,tags\napple,crunchy,food\nzzyzx,,\n', forceAdd: true })
+        .expect(201);
+
+      assert.deepEqual(res.body.job.results.map(result => result.status), ['added', 'noWordNetData']);
+      const apple = await Word.findOne({ word: 'apple' });
+      const entry = await UserWord.findOne({ userId: user._id, wordId: apple._id });
+      assert.equal(entry.note, 'crunchy');
+      assert.deepEqual(entry.tags, ['food']);
+    });
+
+    it('runs large imports in the background', async () => {
+      const content = ['apple', 'run', ...Array(60).fill('quick')].join('\n');
+
+      const res = await request(app).post('/api/words/import').set('Authorization', auth)
+        .send({ format: 'anki', content })
+        .expect(202);
+      assert.equal(res.body.job.status, 'queued');
+      assert.equal(res.body.job.total, 62);
+
+      const job = await waitForImport(res.body.job._id);
+      assert.equal(job.status, 'completed');
+      assert.equal(job.processed, 62);
+      assert.equal(job.counts.added, 3);
+      assert.equal(job.counts.duplicate, 59);
+      assert.equal(await Word.countDocuments({ userIds: user._id }), 3);
+    });
+
+    it('allows one running import per user', async () => {
+      await ImportJob.create({ userId: user._id, format: 'text', status: 'running' });
+
+      const res = await request(app).post('/api/words/import').set('Authorization', auth).send({ content: 'apple' }).expect(409);
+
+      assert.equal(res.body.message, t('words.importInProgress'));
+    });
+
+    it('validates the import', async () => {
+      await request(app).post('/api/words/import').set('Authorization', auth).send({}).expect(400);
+      await request(app).post('/api/words/import').set('Authorization', auth).send({ format: 'xml', content: 'apple' }).expect(400);
+      await request(app).post('/api/words/import').set('Authorization', auth).send({ content: '\n# only a comment\n' }).expect(400);
+      await request(app).post('/api/words/import').set('Authorization', auth)
+        .send({ content: Array(5001).fill('apple').join('\n') })
+        .expect(400);
+    });
+
+    it('shows an import only to its owner', async () => {
+      const job = await ImportJob.create({ userId: user._id, format: 'text', status: 'completed' });
+      const { auth: otherAuth } = await createUser();
+
+      await request(app).get(`/api/words/imports/${job._id}`).set('Authorization', otherAuth).expect(404);
+      await request(app).get('/api/words/imports/not-an-id').set('Authorization', auth).expect(400);
+    });
+  });
+
+  describe('GET /api/words/stats', () => {
+    it('counts the user\'s words and lists the most used ones', async () => {
+      await createWords([['apple', 'noun', 3], ['run', 'verb', 7]]);
+
+      const res = await request(app).get('/api/words/stats').set('Authorization', auth).expect(200);
+
+      assert.equal(res.body.stats.totalWords, 2);
+      assert.deepEqual(res.body.stats.mostUsedWords.map(word => word.word), ['run', 'apple']);
+    });
+
+    it('reports the distribution of the user\'s words across levels', async () => {
+      await createWords([['run', 'verb'], ['quick', 'adjective'], ['apple', 'noun'], ['pear', 'noun']]);
+      await Word.collection.insertOne({ word: 'sesquipedalian', userIds: [user._id] });
+
+      const res = await request(app).get('/api/words/stats').set('Authorization', auth).expect(200);
+
+      assert.deepEqual(res.body.stats.levelDistribution, [
+        { level: 'A1', count: 2 },
+        { level: 'A2', count: 1 },
+        { level: 'B1', count: 0 },
+        { level: 'B2', count: 0 },
+        { level: 'C1', count: 0 },
+        { level: 'C2', count: 1 }
+      ]);
+      assert.equal(res.body.stats.unrankedWords, 1);
+    });
+  });
+
+  describe('GET /api/words/parts-of-speech', () => {
+    it('lists the parts of speech of the user\'s words with translations', async () => {
+      await createWords([['apple', 'noun'], ['run', 'verb'], ['pear', 'noun']]);
+
+      const res = await request(app).get('/api/words/parts-of-speech').set('Authorization', auth).expect(200);
+
+      assert.deepEqual(res.body.partsOfSpeech, ['noun', 'verb']);
+      assert.deepEqual(res.body.partsOfSpeechWithTranslations[0], {
+        value: 'noun',
+        label: t('words.noun'),
+        translation: t('words.noun')
+      });
+    });
+  });
+
+  describe('GET /api/words/random', () => {
+    it('returns the requested number of random words', async () => {
+      await createWords([['apple', 'noun'], ['run', 'verb'], ['quick', 'adjective'], ['pear', 'noun']]);
+
+      const res = await request(app).get('/api/words/random?count=3').set('Authorization', auth).expect(200);
+
+      assert.equal(res.body.returned, 3);
+      assert.equal(res.body.totalAvailable, 4);
+      assert.equal(new Set(res.body.words.map(word => word.word)).size, 3);
+      assert.ok(res.body.words.every(word => word.definition === `definition of ${word.word}`));
+    });
+
+    it('filters by part of speech', async () => {
+      await createWords([['apple', 'noun'], ['run', 'verb'], ['pear', 'noun']]);
+
+      const res = await request(app).get('/api/words/random?count=5&partOfSpeech=noun').set('Authorization', auth).expect(200);
+
+      assert.deepEqual(res.body.words.map(word => word.word).sort(), ['apple', 'pear']);
+    });
+
+    it('filters by level and frequency rank', async () => {
+      await createWords([['run', 'verb'], ['apple', 'noun'], ['pear', 'noun'], ['sesquipedalian', 'adjective']]);
+
+      let res = await request(app).get('/api/words/random?count=5&level=A1&level=A2').set('Authorization', auth).expect(200);
+      assert.deepEqual(res.body.words.map(word => word.word).sort(), ['apple', 'run']);
+      assert.equal(res.body.totalAvailable, 2);
+      const run = res.body.words.find(word => word.word === 'run');
+      assert.equal(run.level, 'A1');
+      assert.ok(run.frequencyRank <= 1000);
+
+      res = await request(app).get('/api/words/random?count=5&level=C2').set('Authorization', auth).expect(200);
+      assert.deepEqual(res.body.words.map(word => word.word).sort(), ['pear', 'sesquipedalian']);
+
+      // Unranked words are left out once a rank bound is given
+      res = await request(app).get('/api/words/random?count=5&minFrequency=1001').set('Authorization', auth).expect(200);
+      assert.deepEqual(res.body.words.map(word => word.word).sort(), ['apple', 'pear']);
+
+      res = await request(app).get(`/api/words/random?count=5&maxFrequency=${run.frequencyRank}`).set('Authorization', auth).expect(200);
+      assert.deepEqual(res.body.words.map(word => word.word), ['run']);
+    });
+
+    it('keeps the most frequent words with maxFrequency', async () => {
+      await createWords([['run', 'verb'], ['sesquipedalian', 'adjective'], ['apple', 'noun']]);
+      const ranks = Object.fromEntries((await Word.find()).map(word => [word.word, word.frequencyRank]));
+      assert.ok(ranks.run < ranks.apple);
+
+      // Rank 1 is the most frequent word, so the lowest ranks are the most common words
+      let res = await request(app).get(`/api/words/random?count=5&maxFrequency=${ranks.run}`).set('Authorization', auth).expect(200);
+      assert.deepEqual(res.body.words.map(word => word.word), ['run']);
+
+      res = await request(app).get(`/api/words/random?count=5&minFrequency=${ranks.run + 1}`).set('Authorization', auth).expect(200);
+      assert.deepEqual(res.body.words.map(word => word.word), ['apple']);
+
+      // minRank and maxRank are other names for the same bounds
+      res = await request(app).get(`/api/words/random?count=5&minRank=${ranks.run + 1}&maxRank=${ranks.apple}`).set('Authorization', auth).expect(200);
+      assert.deepEqual(res.body.words.map(word => word.word), ['apple']);
+    });
+
+    it('prefers words the user does not have yet', async () => {
+      const { user: other } = await createUser();
+      await createWords([['apple', 'noun']]);
+      await createWords([['banana', 'noun'], ['cherry', 'noun']], [other._id]);
+
+      const res = await request(app).get('/api/words/random?count=2&excludeUserWords=true').set('Authorization', auth).expect(200);
+
+      assert.deepEqual(res.body.words.map(word => word.word).sort(), ['banana', 'cherry']);
+      assert.equal(res.body.totalAvailable, 2);
+    });
+
+    it('reports when no words are available', async () => {
+      const res = await request(app).get('/api/words/random').set('Authorization', auth).expect(200);
+
+      assert.deepEqual(res.body.words, []);
+      assert.equal(res.body.message, t('words.noAvailableWords'));
+    });
+
+    it('validates the query', async () => {
+      await request(app).get('/api/words/random?count=0').set('Authorization', auth).expect(400);
+      await request(app).get('/api/words/random?count=501').set('Authorization', auth).expect(400);
+      await request(app).get('/api/words/random?partOfSpeech=noun-phrase').set('Authorization', auth).expect(400);
+      await request(app).get('/api/words/random?level=D1').set('Authorization', auth).expect(400);
+      await request(app).get('/api/words/random?minFrequency=0').set('Authorization', auth).expect(400);
+      await request(app).get('/api/words/random?minFrequency=500&maxFrequency=100').set('Authorization', auth).expect(400);
+      await request(app).get('/api/words/random?minRank=500&maxRank=100').set('Authorization', auth).expect(400);
+    });
+  });
+
+  describe('GET /api/words/:id', () => {
+    it('returns the WordNet senses grouped by part of speech and keeps them on the word', async () => {
+      const [word] = await createWords([['happy', 'adjective'], ['run', 'verb']]);
+
+      const res = await request(app).get(`/api/words/${word._id}`).set('Authorization', auth).expect(200);
+
+      const [adjectives] = res.body.word.senses;
+      assert.equal(adjectives.partOfSpeech, 'adjective');
+      assert.equal(adjectives.partOfSpeechTranslated, t('words.adjective'));
+      const [sense] = adjectives.senses;
+      assert.equal(sense.definition, 'enjoying or showing or marked by joy or pleasure');
+      assert.ok(sense.examples.includes('a happy smile'));
+      assert.deepEqual(sense.antonyms, ['unhappy']);
+      assert.deepEqual(sense.derivations, ['happiness']);
+      assert.equal(res.body.word.entry, null);
+      assert.equal(res.body.word.review, null);
+
+      const saved = await Word.findById(word._id).select('+senses +sensesProcessedAt');
+      assert.ok(saved.sensesProcessedAt);
+      assert.equal(saved.senses.length, 4);
+
+      // Word lists leave the senses out
+      const list = await request(app).get('/api/words').set('Authorization', auth).expect(200);
+      assert.ok(list.body.words.every(entry => entry.senses === undefined));
+    });
+
+    it('lists all senses with hypernyms, hyponyms and synonyms', async () => {
+      const [word] = await createWords([['dog', 'noun']]);
+
+      const res = await request(app).get(`/api/words/${word._id}`).set('Authorization', auth).expect(200);
+
+      assert.deepEqual(res.body.word.senses.map(group => [group.partOfSpeech, group.senses.length]), [['noun', 7], ['verb', 1]]);
+      const [sense] = res.body.word.senses[0].senses;
+      assert.ok(sense.synonyms.includes('domestic dog'));
+      assert.ok(sense.hypernyms.includes('canine'));
+      assert.ok(sense.hyponyms.includes('puppy'));
+    });
+
+    it('returns 404 for another user\'s word', async () => {
+      const { user: other } = await createUser();
+      const [word] = await createWords([['apple', 'noun']], [other._id]);
+
+      await request(app).get(`/api/words/${word._id}`).set('Authorization', auth).expect(404);
+      await request(app).get('/api/words/not-an-id').set('Authorization', auth).expect(400);
+    });
+  });
+
+  describe('DELETE /api/words/:id', () => {
+    it('deletes a word only the user has', async () => {
+      const [word] = await createWords([['apple', 'noun']]);
+
+      await request(app).delete(`/api/words/${word._id}`).set('Authorization', auth).expect(200);
+
+      assert.equal(await Word.countDocuments(), 0);
+    });
+
+    it('only removes the user from a shared word', async () => {
+      const { user: other } = await createUser();
+      const [word] = await createWords([['apple', 'noun']], [user._id, other._id]);
+
+      await request(app).delete(`/api/words/${word._id}`).set('Authorization', auth).expect(200);
+
+      const remaining = await Word.findById(word._id);
+      assert.deepEqual(remaining.userIds.map(String), [other.id]);
+    });
+
+    it('returns 404 for another user\'s word', async () => {
+      const { user: other } = await createUser();
+      const [word] = await createWords([['apple', 'noun']], [other._id]);
+
+      const res = await request(app).delete(`/api/words/${word._id}`).set('Authorization', auth).expect(404);
+
+      assert.equal(res.body.message, t('words.wordNotFound'));
+    });
+  });
+
+  describe('Word reviews', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    it('queues due reviews before new words with definitions and example sentences', async () => {
+      const [apple, run, quick] = await createWords([['apple', 'noun'], ['run', 'verb'], ['quick', 'adjective']]);
+      await WordReview.create([
+        { userId: user._id, wordId: run._id, interval: 6, repetitions: 2, dueAt: new Date(Date.now() - DAY_MS) },
+        { userId: user._id, wordId: quick._id, interval: 6, repetitions: 2, dueAt: new Date(Date.now() + DAY_MS) }
+      ]);
+      const { user: other } = await createUser();
+      await Generation.create([
+        { userId: user._id, words: ['run'], sentence: 'I run every morning.', isPublic: false },
+        { userId: other._id, words: ['run', 'apple'], sentence: 'They run to the apple tree.', isPublic: true },
+        { userId: other._id, words: ['run'], sentence: 'A private run.', isPublic: false },
+        { userId: other._id, words: ['run'], sentence: 'A hidden run.', isPublic: true, isHidden: true }
+      ]);
+
+      const res = await request(app).get('/api/words/reviews/due').set('Authorization', auth).expect(200);
+
+      assert.deepEqual(res.body.cards.map(card => [card.word.word, card.isNew]), [['run', false], ['apple', true]]);
+      assert.equal(res.body.cards[0].review.interval, 6);
+      assert.equal(res.body.cards[1].review, null);
+      assert.equal(res.body.cards[1].word.primaryDefinition, 'definition of apple');
+      assert.equal(res.body.cards[1].word._id, apple.id);
+      assert.deepEqual(res.body.cards[0].examples.map(example => [example.sentence, example.isOwn]),
+        [['I run every morning.', true], ['They run to the apple tree.', false]]);
+      assert.deepEqual(res.body.counts, {
+        dueReviews: 1, newWords: 1, reviewedToday: 0, newWordsToday: 0, remainingReviews: 200, remainingNewWords: 20
+      });
+    });
+
+    it('schedules the next review from the grade', async () => {
+      const [word] = await createWords([['apple', 'noun']]);
+      const url = `/api/words/${word._id}/review`;
+
+      let res = await request(app).post(url).set('Authorization', auth).send({ grade: 4 }).expect(200);
+      assert.equal(res.body.review.interval, 1);
+      assert.equal(res.body.review.repetitions, 1);
+
+      res = await request(app).post(url).set('Authorization', auth).send({ grade: 5 }).expect(200);
+      assert.equal(res.body.review.interval, 6);
+      assert.equal(res.body.review.ease, 2.6);
+
+      res = await request(app).post(url).set('Authorization', auth).send({ grade: 1 }).expect(200);
+      assert.equal(res.body.review.interval, 1);
+      assert.equal(res.body.review.lapses, 1);
+      assert.equal(res.body.review.reviewCount, 3);
+
+      const due = await request(app).get('/api/words/reviews/due').set('Authorization', auth).expect(200);
+      assert.deepEqual(due.body.cards, []);
+      assert.equal(due.body.counts.newWordsToday, 1);
+      assert.equal(due.body.counts.reviewedToday, 2);
+    });
+
+    it('applies the daily limits from the user\'s preferences', async () => {
+      await createWords([['apple', 'noun'], ['run', 'verb'], ['quick', 'adjective']]);
+      await request(app).put('/api/auth/preferences').set('Authorization', auth).send({ dailyNewWords: 2 }).expect(200);
+      assert.equal((await User.findById(user._id)).preferences.dailyNewWords, 2);
+
+      let res = await request(app).get('/api/words/reviews/due').set('Authorization', auth).expect(200);
+      assert.equal(res.body.cards.length, 2);
+      assert.equal(res.body.limits.dailyNewWords, 2);
+
+      await request(app).post(`/api/words/${res.body.cards[0].word._id}/review`).set('Authorization', auth).send({ grade: 3 }).expect(200);
+
+      res = await request(app).get('/api/words/reviews/due').set('Authorization', auth).expect(200);
+      assert.equal(res.body.cards.length, 1);
+      assert.equal(res.body.counts.remainingNewWords, 1);
+    });
+
+    it('rejects reviews past the daily limits', async () => {
+      const [apple, run, quick] = await createWords([['apple', 'noun'], ['run', 'verb'], ['quick', 'adjective']]);
+      await request(app).put('/api/auth/preferences').set('Authorization', auth).send({ dailyNewWords: 2, dailyReviews: 1 }).expect(200);
+      const review = (word) => request(app).post(`/api/words/${word._id}/review`).set('Authorization', auth).send({ grade: 4 });
+
+      await review(apple).expect(200);
+      await review(run).expect(200);
+      let res = await review(quick).expect(429);
+      assert.equal(res.body.limitReached, 'dailyNewWords');
+      assert.ok(Number(res.headers['retry-after']) > 0);
+      assert.equal(await WordReview.countDocuments({ wordId: quick._id }), 0);
+
+      await review(apple).expect(200);
+      res = await review(run).expect(429);
+      assert.equal(res.body.limitReached, 'dailyReviews');
+      assert.equal((await WordReview.findOne({ wordId: run._id })).reviewCount, 1);
+    });
+
+    it('removes the review state with the word', async () => {
+      const [word] = await createWords([['apple', 'noun']]);
+      await request(app).post(`/api/words/${word._id}/review`).set('Authorization', auth).send({ grade: 4 }).expect(200);
+
+      await request(app).delete(`/api/words/${word._id}`).set('Authorization', auth).expect(200);
+
+      assert.equal(await WordReview.countDocuments(), 0);
+    });
+
+    it('validates the request', async () => {
+      const { user: other } = await createUser();
+      const [word] = await createWords([['apple', 'noun']], [other._id]);
+
+      await request(app).post(`/api/words/${word._id}/review`).set('Authorization', auth).send({ grade: 4 }).expect(404);
+      await request(app).post('/api/words/not-an-id/review').set('Authorization', auth).send({ grade: 4 }).expect(400);
+      await request(app).post(`/api/words/${word._id}/review`).set('Authorization', auth).send({ grade: 6 }).expect(400);
+      await request(app).get('/api/words/reviews/due?limit=0').set('Authorization', auth).expect(400);
+      await request(app).put('/api/auth/preferences').set('Authorization', auth).send({ dailyReviews: -1 }).expect(400);
+    });
+  });
+});
@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getSearchTerms, buildTermPattern, buildSnippet, getHighlights } = require('../src/utils/searchUtils');
+
+describe('Search snippets', () => {
+  it('gets the terms of a query without excluded ones', () => {
+    assert.deepEqual(getSearchTerms('"Albeit reluctantly" subjunctive -mood 虚拟语气'), ['albeit', 'reluctantly', 'subjunctive', '虚拟语气']);
+    assert.deepEqual(getSearchTerms('  "" - '), []);
+  });
+
+  it('highlights terms and their inflected forms', () => {
+    const pattern = buildTermPattern(getSearchTerms('subjunctives wishing'));
+    assert.equal(
+      buildSnippet('I wish I were taller: the Subjunctive <mood>.', pattern),
+      'I <mark>wish</mark> I were taller: the <mark>Subjunctive</mark> &lt;mood&gt;.'
+    );
+    assert.equal(buildSnippet('No match here.', pattern), null);
+    assert.equal(buildSnippet('这句话使用了虚拟语气。', buildTermPattern(['虚拟语气'])), '这句话使用了<mark>虚拟语气</mark>。');
+  });
+
+  it('cuts long texts around the first match at word boundaries', () => {
+    const text = `${'Lorem ipsum dolor sit amet. '.repeat(10)}He agreed, albeit reluctantly. ${'Sed do eiusmod tempor. '.repeat(10)}`;
+    assert.equal(
+      buildSnippet(text, buildTermPattern(['albeit']), 80),
+      '…sit amet. He agreed, <mark>albeit</mark> reluctantly. Sed do eiusmod tempor. Sed do…'
+    );
+  });
+
+  it('lists the fields the terms appear in', () => {
+    const document = { sentence: 'He agreed, albeit reluctantly.', explanation: 'No match.', chineseTranslation: '他虽然勉强，还是同意了。' };
+    assert.deepEqual(getHighlights(document, ['sentence', 'chineseTranslation', 'explanation'], ['albeit']), [
+      { field: 'sentence', snippet: 'He agreed, <mark>albeit</mark> reluctantly.' }
+    ]);
+  });
+});
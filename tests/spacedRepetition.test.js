@@ -0,0 +1,60 @@
+require('./helpers/testEnv');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getInitialState, scheduleReview } = require('../src/utils/spacedRepetition');
+const { getUTC8PeriodStart } = require('../src/utils/timeUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2024-03-10T04:00:00Z');
+
+describe('SM-2 scheduling', () => {
+  it('schedules a new word after 1 day, then 6 days, then by the ease', () => {
+    let state = scheduleReview(getInitialState(), 4, now);
+    assert.deepEqual({ ...state, dueAt: undefined }, { ease: 2.5, interval: 1, repetitions: 1, lapses: 0, dueAt: undefined });
+    assert.equal(state.dueAt.getTime(), now.getTime() + DAY_MS);
+
+    state = scheduleReview(state, 4, now);
+    assert.equal(state.interval, 6);
+    assert.equal(state.repetitions, 2);
+
+    state = scheduleReview(state, 4, now);
+    assert.equal(state.interval, 15);
+    assert.equal(state.repetitions, 3);
+  });
+
+  it('raises the ease for easy recalls and lowers it for hard ones', () => {
+    assert.equal(scheduleReview(getInitialState(), 5, now).ease, 2.6);
+    assert.equal(scheduleReview(getInitialState(), 3, now).ease, 2.36);
+  });
+
+  it('starts a forgotten word over and counts a lapse', () => {
+    const learned = { ease: 2.5, interval: 15, repetitions: 3, lapses: 0 };
+
+    const state = scheduleReview(learned, 1, now);
+
+    assert.equal(state.interval, 1);
+    assert.equal(state.repetitions, 0);
+    assert.equal(state.lapses, 1);
+    assert.equal(state.ease, 1.96);
+
+    // Failing a word that was never learned is not a lapse
+    assert.equal(scheduleReview(getInitialState(), 0, now).lapses, 0);
+  });
+
+  it('never lowers the ease below 1.3', () => {
+    let state = getInitialState();
+    for (let i = 0; i < 10; i++) {
+      state = scheduleReview(state, 0, now);
+    }
+
+    assert.equal(state.ease, 1.3);
+  });
+});
+
+describe('UTC+8 day start', () => {
+  it('returns midnight in UTC+8', () => {
+    assert.equal(getUTC8PeriodStart('day', new Date('2024-03-10T04:00:00Z')).toISOString(), '2024-03-09T16:00:00.000Z');
+    assert.equal(getUTC8PeriodStart('day', new Date('2024-03-10T17:00:00Z')).toISOString(), '2024-03-10T16:00:00.000Z');
+    assert.equal(getUTC8PeriodStart('month', new Date('2024-03-10T04:00:00Z')).toISOString(), '2024-02-29T16:00:00.000Z');
+  });
+});
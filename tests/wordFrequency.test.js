@@ -0,0 +1,33 @@
+require('./helpers/testEnv');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { CEFR_LEVELS, getLevelForRank, getWordFrequency } = require('../src/utils/wordFrequency');
+
+describe('Word frequency', () => {
+  it('estimates the level from the frequency rank', () => {
+    assert.deepEqual([1000, 1001, 2500, 5000, 8000, 9001].map(getLevelForRank), CEFR_LEVELS);
+    assert.equal(getLevelForRank(null), 'C2');
+  });
+
+  it('ranks common words before rare ones', async () => {
+    const run = await getWordFrequency('run');
+    const apple = await getWordFrequency('apple');
+    const pear = await getWordFrequency('pear');
+
+    assert.ok(run.frequencyRank < apple.frequencyRank);
+    assert.ok(apple.frequencyRank < pear.frequencyRank);
+    assert.equal(run.level, 'A1');
+  });
+
+  it('leaves words the list does not have unranked', async () => {
+    assert.deepEqual(await getWordFrequency('sesquipedalian'), { frequencyRank: null, level: 'C2' });
+  });
+
+  it('ranks a phrase by its rarest word', async () => {
+    const take = await getWordFrequency('take');
+    const off = await getWordFrequency('off');
+
+    assert.equal((await getWordFrequency('take off')).frequencyRank, Math.max(take.frequencyRank, off.frequencyRank));
+    assert.equal((await getWordFrequency('take sesquipedalian')).frequencyRank, null);
+  });
+});
@@ -0,0 +1,40 @@
+require('./helpers/testEnv');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getWordNetSenses, parseGloss } = require('../src/utils/wordUtils');
+
+describe('WordNet senses', () => {
+  it('splits a gloss into the definition and example phrases', () => {
+    assert.deepEqual(parseGloss('enjoying joy; "a happy smile"; "a happy marriage"'), {
+      definition: 'enjoying joy',
+      examples: ['a happy smile', 'a happy marriage']
+    });
+    assert.deepEqual(parseGloss('frozen dessert'), { definition: 'frozen dessert', examples: [] });
+  });
+
+  it('returns every sense of a word in WordNet order', async () => {
+    const { senses, wordNetProcessed } = await getWordNetSenses('run');
+
+    assert.equal(wordNetProcessed, true);
+    assert.equal(senses.filter(sense => sense.partOfSpeech === 'noun').length, 16);
+    assert.equal(senses.filter(sense => sense.partOfSpeech === 'verb').length, 41);
+    assert.equal(senses[0].definition, 'a score in baseball made by a runner touching all four bases safely');
+  });
+
+  it('keeps only the word\'s own antonyms and derived forms', async () => {
+    const { senses } = await getWordNetSenses('quickly');
+
+    const [sense] = senses;
+    assert.equal(sense.partOfSpeech, 'adverb');
+    assert.deepEqual(sense.antonyms, ['slowly']);
+    assert.ok(sense.synonyms.includes('rapidly'));
+    assert.ok(!sense.synonyms.includes('quickly'));
+  });
+
+  it('looks up phrases and reports unknown words', async () => {
+    const { senses } = await getWordNetSenses('ice cream');
+    assert.deepEqual(senses[0].hypernyms, ['frozen dessert']);
+
+    assert.deepEqual(await getWordNetSenses('zzyzx'), { senses: [], wordNetProcessed: true });
+  });
+});